@@ -61,13 +61,261 @@ function activate(context) {
     )
   );
 
-  // 仅当打开vue/js/ts文件时才初始化i18n工具
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.scanKeyUsages",
+      async () => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.scanKeyUsages();
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.peekTranslations",
+      async (key) => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.peekTranslations(key);
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.extractTranslation",
+      async (uri, range) => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.extractTranslation(uri, range);
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.detectHardcodedTexts",
+      async () => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.detectHardcodedTexts();
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.toggleInlineTranslation",
+      async () => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.toggleInlineTranslation();
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.toggleTranslationReplace",
+      async () => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.toggleTranslationReplace();
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.openTranslationGrid",
+      async (node) => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.openTranslationGrid(node);
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.translateMissingTranslations",
+      async (node) => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.translateMissingTranslations(node);
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.setMachineTranslationApiKey",
+      async () => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.setMachineTranslationApiKey();
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.exportTranslations",
+      async () => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.exportTranslations();
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.importTranslations",
+      async () => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.importTranslations();
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.selectLocaleSet",
+      async () => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.selectLocaleSet();
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.filterTranslationTree",
+      async () => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.filterTranslationTree();
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.clearTranslationTreeFilter",
+      async () => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.clearTranslationTreeFilter();
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.addTranslationKey",
+      async (node) => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.addTranslationKey(node);
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.deleteTranslationKey",
+      async (node) => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.deleteTranslationKey(node);
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.copyTranslationKey",
+      async (node) => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.copyTranslationKey(node);
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "devassistkit.i18nTools.revealTranslationKey",
+      async (node) => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+        return i18nTools.revealTranslationKey(node);
+      }
+    )
+  );
+
+  // 注册多语言侧边栏，展开时才初始化i18n工具
+  context.subscriptions.push(
+    require("./i18nTools/translationTree").createTranslationTreeView(
+      async () => {
+        if (!i18nTools) {
+          i18nTools = require("./i18nTools");
+          await i18nTools.initialize(context);
+        }
+      }
+    )
+  );
+
+  // 仅当打开vue/js/ts/jsx/tsx文件时才初始化i18n工具
   if (vscode.window.activeTextEditor) {
     const doc = vscode.window.activeTextEditor.document;
     if (
       doc.languageId === "vue" ||
       doc.languageId === "javascript" ||
-      doc.languageId === "typescript"
+      doc.languageId === "typescript" ||
+      doc.languageId === "javascriptreact" ||
+      doc.languageId === "typescriptreact"
     ) {
       setTimeout(async () => {
         if (!i18nTools) {
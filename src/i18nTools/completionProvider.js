@@ -0,0 +1,95 @@
+const vscode = require("vscode");
+const translationProvider = require("./translationProvider");
+const { escapeRegExp } = require("./keyAnalyzer");
+const { collectTranslationKeys, matchLocale } = require("./localeManager");
+
+// 触发补全的字符：引号用于开始输入键，点号用于输入嵌套键
+const TRIGGER_CHARACTERS = ["'", '"', "`", "."];
+
+/**
+ * 获取翻译键补全提供器
+ * @param {(document: vscode.TextDocument) => Object} getLocaleData 获取文档所属语言集最新多语言数据的函数
+ * @returns {vscode.CompletionItemProvider} 补全提供器
+ */
+function getTranslationCompletionProvider(getLocaleData) {
+  return {
+    provideCompletionItems(document, position) {
+      const localeData = getLocaleData(document);
+      const locales = Object.keys(localeData || {});
+      if (locales.length === 0) {
+        return undefined;
+      }
+
+      // 检查光标是否位于翻译方法调用的第一个字符串参数中
+      const methodPattern = translationProvider
+        .getTranslationMethods()
+        .map(escapeRegExp)
+        .join("|");
+      const callPattern = new RegExp(
+        `(?:^|[^\\w$])(?:${methodPattern})\\s*\\(\\s*(['"\`])([^'"\`]*)$`
+      );
+      const linePrefix = document
+        .lineAt(position.line)
+        .text.slice(0, position.character);
+      const match = linePrefix.match(callPattern);
+      if (!match) {
+        return undefined;
+      }
+
+      const typedKey = match[2];
+      const replaceRange = new vscode.Range(
+        position.line,
+        position.character - typedKey.length,
+        position.line,
+        position.character
+      );
+
+      const config = vscode.workspace.getConfiguration("devCooker");
+      const defaultLocale = matchLocale(
+        locales,
+        config.get("i18n.defaultLocale", "zh-CN")
+      );
+
+      const items = [];
+      for (const [key, translations] of collectTranslationKeys(localeData)) {
+        const item = new vscode.CompletionItem(
+          key,
+          vscode.CompletionItemKind.Value
+        );
+        item.range = replaceRange;
+        item.filterText = key;
+
+        // 默认语言的翻译作为详情显示
+        const defaultValue = defaultLocale
+          ? translations[defaultLocale]
+          : undefined;
+        item.detail =
+          defaultValue !== undefined ? String(defaultValue) : "(默认语言缺失)";
+
+        // 其他语言的翻译显示在文档中
+        const documentation = new vscode.MarkdownString();
+        for (const locale of locales) {
+          if (locale === defaultLocale) {
+            continue;
+          }
+          const value = translations[locale];
+          documentation.appendMarkdown(
+            `- **${locale}:** ${
+              value !== undefined && value !== "" ? String(value) : "空"
+            }\n`
+          );
+        }
+        item.documentation = documentation;
+
+        items.push(item);
+      }
+
+      return items;
+    },
+  };
+}
+
+module.exports = {
+  getTranslationCompletionProvider,
+  TRIGGER_CHARACTERS,
+};
@@ -0,0 +1,379 @@
+const vscode = require("vscode");
+const fs = require("fs").promises;
+const translationProvider = require("./translationProvider");
+const messageValidator = require("./messageValidator");
+const { createPositionResolver } = require("./usageScanner");
+const { matchLocale } = require("./localeManager");
+
+// 诊断来源与诊断代码，便于在问题面板中筛选
+const DIAGNOSTIC_SOURCE = "DevCooker";
+const MISSING_TRANSLATION_CODE = "missingTranslation";
+const MISSING_PARAMS_CODE = "missingTranslationParams";
+const UNUSED_PARAM_CODE = "unusedTranslationParam";
+
+// i18next 和 vue-i18n 调用选项中不属于插值参数的属性
+const TRANSLATION_OPTIONS = [
+  "count",
+  "n",
+  "context",
+  "defaultValue",
+  "default",
+  "ns",
+  "lng",
+  "lngs",
+  "fallbackLng",
+  "returnObjects",
+  "returnDetails",
+  "joinArrays",
+  "postProcess",
+  "interpolation",
+  "replace",
+  "ordinal",
+  "keySeparator",
+  "nsSeparator",
+  "locale",
+  "plural",
+];
+
+/**
+ * 获取默认语言
+ * @param {Object} localeData 多语言数据
+ * @returns {string|null} 默认语言，多语言数据中没有时返回 null
+ */
+function getDefaultLocale(localeData) {
+  const config = vscode.workspace.getConfiguration("devCooker");
+  return matchLocale(
+    Object.keys(localeData || {}),
+    config.get("i18n.defaultLocale", "zh-CN")
+  );
+}
+
+/**
+ * 检查翻译方法调用传入的命名参数与默认语言中的消息是否一致
+ * @param {Object} params findI18nKeys 返回的调用参数
+ * @param {string} message 默认语言中的消息
+ * @param {Object} localeData 多语言数据
+ * @param {string} defaultLocale 默认语言
+ * @returns {{missing: string[], unused: {name: string, range: vscode.Range}[]}}
+ *   消息需要但未传入的参数，以及传入了但消息中未使用的参数
+ */
+function checkCallParams(params, message, localeData, defaultLocale) {
+  const required = messageValidator.getMessageParameters(
+    message,
+    (key) =>
+      translationProvider.getTranslationsForKey(key, localeData)[defaultLocale]
+  );
+
+  const provided = new Set(params.properties.map(({ name }) => name));
+  // 传入复数数量时，vue-i18n 会隐式提供 count 和 n
+  if (params.pluralArgument) {
+    provided.add("count");
+    provided.add("n");
+  }
+
+  return {
+    // 包含展开属性时无法确定传入了哪些参数
+    missing: params.spread
+      ? []
+      : [...required].filter((name) => !provided.has(name)),
+    unused: params.properties.filter(
+      ({ name }) => !required.has(name) && !TRANSLATION_OPTIONS.includes(name)
+    ),
+  };
+}
+
+/**
+ * 创建翻译方法调用参数的诊断信息
+ * @param {string} key 翻译键
+ * @param {vscode.Range} range 翻译键的范围
+ * @param {Object} params findI18nKeys 返回的调用参数
+ * @param {string} message 默认语言中的消息
+ * @param {Object} localeData 多语言数据
+ * @param {string} defaultLocale 默认语言
+ * @returns {vscode.Diagnostic[]} 诊断信息
+ */
+function createParamsDiagnostics(
+  key,
+  range,
+  params,
+  message,
+  localeData,
+  defaultLocale
+) {
+  const { missing, unused } = checkCallParams(
+    params,
+    message,
+    localeData,
+    defaultLocale
+  );
+  const diagnostics = [];
+
+  if (missing.length > 0) {
+    const diagnostic = new vscode.Diagnostic(
+      params.range || range,
+      `翻译键 "${key}" 的消息需要参数: ${missing.join(", ")}`,
+      vscode.DiagnosticSeverity.Warning
+    );
+    diagnostic.source = DIAGNOSTIC_SOURCE;
+    diagnostic.code = MISSING_PARAMS_CODE;
+    diagnostics.push(diagnostic);
+  }
+
+  for (const { name, range: propertyRange } of unused) {
+    const diagnostic = new vscode.Diagnostic(
+      propertyRange,
+      `参数 "${name}" 未在翻译键 "${key}" 的消息中使用`,
+      vscode.DiagnosticSeverity.Warning
+    );
+    diagnostic.source = DIAGNOSTIC_SOURCE;
+    diagnostic.code = UNUSED_PARAM_CODE;
+    diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];
+    diagnostics.push(diagnostic);
+  }
+
+  return diagnostics;
+}
+
+/**
+ * 更新文档中缺失翻译键的诊断信息
+ * - 默认语言中缺失的键标记为错误
+ * - 其他语言中缺失的键标记为警告
+ * - 调用时传入的命名参数缺少默认语言消息需要的参数，或传入了消息中未使用的参数时标记为警告
+ * @param {vscode.TextDocument} document 文本文档
+ * @param {vscode.DiagnosticCollection} collection 诊断集合
+ * @param {Object} localeData 多语言数据
+ */
+function updateDiagnostics(document, collection, localeData) {
+  if (!document || !collection) {
+    return;
+  }
+
+  const locales = Object.keys(localeData || {});
+  if (locales.length === 0) {
+    collection.delete(document.uri);
+    return;
+  }
+
+  const config = vscode.workspace.getConfiguration("devCooker");
+  const defaultLocale = getDefaultLocale(localeData);
+  const checkParams = config.get("i18n.validation.callArguments", true);
+
+  const diagnostics = [];
+  for (const {
+    key,
+    range,
+    dynamic,
+    params,
+  } of translationProvider.findI18nKeys(document)) {
+    // 动态键只在没有任何匹配的键时提示
+    if (dynamic) {
+      if (translationProvider.findMatchingKeys(key, localeData).size === 0) {
+        const diagnostic = new vscode.Diagnostic(
+          range,
+          `动态翻译键 "${key}" 未匹配到任何已定义的翻译键`,
+          vscode.DiagnosticSeverity.Warning
+        );
+        diagnostic.source = DIAGNOSTIC_SOURCE;
+        diagnostic.code = MISSING_TRANSLATION_CODE;
+        diagnostics.push(diagnostic);
+      }
+      continue;
+    }
+
+    const translations = translationProvider.getTranslationsForKey(
+      key,
+      localeData
+    );
+    const message = defaultLocale ? translations[defaultLocale] : undefined;
+    if (checkParams && params && typeof message === "string") {
+      diagnostics.push(
+        ...createParamsDiagnostics(
+          key,
+          range,
+          params,
+          message,
+          localeData,
+          defaultLocale
+        )
+      );
+    }
+
+    const missingLocales = locales.filter(
+      (locale) =>
+        translations[locale] === undefined || translations[locale] === null
+    );
+
+    if (missingLocales.length === 0) {
+      continue;
+    }
+
+    let diagnostic;
+    if (defaultLocale && missingLocales.includes(defaultLocale)) {
+      diagnostic = new vscode.Diagnostic(
+        range,
+        `翻译键 "${key}" 在默认语言 ${defaultLocale} 中不存在`,
+        vscode.DiagnosticSeverity.Error
+      );
+    } else {
+      diagnostic = new vscode.Diagnostic(
+        range,
+        `翻译键 "${key}" 缺少以下语言的翻译: ${missingLocales.join(", ")}`,
+        vscode.DiagnosticSeverity.Warning
+      );
+    }
+    diagnostic.source = DIAGNOSTIC_SOURCE;
+    diagnostic.code = MISSING_TRANSLATION_CODE;
+    diagnostics.push(diagnostic);
+  }
+
+  collection.set(document.uri, diagnostics);
+}
+
+/**
+ * 校验多语言文件中的翻译，在键的定义位置显示诊断信息
+ * 包括 ICU 消息语法、复数类别、链接消息，以及与默认语言的占位符是否一致
+ * monorepo 中每个语言集单独校验
+ * @param {vscode.DiagnosticCollection} collection 诊断集合
+ * @param {{localeData: Object, keySources: Object}[]} localeSets 语言集列表
+ */
+async function updateMessageDiagnostics(collection, localeSets) {
+  if (!collection) {
+    return;
+  }
+
+  const config = vscode.workspace.getConfiguration("devCooker");
+  if (!config.get("i18n.validation.enabled", true)) {
+    collection.clear();
+    return;
+  }
+
+  // 按文件分组，每个文件只读取一次
+  const issuesByFile = new Map();
+  for (const { localeData, keySources } of localeSets) {
+    const issues = messageValidator.validateLocaleData(
+      localeData || {},
+      getDefaultLocale(localeData)
+    );
+    for (const issue of issues) {
+      const source = keySources[issue.locale]?.[issue.namespace]?.[issue.key];
+      if (!source) {
+        continue;
+      }
+      if (!issuesByFile.has(source.file)) {
+        issuesByFile.set(source.file, []);
+      }
+      issuesByFile.get(source.file).push({ ...issue, source });
+    }
+  }
+
+  const entries = [];
+  for (const [file, fileIssues] of issuesByFile) {
+    let content;
+    try {
+      content = await fs.readFile(file, "utf-8");
+    } catch {
+      continue;
+    }
+
+    const positionAt = createPositionResolver(content);
+    const fileDiagnostics = fileIssues.map((issue) => {
+      const { source, message, severity, code, fullKey } = issue;
+      const diagnostic = new vscode.Diagnostic(
+        new vscode.Range(positionAt(source.start), positionAt(source.end)),
+        `"${fullKey}": ${message}`,
+        severity === "error"
+          ? vscode.DiagnosticSeverity.Error
+          : vscode.DiagnosticSeverity.Warning
+      );
+      diagnostic.source = DIAGNOSTIC_SOURCE;
+      diagnostic.code = code;
+      return diagnostic;
+    });
+    entries.push([vscode.Uri.file(file), fileDiagnostics]);
+  }
+
+  collection.clear();
+  collection.set(entries);
+}
+
+/**
+ * 获取为翻译方法调用添加缺少参数的代码操作提供器
+ * 缺少的参数以 name: undefined 的形式添加到参数对象中，没有参数对象时新增一个
+ * @param {(document: vscode.TextDocument) => {localeData: Object}} getLocaleState 获取文档所属语言集的多语言状态
+ * @returns {vscode.CodeActionProvider} 代码操作提供器
+ */
+function getParamsCodeActionProvider(getLocaleState) {
+  return {
+    provideCodeActions(document, range, context) {
+      const actions = [];
+      const { localeData } = getLocaleState(document);
+      const defaultLocale = getDefaultLocale(localeData);
+
+      for (const diagnostic of context.diagnostics) {
+        if (diagnostic.code !== MISSING_PARAMS_CODE || !defaultLocale) {
+          continue;
+        }
+        const item = translationProvider
+          .findI18nKeys(document)
+          .find(
+            ({ range: keyRange, params }) =>
+              params && (params.range || keyRange).isEqual(diagnostic.range)
+          );
+        if (!item) {
+          continue;
+        }
+
+        const message = translationProvider.getTranslationsForKey(
+          item.key,
+          localeData
+        )[defaultLocale];
+        const { missing } = checkCallParams(
+          item.params,
+          message,
+          localeData,
+          defaultLocale
+        );
+        if (missing.length === 0) {
+          continue;
+        }
+
+        const stubs = missing
+          .map(
+            (name) =>
+              `${/^[A-Za-z_$][\w$]*$/.test(name) ? name : `'${name}'`}: undefined`
+          )
+          .join(", ");
+        let text;
+        if (!item.params.range) {
+          text = `, { ${stubs} }`;
+        } else if (item.params.empty) {
+          text = ` ${stubs} `;
+        } else {
+          text = `, ${stubs}`;
+        }
+
+        const title = `添加缺少的参数: ${missing.join(", ")}`;
+        const fix = new vscode.CodeAction(
+          title,
+          vscode.CodeActionKind.QuickFix
+        );
+        fix.edit = new vscode.WorkspaceEdit();
+        fix.edit.insert(document.uri, item.params.insertPosition, text);
+        fix.diagnostics = [diagnostic];
+        fix.isPreferred = true;
+        actions.push(fix);
+      }
+
+      return actions;
+    },
+  };
+}
+
+module.exports = {
+  updateDiagnostics,
+  updateMessageDiagnostics,
+  getParamsCodeActionProvider,
+  MISSING_TRANSLATION_CODE,
+  MISSING_PARAMS_CODE,
+  UNUSED_PARAM_CODE,
+};
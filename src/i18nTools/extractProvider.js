@@ -0,0 +1,188 @@
+const vscode = require("vscode");
+const path = require("path");
+const translationProvider = require("./translationProvider");
+const stringExtractor = require("./stringExtractor");
+const { HARDCODED_TEXT_CODE } = require("./hardcodedDetector");
+
+// 生成建议键时忽略的常见目录名
+const IGNORED_PATH_SEGMENTS = [
+  "src",
+  "app",
+  "views",
+  "pages",
+  "components",
+  "index",
+];
+
+/**
+ * 查找文档中选区所在的可提取字符串
+ * 选区位于模板或 JSX 文本节点内且不为空时，只提取选中的文本
+ * @param {vscode.TextDocument} document 文本文档
+ * @param {vscode.Range} range 选区
+ * @returns {{kind: string, value: string, range: vscode.Range, attribute?: string}|undefined} 提取目标
+ */
+function findExtractTarget(document, range) {
+  const candidate = stringExtractor.findExtractableStringAt(
+    document.getText(),
+    document.languageId,
+    translationProvider.getTranslationMethods(),
+    document.offsetAt(range.start)
+  );
+  if (!candidate) {
+    return undefined;
+  }
+
+  const candidateRange = new vscode.Range(
+    document.positionAt(candidate.start),
+    document.positionAt(candidate.end)
+  );
+
+  if (
+    (candidate.kind === "text" || candidate.kind === "jsxText") &&
+    !range.isEmpty &&
+    candidateRange.contains(range)
+  ) {
+    const selectedText = document.getText(range).trim();
+    if (selectedText) {
+      return {
+        kind: candidate.kind,
+        value: selectedText.replace(/\s+/g, " "),
+        range,
+      };
+    }
+  }
+
+  return { ...candidate, range: candidateRange };
+}
+
+/**
+ * 根据文件路径和文本生成建议的翻译键
+ * 例如 src/views/user/Profile.vue 中的 "Save changes" → user.profile.save_changes
+ * @param {string} filePath 文件路径
+ * @param {string} text 文本内容
+ * @returns {string} 建议的翻译键
+ */
+function suggestKey(filePath, text) {
+  const relativePath = vscode.workspace.asRelativePath(filePath, false);
+  const withoutExt = relativePath.slice(
+    0,
+    relativePath.length - path.extname(relativePath).length
+  );
+
+  const pathParts = withoutExt
+    .split(/[\\/]/)
+    .filter((segment) => !IGNORED_PATH_SEGMENTS.includes(segment.toLowerCase()))
+    .map((segment) =>
+      segment
+        .replace(/[^A-Za-z0-9]+(.)?/g, (_, char) =>
+          char ? char.toUpperCase() : ""
+        )
+        .replace(/^./, (char) => char.toLowerCase())
+    )
+    .filter((segment) => segment);
+
+  // 英文文本取前几个单词，其他文本使用内容哈希
+  const words = text.match(/[A-Za-z0-9]+/g);
+  const textPart = words
+    ? words.slice(0, 4).join("_").toLowerCase()
+    : `text_${hashText(text)}`;
+
+  return [...pathParts, textPart].join(".");
+}
+
+/**
+ * 计算文本的简短哈希
+ * @param {string} text 文本
+ * @returns {string} 6位36进制哈希
+ */
+function hashText(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36).slice(-6);
+}
+
+/**
+ * 生成替换提取目标的翻译调用代码
+ * @param {{kind: string, attribute?: string}} target 提取目标
+ * @param {string} key 翻译键
+ * @returns {string} 替换文本
+ */
+function buildReplacement(target, key) {
+  const config = vscode.workspace.getConfiguration("devCooker");
+  const templateMethod = config.get("i18n.extract.templateMethod", "$t");
+  const scriptMethod = config.get("i18n.extract.scriptMethod", "t");
+  const escapedKey = key.replace(/\\/g, "\\\\").replace(/'/g, "\\'");
+
+  switch (target.kind) {
+    case "text":
+      return `{{ ${templateMethod}('${escapedKey}') }}`;
+    case "attribute":
+      return `:${target.attribute}="${templateMethod}('${escapedKey}')"`;
+    case "expression":
+      return `${templateMethod}('${escapedKey}')`;
+    case "jsxAttribute":
+    case "jsxText":
+      return `{${scriptMethod}('${escapedKey}')}`;
+    default:
+      return `${scriptMethod}('${escapedKey}')`;
+  }
+}
+
+/**
+ * 获取提取翻译键的代码操作提供器
+ * @returns {vscode.CodeActionProvider} 代码操作提供器
+ */
+function getExtractCodeActionProvider() {
+  return {
+    provideCodeActions(document, range, context) {
+      const actions = [];
+
+      // 硬编码文本诊断的快速修复
+      for (const diagnostic of context.diagnostics) {
+        if (diagnostic.code !== HARDCODED_TEXT_CODE) {
+          continue;
+        }
+        const fix = new vscode.CodeAction(
+          "提取为翻译键",
+          vscode.CodeActionKind.QuickFix
+        );
+        fix.diagnostics = [diagnostic];
+        fix.isPreferred = true;
+        fix.command = {
+          command: "devassistkit.i18nTools.extractTranslation",
+          title: "提取为翻译键",
+          arguments: [document.uri, diagnostic.range],
+        };
+        actions.push(fix);
+      }
+      if (actions.length > 0) {
+        return actions;
+      }
+
+      const target = findExtractTarget(document, range);
+      if (!target) {
+        return undefined;
+      }
+
+      const action = new vscode.CodeAction(
+        "提取为翻译键",
+        vscode.CodeActionKind.RefactorExtract
+      );
+      action.command = {
+        command: "devassistkit.i18nTools.extractTranslation",
+        title: "提取为翻译键",
+        arguments: [document.uri, target.range],
+      };
+      return [action];
+    },
+  };
+}
+
+module.exports = {
+  findExtractTarget,
+  suggestKey,
+  buildReplacement,
+  getExtractCodeActionProvider,
+};
@@ -0,0 +1,241 @@
+const vscode = require("vscode");
+const fs = require("fs").promises;
+const keyAnalyzer = require("./keyAnalyzer");
+const stringExtractor = require("./stringExtractor");
+const translationProvider = require("./translationProvider");
+const usageScanner = require("./usageScanner");
+const { getLocaleFilePaths } = require("./localeManager");
+
+// 诊断来源与诊断代码，提取翻译键的快速修复根据诊断代码识别
+const DIAGNOSTIC_SOURCE = "DevCooker";
+const HARDCODED_TEXT_CODE = "hardcodedText";
+
+// 默认检测的字符：中日韩统一表意文字
+const DEFAULT_PATTERN = "[\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff]";
+
+// 忽略注释，可写在 // 、/* */ 或 <!-- --> 中
+const DISABLE_FILE_PATTERN = /devcooker-disable(?![\w-])/;
+const DISABLE_LINE_PATTERN = /devcooker-disable-(next-)?line/g;
+
+/**
+ * 获取硬编码文本检测配置
+ * @returns {{enabled: boolean, pattern: RegExp|null, exclude: string[], severity: vscode.DiagnosticSeverity}} 检测配置
+ */
+function getDetectorOptions() {
+  const config = vscode.workspace.getConfiguration("devCooker");
+
+  let pattern = null;
+  try {
+    pattern = new RegExp(config.get("i18n.hardcoded.pattern", DEFAULT_PATTERN));
+  } catch (error) {
+    console.error("硬编码文本检测规则无效:", error);
+  }
+
+  const severities = {
+    error: vscode.DiagnosticSeverity.Error,
+    warning: vscode.DiagnosticSeverity.Warning,
+    information: vscode.DiagnosticSeverity.Information,
+    hint: vscode.DiagnosticSeverity.Hint,
+  };
+
+  return {
+    enabled: config.get("i18n.hardcoded.enabled", true),
+    pattern,
+    exclude: config.get("i18n.hardcoded.exclude", [
+      "**/*.spec.*",
+      "**/*.test.*",
+      "**/tests/**",
+    ]),
+    severity:
+      severities[config.get("i18n.hardcoded.severity", "warning")] ||
+      vscode.DiagnosticSeverity.Warning,
+  };
+}
+
+/**
+ * 获取被忽略注释标记的行号
+ * @param {string} text 文件文本
+ * @returns {Set<number>|null} 忽略的行号集合（从0开始），整个文件被忽略时返回 null
+ */
+function getIgnoredLines(text) {
+  if (DISABLE_FILE_PATTERN.test(text)) {
+    return null;
+  }
+
+  const ignoredLines = new Set();
+  let match;
+  DISABLE_LINE_PATTERN.lastIndex = 0;
+  while ((match = DISABLE_LINE_PATTERN.exec(text)) !== null) {
+    let line = 0;
+    for (let i = 0; i < match.index; i++) {
+      if (text[i] === "\n") {
+        line++;
+      }
+    }
+    ignoredLines.add(match[1] ? line + 1 : line);
+  }
+  return ignoredLines;
+}
+
+/**
+ * 查找文本中未使用翻译方法的硬编码文本
+ * @param {string} text 文件文本
+ * @param {string} languageId 语言类型
+ * @param {RegExp} pattern 需要检测的字符规则
+ * @param {(offset: number) => vscode.Position} positionAt 偏移量转位置的函数
+ * @returns {{value: string, range: vscode.Range}[]} 硬编码文本
+ */
+function findHardcodedTexts(text, languageId, pattern, positionAt) {
+  const ignoredLines = getIgnoredLines(text);
+  if (!ignoredLines || !pattern) {
+    return [];
+  }
+
+  const results = [];
+  const candidates = stringExtractor.findExtractableStrings(
+    text,
+    languageId,
+    translationProvider.getTranslationMethods()
+  );
+
+  for (const { value, start, end } of candidates) {
+    if (!pattern.test(value)) {
+      continue;
+    }
+
+    const range = new vscode.Range(positionAt(start), positionAt(end));
+    if (ignoredLines.has(range.start.line)) {
+      continue;
+    }
+    results.push({ value, range });
+  }
+
+  return results;
+}
+
+/**
+ * 将硬编码文本转换为诊断信息
+ * @param {{value: string, range: vscode.Range}[]} texts 硬编码文本
+ * @param {vscode.DiagnosticSeverity} severity 诊断级别
+ * @returns {vscode.Diagnostic[]} 诊断信息
+ */
+function createDiagnostics(texts, severity) {
+  return texts.map(({ value, range }) => {
+    const preview = value.length > 20 ? `${value.slice(0, 20)}…` : value;
+    const diagnostic = new vscode.Diagnostic(
+      range,
+      `硬编码文本 "${preview}" 未使用翻译方法`,
+      severity
+    );
+    diagnostic.source = DIAGNOSTIC_SOURCE;
+    diagnostic.code = HARDCODED_TEXT_CODE;
+    return diagnostic;
+  });
+}
+
+/**
+ * 检查文件是否需要跳过检测
+ * @param {vscode.Uri} uri 文件URI
+ * @param {string[]} exclude 排除的 glob 列表
+ * @param {Set<string>} localeFilePaths 多语言文件路径集合
+ * @returns {boolean} 是否跳过
+ */
+function isExcluded(uri, exclude, localeFilePaths) {
+  if (localeFilePaths.has(uri.fsPath)) {
+    return true;
+  }
+  return exclude.some(
+    (pattern) => vscode.languages.match({ pattern }, { uri, languageId: "" }) > 0
+  );
+}
+
+/**
+ * 更新文档的硬编码文本诊断
+ * @param {vscode.TextDocument} document 文本文档
+ * @param {vscode.DiagnosticCollection} collection 诊断集合
+ * @param {Object} localeFiles 多语言文件信息
+ */
+function updateHardcodedDiagnostics(document, collection, localeFiles) {
+  if (!document || !collection) {
+    return;
+  }
+
+  const options = getDetectorOptions();
+  if (
+    !options.enabled ||
+    isExcluded(document.uri, options.exclude, getLocaleFilePaths(localeFiles))
+  ) {
+    collection.delete(document.uri);
+    return;
+  }
+
+  const texts = findHardcodedTexts(
+    document.getText(),
+    document.languageId,
+    options.pattern,
+    (offset) => document.positionAt(offset)
+  );
+  collection.set(document.uri, createDiagnostics(texts, options.severity));
+}
+
+/**
+ * 检查整个工作区中的硬编码文本，结果显示在问题面板中
+ * @param {vscode.DiagnosticCollection} collection 诊断集合
+ * @param {Object} localeFiles 多语言文件信息
+ * @returns {Promise<number>} 发现的硬编码文本数量
+ */
+async function detectWorkspaceHardcodedTexts(collection, localeFiles) {
+  const options = getDetectorOptions();
+  const localeFilePaths = getLocaleFilePaths(localeFiles);
+
+  return vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "检查硬编码文本",
+      cancellable: true,
+    },
+    async (progress, token) => {
+      const uris = await vscode.workspace.findFiles(
+        usageScanner.SOURCE_FILES_GLOB,
+        usageScanner.EXCLUDE_GLOB
+      );
+
+      let total = 0;
+      for (const uri of uris) {
+        if (token.isCancellationRequested) {
+          break;
+        }
+
+        const languageId = keyAnalyzer.getLanguageIdByPath(uri.fsPath);
+        if (!languageId || isExcluded(uri, options.exclude, localeFilePaths)) {
+          continue;
+        }
+
+        let text;
+        try {
+          text = await fs.readFile(uri.fsPath, "utf-8");
+        } catch (error) {
+          console.warn(`读取文件失败: "${uri.fsPath}"`, error);
+          continue;
+        }
+
+        const texts = findHardcodedTexts(
+          text,
+          languageId,
+          options.pattern,
+          usageScanner.createPositionResolver(text)
+        );
+        collection.set(uri, createDiagnostics(texts, options.severity));
+        total += texts.length;
+      }
+
+      return total;
+    }
+  );
+}
+
+module.exports = {
+  HARDCODED_TEXT_CODE,
+  updateHardcodedDiagnostics,
+  detectWorkspaceHardcodedTexts,
+};
@@ -1,18 +1,60 @@
 const vscode = require("vscode");
 const localeManager = require("./localeManager");
+const localeSetsManager = require("./localeSets");
 const translationProvider = require("./translationProvider");
+const diagnostics = require("./diagnostics");
+const hardcodedDetector = require("./hardcodedDetector");
+const translationTree = require("./translationTree");
+const translationGrid = require("./translationGrid");
+
+// 支持多语言键解析的语言类型
+const SUPPORTED_LANGUAGES = [
+  "vue",
+  "javascript",
+  "typescript",
+  "javascriptreact",
+  "typescriptreact",
+];
+// 多语言文件的语言类型，用于在多语言文件中查找引用和重命名键
+const LOCALE_FILE_LANGUAGES = [
+  "json",
+  "jsonc",
+  "yaml",
+  "properties",
+  "po",
+  "xml",
+  "xliff",
+];
 
 // 状态变量
 let localeData = {}; // 多语言数据
 let localeFiles = {}; // 多语言文件信息
+let keySources = {}; // 多语言键在源文件中的位置
+let localeSets = []; // 工作区中的语言集，每个工作区文件夹或 monorepo 中的包对应一个
+let activeLocaleSet = null; // 当前语言集，localeData 等状态变量指向其数据
 let decorator = null; // 文本编辑器装饰器
+let hideDecorator = null; // 隐藏键文本的装饰器，用于以翻译替换键显示
 let hoverProvider = null; // 悬停提供器
+let completionProvider = null; // 翻译键补全提供器
+let definitionProvider = null; // 翻译键定义提供器
+let referenceProvider = null; // 翻译键引用提供器
+let extractActionProvider = null; // 提取翻译键代码操作提供器
+let paramsActionProvider = null; // 添加缺少的翻译参数代码操作提供器
+let renameProvider = null; // 翻译键重命名提供器
 let statusBarItem = null; // 状态栏项
 let context = null; // 扩展上下文
 let isInitialized = false; // 初始化标记
 let isInitializing = false; // 正在初始化标记
 let editorChangeListener = null; // 编辑器变化监听器
 let documentChangeListener = null; // 文档变化监听器
+let diagnosticCollection = null; // 缺失翻译诊断集合
+let hardcodedCollection = null; // 硬编码文本诊断集合
+let messageCollection = null; // 多语言文件中翻译校验的诊断集合
+let localeWatchers = []; // 多语言文件监听器
+const pendingReloads = new Map(); // 等待重新加载的多语言文件 → 定时器
+
+// 多语言文件变化后延迟重新加载的时间，合并短时间内的多次变化
+const RELOAD_DELAY = 300;
 
 /**
  * 检查对象是否为空
@@ -27,6 +69,19 @@ function isEmpty(obj) {
   );
 }
 
+/**
+ * 检查文档是否支持多语言键解析
+ * @param {vscode.TextDocument} document 文本文档
+ * @returns {boolean} 是否支持
+ */
+function isSupportedDocument(document) {
+  return (
+    !!document &&
+    document.uri.scheme !== "output" &&
+    SUPPORTED_LANGUAGES.includes(document.languageId)
+  );
+}
+
 /**
  * 初始化i18n工具
  * @param {vscode.ExtensionContext} _context 扩展上下文
@@ -40,6 +95,9 @@ async function initialize(_context) {
   isInitializing = true;
   context = _context;
 
+  // 机器翻译服务的 API Key 保存在密钥存储中，避免写入可能被提交的工作区设置
+  require("./machineTranslator").setSecretStorage(context.secrets);
+
   // 创建状态栏项
   statusBarItem = vscode.window.createStatusBarItem(
     vscode.StatusBarAlignment.Right,
@@ -58,6 +116,33 @@ async function initialize(_context) {
   });
   context.subscriptions.push(decorator);
 
+  // 通过注入样式隐藏键文本，配合 decorator 在原位置显示翻译
+  hideDecorator = vscode.window.createTextEditorDecorationType({
+    textDecoration: "none; display: none;",
+  });
+  context.subscriptions.push(hideDecorator);
+
+  // 创建诊断集合，用于在问题面板中显示缺失的翻译键
+  diagnosticCollection = vscode.languages.createDiagnosticCollection(
+    "devCooker-i18n"
+  );
+  context.subscriptions.push(diagnosticCollection);
+
+  // 创建硬编码文本诊断集合
+  hardcodedCollection = vscode.languages.createDiagnosticCollection(
+    "devCooker-hardcoded"
+  );
+  context.subscriptions.push(hardcodedCollection);
+
+  // 创建翻译校验诊断集合，在多语言文件中显示占位符和 ICU 消息的问题
+  messageCollection = vscode.languages.createDiagnosticCollection(
+    "devCooker-i18n-messages"
+  );
+  context.subscriptions.push(messageCollection);
+
+  // 侧边栏读取最新的多语言状态
+  translationTree.setLocaleStateSource(getLocaleState);
+
   // 状态栏显示初始状态
   statusBarItem.text = "$(sync~spin) 加载多语言...";
   statusBarItem.show();
@@ -66,20 +151,73 @@ async function initialize(_context) {
   setTimeout(async () => {
     await refreshLocales();
 
-    // 注册悬停提供器 - 仅在有多语言数据时注册
-    if (!isEmpty(localeData)) {
-      const supportedLanguages = ["vue", "javascript", "typescript"];
-      hoverProvider = vscode.languages.registerHoverProvider(
-        supportedLanguages,
-        translationProvider.getTranslationHoverProvider(localeData)
-      );
-      context.subscriptions.push(hoverProvider);
-    }
+    // 注册悬停提供器 - 通过函数读取最新的多语言数据
+    hoverProvider = vscode.languages.registerHoverProvider(
+      SUPPORTED_LANGUAGES,
+      translationProvider.getTranslationHoverProvider(
+        (document) => getLocaleState(document).localeData
+      )
+    );
+    context.subscriptions.push(hoverProvider);
+
+    // 注册翻译键补全提供器 - 通过函数读取最新的多语言数据
+    const translationCompletion = require("./completionProvider");
+    completionProvider = vscode.languages.registerCompletionItemProvider(
+      SUPPORTED_LANGUAGES,
+      translationCompletion.getTranslationCompletionProvider(
+        (document) => getLocaleState(document).localeData
+      ),
+      ...translationCompletion.TRIGGER_CHARACTERS
+    );
+    context.subscriptions.push(completionProvider);
+
+    // 注册跳转到定义与查找引用
+    const navigationProvider = require("./navigationProvider");
+    definitionProvider = vscode.languages.registerDefinitionProvider(
+      SUPPORTED_LANGUAGES,
+      navigationProvider.getTranslationDefinitionProvider(getLocaleState)
+    );
+    referenceProvider = vscode.languages.registerReferenceProvider(
+      [...SUPPORTED_LANGUAGES, ...LOCALE_FILE_LANGUAGES],
+      navigationProvider.getTranslationReferenceProvider(getLocaleState)
+    );
+    context.subscriptions.push(definitionProvider, referenceProvider);
+
+    // 注册提取硬编码文本为翻译键的代码操作
+    const extractProvider = require("./extractProvider");
+    extractActionProvider = vscode.languages.registerCodeActionsProvider(
+      SUPPORTED_LANGUAGES,
+      extractProvider.getExtractCodeActionProvider(),
+      {
+        providedCodeActionKinds: [
+          vscode.CodeActionKind.QuickFix,
+          vscode.CodeActionKind.RefactorExtract,
+        ],
+      }
+    );
+    context.subscriptions.push(extractActionProvider);
+
+    // 注册为翻译方法调用添加缺少参数的快速修复
+    paramsActionProvider = vscode.languages.registerCodeActionsProvider(
+      SUPPORTED_LANGUAGES,
+      diagnostics.getParamsCodeActionProvider(getLocaleState),
+      { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
+    );
+    context.subscriptions.push(paramsActionProvider);
+
+    // 注册翻译键重命名
+    const translationRename = require("./renameProvider");
+    renameProvider = vscode.languages.registerRenameProvider(
+      [...SUPPORTED_LANGUAGES, ...LOCALE_FILE_LANGUAGES],
+      translationRename.getTranslationRenameProvider(getLocaleState)
+    );
+    context.subscriptions.push(renameProvider);
 
     // 监听文本编辑器变化事件
     editorChangeListener = vscode.window.onDidChangeActiveTextEditor(
       (editor) => {
         if (editor) {
+          activateLocaleSetForDocument(editor.document);
           decorateActiveEditor();
         }
       },
@@ -96,6 +234,70 @@ async function initialize(_context) {
         ) {
           decorateActiveEditor();
         }
+        updateDocumentDiagnostics(event.document);
+      },
+      null,
+      context.subscriptions
+    );
+
+    // 以翻译替换键显示时，光标所在行需要恢复显示原始键
+    vscode.window.onDidChangeTextEditorSelection(
+      (event) => {
+        const config = vscode.workspace.getConfiguration("devCooker");
+        if (
+          event.textEditor === vscode.window.activeTextEditor &&
+          config.get("i18n.annotation.mode", "off") === "replace"
+        ) {
+          decorateActiveEditor();
+        }
+      },
+      null,
+      context.subscriptions
+    );
+
+    // 翻译显示配置变化时重新装饰
+    vscode.workspace.onDidChangeConfiguration(
+      (event) => {
+        if (
+          event.affectsConfiguration("devCooker.i18n.annotation") ||
+          event.affectsConfiguration("devCooker.i18n.defaultLocale")
+        ) {
+          decorateActiveEditor();
+        }
+        if (event.affectsConfiguration("devCooker.i18n.hardcoded")) {
+          updateAllDiagnostics();
+        }
+        if (
+          event.affectsConfiguration("devCooker.i18n.validation") ||
+          event.affectsConfiguration("devCooker.i18n.defaultLocale")
+        ) {
+          updateAllDiagnostics();
+          updateMessageDiagnostics();
+        }
+        if (
+          event.affectsConfiguration("devCooker.i18n.fileExtensions") ||
+          event.affectsConfiguration("devCooker.i18n.pathTemplates") ||
+          event.affectsConfiguration("devCooker.i18n.localeAliases") ||
+          event.affectsConfiguration("devCooker.i18n.monorepo")
+        ) {
+          refreshLocales();
+        }
+      },
+      null,
+      context.subscriptions
+    );
+
+    // 打开文档时更新诊断，关闭时清除诊断
+    vscode.workspace.onDidOpenTextDocument(
+      (document) => updateDocumentDiagnostics(document),
+      null,
+      context.subscriptions
+    );
+    vscode.workspace.onDidCloseTextDocument(
+      (document) => {
+        diagnosticCollection.delete(document.uri);
+        hardcodedCollection.delete(document.uri);
+        translationProvider.forgetDocument(document);
       },
       null,
       context.subscriptions
@@ -112,19 +314,392 @@ async function initialize(_context) {
   }, 300);
 }
 
+/**
+ * 查找文档所属的语言集
+ * @param {vscode.TextDocument} [document] 文本文档
+ * @returns {Object|null} 语言集，不传文档或文档不属于任何语言集时返回当前语言集
+ */
+function getLocaleSetForDocument(document) {
+  if (!document || document.uri.scheme !== "file") {
+    return activeLocaleSet;
+  }
+  return (
+    localeSetsManager.findLocaleSetForFile(localeSets, document.uri.fsPath) ||
+    activeLocaleSet
+  );
+}
+
+/**
+ * 获取多语言状态
+ * 传入文档时返回文档所属语言集的状态，monorepo 中悬停、诊断等只使用文件所在包的翻译
+ * @param {vscode.TextDocument} [document] 文本文档，不传时返回当前语言集的状态
+ * @returns {{localeData: Object, localeFiles: Object, keySources: Object, includesFile: (fsPath: string) => boolean}} 多语言状态，
+ *   includesFile 用于判断源文件是否属于该语言集
+ */
+function getLocaleState(document) {
+  const set = document ? getLocaleSetForDocument(document) : activeLocaleSet;
+  if (!set || set === activeLocaleSet) {
+    return {
+      localeData,
+      localeFiles,
+      keySources,
+      includesFile: createLocaleSetFilter(activeLocaleSet),
+    };
+  }
+  return {
+    localeData: set.localeData,
+    localeFiles: set.localeFiles,
+    keySources: set.keySources,
+    includesFile: createLocaleSetFilter(set),
+  };
+}
+
+/**
+ * 创建判断源文件是否属于语言集的函数
+ * @param {Object|null} set 语言集
+ * @returns {(fsPath: string) => boolean} 只有一个语言集时总是返回 true
+ */
+function createLocaleSetFilter(set) {
+  return (fsPath) =>
+    !set ||
+    localeSets.length <= 1 ||
+    localeSetsManager.findLocaleSetForFile(localeSets, fsPath) === set;
+}
+
+/**
+ * 切换当前语言集，侧边栏、批量编辑、命令等都使用当前语言集的数据
+ * @param {Object|null} set 语言集
+ */
+function activateLocaleSet(set) {
+  activeLocaleSet = set;
+  localeData = set ? set.localeData : {};
+  localeFiles = set ? set.localeFiles : {};
+  keySources = set ? set.keySources : {};
+
+  translationTree.refresh();
+  translationGrid.refresh();
+  updateStatusBar();
+}
+
+/**
+ * 切换到文档所属的语言集
+ * @param {vscode.TextDocument} document 文本文档
+ */
+function activateLocaleSetForDocument(document) {
+  if (localeSets.length <= 1 || document.uri.scheme !== "file") {
+    return;
+  }
+  const set = localeSetsManager.findLocaleSetForFile(
+    localeSets,
+    document.uri.fsPath
+  );
+  if (set && set !== activeLocaleSet) {
+    activateLocaleSet(set);
+  }
+}
+
+/**
+ * 更新状态栏，有多个语言集时显示当前语言集的名称，点击可切换语言集
+ */
+function updateStatusBar() {
+  if (!statusBarItem) {
+    return;
+  }
+
+  const localeCount = Object.keys(localeData).length;
+  const countText = localeCount > 0 ? localeCount + "种语言" : "多语言";
+  if (localeSets.length > 1 && activeLocaleSet) {
+    statusBarItem.text = `$(globe) ${activeLocaleSet.name} · ${countText}`;
+    statusBarItem.tooltip = `当前语言集: ${activeLocaleSet.name}\n${activeLocaleSet.root}\n点击切换语言集`;
+    statusBarItem.command = "devassistkit.i18nTools.selectLocaleSet";
+  } else {
+    statusBarItem.text = `$(globe) ${countText}`;
+    statusBarItem.tooltip = "刷新多语言数据";
+    statusBarItem.command = "devassistkit.i18nTools.refreshLocales";
+  }
+}
+
+/**
+ * 选择当前语言集
+ * 切换后直到打开其他语言集所属包中的文件前一直使用所选的语言集
+ */
+async function selectLocaleSet() {
+  if (localeSets.length === 0) {
+    await refreshLocales();
+  }
+  if (localeSets.length === 0) {
+    vscode.window.showWarningMessage("未加载到任何多语言数据");
+    return;
+  }
+
+  const picked = await vscode.window.showQuickPick(
+    localeSets.map((set) => ({
+      label: set === activeLocaleSet ? `$(check) ${set.name}` : set.name,
+      description: vscode.workspace.asRelativePath(set.root, true),
+      detail: `${Object.keys(set.localeData).length}种语言`,
+      set,
+    })),
+    { placeHolder: "选择当前使用的语言集" }
+  );
+  if (picked && picked.set !== activeLocaleSet) {
+    activateLocaleSet(picked.set);
+  }
+}
+
 /**
  * 装饰当前活动的编辑器
  */
 function decorateActiveEditor() {
   const editor = vscode.window.activeTextEditor;
-  if (
-    editor &&
-    !isEmpty(localeData) &&
-    (editor.document.languageId === "vue" ||
-      editor.document.languageId === "javascript" ||
-      editor.document.languageId === "typescript")
-  ) {
-    translationProvider.decorateI18nKeys(editor, decorator, localeData);
+  if (editor && isSupportedDocument(editor.document)) {
+    const { localeData: documentLocaleData } = getLocaleState(editor.document);
+    if (!isEmpty(documentLocaleData)) {
+      translationProvider.decorateI18nKeys(
+        editor,
+        decorator,
+        documentLocaleData,
+        hideDecorator
+      );
+    }
+  }
+}
+
+/**
+ * 装饰所有可见的编辑器
+ */
+function decorateVisibleEditors() {
+  if (!decorator) {
+    return;
+  }
+  for (const editor of vscode.window.visibleTextEditors) {
+    if (!isSupportedDocument(editor.document)) {
+      continue;
+    }
+    const { localeData: documentLocaleData } = getLocaleState(editor.document);
+    if (!isEmpty(documentLocaleData)) {
+      translationProvider.decorateI18nKeys(
+        editor,
+        decorator,
+        documentLocaleData,
+        hideDecorator
+      );
+    }
+  }
+}
+
+/**
+ * 更新单个文档的缺失翻译与硬编码文本诊断
+ * @param {vscode.TextDocument} document 文本文档
+ */
+function updateDocumentDiagnostics(document) {
+  if (!diagnosticCollection || !isSupportedDocument(document)) {
+    return;
+  }
+  const state = getLocaleState(document);
+  diagnostics.updateDiagnostics(
+    document,
+    diagnosticCollection,
+    state.localeData
+  );
+  hardcodedDetector.updateHardcodedDiagnostics(
+    document,
+    hardcodedCollection,
+    state.localeFiles
+  );
+}
+
+/**
+ * 更新所有已打开文档的诊断
+ */
+function updateAllDiagnostics() {
+  if (!diagnosticCollection) {
+    return;
+  }
+  diagnosticCollection.clear();
+  hardcodedCollection.clear();
+  for (const document of vscode.workspace.textDocuments) {
+    updateDocumentDiagnostics(document);
+  }
+}
+
+/**
+ * 校验多语言文件中的翻译并更新诊断
+ */
+function updateMessageDiagnostics() {
+  if (!messageCollection) {
+    return;
+  }
+  diagnostics
+    .updateMessageDiagnostics(
+      messageCollection,
+      localeSets.length > 0 ? localeSets : [{ localeData, keySources }]
+    )
+    .catch((error) => console.error("校验多语言文件失败", error));
+}
+
+/**
+ * 监听所有语言集的多语言目录中的文件变化
+ * 手动编辑或通过 git 拉取等方式修改多语言文件后，只重新加载变化的文件
+ */
+function watchLocaleFiles() {
+  disposeLocaleWatchers();
+
+  for (const set of localeSets) {
+    if (set.fileExtensions.length === 0) {
+      continue;
+    }
+    const extensions = set.fileExtensions.map((ext) => ext.slice(1)).join(",");
+    for (const basePath of set.localesPaths) {
+      const watcher = vscode.workspace.createFileSystemWatcher(
+        new vscode.RelativePattern(
+          vscode.Uri.file(basePath),
+          `**/*.{${extensions}}`
+        )
+      );
+      watcher.onDidChange((uri) => scheduleLocaleReload(uri));
+      watcher.onDidCreate((uri) => scheduleLocaleReload(uri));
+      watcher.onDidDelete((uri) => scheduleLocaleReload(uri));
+      localeWatchers.push(watcher);
+    }
+  }
+}
+
+/**
+ * 释放多语言文件监听器及等待中的重新加载
+ */
+function disposeLocaleWatchers() {
+  for (const watcher of localeWatchers) {
+    watcher.dispose();
+  }
+  localeWatchers = [];
+
+  for (const timer of pendingReloads.values()) {
+    clearTimeout(timer);
+  }
+  pendingReloads.clear();
+}
+
+/**
+ * 延迟重新加载变化的多语言文件，保存时的多次变化事件只处理一次
+ * @param {vscode.Uri} uri 文件URI
+ */
+function scheduleLocaleReload(uri) {
+  const fsPath = uri.fsPath;
+  clearTimeout(pendingReloads.get(fsPath));
+  pendingReloads.set(
+    fsPath,
+    setTimeout(() => {
+      pendingReloads.delete(fsPath);
+      reloadLocaleFile(uri);
+    }, RELOAD_DELAY)
+  );
+}
+
+/**
+ * 查找文件在各语言集的多语言文件信息中的位置
+ * @param {string} fsPath 文件路径
+ * @returns {{set: Object, file: string, locale: string, namespace: string}|null} 所属语言集、文件路径（与 localeFiles 中一致）、语言和命名空间
+ */
+function findLocaleFileEntry(fsPath) {
+  for (const set of localeSets) {
+    for (const locale in set.localeFiles) {
+      for (const namespace in set.localeFiles[locale]) {
+        const file = set.localeFiles[locale][namespace].find(
+          (item) => vscode.Uri.file(item).fsPath === fsPath
+        );
+        if (file) {
+          return { set, file, locale, namespace };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 重新加载单个多语言文件，并更新翻译缓存、装饰器和诊断
+ * 新增的文件加入 localeFiles，删除的文件从 localeFiles 中移除
+ * @param {vscode.Uri} uri 文件URI
+ */
+async function reloadLocaleFile(uri) {
+  try {
+    const fsPath = uri.fsPath;
+    let exists = true;
+    try {
+      await vscode.workspace.fs.stat(uri);
+    } catch {
+      exists = false;
+    }
+
+    let entry = findLocaleFileEntry(fsPath);
+    if (!entry && !exists) {
+      return;
+    }
+
+    if (!entry) {
+      // 新增的文件，按所属语言集的目录结构配置识别语言和命名空间
+      const set = localeSetsManager.findLocaleSetForFile(localeSets, fsPath);
+      const fileInfo =
+        set &&
+        localeManager.resolveLocaleFile(
+          fsPath,
+          set.localesPaths,
+          set.layout,
+          set.root
+        );
+      if (!fileInfo) {
+        return;
+      }
+
+      const file = fsPath.replace(/\\/g, "/");
+      const { locale, namespace } = fileInfo;
+      const { localeFiles } = set;
+      if (!localeFiles[locale]) {
+        localeFiles[locale] = {};
+      }
+      if (!localeFiles[locale][namespace]) {
+        localeFiles[locale][namespace] = [];
+      }
+      localeFiles[locale][namespace].push(file);
+      entry = { set, file, locale, namespace };
+    } else if (!exists) {
+      // 删除的文件，从多语言文件信息中移除
+      const { set, file, locale, namespace } = entry;
+      const { localeFiles } = set;
+      const files = localeFiles[locale][namespace].filter(
+        (item) => item !== file
+      );
+      if (files.length > 0) {
+        localeFiles[locale][namespace] = files;
+      } else {
+        delete localeFiles[locale][namespace];
+        if (Object.keys(localeFiles[locale]).length === 0) {
+          delete localeFiles[locale];
+        }
+      }
+    }
+
+    const changedKeys = await localeManager.reloadLocaleFile(
+      entry.file,
+      entry.locale,
+      entry.namespace,
+      entry.set.localeFiles,
+      entry.set.localeData,
+      entry.set.keySources
+    );
+    if (!changedKeys || changedKeys.length === 0) {
+      return;
+    }
+
+    translationProvider.clearTranslationCache(changedKeys);
+    decorateVisibleEditors();
+    updateAllDiagnostics();
+    updateMessageDiagnostics();
+    translationTree.refresh();
+    translationGrid.refresh();
+    updateStatusBar();
+  } catch (error) {
+    console.error(`重新加载多语言文件失败: "${uri.fsPath}"`, error);
   }
 }
 
@@ -195,16 +770,15 @@ async function refreshLocales() {
       statusBarItem.text = "$(sync~spin) 刷新多语言...";
     }
 
-    // 获取配置
-    const config = vscode.workspace.getConfiguration("devCooker");
-    const paths = config.get("i18n.localesPaths", []);
-    const fileExtensions = config.get("i18n.fileExtensions", [
-      ".json",
-      ".js",
-      ".ts",
-    ]);
-
-    if (paths.length === 0) {
+    // 查找各工作区文件夹及 monorepo 中各个包的多语言文件
+    const sets = await localeSetsManager.findLocaleSets();
+    const configured = (vscode.workspace.workspaceFolders || []).some(
+      (folder) =>
+        vscode.workspace
+          .getConfiguration("devCooker", folder.uri)
+          .get("i18n.localesPaths", []).length > 0
+    );
+    if (sets.length === 0 && !configured) {
       vscode.window.showInformationMessage("请先配置多语言文件路径。");
       if (statusBarItem) {
         statusBarItem.text = "$(alert) 未配置多语言";
@@ -212,31 +786,45 @@ async function refreshLocales() {
       return;
     }
 
-    // 标准化文件扩展名
-    const normalizedExtensions = fileExtensions.map((ext) =>
-      ext.startsWith(".") ? ext : `.${ext}`
-    );
+    // 加载每个语言集的多语言数据
+    for (const set of sets) {
+      set.keySources = {};
+      set.localeData = await localeManager.loadLocaleData(
+        set.localeFiles,
+        set.keySources
+      );
+    }
+    localeSets = sets;
 
-    // 查找多语言文件
-    localeFiles = await localeManager.findLocaleFiles(
-      paths,
-      normalizedExtensions
-    );
+    // 监听多语言文件变化，增量重新加载
+    watchLocaleFiles();
 
-    // 加载多语言数据
-    localeData = await localeManager.loadLocaleData(localeFiles);
+    // 清理翻译缓存，避免使用旧数据
+    translationProvider.clearTranslationCache();
+
+    // 当前编辑器所属的语言集作为当前语言集，否则保留之前选择的语言集
+    const editor = vscode.window.activeTextEditor;
+    const previousRoot = activeLocaleSet && activeLocaleSet.root;
+    activateLocaleSet(
+      (editor &&
+        editor.document.uri.scheme === "file" &&
+        localeSetsManager.findLocaleSetForFile(
+          localeSets,
+          editor.document.uri.fsPath
+        )) ||
+        localeSets.find((set) => set.root === previousRoot) ||
+        localeSets[localeSets.length - 1] ||
+        null
+    );
 
     // 更新装饰器
     if (vscode.window.activeTextEditor && decorator) {
       decorateActiveEditor();
     }
 
-    if (statusBarItem) {
-      const localeCount = Object.keys(localeData).length;
-      statusBarItem.text = `$(globe) ${
-        localeCount > 0 ? localeCount + "种语言" : "多语言"
-      }`;
-    }
+    // 更新诊断信息
+    updateAllDiagnostics();
+    updateMessageDiagnostics();
   } catch (error) {
     vscode.window.showErrorMessage(`刷新多语言数据失败: ${error.message}`);
     if (statusBarItem) {
@@ -247,10 +835,14 @@ async function refreshLocales() {
 
 /**
  * 编辑翻译
- * @param {string} key 翻译键
+ * @param {string|Object} key 翻译键，从侧边栏调用时为键节点
  */
 async function editTranslation(key) {
   try {
+    if (key && typeof key === "object") {
+      key = key.fullKey;
+    }
+
     // 获取当前翻译
     const translations = {};
 
@@ -264,13 +856,19 @@ async function editTranslation(key) {
       return;
     }
 
+    // 侧边栏中的键带有命名空间前缀，优先按完整键查找
+    Object.assign(
+      translations,
+      localeManager.collectTranslationKeys(localeData).get(key)
+    );
+
     // 简单的键分割，用于嵌套对象导航
     const parts = key.split(".");
 
     // 遍历所有语言
     for (const locale in localeData) {
-      // 跳过不存在的语言
-      if (!localeData[locale]) continue;
+      // 跳过不存在或已找到翻译的语言
+      if (!localeData[locale] || translations[locale] !== undefined) continue;
 
       // 是否在此语言中找到翻译
       let foundInLocale = false;
@@ -341,7 +939,8 @@ async function editTranslation(key) {
       key,
       translations,
       localeData,
-      localeFiles
+      localeFiles,
+      { keySources }
     );
 
     // 刷新多语言数据
@@ -351,6 +950,552 @@ async function editTranslation(key) {
   }
 }
 
+/**
+ * 扫描工作区中翻译键的使用情况，报告未使用和未定义的键
+ */
+async function scanKeyUsages() {
+  try {
+    if (isEmpty(localeData)) {
+      await refreshLocales();
+    }
+    if (isEmpty(localeData)) {
+      vscode.window.showWarningMessage("未加载到任何多语言数据");
+      return;
+    }
+
+    const usageScanner = require("./usageScanner");
+    const removed = await usageScanner.showUsageReport(
+      localeData,
+      localeFiles,
+      keySources,
+      getLocaleState().includesFile
+    );
+
+    // 删除了未使用的键后刷新多语言数据
+    if (removed) {
+      await refreshLocales();
+    }
+  } catch (error) {
+    vscode.window.showErrorMessage(`扫描翻译键失败: ${error.message}`);
+  }
+}
+
+/**
+ * 在速览窗口中显示翻译键在所有语言中的定义
+ * @param {string} [key] 翻译键，未传入时使用光标处的键
+ */
+async function peekTranslations(key) {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor) {
+    return;
+  }
+
+  const navigationProvider = require("./navigationProvider");
+  if (!key) {
+    const item = navigationProvider.findKeyAtPosition(
+      editor.document,
+      editor.selection.active
+    );
+    if (!item) {
+      vscode.window.showWarningMessage("光标处没有翻译键");
+      return;
+    }
+    key = item.key;
+  }
+
+  const locations = await navigationProvider.getKeyDefinitionLocations(
+    key,
+    getLocaleState()
+  );
+  if (locations.length === 0) {
+    vscode.window.showWarningMessage(`未找到翻译键的定义: ${key}`);
+    return;
+  }
+
+  await vscode.commands.executeCommand(
+    "editor.action.peekLocations",
+    editor.document.uri,
+    editor.selection.active,
+    locations,
+    "peek"
+  );
+}
+
+/**
+ * 将硬编码的文本提取为翻译键
+ * 写入默认语言文件，并将原文本替换为翻译方法调用
+ * @param {vscode.Uri} [uri] 文档URI，未传入时使用当前编辑器
+ * @param {vscode.Range} [range] 提取范围，未传入时使用当前选区
+ */
+async function extractTranslation(uri, range) {
+  try {
+    const extractProvider = require("./extractProvider");
+
+    let document;
+    if (uri) {
+      document = await vscode.workspace.openTextDocument(uri);
+    } else if (vscode.window.activeTextEditor) {
+      document = vscode.window.activeTextEditor.document;
+      range = vscode.window.activeTextEditor.selection;
+    }
+    if (!document || !range) {
+      return;
+    }
+
+    const target = extractProvider.findExtractTarget(document, range);
+    if (!target) {
+      vscode.window.showWarningMessage("光标处没有可提取的文本");
+      return;
+    }
+
+    if (isEmpty(localeFiles)) {
+      await refreshLocales();
+    }
+
+    const config = vscode.workspace.getConfiguration("devCooker");
+    const defaultLocale = localeManager.matchLocale(
+      Object.keys(localeFiles),
+      config.get("i18n.defaultLocale", "zh-CN")
+    );
+    if (!defaultLocale) {
+      vscode.window.showErrorMessage(
+        `未找到默认语言 ${config.get("i18n.defaultLocale", "zh-CN")} 的多语言文件`
+      );
+      return;
+    }
+
+    // 输入翻译键，已存在且值不同的键不允许覆盖
+    const key = await vscode.window.showInputBox({
+      prompt: `将 "${target.value}" 提取为翻译键`,
+      value: extractProvider.suggestKey(document.uri.fsPath, target.value),
+      validateInput: (input) => {
+        const value = input.trim();
+        if (!value) {
+          return "翻译键不能为空";
+        }
+        if (!/^[\w$-]+(\.[\w$-]+)*$/.test(value)) {
+          return "翻译键只能包含字母、数字、下划线和中划线，并以点号分隔";
+        }
+        const existing = translationProvider.getTranslationsForKey(
+          value,
+          localeData
+        )[defaultLocale];
+        if (existing !== undefined && existing !== target.value) {
+          return `翻译键已存在，当前值为: ${existing}`;
+        }
+        return null;
+      },
+    });
+    if (!key) {
+      return;
+    }
+    const trimmedKey = key.trim();
+
+    // 写入默认语言文件，已存在相同值时直接复用
+    const existing = translationProvider.getTranslationsForKey(
+      trimmedKey,
+      localeData
+    )[defaultLocale];
+    if (existing === undefined) {
+      await localeManager.saveTranslation(
+        trimmedKey,
+        { [defaultLocale]: target.value },
+        localeFiles
+      );
+    }
+
+    // 替换原文本为翻译方法调用
+    const edit = new vscode.WorkspaceEdit();
+    edit.replace(
+      document.uri,
+      target.range,
+      extractProvider.buildReplacement(target, trimmedKey)
+    );
+    await vscode.workspace.applyEdit(edit);
+
+    await refreshLocales();
+
+    const action = await vscode.window.showInformationMessage(
+      `已提取为翻译键: ${trimmedKey}`,
+      "填写其他语言翻译"
+    );
+    if (action === "填写其他语言翻译") {
+      await editTranslation(trimmedKey);
+    }
+  } catch (error) {
+    vscode.window.showErrorMessage(`提取翻译键失败: ${error.message}`);
+  }
+}
+
+/**
+ * 检查整个工作区中的硬编码文本
+ */
+async function detectHardcodedTexts() {
+  try {
+    if (isEmpty(localeFiles)) {
+      await refreshLocales();
+    }
+
+    const total = await hardcodedDetector.detectWorkspaceHardcodedTexts(
+      hardcodedCollection,
+      localeFiles
+    );
+    if (total > 0) {
+      vscode.window.showWarningMessage(
+        `发现 ${total} 处硬编码文本，详情请查看问题面板`
+      );
+    } else {
+      vscode.window.showInformationMessage("未发现硬编码文本");
+    }
+  } catch (error) {
+    vscode.window.showErrorMessage(`检查硬编码文本失败: ${error.message}`);
+  }
+}
+
+/**
+ * 打开批量编辑翻译的表格
+ * 从侧边栏的命名空间节点调用时，只显示该命名空间的键
+ * @param {Object} [node] 侧边栏节点
+ */
+async function openTranslationGrid(node) {
+  try {
+    if (isEmpty(localeData)) {
+      await refreshLocales();
+    }
+    if (isEmpty(localeData)) {
+      vscode.window.showWarningMessage("未加载到任何多语言数据");
+      return;
+    }
+
+    translationGrid.openTranslationGrid(getLocaleState, {
+      namespace: node && node.namespace,
+    });
+  } catch (error) {
+    vscode.window.showErrorMessage(`打开批量编辑失败: ${error.message}`);
+  }
+}
+
+/**
+ * 以默认语言为原文，机器翻译其他语言中缺失或为空的翻译
+ * 从侧边栏的语言节点调用时只翻译该语言
+ * @param {Object} [node] 侧边栏节点
+ */
+async function translateMissingTranslations(node) {
+  try {
+    if (isEmpty(localeData)) {
+      await refreshLocales();
+    }
+
+    const config = vscode.workspace.getConfiguration("devCooker");
+    const sourceLocale = localeManager.matchLocale(
+      Object.keys(localeData),
+      config.get("i18n.defaultLocale", "zh-CN")
+    );
+    if (!sourceLocale) {
+      vscode.window.showErrorMessage(
+        `未找到默认语言 ${config.get("i18n.defaultLocale", "zh-CN")} 的多语言数据`
+      );
+      return;
+    }
+
+    const machineTranslator = require("./machineTranslator");
+    const otherLocales = Object.keys(localeData).filter(
+      (locale) => locale !== sourceLocale
+    );
+    const allMissing = machineTranslator.collectMissingTranslations(
+      localeData,
+      sourceLocale,
+      otherLocales
+    );
+
+    let targetLocales;
+    if (node && node.locale && node.locale !== sourceLocale) {
+      targetLocales = [node.locale];
+    } else {
+      const picked = await vscode.window.showQuickPick(
+        otherLocales
+          .filter((locale) => allMissing.get(locale).length > 0)
+          .map((locale) => ({
+            label: locale,
+            description: `${allMissing.get(locale).length} 处缺失`,
+            picked: true,
+          })),
+        {
+          canPickMany: true,
+          placeHolder: `选择要从 ${sourceLocale} 机器翻译的语言`,
+        }
+      );
+      if (!picked) {
+        return;
+      }
+      targetLocales = picked.map((item) => item.label);
+    }
+
+    const missing = new Map(
+      targetLocales
+        .filter((locale) => allMissing.get(locale).length > 0)
+        .map((locale) => [locale, allMissing.get(locale)])
+    );
+    if (missing.size === 0) {
+      vscode.window.showInformationMessage("没有需要机器翻译的缺失翻译");
+      return;
+    }
+
+    const { changes, translated, skipped } =
+      await machineTranslator.translateMissing(missing, sourceLocale);
+    if (translated > 0) {
+      // 值为空的键需要写入其所在的文件，否则重新加载后仍会被空值覆盖
+      const failedFiles = await localeManager.saveTranslations(
+        changes,
+        localeFiles,
+        localeManager.getTargetFiles(changes, keySources)
+      );
+      if (failedFiles.length > 0) {
+        vscode.window.showErrorMessage(
+          `部分翻译保存失败: ${failedFiles.join(", ")}`
+        );
+      }
+      await refreshLocales();
+    }
+
+    if (skipped.length > 0) {
+      console.warn("未能机器翻译的键:", skipped);
+    }
+    vscode.window.showInformationMessage(
+      `已机器翻译 ${translated} 处缺失的翻译${
+        skipped.length > 0
+          ? `，${skipped.length} 处因占位符无法保留或为 ICU 消息被跳过`
+          : ""
+      }`
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`机器翻译失败: ${error.message}`);
+  }
+}
+
+/**
+ * 设置当前机器翻译服务的 API Key，保存在密钥存储中，输入为空时删除
+ */
+async function setMachineTranslationApiKey() {
+  const machineTranslator = require("./machineTranslator");
+  const provider = vscode.workspace
+    .getConfiguration("devCooker")
+    .get("i18n.machineTranslation.provider", "deepl");
+  const service = machineTranslator.getTranslationService(provider);
+
+  const apiKey = await vscode.window.showInputBox({
+    prompt: `输入 ${service ? service.label : provider} 的 API Key，留空则删除已保存的 API Key`,
+    password: true,
+    ignoreFocusOut: true,
+  });
+  if (apiKey === undefined) {
+    return;
+  }
+
+  try {
+    await machineTranslator.storeApiKey(provider, apiKey.trim());
+    vscode.window.showInformationMessage(
+      apiKey.trim() ? "API Key 已保存" : "API Key 已删除"
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`保存 API Key 失败: ${error.message}`);
+  }
+}
+
+/**
+ * 导出翻译为 CSV 或 XLSX，交给外部翻译人员
+ */
+async function exportTranslations() {
+  try {
+    if (isEmpty(localeData)) {
+      await refreshLocales();
+    }
+    if (isEmpty(localeData)) {
+      vscode.window.showWarningMessage("未加载到任何多语言数据");
+      return;
+    }
+
+    const translationExchange = require("./translationExchange");
+    await translationExchange.exportTranslations(
+      localeData,
+      keySources,
+      context.workspaceState,
+      activeLocaleSet ? activeLocaleSet.root : undefined
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`导出翻译失败: ${error.message}`);
+  }
+}
+
+/**
+ * 从 CSV 或 XLSX 导入外部翻译人员返回的翻译
+ */
+async function importTranslations() {
+  try {
+    if (isEmpty(localeData)) {
+      await refreshLocales();
+    }
+    if (isEmpty(localeData)) {
+      vscode.window.showWarningMessage("未加载到任何多语言数据");
+      return;
+    }
+
+    const translationExchange = require("./translationExchange");
+    if (
+      await translationExchange.importTranslations(
+        localeData,
+        localeFiles,
+        keySources
+      )
+    ) {
+      await refreshLocales();
+    }
+  } catch (error) {
+    vscode.window.showErrorMessage(`导入翻译失败: ${error.message}`);
+  }
+}
+
+/**
+ * 设置侧边栏的筛选文本
+ */
+async function filterTranslationTree() {
+  const text = await vscode.window.showInputBox({
+    prompt: "按翻译键或任一语言中的翻译内容筛选",
+    value: translationTree.getFilter(),
+    placeHolder: "例如: login 或 登录",
+  });
+  if (text !== undefined) {
+    translationTree.setFilter(text);
+  }
+}
+
+/**
+ * 清除侧边栏的筛选
+ */
+function clearTranslationTreeFilter() {
+  translationTree.setFilter("");
+}
+
+/**
+ * 新增翻译键
+ * 从侧边栏的命名空间或目录节点调用时，默认选中该命名空间并以目录路径作为键的前缀
+ * @param {Object} [node] 侧边栏节点
+ */
+async function addTranslationKey(node) {
+  try {
+    if (isEmpty(localeFiles)) {
+      await refreshLocales();
+    }
+    if (isEmpty(localeFiles)) {
+      vscode.window.showWarningMessage("未找到任何多语言文件");
+      return;
+    }
+
+    const prefix = node && node.path ? `${node.path}.` : "";
+    const translationEditor = require("./translationEditor");
+    await translationEditor.createTranslationEditor(
+      prefix,
+      {},
+      localeData,
+      localeFiles,
+      { mode: "create", namespace: node && node.namespace }
+    );
+    await refreshLocales();
+  } catch (error) {
+    vscode.window.showErrorMessage(`新增翻译键失败: ${error.message}`);
+  }
+}
+
+/**
+ * 从所有语言中删除翻译键
+ * @param {Object} node 侧边栏中的键节点
+ */
+async function deleteTranslationKey(node) {
+  if (!node || !node.fullKey) {
+    return;
+  }
+
+  try {
+    const translationEditor = require("./translationEditor");
+    if (
+      await translationEditor.deleteTranslationKey(
+        node.fullKey,
+        localeFiles,
+        keySources
+      )
+    ) {
+      await refreshLocales();
+    }
+  } catch (error) {
+    vscode.window.showErrorMessage(`删除翻译键失败: ${error.message}`);
+  }
+}
+
+/**
+ * 复制翻译键
+ * @param {Object} node 侧边栏中的键节点
+ */
+async function copyTranslationKey(node) {
+  if (node && node.fullKey) {
+    await vscode.env.clipboard.writeText(node.fullKey);
+    vscode.window.setStatusBarMessage(`已复制翻译键: ${node.fullKey}`, 3000);
+  }
+}
+
+/**
+ * 在多语言文件中显示翻译键的定义
+ * @param {Object} node 侧边栏中的键节点
+ */
+async function revealTranslationKey(node) {
+  const source =
+    node && keySources[node.locale]?.[node.namespace]?.[node.path];
+  if (!source) {
+    vscode.window.showWarningMessage("未找到翻译键在文件中的位置");
+    return;
+  }
+
+  const document = await vscode.workspace.openTextDocument(source.file);
+  const range = new vscode.Range(
+    document.positionAt(source.start),
+    document.positionAt(source.end)
+  );
+  await vscode.window.showTextDocument(document, {
+    selection: range,
+    preview: true,
+  });
+}
+
+/**
+ * 切换翻译显示模式，当前已是目标模式时关闭显示
+ * @param {"inline"|"replace"} mode 目标显示模式
+ */
+async function toggleAnnotationMode(mode) {
+  const config = vscode.workspace.getConfiguration("devCooker");
+  const currentMode = config.get("i18n.annotation.mode", "off");
+  const nextMode = currentMode === mode ? "off" : mode;
+
+  await config.update(
+    "i18n.annotation.mode",
+    nextMode,
+    vscode.ConfigurationTarget.Global
+  );
+  decorateActiveEditor();
+}
+
+/**
+ * 切换行内翻译显示
+ */
+async function toggleInlineTranslation() {
+  return toggleAnnotationMode("inline");
+}
+
+/**
+ * 切换以翻译替换键显示
+ */
+async function toggleTranslationReplace() {
+  return toggleAnnotationMode("replace");
+}
+
 /**
  * 释放资源
  */
@@ -361,19 +1506,53 @@ function dispose() {
   if (decorator) {
     decorator.dispose();
   }
+  if (hideDecorator) {
+    hideDecorator.dispose();
+  }
   if (hoverProvider) {
     hoverProvider.dispose();
   }
+  if (completionProvider) {
+    completionProvider.dispose();
+  }
+  if (definitionProvider) {
+    definitionProvider.dispose();
+  }
+  if (referenceProvider) {
+    referenceProvider.dispose();
+  }
+  if (extractActionProvider) {
+    extractActionProvider.dispose();
+  }
+  if (paramsActionProvider) {
+    paramsActionProvider.dispose();
+  }
+  if (renameProvider) {
+    renameProvider.dispose();
+  }
   if (editorChangeListener) {
     editorChangeListener.dispose();
   }
   if (documentChangeListener) {
     documentChangeListener.dispose();
   }
+  if (diagnosticCollection) {
+    diagnosticCollection.dispose();
+  }
+  if (hardcodedCollection) {
+    hardcodedCollection.dispose();
+  }
+  if (messageCollection) {
+    messageCollection.dispose();
+  }
+  disposeLocaleWatchers();
 
   // 清空数据
   localeData = {};
   localeFiles = {};
+  keySources = {};
+  localeSets = [];
+  activeLocaleSet = null;
   context = null;
   isInitialized = false;
 }
@@ -383,5 +1562,23 @@ module.exports = {
   configureLocales,
   refreshLocales,
   editTranslation,
+  scanKeyUsages,
+  peekTranslations,
+  extractTranslation,
+  detectHardcodedTexts,
+  toggleInlineTranslation,
+  toggleTranslationReplace,
+  openTranslationGrid,
+  translateMissingTranslations,
+  setMachineTranslationApiKey,
+  exportTranslations,
+  importTranslations,
+  filterTranslationTree,
+  clearTranslationTreeFilter,
+  addTranslationKey,
+  deleteTranslationKey,
+  copyTranslationKey,
+  revealTranslationKey,
+  selectLocaleSet,
   dispose,
 };
@@ -0,0 +1,751 @@
+const acorn = require("acorn");
+const { tsPlugin } = require("@sveltejs/acorn-typescript");
+
+// 支持TypeScript语法的解析器，JS文件同样可以解析
+const TypeScriptParser = acorn.Parser.extend(tsPlugin());
+// 只改变类型而不改变值的TypeScript表达式，如 as const、satisfies、非空断言
+const TS_EXPRESSION_WRAPPERS = new Set([
+  "TSAsExpression",
+  "TSSatisfiesExpression",
+  "TSNonNullExpression",
+  "TSTypeAssertion",
+]);
+
+// 默认缩进
+const DEFAULT_INDENT = "  ";
+// 可以不加引号的属性名
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * 解析JS/TS多语言文件
+ * 不执行文件中的代码，而是对导出的对象字面量进行静态求值，
+ * 支持展开运算符、计算属性名以及引用同文件中的常量
+ * @param {string} content 文件内容
+ * @returns {{data: Object, objectNode: Object}} 数据对象及导出对象字面量的AST节点
+ */
+function parseJsLocale(content) {
+  const { objectNode, declarations } = parseModule(content);
+  return {
+    data: evaluateNode(objectNode, declarations, new Set()),
+    objectNode,
+  };
+}
+
+/**
+ * 修改JS/TS多语言文件内容
+ * 比较修改前后的数据，只对发生变化的属性进行局部修改，
+ * 保留文件原有的格式、注释、引号风格及展开运算符等写法
+ * @param {string} content 文件内容
+ * @param {(data: Object) => void} modifier 修改数据对象的函数
+ * @returns {string} 修改后的文件内容
+ */
+function modifyJsLocale(content, modifier) {
+  const { objectNode, declarations } = parseModule(content);
+  const data = evaluateNode(objectNode, declarations, new Set());
+  const original = JSON.parse(JSON.stringify(data));
+
+  modifier(data);
+
+  const context = {
+    content,
+    declarations,
+    style: detectStyle(content, objectNode),
+  };
+  const edits = [];
+  diffObject(objectNode, original, data, edits, context);
+
+  return applyEdits(content, edits);
+}
+
+/**
+ * 解析模块并查找导出的对象字面量
+ * @param {string} content 文件内容
+ * @returns {{objectNode: Object, declarations: Object}} 对象字面量节点及顶层常量声明
+ */
+function parseModule(content) {
+  const ast = TypeScriptParser.parse(content, {
+    ecmaVersion: "latest",
+    sourceType: "module",
+    allowReturnOutsideFunction: true,
+    allowImportExportEverywhere: true,
+  });
+
+  const declarations = collectDeclarations(ast);
+  const objectNode = findExportedObject(ast, declarations);
+  if (!objectNode) {
+    throw new Error("未找到导出的对象字面量");
+  }
+
+  return { objectNode, declarations };
+}
+
+/**
+ * 去掉包裹表达式的TypeScript类型断言
+ * @param {Object} node AST节点
+ * @returns {Object} 被包裹的表达式节点
+ */
+function unwrapExpression(node) {
+  let current = node;
+  while (current && TS_EXPRESSION_WRAPPERS.has(current.type)) {
+    current = current.expression;
+  }
+  return current;
+}
+
+/**
+ * 跳过空白字符
+ * @param {string} text 文本
+ * @param {number} index 起始位置
+ * @returns {number} 第一个非空白字符的位置
+ */
+function skipWhitespace(text, index) {
+  let i = index;
+  while (i < text.length && /\s/.test(text[i])) {
+    i++;
+  }
+  return i;
+}
+
+/**
+ * 收集顶层变量声明
+ * @param {Object} ast acorn AST
+ * @returns {Object} 变量名 → 初始值节点
+ */
+function collectDeclarations(ast) {
+  const declarations = {};
+
+  for (const statement of ast.body) {
+    const declaration =
+      statement.type === "ExportNamedDeclaration"
+        ? statement.declaration
+        : statement;
+    if (!declaration || declaration.type !== "VariableDeclaration") {
+      continue;
+    }
+    for (const declarator of declaration.declarations) {
+      if (declarator.id.type === "Identifier" && declarator.init) {
+        declarations[declarator.id.name] = unwrapExpression(declarator.init);
+      }
+    }
+  }
+
+  return declarations;
+}
+
+/**
+ * 在JS模块AST中查找导出的对象字面量
+ * 支持 export default {...}、module.exports = {...} 以及
+ * const xxx = {...}; export default xxx 形式
+ * @param {Object} ast acorn AST
+ * @param {Object} declarations 顶层变量声明
+ * @returns {Object|null} 对象字面量节点
+ */
+function findExportedObject(ast, declarations) {
+  let exported = null;
+
+  for (const statement of ast.body) {
+    if (statement.type === "ExportDefaultDeclaration") {
+      exported = statement.declaration;
+    } else if (
+      statement.type === "ExpressionStatement" &&
+      statement.expression.type === "AssignmentExpression" &&
+      statement.expression.left.type === "MemberExpression" &&
+      statement.expression.left.object.name === "module" &&
+      statement.expression.left.property.name === "exports"
+    ) {
+      exported = statement.expression.right;
+    }
+  }
+
+  return exported
+    ? resolveObjectNode(unwrapExpression(exported), declarations)
+    : null;
+}
+
+/**
+ * 将引用常量的标识符解析为对应的对象字面量节点
+ * @param {Object} node AST节点
+ * @param {Object} declarations 顶层变量声明
+ * @returns {Object|null} 对象字面量节点
+ */
+function resolveObjectNode(node, declarations) {
+  const visited = new Set();
+  let current = unwrapExpression(node);
+  while (current && current.type === "Identifier") {
+    if (visited.has(current.name)) {
+      return null;
+    }
+    visited.add(current.name);
+    current = declarations[current.name];
+  }
+  return current && current.type === "ObjectExpression" ? current : null;
+}
+
+/**
+ * 获取对象属性的名称
+ * @param {Object} property 属性节点
+ * @param {Object} declarations 顶层变量声明
+ * @param {Set<string>} visiting 正在求值的变量，用于避免循环引用
+ * @returns {string|undefined} 属性名，无法静态确定时返回 undefined
+ */
+function getPropertyName(property, declarations, visiting) {
+  if (!property.computed) {
+    if (property.key.type === "Identifier") {
+      return property.key.name;
+    }
+    if (property.key.type === "Literal") {
+      return String(property.key.value);
+    }
+    return undefined;
+  }
+
+  const value = evaluateNode(property.key, declarations, visiting);
+  return typeof value === "string" || typeof value === "number"
+    ? String(value)
+    : undefined;
+}
+
+/**
+ * 对表达式进行静态求值
+ * 只支持字面量、对象、数组、模板字符串及对常量的引用，其他表达式返回 undefined
+ * @param {Object} node AST节点
+ * @param {Object} declarations 顶层变量声明
+ * @param {Set<string>} visiting 正在求值的变量，用于避免循环引用
+ * @returns {any} 求值结果
+ */
+function evaluateNode(node, declarations, visiting) {
+  if (TS_EXPRESSION_WRAPPERS.has(node.type)) {
+    return evaluateNode(node.expression, declarations, visiting);
+  }
+
+  switch (node.type) {
+    case "Literal":
+      return node.regex ? undefined : node.value;
+
+    case "TemplateLiteral": {
+      let result = node.quasis[0].value.cooked;
+      for (let i = 0; i < node.expressions.length; i++) {
+        const value = evaluateNode(node.expressions[i], declarations, visiting);
+        if (value === undefined || (value && typeof value === "object")) {
+          return undefined;
+        }
+        result += String(value) + node.quasis[i + 1].value.cooked;
+      }
+      return result;
+    }
+
+    case "ObjectExpression": {
+      const result = {};
+      for (const property of node.properties) {
+        if (property.type === "SpreadElement") {
+          const value = evaluateNode(property.argument, declarations, visiting);
+          if (isPlainObject(value)) {
+            Object.assign(result, value);
+          }
+          continue;
+        }
+        if (property.kind !== "init" || property.method) {
+          continue;
+        }
+
+        const name = getPropertyName(property, declarations, visiting);
+        if (name === undefined) {
+          continue;
+        }
+        const value = evaluateNode(property.value, declarations, visiting);
+        if (value !== undefined) {
+          result[name] = value;
+        }
+      }
+      return result;
+    }
+
+    case "ArrayExpression":
+      return node.elements.map((element) => {
+        if (!element) {
+          return null;
+        }
+        const value = evaluateNode(element, declarations, visiting);
+        return value === undefined ? null : value;
+      });
+
+    case "UnaryExpression": {
+      const value = evaluateNode(node.argument, declarations, visiting);
+      if (typeof value !== "number") {
+        return undefined;
+      }
+      if (node.operator === "-") {
+        return -value;
+      }
+      return node.operator === "+" ? value : undefined;
+    }
+
+    case "Identifier": {
+      const init = declarations[node.name];
+      if (!init || visiting.has(node.name)) {
+        return undefined;
+      }
+      visiting.add(node.name);
+      const value = evaluateNode(init, declarations, visiting);
+      visiting.delete(node.name);
+      return value;
+    }
+
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * 检测文件的代码风格，新增属性时保持一致
+ * @param {string} content 文件内容
+ * @param {Object} objectNode 导出的对象字面量节点
+ * @returns {{quote: string, keyQuote: string, bareKeys: boolean, indent: string, trailingComma: boolean}} 代码风格
+ */
+function detectStyle(content, objectNode) {
+  const style = {
+    quote: null,
+    keyQuote: null,
+    bareKeys: null,
+    indent: null,
+    trailingComma: null,
+  };
+
+  const visit = (node) => {
+    const properties = node.properties.filter(
+      (property) => property.type === "Property"
+    );
+
+    for (const property of properties) {
+      const value = unwrapExpression(property.value);
+      if (!property.computed && style.bareKeys === null) {
+        style.bareKeys = property.key.type === "Identifier";
+        if (property.key.type === "Literal") {
+          style.keyQuote = property.key.raw[0];
+        }
+      }
+      if (
+        style.quote === null &&
+        value.type === "Literal" &&
+        typeof value.value === "string"
+      ) {
+        style.quote = value.raw[0];
+      }
+    }
+
+    const last = node.properties[node.properties.length - 1];
+    if (last && style.trailingComma === null && isMultiline(content, node)) {
+      style.trailingComma = content[skipWhitespace(content, last.end)] === ",";
+    }
+
+    if (style.indent === null && properties.length > 0) {
+      const propertyIndent = getOwnLineIndent(content, properties[0].start);
+      const objectIndent = getLineIndent(content, node.start);
+      if (
+        propertyIndent !== null &&
+        propertyIndent.length > objectIndent.length &&
+        propertyIndent.startsWith(objectIndent)
+      ) {
+        style.indent = propertyIndent.slice(objectIndent.length);
+      }
+    }
+
+    for (const property of properties) {
+      const value = unwrapExpression(property.value);
+      if (value.type === "ObjectExpression") {
+        visit(value);
+      }
+    }
+  };
+  visit(objectNode);
+
+  return {
+    quote: style.quote === "'" ? "'" : '"',
+    keyQuote: style.keyQuote === "'" ? "'" : '"',
+    bareKeys: style.bareKeys !== false,
+    indent: style.indent || DEFAULT_INDENT,
+    trailingComma: style.trailingComma === true,
+  };
+}
+
+/**
+ * 比较对象修改前后的数据，生成对应对象字面量的修改
+ * @param {Object} node 对象字面量节点
+ * @param {Object} oldValue 修改前的数据
+ * @param {Object} newValue 修改后的数据
+ * @param {Object[]} edits 修改列表
+ * @param {Object} context 上下文 { content, declarations, style }
+ */
+function diffObject(node, oldValue, newValue, edits, context) {
+  const { content, declarations, style } = context;
+
+  // 同名属性以最后一个为准，与求值规则一致
+  const properties = new Map();
+  for (const property of node.properties) {
+    if (property.type !== "Property") {
+      continue;
+    }
+    const name = getPropertyName(property, declarations, new Set());
+    if (name !== undefined) {
+      properties.set(name, property);
+    }
+  }
+
+  const removed = [];
+  for (const key in oldValue) {
+    if (Object.prototype.hasOwnProperty.call(newValue, key)) {
+      continue;
+    }
+    if (properties.has(key)) {
+      removed.push(properties.get(key));
+    } else {
+      console.warn(`无法删除通过展开运算符引入的键: ${key}`);
+    }
+  }
+
+  const added = [];
+  for (const key in newValue) {
+    const value = newValue[key];
+    const property = properties.get(key);
+    if (isEqual(oldValue[key], value)) {
+      continue;
+    }
+    if (!property) {
+      added.push([key, value]);
+      continue;
+    }
+
+    const objectNode = resolveObjectNode(property.value, declarations);
+    if (isPlainObject(value) && isPlainObject(oldValue[key]) && objectNode) {
+      diffObject(objectNode, oldValue[key], value, edits, context);
+    } else if (property.shorthand) {
+      edits.push({
+        start: property.start,
+        end: property.end,
+        text: `${formatKey(key, style)}: ${formatValue(
+          value,
+          getLineIndent(content, property.start),
+          style
+        )}`,
+      });
+    } else {
+      // 保留值外层的类型断言，只替换被断言的表达式
+      const valueNode = unwrapExpression(property.value);
+      edits.push({
+        start: valueNode.start,
+        end: valueNode.end,
+        text: formatValue(value, getLineIndent(content, property.start), style),
+      });
+    }
+  }
+
+  const remaining = node.properties.filter(
+    (property) => !removed.includes(property)
+  );
+
+  // 所有属性都被替换时直接重写整个对象
+  if (added.length > 0 && removed.length > 0 && remaining.length === 0) {
+    edits.push({
+      start: node.start,
+      end: node.end,
+      text: formatValue(
+        newValue,
+        getLineIndent(content, node.start),
+        style,
+        !isMultiline(content, node)
+      ),
+    });
+    return;
+  }
+
+  for (const property of removed) {
+    edits.push(createRemovalEdit(content, property));
+  }
+  if (added.length > 0) {
+    edits.push(createInsertionEdit(node, remaining, added, context));
+  }
+}
+
+/**
+ * 生成删除属性的修改
+ * 属性独占一行时删除整行（包括行尾注释），否则删除属性及相邻的逗号
+ * @param {string} content 文件内容
+ * @param {Object} property 属性节点
+ * @returns {{start: number, end: number, text: string}} 修改
+ */
+function createRemovalEdit(content, property) {
+  let start = property.start;
+  let end = property.end;
+
+  const afterProperty = skipInlineWhitespace(content, end);
+  if (content[afterProperty] === ",") {
+    end = afterProperty + 1;
+  }
+
+  const lineStart = content.lastIndexOf("\n", start - 1) + 1;
+  if (content.slice(lineStart, start).trim() === "") {
+    let lineEnd = content.indexOf("\n", end);
+    if (lineEnd < 0) {
+      lineEnd = content.length;
+    }
+    const rest = content.slice(end, lineEnd).trim();
+    if (rest === "" || rest.startsWith("//")) {
+      return {
+        start: lineStart,
+        end: Math.min(lineEnd + 1, content.length),
+        text: "",
+      };
+    }
+  }
+
+  if (content[end - 1] === ",") {
+    end = skipInlineWhitespace(content, end);
+  } else {
+    // 最后一个属性且没有尾随逗号时，删除前面的逗号
+    let before = start - 1;
+    while (before >= 0 && /\s/.test(content[before])) {
+      before--;
+    }
+    if (content[before] === ",") {
+      start = before;
+    }
+  }
+
+  return { start, end, text: "" };
+}
+
+/**
+ * 生成在对象末尾新增属性的修改
+ * @param {Object} node 对象字面量节点
+ * @param {Object[]} remaining 保留的属性节点
+ * @param {[string, any][]} added 新增的键值对
+ * @param {Object} context 上下文 { content, style }
+ * @returns {{start: number, end: number, text: string}} 修改
+ */
+function createInsertionEdit(node, remaining, added, context) {
+  const { content, style } = context;
+  const last = remaining[remaining.length - 1];
+  const baseIndent = getLineIndent(content, node.start);
+  const indent =
+    (last && getOwnLineIndent(content, last.start)) ||
+    baseIndent + style.indent;
+  const entries = added.map(
+    ([key, value]) =>
+      `${formatKey(key, style)}: ${formatValue(value, indent, style)}`
+  );
+
+  // 空对象展开为多行
+  if (!last) {
+    return {
+      start: node.start,
+      end: node.end,
+      text: `{\n${entries.map((entry) => indent + entry).join(",\n")}${
+        style.trailingComma ? "," : ""
+      }\n${baseIndent}}`,
+    };
+  }
+
+  // 单行对象追加在最后一个属性之后
+  if (!isMultiline(content, node)) {
+    return {
+      start: last.end,
+      end: last.end,
+      text: entries.map((entry) => `, ${entry}`).join(""),
+    };
+  }
+
+  const comma = skipWhitespace(content, last.end);
+  if (content[comma] !== ",") {
+    return {
+      start: last.end,
+      end: last.end,
+      text: entries.map((entry) => `,\n${indent}${entry}`).join(""),
+    };
+  }
+
+  // 已有尾随逗号时，插入到右括号所在行之前
+  const closeBrace = node.end - 1;
+  const closeLineStart = content.lastIndexOf("\n", closeBrace - 1) + 1;
+  if (
+    closeLineStart > comma &&
+    content.slice(closeLineStart, closeBrace).trim() === ""
+  ) {
+    return {
+      start: closeLineStart,
+      end: closeLineStart,
+      text: entries.map((entry) => `${indent}${entry},\n`).join(""),
+    };
+  }
+  return {
+    start: comma + 1,
+    end: comma + 1,
+    text: entries.map((entry) => `\n${indent}${entry},`).join(""),
+  };
+}
+
+/**
+ * 按文件风格格式化属性名
+ * @param {string} key 属性名
+ * @param {Object} style 代码风格
+ * @returns {string} 属性名代码
+ */
+function formatKey(key, style) {
+  if (style.bareKeys && IDENTIFIER_PATTERN.test(key)) {
+    return key;
+  }
+  return quoteString(key, style.bareKeys ? style.quote : style.keyQuote);
+}
+
+/**
+ * 按文件风格格式化值
+ * @param {any} value 值
+ * @param {string} indent 值所在行的缩进
+ * @param {Object} style 代码风格
+ * @param {boolean} [inline] 对象是否写在同一行
+ * @returns {string} 值代码
+ */
+function formatValue(value, indent, style, inline = false) {
+  if (typeof value === "string") {
+    return quoteString(value, style.quote);
+  }
+  if (Array.isArray(value)) {
+    return `[${value
+      .map((item) => formatValue(item, indent, style, true))
+      .join(", ")}]`;
+  }
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 0) {
+      return "{}";
+    }
+    if (inline) {
+      return `{ ${keys
+        .map(
+          (key) =>
+            `${formatKey(key, style)}: ${formatValue(
+              value[key],
+              indent,
+              style,
+              true
+            )}`
+        )
+        .join(", ")} }`;
+    }
+    const innerIndent = indent + style.indent;
+    const lines = keys.map(
+      (key) =>
+        `${innerIndent}${formatKey(key, style)}: ${formatValue(
+          value[key],
+          innerIndent,
+          style
+        )}`
+    );
+    return `{\n${lines.join(",\n")}${
+      style.trailingComma ? "," : ""
+    }\n${indent}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * 使用指定引号生成字符串字面量
+ * @param {string} value 字符串
+ * @param {string} quote 引号
+ * @returns {string} 字符串字面量代码
+ */
+function quoteString(value, quote) {
+  const escaped = value
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/\r/g, "\\r")
+    .split(quote)
+    .join(`\\${quote}`);
+  return `${quote}${escaped}${quote}`;
+}
+
+/**
+ * 按偏移量从后向前应用修改
+ * @param {string} content 文件内容
+ * @param {{start: number, end: number, text: string}[]} edits 修改列表
+ * @returns {string} 修改后的文件内容
+ */
+function applyEdits(content, edits) {
+  return edits
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .reduce(
+      (result, edit) =>
+        result.slice(0, edit.start) + edit.text + result.slice(edit.end),
+      content
+    );
+}
+
+/**
+ * 跳过同一行内的空格和制表符
+ * @param {string} text 文本
+ * @param {number} index 起始位置
+ * @returns {number} 第一个非空格字符的位置
+ */
+function skipInlineWhitespace(text, index) {
+  let i = index;
+  while (i < text.length && (text[i] === " " || text[i] === "\t")) {
+    i++;
+  }
+  return i;
+}
+
+/**
+ * 获取偏移量所在行的缩进
+ * @param {string} content 文件内容
+ * @param {number} offset 偏移量
+ * @returns {string} 缩进
+ */
+function getLineIndent(content, offset) {
+  const lineStart = content.lastIndexOf("\n", offset - 1) + 1;
+  return content.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * 获取位于行首的节点的缩进
+ * @param {string} content 文件内容
+ * @param {number} offset 节点起始偏移量
+ * @returns {string|null} 缩进，节点前有其他内容时返回 null
+ */
+function getOwnLineIndent(content, offset) {
+  const lineStart = content.lastIndexOf("\n", offset - 1) + 1;
+  const prefix = content.slice(lineStart, offset);
+  return /^[ \t]*$/.test(prefix) ? prefix : null;
+}
+
+/**
+ * 检查节点是否跨越多行
+ * @param {string} content 文件内容
+ * @param {Object} node AST节点
+ * @returns {boolean} 是否跨越多行
+ */
+function isMultiline(content, node) {
+  return content.slice(node.start, node.end).includes("\n");
+}
+
+/**
+ * 检查值是否为普通对象
+ * @param {any} value 值
+ * @returns {boolean} 是否为普通对象
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * 比较两个JSON值是否相等
+ * @param {any} a 值
+ * @param {any} b 值
+ * @returns {boolean} 是否相等
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = {
+  parseJsLocale,
+  modifyJsLocale,
+};
@@ -0,0 +1,784 @@
+const acorn = require("acorn");
+const walk = require("acorn-walk");
+const { tsPlugin } = require("@sveltejs/acorn-typescript");
+const { parse: parseSfc } = require("@vue/compiler-sfc");
+
+// 控制是否输出调试日志
+const DEBUG = false;
+
+// vue-i18n 翻译组件及其表示键的属性
+const TRANSLATION_COMPONENTS = {
+  "i18n-t": "keypath",
+  I18nT: "keypath",
+  i18n: "path",
+};
+
+// 各语言类型使用的解析器，TS 需要单独的解析器，JSX 与 TSX 使用同时支持两者的解析器
+const SCRIPT_PARSERS = {
+  javascript: acorn.Parser,
+  typescript: acorn.Parser.extend(tsPlugin()),
+  javascriptreact: acorn.Parser.extend(tsPlugin({ jsx: true })),
+};
+SCRIPT_PARSERS.typescriptreact = SCRIPT_PARSERS.javascriptreact;
+
+// Vue 脚本块 lang 属性对应的语言类型
+const VUE_SCRIPT_LANGUAGES = {
+  js: "javascript",
+  ts: "typescript",
+  jsx: "javascriptreact",
+  tsx: "typescriptreact",
+};
+
+// 返回组件翻译函数的组合式函数，解构出的 t 可能被重命名
+const I18N_HOOKS = ["useI18n", "useTranslation"];
+
+// react-i18next 翻译组件及其表示键的属性
+const JSX_TRANSLATION_COMPONENTS = {
+  Trans: "i18nKey",
+  Translation: "i18nKey",
+};
+
+// Vue 模板 AST 节点类型
+const NODE_ELEMENT = 1;
+const NODE_INTERPOLATION = 5;
+const NODE_ATTRIBUTE = 6;
+const NODE_DIRECTIVE = 7;
+
+function logDebug(...args) {
+  if (DEBUG) {
+    console.log(...args);
+  }
+}
+
+function logError(...args) {
+  console.error(...args);
+}
+
+// 遍历 AST 使用的访问器，TypeScript 和 JSX 等 acorn-walk 不认识的节点遍历其所有子节点
+const walkBase = new Proxy(walk.base, {
+  get(base, type) {
+    return base[type] || visitChildren;
+  },
+});
+
+/**
+ * 遍历未知节点的所有子节点
+ * @param {Object} node AST 节点
+ * @param {*} state 遍历状态
+ * @param {Function} callback 子节点回调
+ */
+function visitChildren(node, state, callback) {
+  for (const key in node) {
+    if (key === "loc") {
+      continue;
+    }
+    const value = node[key];
+    for (const child of Array.isArray(value) ? value : [value]) {
+      if (child && typeof child.type === "string") {
+        callback(child, state);
+      }
+    }
+  }
+}
+
+/**
+ * 按文件类型分析文本中的多语言键调用
+ * 返回的位置均为相对于整个文本的偏移量，范围覆盖键字符串（包含引号）
+ * 模板字符串和字符串拼接形式的键以 * 代替其中的动态部分，并标记为 dynamic，
+ * 如 `menu.${name}.title` 识别为 menu.*.title
+ * @param {string} text 文件文本
+ * @param {string} languageId 语言类型，如 vue、javascript、typescript、javascriptreact、typescriptreact
+ * @param {string[]} translationMethods 翻译方法名称列表
+ * 翻译方法调用的结果还包含 params，即调用时传入的命名参数，详见 getCallParams
+ * @returns {{key: string, start: number, end: number, dynamic: boolean, params?: Object}[]} 多语言键及其偏移量
+ */
+function analyzeText(text, languageId, translationMethods) {
+  const startTime = Date.now();
+  let results = [];
+
+  if (languageId === "vue") {
+    results = findVueTranslations(text, translationMethods);
+  } else if (SCRIPT_PARSERS[languageId]) {
+    results = parseJsContent(text, 0, translationMethods, languageId);
+  }
+
+  logDebug(
+    `分析完成，共找到 ${results.length} 个翻译键，耗时 ${
+      Date.now() - startTime
+    }ms`
+  );
+  return results;
+}
+
+/**
+ * 根据文件扩展名获取语言类型
+ * @param {string} filePath 文件路径
+ * @returns {string|null} 语言类型，不支持时返回 null
+ */
+function getLanguageIdByPath(filePath) {
+  const ext = filePath.slice(filePath.lastIndexOf(".")).toLowerCase();
+  switch (ext) {
+    case ".vue":
+      return "vue";
+    case ".js":
+    case ".mjs":
+    case ".cjs":
+      return "javascript";
+    case ".ts":
+    case ".mts":
+    case ".cts":
+      return "typescript";
+    case ".jsx":
+      return "javascriptreact";
+    case ".tsx":
+      return "typescriptreact";
+    default:
+      return null;
+  }
+}
+
+/**
+ * 查找Vue文件中的翻译调用
+ * 解析单文件组件的模板 AST 以及所有 <script> 和 <script setup> 块，支持：
+ * - 插值和指令绑定中的翻译方法调用，如 {{ $t('key') }}、:label="$t('key')"
+ * - v-t 指令，如 v-t="'key'"、v-t="{ path: 'key' }"
+ * - 翻译组件，如 <i18n-t keypath="key">
+ * - 通过 useI18n() 解构得到的别名，如 const { t: translate } = useI18n()
+ * @param {string} text 文件文本
+ * @param {string[]} translationMethods 翻译方法名称列表
+ * @returns {{key: string, start: number, end: number, dynamic: boolean}[]} 多语言键及偏移量
+ */
+function findVueTranslations(text, translationMethods) {
+  let descriptor;
+  try {
+    ({ descriptor } = parseSfc(text, { sourceMap: false }));
+  } catch (error) {
+    logError("解析Vue文件出错:", error);
+    return [];
+  }
+
+  // 先解析所有脚本块，收集 useI18n 别名供模板使用
+  const blocks = [descriptor.script, descriptor.scriptSetup].filter(
+    (block) => block
+  );
+  const scripts = blocks
+    .map((block) => ({
+      ast: parseScript(
+        block.content,
+        VUE_SCRIPT_LANGUAGES[block.lang] || "javascript"
+      ),
+      offset: block.loc.start.offset,
+    }))
+    .filter(({ ast }) => ast);
+
+  // 脚本使用 TS 时，模板表达式中也可能出现 TS 语法
+  const templateLanguage = blocks.some((block) =>
+    ["ts", "tsx"].includes(block.lang)
+  )
+    ? "typescript"
+    : "javascript";
+
+  const methods = new Set(translationMethods);
+  for (const { ast } of scripts) {
+    for (const alias of findUseI18nAliases(ast)) {
+      methods.add(alias);
+    }
+  }
+
+  const results = [];
+  for (const { ast, offset } of scripts) {
+    results.push(...findTranslationCalls(ast, offset, methods));
+  }
+
+  const template = descriptor.template;
+  if (template && template.ast && (!template.lang || template.lang === "html")) {
+    results.push(
+      ...findTemplateTranslations(template.ast, methods, templateLanguage)
+    );
+  } else if (template) {
+    // 无法解析为 AST 的模板（如 pug）按翻译方法调用的文本形式查找
+    results.push(
+      ...findTranslationCallsByPattern(
+        template.content,
+        template.loc.start.offset,
+        [...methods]
+      )
+    );
+  }
+
+  return results.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 遍历Vue模板 AST 查找翻译
+ * @param {Object} root 模板根节点
+ * @param {Set<string>} methods 翻译方法名称集合
+ * @param {string} languageId 模板表达式的语言类型
+ * @returns {{key: string, start: number, end: number, dynamic: boolean}[]} 多语言键及偏移量
+ */
+function findTemplateTranslations(root, methods, languageId) {
+  const results = [];
+
+  const visit = (node) => {
+    if (node.type === NODE_INTERPOLATION) {
+      results.push(
+        ...findExpressionTranslations(node.content, methods, languageId)
+      );
+      return;
+    }
+    if (node.type !== NODE_ELEMENT && !node.children) {
+      return;
+    }
+
+    for (const prop of node.props || []) {
+      results.push(
+        ...findPropTranslations(node.tag, prop, methods, languageId)
+      );
+    }
+    for (const child of node.children || []) {
+      visit(child);
+    }
+  };
+  visit(root);
+
+  return results;
+}
+
+/**
+ * 查找元素属性或指令中的翻译
+ * @param {string} tag 元素标签名
+ * @param {Object} prop 属性或指令节点
+ * @param {Set<string>} methods 翻译方法名称集合
+ * @param {string} languageId 模板表达式的语言类型
+ * @returns {{key: string, start: number, end: number, dynamic: boolean}[]} 多语言键及偏移量
+ */
+function findPropTranslations(tag, prop, methods, languageId) {
+  const keyAttribute = TRANSLATION_COMPONENTS[tag];
+
+  // <i18n-t keypath="key">，范围覆盖属性值（包含引号）
+  if (prop.type === NODE_ATTRIBUTE) {
+    if (prop.name === keyAttribute && prop.value && prop.value.content) {
+      return [
+        {
+          key: prop.value.content,
+          start: prop.value.loc.start.offset,
+          end: prop.value.loc.end.offset,
+          dynamic: false,
+        },
+      ];
+    }
+    return [];
+  }
+
+  if (prop.type !== NODE_DIRECTIVE || !prop.exp) {
+    return [];
+  }
+
+  // v-t="'key'" 以及 <i18n-t :keypath="'key'">，表达式本身即为键
+  const isKeyBinding =
+    prop.name === "bind" &&
+    prop.arg &&
+    prop.arg.content === keyAttribute &&
+    keyAttribute;
+  if (prop.name === "t" || isKeyBinding) {
+    const expression = parseTemplateExpression(prop.exp.content, languageId);
+    const keyNode = expression && getKeyNodeOfDirective(expression);
+    const keyInfo = keyNode && getKeyFromArgument(keyNode);
+    if (!keyInfo) {
+      return [];
+    }
+    return [
+      {
+        key: keyInfo.key,
+        start: prop.exp.loc.start.offset + keyNode.start,
+        end: prop.exp.loc.start.offset + keyNode.end,
+        dynamic: keyInfo.dynamic,
+      },
+    ];
+  }
+
+  return findExpressionTranslations(prop.exp, methods, languageId);
+}
+
+/**
+ * 获取 v-t 指令表达式中表示键的节点
+ * 支持 v-t="'key'" 和 v-t="{ path: 'key', args: {} }"
+ * @param {Object} expression 表达式 AST 节点
+ * @returns {Object|null} 键节点
+ */
+function getKeyNodeOfDirective(expression) {
+  if (expression.type !== "ObjectExpression") {
+    return expression;
+  }
+  const pathProperty = expression.properties.find(
+    (property) =>
+      property.type === "Property" &&
+      !property.computed &&
+      (property.key.name === "path" || property.key.value === "path")
+  );
+  return pathProperty ? pathProperty.value : null;
+}
+
+/**
+ * 查找模板表达式中的翻译方法调用
+ * @param {Object} expressionNode 模板表达式节点
+ * @param {Set<string>} methods 翻译方法名称集合
+ * @param {string} languageId 模板表达式的语言类型
+ * @returns {{key: string, start: number, end: number, dynamic: boolean}[]} 多语言键及偏移量
+ */
+function findExpressionTranslations(expressionNode, methods, languageId) {
+  const expression = parseTemplateExpression(
+    expressionNode.content,
+    languageId
+  );
+  if (!expression) {
+    return [];
+  }
+  return findTranslationCalls(
+    expression,
+    expressionNode.loc.start.offset,
+    methods
+  );
+}
+
+/**
+ * 解析模板中的表达式
+ * 事件处理等指令中可能是多条语句，无法作为单个表达式完整解析时按语句解析
+ * @param {string} content 表达式文本
+ * @param {string} languageId 表达式的语言类型
+ * @returns {Object|null} AST 节点，偏移量相对于表达式文本，无法解析时返回 null
+ */
+function parseTemplateExpression(content, languageId) {
+  const parser = SCRIPT_PARSERS[languageId];
+  try {
+    const expression = parser.parseExpressionAt(content, 0, {
+      ecmaVersion: "latest",
+    });
+    if (!content.slice(expression.end).trim()) {
+      return expression;
+    }
+  } catch {
+    // 继续尝试按语句解析
+  }
+  try {
+    return parser.parse(content, { ecmaVersion: "latest" });
+  } catch {
+    // v-for="item in items" 等 Vue 特有的语法无需处理
+    logDebug(`无法解析模板表达式: ${content}`);
+    return null;
+  }
+}
+
+/**
+ * 按翻译方法调用的文本形式查找翻译，用于无法解析为 AST 的模板
+ * 方法名与参数之间允许换行，键支持各种引号、模板字符串和字符串拼接
+ * @param {string} content 模板文本
+ * @param {number} offset 模板在文件中的偏移量
+ * @param {string[]} translationMethods 翻译方法名称列表
+ * @returns {{key: string, start: number, end: number, dynamic: boolean}[]} 多语言键及偏移量
+ */
+function findTranslationCallsByPattern(content, offset, translationMethods) {
+  const results = [];
+  const methodPattern = translationMethods.map(escapeRegExp).join("|");
+  const callPattern = new RegExp(
+    `(?<![\\w$])(${methodPattern})\\s*\\(\\s*`,
+    "g"
+  );
+  let match;
+
+  while ((match = callPattern.exec(content)) !== null) {
+    let argument;
+    try {
+      argument = acorn.parseExpressionAt(
+        content,
+        match.index + match[0].length,
+        { ecmaVersion: "latest" }
+      );
+    } catch (error) {
+      logDebug(`无法解析翻译调用参数: ${error.message}`);
+      continue;
+    }
+    // 带参数的调用会被解析为逗号表达式，只取第一个参数
+    if (argument.type === "SequenceExpression") {
+      argument = argument.expressions[0];
+    }
+
+    const keyInfo = getKeyFromArgument(argument);
+    if (keyInfo) {
+      results.push({
+        key: keyInfo.key,
+        start: argument.start + offset,
+        end: argument.end + offset,
+        dynamic: keyInfo.dynamic,
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * 解析JS内容并提取翻译调用
+ * 通过 useI18n()、useTranslation() 解构得到的别名同样视为翻译方法
+ * @param {string} content JS内容
+ * @param {number} offset 内容在文件中的偏移量
+ * @param {string[]} translationMethods 翻译方法名列表
+ * @param {string} [languageId] 语言类型，决定是否支持 TS 和 JSX 语法
+ * @returns {{key: string, start: number, end: number, dynamic: boolean}[]} 多语言键及偏移量
+ */
+function parseJsContent(
+  content,
+  offset,
+  translationMethods,
+  languageId = "javascript"
+) {
+  const ast = parseScript(content, languageId);
+  if (!ast) {
+    return [];
+  }
+
+  const methods = new Set(translationMethods);
+  for (const alias of findUseI18nAliases(ast)) {
+    methods.add(alias);
+  }
+  return findTranslationCalls(ast, offset, methods);
+}
+
+/**
+ * 解析脚本内容
+ * @param {string} content 脚本内容
+ * @param {string} [languageId] 语言类型，决定是否支持 TS 和 JSX 语法
+ * @returns {Object|null} AST，解析失败时返回 null
+ */
+function parseScript(content, languageId = "javascript") {
+  const parser = SCRIPT_PARSERS[languageId] || SCRIPT_PARSERS.javascript;
+  try {
+    return parser.parse(content, {
+      ecmaVersion: "latest",
+      sourceType: "module",
+      locations: true,
+      // 添加容错能力
+      allowReturnOutsideFunction: true,
+      allowImportExportEverywhere: true,
+    });
+  } catch (error) {
+    logError("解析JS代码出错:", error);
+    return null;
+  }
+}
+
+/**
+ * 查找 useI18n()、useTranslation() 解构得到的翻译方法别名
+ * 如 const { t: translate } = useI18n() 中的 translate
+ * @param {Object} ast 脚本 AST
+ * @returns {string[]} 别名列表
+ */
+function findUseI18nAliases(ast) {
+  const aliases = [];
+
+  walk.simple(ast, {
+    VariableDeclarator(node) {
+      if (
+        node.id.type !== "ObjectPattern" ||
+        !node.init ||
+        node.init.type !== "CallExpression" ||
+        !I18N_HOOKS.includes(getCallMethodName(node.init.callee))
+      ) {
+        return;
+      }
+
+      for (const property of node.id.properties) {
+        const name =
+          property.type === "Property" && !property.computed
+            ? property.key.name || property.key.value
+            : null;
+        if (
+          (name === "t" || name === "$t") &&
+          property.value.type === "Identifier"
+        ) {
+          aliases.push(property.value.name);
+        }
+      }
+    },
+  }, walkBase);
+
+  return aliases;
+}
+
+/**
+ * 遍历 AST 查找翻译方法调用以及 <Trans i18nKey="key"> 等翻译组件
+ * @param {Object} ast AST 节点
+ * @param {number} offset AST 在文件中的偏移量
+ * @param {Set<string>} methods 翻译方法名称集合
+ * @returns {{key: string, start: number, end: number, dynamic: boolean}[]} 多语言键及偏移量
+ */
+function findTranslationCalls(ast, offset, methods) {
+  const results = [];
+
+  walk.simple(ast, {
+    CallExpression(node) {
+      // 检查是否是翻译方法
+      if (
+        !methods.has(getCallMethodName(node.callee)) ||
+        node.arguments.length === 0
+      ) {
+        return;
+      }
+
+      const firstArg = unwrapTypeExpression(node.arguments[0]);
+      const keyInfo = getKeyFromArgument(firstArg);
+      if (keyInfo) {
+        // 计算偏移量，考虑内容在文件中的位置
+        results.push({
+          key: keyInfo.key,
+          start: firstArg.start + offset,
+          end: firstArg.end + offset,
+          dynamic: keyInfo.dynamic,
+          params: getCallParams(node, offset),
+        });
+      }
+    },
+    JSXOpeningElement(node) {
+      const keyAttribute =
+        node.name.type === "JSXIdentifier" &&
+        JSX_TRANSLATION_COMPONENTS[node.name.name];
+      const attribute =
+        keyAttribute &&
+        node.attributes.find(
+          (item) =>
+            item.type === "JSXAttribute" &&
+            item.name.name === keyAttribute &&
+            item.value
+        );
+      if (!attribute) {
+        return;
+      }
+
+      // i18nKey="key" 或 i18nKey={`menu.${name}`}
+      const keyNode =
+        attribute.value.type === "JSXExpressionContainer"
+          ? attribute.value.expression
+          : attribute.value;
+      const keyInfo = getKeyFromArgument(keyNode);
+      if (keyInfo) {
+        results.push({
+          key: keyInfo.key,
+          start: keyNode.start + offset,
+          end: keyNode.end + offset,
+          dynamic: keyInfo.dynamic,
+        });
+      }
+    },
+  }, walkBase);
+
+  return results;
+}
+
+/**
+ * 获取翻译方法调用中传入的命名参数，如 $t('key', { count, name: user.name })
+ * 没有第二个参数时视为未传入任何参数，第二个参数不是对象字面量（数字、数组、变量等）时无法分析
+ * @param {Object} node 调用表达式节点
+ * @param {number} offset AST 在文件中的偏移量
+ * @returns {Object|null} 参数信息，无法分析时返回 null
+ *   - properties: 静态属性名及其范围 { name, start, end }
+ *   - spread: 是否包含展开或计算属性，此时无法确定传入了哪些参数
+ *   - pluralArgument: 是否传入了第三个参数（vue-i18n 的复数数量）
+ *   - object: 参数对象的范围 { start, end }，没有第二个参数时为 null
+ *   - insertOffset: 添加参数时的插入位置，没有参数对象时为第一个参数之后，
+ *     否则为最后一个属性之后或空对象的左花括号之后
+ */
+function getCallParams(node, offset) {
+  const keyNode = node.arguments[0];
+  if (node.arguments.length < 2) {
+    return {
+      properties: [],
+      spread: false,
+      pluralArgument: false,
+      object: null,
+      insertOffset: keyNode.end + offset,
+    };
+  }
+
+  const argument = unwrapTypeExpression(node.arguments[1]);
+  if (argument.type !== "ObjectExpression") {
+    return null;
+  }
+
+  const properties = [];
+  let spread = false;
+  for (const property of argument.properties) {
+    const name =
+      property.type === "Property" && !property.computed
+        ? property.key.name ?? property.key.value
+        : undefined;
+    if (name === undefined) {
+      spread = true;
+      continue;
+    }
+    properties.push({
+      name: String(name),
+      start: property.start + offset,
+      end: property.end + offset,
+    });
+  }
+
+  const lastProperty = argument.properties[argument.properties.length - 1];
+  return {
+    properties,
+    spread,
+    pluralArgument: node.arguments.length > 2,
+    object: { start: argument.start + offset, end: argument.end + offset },
+    insertOffset:
+      (lastProperty ? lastProperty.end : argument.start + 1) + offset,
+  };
+}
+
+/**
+ * 去除 TS 类型断言，如 'key' as const、<string>'key'
+ * @param {Object} node AST 节点
+ * @returns {Object} 断言内的表达式节点
+ */
+function unwrapTypeExpression(node) {
+  while (
+    node.type === "TSAsExpression" ||
+    node.type === "TSSatisfiesExpression" ||
+    node.type === "TSTypeAssertion" ||
+    node.type === "TSNonNullExpression"
+  ) {
+    node = node.expression;
+  }
+  return node;
+}
+
+/**
+ * 从翻译方法的第一个参数中获取键
+ * - 字符串字面量和不含插值的模板字符串为静态键
+ * - 含插值的模板字符串和字符串拼接为动态键，动态部分以 * 代替
+ * @param {Object} node 参数的 AST 节点
+ * @returns {{key: string, dynamic: boolean}|null} 键信息，无法识别时返回 null
+ */
+function getKeyFromArgument(node) {
+  if (node.type === "Literal" && typeof node.value === "string") {
+    return { key: node.value, dynamic: false };
+  }
+  if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+    return { key: node.quasis[0].value.cooked, dynamic: false };
+  }
+  if (
+    node.type !== "TemplateLiteral" &&
+    !(node.type === "BinaryExpression" && node.operator === "+")
+  ) {
+    return null;
+  }
+
+  const parts = [];
+  if (!collectKeyParts(node, parts)) {
+    return null;
+  }
+
+  // 合并相邻的动态部分，至少需要包含一段静态文本
+  const key = parts.join("").replace(/\*+/g, "*");
+  if (!key.replace(/[*.]/g, "")) {
+    return null;
+  }
+  return { key, dynamic: true };
+}
+
+/**
+ * 收集模板字符串或字符串拼接中的各部分，动态部分记为 *
+ * @param {Object} node AST 节点
+ * @param {string[]} parts 收集到的部分
+ * @returns {boolean} 是否包含字符串，不包含时不视为翻译键
+ */
+function collectKeyParts(node, parts) {
+  if (node.type === "Literal" && typeof node.value === "string") {
+    parts.push(node.value);
+    return true;
+  }
+  if (node.type === "TemplateLiteral") {
+    node.quasis.forEach((quasi, index) => {
+      parts.push(quasi.value.cooked);
+      if (index < node.expressions.length) {
+        parts.push("*");
+      }
+    });
+    return true;
+  }
+  if (node.type === "BinaryExpression" && node.operator === "+") {
+    const leftIsString = collectKeyParts(node.left, parts);
+    const rightIsString = collectKeyParts(node.right, parts);
+    return leftIsString || rightIsString;
+  }
+
+  parts.push("*");
+  return false;
+}
+
+/**
+ * 将动态键转换为正则表达式，* 匹配任意非空文本
+ * @param {string} pattern 动态键，如 menu.*.title
+ * @returns {RegExp} 正则表达式
+ */
+function compileKeyPattern(pattern) {
+  return new RegExp(
+    `^${pattern.split("*").map(escapeRegExp).join(".+")}$`
+  );
+}
+
+/**
+ * 获取调用表达式的方法名称
+ * @param {Object} callee 调用表达式的 callee 节点
+ * @returns {string} 方法名称，如 t、$t、i18n.t、i18n.global.t，无法识别时返回空字符串
+ */
+function getCallMethodName(callee) {
+  let methodName = "";
+
+  // 直接方法调用: t('key')
+  if (callee.type === "Identifier") {
+    methodName = callee.name;
+  }
+  // 成员方法调用: i18n.t('key') 或 this.$t('key')
+  else if (callee.type === "MemberExpression") {
+    if (callee.property.type === "Identifier") {
+      methodName = callee.property.name;
+
+      // 处理 i18n.global.t 这样的情况
+      if (
+        callee.object.type === "MemberExpression" &&
+        callee.object.property.type === "Identifier" &&
+        callee.object.property.name === "global"
+      ) {
+        methodName = `i18n.global.${methodName}`;
+      } else if (
+        callee.object.type === "Identifier" &&
+        callee.object.name === "i18n"
+      ) {
+        methodName = `i18n.${methodName}`;
+      }
+    }
+  }
+
+  return methodName;
+}
+
+/**
+ * 转义正则表达式特殊字符
+ * @param {string} text 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = {
+  JSX_TRANSLATION_COMPONENTS,
+  analyzeText,
+  getLanguageIdByPath,
+  parseJsContent,
+  parseScript,
+  walkBase,
+  getCallMethodName,
+  getKeyFromArgument,
+  compileKeyPattern,
+  escapeRegExp,
+};
@@ -0,0 +1,1055 @@
+const acorn = require("acorn");
+const YAML = require("yaml");
+const jsLocaleParser = require("./jsLocaleParser");
+
+/*
+ * 多语言文件格式
+ * 每种格式需要提供:
+ * - name: 格式名称，用于日志输出
+ * - extensions: 支持的文件扩展名
+ * - parse(content): 将文件内容解析为嵌套的数据对象
+ * - modify(content, modifier): 由 modifier 修改数据对象后生成新的文件内容
+ * - parseKeyPositions(content): 获取每个扁平键在文件中的偏移量 { start, end }
+ */
+
+// Rails 风格的 YAML 文件以语言标识作为唯一的根键，如 en: 或 zh-CN:
+const LOCALE_ROOT_PATTERN = /^[a-z]{2}(?:[-_][A-Za-z]{2,4})?$/;
+
+const jsonFormat = {
+  name: "JSON",
+  extensions: [".json"],
+  parse(content) {
+    return JSON.parse(content);
+  },
+  modify(content, modifier) {
+    const data = JSON.parse(content);
+    modifier(data);
+    return JSON.stringify(data, null, 2);
+  },
+  parseKeyPositions(content) {
+    // JSON 是合法的 JS 表达式，直接使用 acorn 解析以获得位置信息
+    const objectNode = acorn.parseExpressionAt(content, 0, {
+      ecmaVersion: "latest",
+    });
+    const positions = {};
+    if (objectNode.type === "ObjectExpression") {
+      collectPropertyPositions(objectNode, "", positions);
+    }
+    return positions;
+  },
+};
+
+const javascriptFormat = {
+  name: "JS/TS",
+  extensions: [".js", ".ts"],
+  parse(content) {
+    // 静态解析导出的对象字面量，不执行文件中的代码
+    return jsLocaleParser.parseJsLocale(content).data;
+  },
+  modify(content, modifier) {
+    // 基于AST局部修改，保留原有格式和注释
+    return jsLocaleParser.modifyJsLocale(content, modifier);
+  },
+  parseKeyPositions(content) {
+    const positions = {};
+    collectPropertyPositions(
+      jsLocaleParser.parseJsLocale(content).objectNode,
+      "",
+      positions
+    );
+    return positions;
+  },
+};
+
+const yamlFormat = {
+  name: "YAML",
+  extensions: [".yaml", ".yml"],
+  parse(content) {
+    const document = parseYamlDocument(content);
+    return getYamlData(document, getYamlRoot(document));
+  },
+  modify(content, modifier) {
+    const document = parseYamlDocument(content);
+    const root = getYamlRoot(document);
+    const data = getYamlData(document, root);
+    const { removed, changed } = getLeafChanges(data, modifier);
+
+    for (const path of removed) {
+      document.deleteIn([...root, ...path]);
+      // 清理删除后变为空的父级映射
+      for (let i = path.length - 1; i > 0; i--) {
+        const parentPath = [...root, ...path.slice(0, i)];
+        const parent = document.getIn(parentPath);
+        if (!YAML.isMap(parent) || parent.items.length > 0) {
+          break;
+        }
+        document.deleteIn(parentPath);
+      }
+    }
+    for (const { path, value } of changed) {
+      document.setIn([...root, ...path], value);
+    }
+
+    return document.toString();
+  },
+  parseKeyPositions(content) {
+    const document = parseYamlDocument(content);
+    const root = getYamlRoot(document);
+    const node = root.length > 0 ? document.getIn(root) : document.contents;
+    const positions = {};
+    if (YAML.isMap(node)) {
+      collectYamlPositions(node, "", positions);
+    }
+    return positions;
+  },
+};
+
+const propertiesFormat = {
+  name: "Properties",
+  extensions: [".properties"],
+  parse(content) {
+    return buildNestedData(parseProperties(content));
+  },
+  modify(content, modifier) {
+    const entries = parseProperties(content);
+    const { removed, changed } = getLeafChanges(
+      buildNestedData(entries),
+      modifier
+    );
+
+    // 原文件使用 \uXXXX 转义时，新写入的非 ASCII 字符同样转义
+    const asciiOnly = /\\u[0-9a-fA-F]{4}/.test(content);
+    const separator = entries.length > 0 ? entries[0].separator : "=";
+    const formatLine = (key, value) =>
+      `${escapeProperties(key, true, asciiOnly)}${separator}${escapeProperties(
+        String(value),
+        false,
+        asciiOnly
+      )}`;
+
+    const edits = [];
+    for (const path of removed) {
+      const key = path.join(".");
+      for (const entry of entries.filter((item) => item.key === key)) {
+        edits.push({ start: entry.start, end: entry.end, text: "" });
+      }
+    }
+
+    const appended = [];
+    for (const { path, value } of changed) {
+      const key = path.join(".");
+      const existing = entries.filter((item) => item.key === key);
+      if (existing.length === 0) {
+        appended.push(formatLine(key, value));
+        continue;
+      }
+      // 重复的键以最后一个为准
+      const entry = existing[existing.length - 1];
+      edits.push({
+        start: entry.start,
+        end: entry.contentEnd,
+        text: formatLine(key, value),
+      });
+    }
+
+    if (appended.length > 0) {
+      edits.push(createAppendEdit(content, appended));
+    }
+
+    return applyEdits(content, edits);
+  },
+  parseKeyPositions(content) {
+    const positions = {};
+    for (const entry of parseProperties(content)) {
+      positions[entry.key] = { start: entry.keyStart, end: entry.keyEnd };
+    }
+    return positions;
+  },
+};
+
+const poFormat = {
+  name: "PO",
+  extensions: [".po", ".pot"],
+  parse(content) {
+    return buildNestedData(parsePo(content));
+  },
+  modify(content, modifier) {
+    const entries = parsePo(content);
+    const { removed, changed } = getLeafChanges(
+      buildNestedData(entries),
+      modifier
+    );
+
+    const edits = [];
+    for (const path of removed) {
+      const entry = entries.find((item) => item.key === path.join("."));
+      if (entry) {
+        edits.push(createBlockRemovalEdit(content, entry));
+      }
+    }
+
+    const appended = [];
+    for (const { path, value } of changed) {
+      const key = path.join(".");
+      // 未翻译的条目不会出现在数据中，但同样需要原地更新
+      const entry = entries.find((item) => item.key === key);
+      if (entry) {
+        edits.push({
+          start: entry.msgstrStart,
+          end: entry.msgstrEnd,
+          text: formatPoMsgstr(String(value), entry.msgidPlural !== undefined),
+        });
+      } else {
+        appended.push(
+          `msgid ${formatPoString(key)}\n${formatPoMsgstr(String(value), false)}`
+        );
+      }
+    }
+
+    if (appended.length > 0) {
+      edits.push(createAppendEdit(content, appended, true));
+    }
+
+    return applyEdits(content, edits);
+  },
+  parseKeyPositions(content) {
+    const positions = {};
+    for (const entry of parsePo(content)) {
+      positions[entry.key] = { start: entry.keyStart, end: entry.keyEnd };
+    }
+    return positions;
+  },
+};
+
+const xliffFormat = {
+  name: "XLIFF",
+  extensions: [".xlf", ".xliff"],
+  parse(content) {
+    return buildNestedData(parseXliff(content).units);
+  },
+  modify(content, modifier) {
+    const xliff = parseXliff(content);
+    const { removed, changed } = getLeafChanges(
+      buildNestedData(xliff.units),
+      modifier
+    );
+
+    const edits = [];
+    for (const path of removed) {
+      const unit = xliff.units.find((item) => item.key === path.join("."));
+      if (unit) {
+        edits.push(createElementRemovalEdit(content, unit));
+      }
+    }
+
+    const appended = [];
+    for (const { path, value } of changed) {
+      const key = path.join(".");
+      const unit = xliff.units.find((item) => item.key === key);
+      if (unit) {
+        edits.push(createXliffValueEdit(content, xliff, unit, String(value)));
+      } else {
+        appended.push([key, String(value)]);
+      }
+    }
+
+    if (appended.length > 0) {
+      edits.push(createXliffInsertionEdit(content, xliff, appended));
+    }
+
+    return applyEdits(content, edits);
+  },
+  parseKeyPositions(content) {
+    const positions = {};
+    for (const unit of parseXliff(content).units) {
+      positions[unit.key] = { start: unit.keyStart, end: unit.keyEnd };
+    }
+    return positions;
+  },
+};
+
+/**
+ * 递归收集对象字面量中属性名的位置
+ * @param {Object} node 对象字面量节点
+ * @param {string} prefix 键前缀
+ * @param {Object} positions 位置集合
+ */
+function collectPropertyPositions(node, prefix, positions) {
+  for (const property of node.properties) {
+    if (property.type !== "Property" || property.computed) {
+      continue;
+    }
+
+    let name = null;
+    if (property.key.type === "Identifier") {
+      name = property.key.name;
+    } else if (property.key.type === "Literal") {
+      name = String(property.key.value);
+    }
+    if (name === null) {
+      continue;
+    }
+
+    const key = prefix ? `${prefix}.${name}` : name;
+    positions[key] = { start: property.key.start, end: property.key.end };
+
+    if (property.value.type === "ObjectExpression") {
+      collectPropertyPositions(property.value, key, positions);
+    }
+  }
+}
+
+/**
+ * 比较 modifier 修改前后的数据，获取发生变化的叶子节点
+ * @param {Object} data 数据对象
+ * @param {(data: Object) => void} modifier 修改数据对象的函数
+ * @returns {{removed: string[][], changed: {path: string[], value: any}[]}} 删除及新增/修改的叶子节点路径
+ */
+function getLeafChanges(data, modifier) {
+  const oldLeaves = collectLeaves(JSON.parse(JSON.stringify(data)));
+  modifier(data);
+  const newLeaves = collectLeaves(data);
+
+  const removed = [];
+  for (const [key, leaf] of oldLeaves) {
+    if (!newLeaves.has(key)) {
+      removed.push(leaf.path);
+    }
+  }
+
+  const changed = [];
+  for (const [key, leaf] of newLeaves) {
+    const oldLeaf = oldLeaves.get(key);
+    if (
+      !oldLeaf ||
+      JSON.stringify(oldLeaf.value) !== JSON.stringify(leaf.value)
+    ) {
+      changed.push(leaf);
+    }
+  }
+
+  return { removed, changed };
+}
+
+/**
+ * 收集对象中的所有叶子节点
+ * @param {any} value 值
+ * @param {string[]} [path] 当前路径
+ * @param {Map<string, {path: string[], value: any}>} [leaves] 叶子节点集合
+ * @returns {Map<string, {path: string[], value: any}>} 扁平键 → 叶子节点
+ */
+function collectLeaves(value, path = [], leaves = new Map()) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    for (const key in value) {
+      collectLeaves(value[key], [...path, key], leaves);
+    }
+  } else if (path.length > 0) {
+    leaves.set(path.join("."), { path, value });
+  }
+  return leaves;
+}
+
+/**
+ * 将扁平的键值条目转换为嵌套的数据对象
+ * @param {{key: string, value: any}[]} entries 键值条目
+ * @returns {Object} 嵌套的数据对象
+ */
+function buildNestedData(entries) {
+  const data = {};
+  for (const { key, value } of entries) {
+    if (value === undefined) {
+      continue;
+    }
+
+    const parts = key.split(".");
+    let current = data;
+    for (const part of parts.slice(0, -1)) {
+      if (!current[part] || typeof current[part] !== "object") {
+        current[part] = {};
+      }
+      current = current[part];
+    }
+    current[parts[parts.length - 1]] = value;
+  }
+  return data;
+}
+
+/**
+ * 按偏移量从后向前应用修改
+ * @param {string} content 文件内容
+ * @param {{start: number, end: number, text: string}[]} edits 修改列表
+ * @returns {string} 修改后的文件内容
+ */
+function applyEdits(content, edits) {
+  return edits
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .reduce(
+      (result, edit) =>
+        result.slice(0, edit.start) + edit.text + result.slice(edit.end),
+      content
+    );
+}
+
+/**
+ * 生成在文件末尾追加内容的修改
+ * @param {string} content 文件内容
+ * @param {string[]} blocks 追加的内容块
+ * @param {boolean} [separated] 内容块之间是否以空行分隔
+ * @returns {{start: number, end: number, text: string}} 修改
+ */
+function createAppendEdit(content, blocks, separated = false) {
+  const eol = content.includes("\r\n") ? "\r\n" : "\n";
+  const separator = separated ? eol + eol : eol;
+
+  let prefix = "";
+  if (content.length > 0) {
+    if (!content.endsWith("\n")) {
+      prefix = separated ? separator : eol;
+    } else if (separated && content.trim() && !/\n\s*\n$/.test(content)) {
+      prefix = eol;
+    }
+  }
+
+  return {
+    start: content.length,
+    end: content.length,
+    text:
+      prefix +
+      blocks.map((block) => block.replace(/\n/g, eol)).join(separator) +
+      eol,
+  };
+}
+
+/**
+ * 将内容按行拆分，记录每行的偏移量
+ * @param {string} content 文件内容
+ * @returns {{text: string, start: number, end: number, next: number}[]} 行列表，end 不含换行符，next 为下一行的起始位置
+ */
+function splitLines(content) {
+  const lines = [];
+  let start = 0;
+  while (start < content.length) {
+    let next = content.indexOf("\n", start);
+    next = next < 0 ? content.length : next + 1;
+    let end = next;
+    if (content[end - 1] === "\n") {
+      end--;
+    }
+    if (content[end - 1] === "\r") {
+      end--;
+    }
+    lines.push({ text: content.slice(start, end), start, end, next });
+    start = next;
+  }
+  return lines;
+}
+
+/**
+ * 解析 YAML 文档
+ * @param {string} content 文件内容
+ * @returns {YAML.Document} YAML 文档
+ */
+function parseYamlDocument(content) {
+  const document = YAML.parseDocument(content);
+  if (document.errors.length > 0) {
+    throw document.errors[0];
+  }
+  return document;
+}
+
+/**
+ * 获取以语言标识作为根键时的根路径
+ * @param {YAML.Document} document YAML 文档
+ * @returns {string[]} 根路径，没有语言根键时为空数组
+ */
+function getYamlRoot(document) {
+  const contents = document.contents;
+  if (YAML.isMap(contents) && contents.items.length === 1) {
+    const { key, value } = contents.items[0];
+    if (
+      YAML.isScalar(key) &&
+      LOCALE_ROOT_PATTERN.test(String(key.value)) &&
+      YAML.isMap(value)
+    ) {
+      return [key.value];
+    }
+  }
+  return [];
+}
+
+/**
+ * 获取 YAML 文档根路径下的数据
+ * @param {YAML.Document} document YAML 文档
+ * @param {string[]} root 根路径
+ * @returns {Object} 数据对象
+ */
+function getYamlData(document, root) {
+  let data = document.toJS() || {};
+  for (const key of root) {
+    data = data[key];
+  }
+  return data && typeof data === "object" && !Array.isArray(data) ? data : {};
+}
+
+/**
+ * 递归收集 YAML 映射中键的位置
+ * @param {YAML.YAMLMap} map YAML 映射
+ * @param {string} prefix 键前缀
+ * @param {Object} positions 位置集合
+ */
+function collectYamlPositions(map, prefix, positions) {
+  for (const { key, value } of map.items) {
+    if (!YAML.isScalar(key) || !key.range) {
+      continue;
+    }
+
+    const name = prefix ? `${prefix}.${key.value}` : String(key.value);
+    positions[name] = { start: key.range[0], end: key.range[1] };
+
+    if (YAML.isMap(value)) {
+      collectYamlPositions(value, name, positions);
+    }
+  }
+}
+
+/**
+ * 解析 Java .properties 文件
+ * 支持 # 与 ! 注释、= 与 : 及空白分隔符、行尾反斜杠续行以及 \uXXXX 转义
+ * @param {string} content 文件内容
+ * @returns {Object[]} 条目列表，包含键值、分隔符及各部分的偏移量
+ */
+function parseProperties(content) {
+  const entries = [];
+  const lines = splitLines(content);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const leading = line.text.length - line.text.trimStart().length;
+    const trimmed = line.text.trimStart();
+    if (!trimmed || trimmed[0] === "#" || trimmed[0] === "!") {
+      continue;
+    }
+
+    // 拼接续行
+    let logical = trimmed;
+    let last = line;
+    while (/(^|[^\\])(\\\\)*\\$/.test(logical) && i + 1 < lines.length) {
+      i++;
+      last = lines[i];
+      logical = logical.slice(0, -1) + last.text.trimStart();
+    }
+
+    // 键以第一个未转义的 =、: 或空白结束
+    const keyMatch = /^(?:\\.|[^=:\s\\])*/.exec(logical);
+    const rawKey = keyMatch[0];
+    const separatorMatch = /^\s*[=:]?\s*/.exec(logical.slice(rawKey.length));
+    const separator = separatorMatch[0];
+
+    entries.push({
+      key: unescapeProperties(rawKey),
+      value: unescapeProperties(
+        logical.slice(rawKey.length + separator.length)
+      ),
+      separator: separator || "=",
+      start: line.start,
+      contentEnd: last.end,
+      end: last.next,
+      keyStart: line.start + leading,
+      keyEnd: line.start + leading + rawKey.length,
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * 还原 .properties 中的转义字符
+ * @param {string} text 转义后的文本
+ * @returns {string} 原始文本
+ */
+function unescapeProperties(text) {
+  const escapes = { t: "\t", n: "\n", r: "\r", f: "\f" };
+  return text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (_, char) => {
+    if (char.length === 5) {
+      return String.fromCharCode(parseInt(char.slice(1), 16));
+    }
+    return escapes[char] || char;
+  });
+}
+
+/**
+ * 转义 .properties 中的特殊字符
+ * @param {string} text 原始文本
+ * @param {boolean} isKey 是否为键
+ * @param {boolean} asciiOnly 是否将非 ASCII 字符转义为 \uXXXX
+ * @returns {string} 转义后的文本
+ */
+function escapeProperties(text, isKey, asciiOnly) {
+  let result = text
+    .replace(/\\/g, "\\\\")
+    .replace(/\t/g, "\\t")
+    .replace(/\n/g, "\\n")
+    .replace(/\r/g, "\\r")
+    .replace(/\f/g, "\\f");
+
+  if (isKey) {
+    result = result.replace(/([=: #!])/g, "\\$1");
+  } else {
+    result = result.replace(/^ /, "\\ ");
+  }
+
+  if (asciiOnly) {
+    result = result.replace(
+      /[^\x20-\x7e]/g,
+      (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`
+    );
+  }
+
+  return result;
+}
+
+/**
+ * 解析 gettext PO/POT 文件
+ * 以 msgid 作为翻译键，复数形式的翻译以 " | " 连接；跳过文件头、废弃条目及未翻译的条目
+ * @param {string} content 文件内容
+ * @returns {Object[]} 条目列表，包含键值及各部分的偏移量
+ */
+function parsePo(content) {
+  const entries = [];
+  let entry = null;
+  let field = null;
+
+  const finish = () => {
+    if (entry && entry.msgid && !entry.obsolete) {
+      const values = entry.msgstr.filter((value) => value !== undefined);
+      entries.push({
+        ...entry,
+        key: entry.msgid,
+        value: values.some((value) => value)
+          ? values.join(entry.msgidPlural !== undefined ? " | " : "")
+          : undefined,
+      });
+    }
+    entry = null;
+    field = null;
+  };
+
+  for (const line of splitLines(content)) {
+    const text = line.text.trim();
+    if (!text) {
+      finish();
+      continue;
+    }
+
+    if (!entry) {
+      entry = { start: line.start, msgstr: [] };
+    }
+    entry.end = line.next;
+
+    if (text.startsWith("#~")) {
+      entry.obsolete = true;
+      continue;
+    }
+    if (text.startsWith("#")) {
+      continue;
+    }
+
+    const match =
+      /^(msgctxt|msgid_plural|msgid|msgstr)(?:\[(\d+)\])?\s+(".*")$/.exec(text);
+    if (match) {
+      const [, keyword, index, literal] = match;
+      const value = parsePoString(literal);
+      if (keyword === "msgstr") {
+        field = { name: "msgstr", index: index ? Number(index) : 0 };
+        entry.msgstr[field.index] = value;
+        if (entry.msgstrStart === undefined) {
+          entry.msgstrStart = line.start;
+        }
+        entry.msgstrEnd = line.end;
+      } else {
+        field = { name: keyword === "msgid_plural" ? "msgidPlural" : keyword };
+        entry[field.name] = value;
+        if (keyword === "msgid") {
+          const quoteStart = line.text.indexOf('"');
+          entry.keyStart = line.start + quoteStart;
+          entry.keyEnd = line.start + line.text.lastIndexOf('"') + 1;
+        }
+      }
+      continue;
+    }
+
+    // 多行字符串的续行
+    if (text.startsWith('"') && field) {
+      const value = parsePoString(text);
+      if (field.name === "msgstr") {
+        entry.msgstr[field.index] += value;
+        entry.msgstrEnd = line.end;
+      } else {
+        entry[field.name] += value;
+      }
+    }
+  }
+  finish();
+
+  return entries;
+}
+
+/**
+ * 解析 PO 字符串字面量
+ * @param {string} literal 带引号的字符串
+ * @returns {string} 字符串内容
+ */
+function parsePoString(literal) {
+  const escapes = { n: "\n", t: "\t", r: "\r" };
+  return literal
+    .slice(1, -1)
+    .replace(/\\(.)/g, (_, char) => escapes[char] || char);
+}
+
+/**
+ * 生成 PO 字符串字面量
+ * @param {string} value 字符串内容
+ * @returns {string} 带引号的字符串
+ */
+function formatPoString(value) {
+  return `"${value
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\t/g, "\\t")
+    .replace(/\r/g, "\\r")}"`;
+}
+
+/**
+ * 生成 msgstr 行
+ * @param {string} value 翻译值，复数形式以 " | " 分隔
+ * @param {boolean} plural 是否为复数条目
+ * @returns {string} msgstr 行
+ */
+function formatPoMsgstr(value, plural) {
+  if (!plural) {
+    return `msgstr ${formatPoString(value)}`;
+  }
+  return value
+    .split(/\s*\|\s*/)
+    .map((form, index) => `msgstr[${index}] ${formatPoString(form)}`)
+    .join("\n");
+}
+
+/**
+ * 生成删除 PO 条目的修改，同时删除其后的一个空行
+ * @param {string} content 文件内容
+ * @param {{start: number, end: number}} entry 条目
+ * @returns {{start: number, end: number, text: string}} 修改
+ */
+function createBlockRemovalEdit(content, entry) {
+  const blankLine = /^[ \t]*\r?\n/.exec(content.slice(entry.end));
+  return {
+    start: entry.start,
+    end: entry.end + (blankLine ? blankLine[0].length : 0),
+    text: "",
+  };
+}
+
+/**
+ * 解析 XLIFF 1.2/2.0 文件
+ * 1.2 以 trans-unit 的 resname 或 id 作为翻译键，2.0 以 unit 的 id 作为翻译键；
+ * 优先读取 target，没有目标语言的文件读取 source
+ * @param {string} content 文件内容
+ * @returns {{version: string, useSource: boolean, units: Object[]}} 解析结果
+ */
+function parseXliff(content) {
+  const versionMatch = /<xliff\b[^>]*\bversion\s*=\s*["']([\d.]+)["']/.exec(
+    content
+  );
+  if (!versionMatch) {
+    throw new Error("未找到 xliff 根元素");
+  }
+  const version = versionMatch[1];
+  const isV2 = version.startsWith("2");
+
+  const hasTargetLanguage = isV2
+    ? /<xliff\b[^>]*\btrgLang\s*=/.test(content)
+    : /<file\b[^>]*\btarget-language\s*=/.test(content);
+  const useSource = !hasTargetLanguage && !/<target\b/.test(content);
+
+  const unitPattern = isV2
+    ? /<unit\b([^>]*)>([\s\S]*?)<\/unit>/g
+    : /<trans-unit\b([^>]*)>([\s\S]*?)<\/trans-unit>/g;
+  const keyAttributes = isV2 ? ["id"] : ["resname", "id"];
+  const closeTagLength = isV2 ? "</unit>".length : "</trans-unit>".length;
+
+  const units = [];
+  let match;
+  while ((match = unitPattern.exec(content)) !== null) {
+    const [element, attributes, body] = match;
+    const attributesOffset = match.index + element.indexOf(attributes);
+    const bodyOffset =
+      match.index + element.length - body.length - closeTagLength;
+
+    // 查找作为键的属性及其值的位置
+    let keyAttribute = null;
+    for (const name of keyAttributes) {
+      const attributeMatch = new RegExp(
+        `\\b${name}\\s*=\\s*(["'])(.*?)\\1`
+      ).exec(attributes);
+      if (attributeMatch) {
+        const valueStart =
+          attributesOffset +
+          attributeMatch.index +
+          attributeMatch[0].length -
+          attributeMatch[2].length -
+          1;
+        keyAttribute = {
+          key: decodeXml(attributeMatch[2]),
+          keyStart: valueStart,
+          keyEnd: valueStart + attributeMatch[2].length,
+        };
+        break;
+      }
+    }
+    if (!keyAttribute) {
+      continue;
+    }
+
+    const source = findXmlElement(body, "source", bodyOffset);
+    const target = findXmlElement(body, "target", bodyOffset);
+    const valueElement = useSource ? source : target;
+
+    units.push({
+      ...keyAttribute,
+      start: match.index,
+      end: match.index + element.length,
+      source,
+      target,
+      value:
+        valueElement && valueElement.content
+          ? decodeXml(valueElement.content)
+          : undefined,
+    });
+  }
+
+  return { version, isV2, useSource, units };
+}
+
+/**
+ * 查找 XML 片段中第一个指定名称的元素
+ * @param {string} text XML 片段
+ * @param {string} name 元素名
+ * @param {number} offset 片段在文件中的偏移量
+ * @returns {{start: number, end: number, contentStart: number, contentEnd: number, content: string}|null} 元素信息
+ */
+function findXmlElement(text, name, offset) {
+  const match = new RegExp(
+    `<${name}\\b[^>]*?(?:/>|>([\\s\\S]*?)</${name}>)`
+  ).exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const start = offset + match.index;
+  const end = start + match[0].length;
+  const content = match[1] || "";
+  const contentStart =
+    match[1] === undefined ? end : end - `</${name}>`.length - content.length;
+
+  return {
+    start,
+    end,
+    contentStart,
+    contentEnd: contentStart + content.length,
+    content,
+    selfClosing: match[1] === undefined,
+  };
+}
+
+/**
+ * 生成修改 XLIFF 翻译单元值的修改
+ * @param {string} content 文件内容
+ * @param {Object} xliff 解析结果
+ * @param {Object} unit 翻译单元
+ * @param {string} value 新的翻译值
+ * @returns {{start: number, end: number, text: string}} 修改
+ */
+function createXliffValueEdit(content, xliff, unit, value) {
+  const name = xliff.useSource ? "source" : "target";
+  const element = unit[name];
+
+  if (element && !element.selfClosing) {
+    return {
+      start: element.contentStart,
+      end: element.contentEnd,
+      text: encodeXml(value),
+    };
+  }
+  if (element) {
+    return {
+      start: element.start,
+      end: element.end,
+      text: `<${name}>${encodeXml(value)}</${name}>`,
+    };
+  }
+
+  // 缺少 target 时插入到 source 之后，source 独占一行时保持相同缩进
+  const { source } = unit;
+  const lineStart = content.lastIndexOf("\n", source.start - 1) + 1;
+  const indent = content.slice(lineStart, source.start);
+  const eol = content.includes("\r\n") ? "\r\n" : "\n";
+  return {
+    start: source.end,
+    end: source.end,
+    text: `${/^[ \t]*$/.test(indent) ? eol + indent : ""}<target>${encodeXml(
+      value
+    )}</target>`,
+  };
+}
+
+/**
+ * 生成新增 XLIFF 翻译单元的修改
+ * 1.2 插入到 body 末尾，2.0 插入到 file 末尾
+ * @param {string} content 文件内容
+ * @param {Object} xliff 解析结果
+ * @param {[string, string][]} added 新增的键值对
+ * @returns {{start: number, end: number, text: string}} 修改
+ */
+function createXliffInsertionEdit(content, xliff, added) {
+  const closeTag = xliff.isV2 ? "</file>" : "</body>";
+  const closeIndex = content.lastIndexOf(closeTag);
+  if (closeIndex < 0) {
+    throw new Error(`未找到 ${closeTag}`);
+  }
+
+  const eol = content.includes("\r\n") ? "\r\n" : "\n";
+  const lineStart = content.lastIndexOf("\n", closeIndex - 1) + 1;
+  const closeIndent = /^[ \t]*$/.test(content.slice(lineStart, closeIndex))
+    ? content.slice(lineStart, closeIndex)
+    : "";
+  const lastUnit = xliff.units[xliff.units.length - 1];
+  const unitIndent = lastUnit
+    ? getLineIndent(content, lastUnit.start)
+    : `${closeIndent}  `;
+  const step =
+    unitIndent.length > closeIndent.length
+      ? unitIndent.slice(closeIndent.length)
+      : "  ";
+
+  const blocks = added.map(([key, value]) => {
+    const id = encodeXml(key, true);
+    const text = encodeXml(value);
+    // 目标语言文件中新增的单元以键作为源文本
+    const source = xliff.useSource ? text : encodeXml(key);
+    const target = xliff.useSource ? null : text;
+
+    if (xliff.isV2) {
+      const inner = unitIndent + step;
+      const segment = [
+        `${inner}<segment>`,
+        `${inner}${step}<source>${source}</source>`,
+        target !== null ? `${inner}${step}<target>${target}</target>` : null,
+        `${inner}</segment>`,
+      ];
+      return [
+        `${unitIndent}<unit id="${id}">`,
+        ...segment.filter((line) => line !== null),
+        `${unitIndent}</unit>`,
+      ].join(eol);
+    }
+
+    const inner = unitIndent + step;
+    return [
+      `${unitIndent}<trans-unit id="${id}">`,
+      `${inner}<source>${source}</source>`,
+      target !== null ? `${inner}<target>${target}</target>` : null,
+      `${unitIndent}</trans-unit>`,
+    ]
+      .filter((line) => line !== null)
+      .join(eol);
+  });
+
+  // 右标签独占一行时插入到该行之前，否则直接插入到右标签之前
+  if (closeIndent || lineStart === closeIndex) {
+    return {
+      start: lineStart,
+      end: lineStart,
+      text: blocks.join(eol) + eol,
+    };
+  }
+  return {
+    start: closeIndex,
+    end: closeIndex,
+    text: eol + blocks.join(eol) + eol,
+  };
+}
+
+/**
+ * 生成删除 XML 元素的修改，元素独占行时删除整行
+ * @param {string} content 文件内容
+ * @param {{start: number, end: number}} element 元素位置
+ * @returns {{start: number, end: number, text: string}} 修改
+ */
+function createElementRemovalEdit(content, element) {
+  const lineStart = content.lastIndexOf("\n", element.start - 1) + 1;
+  const lineEndMatch = /^[ \t]*\r?\n/.exec(content.slice(element.end));
+  if (
+    /^[ \t]*$/.test(content.slice(lineStart, element.start)) &&
+    lineEndMatch
+  ) {
+    return {
+      start: lineStart,
+      end: element.end + lineEndMatch[0].length,
+      text: "",
+    };
+  }
+  return { start: element.start, end: element.end, text: "" };
+}
+
+/**
+ * 获取偏移量所在行的缩进
+ * @param {string} content 文件内容
+ * @param {number} offset 偏移量
+ * @returns {string} 缩进
+ */
+function getLineIndent(content, offset) {
+  const lineStart = content.lastIndexOf("\n", offset - 1) + 1;
+  return content.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * 解码 XML 实体
+ * @param {string} text XML 文本
+ * @returns {string} 解码后的文本
+ */
+function decodeXml(text) {
+  const entities = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, name) => {
+    if (name[0] === "#") {
+      return String.fromCodePoint(
+        name[1] === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1))
+      );
+    }
+    return entities[name] || entity;
+  });
+}
+
+/**
+ * 编码 XML 特殊字符
+ * @param {string} text 文本
+ * @param {boolean} [isAttribute] 是否用于属性值
+ * @returns {string} 编码后的文本
+ */
+function encodeXml(text, isAttribute = false) {
+  const result = text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+  return isAttribute ? result.replace(/"/g, "&quot;") : result;
+}
+
+module.exports = {
+  jsonFormat,
+  javascriptFormat,
+  yamlFormat,
+  propertiesFormat,
+  poFormat,
+  xliffFormat,
+};
@@ -2,56 +2,81 @@ const vscode = require("vscode");
 const path = require("path");
 const fs = require("fs").promises;
 const fg = require("fast-glob");
+const localeFormats = require("./localeFormats");
+
+// 控制是否输出调试日志
+const DEBUG = false;
+
+// 用于日志输出的辅助函数，逐个文件及逐个键的日志只在调试时输出
+function logDebug(...args) {
+  if (DEBUG) {
+    console.log(...args);
+  }
+}
+
+// 已注册的多语言文件格式，扩展名 → 格式
+const registeredFormats = new Map();
+
+/**
+ * 注册多语言文件格式
+ * 格式需要提供 name、extensions、parse、modify 以及可选的 parseKeyPositions，
+ * 详见 localeFormats.js
+ * @param {Object} format 文件格式
+ */
+function registerLocaleFormat(format) {
+  for (const ext of format.extensions) {
+    registeredFormats.set(ext.toLowerCase(), format);
+  }
+}
+
+/**
+ * 根据扩展名获取多语言文件格式
+ * @param {string} ext 文件扩展名
+ * @returns {Object|null} 文件格式，不支持时返回 null
+ */
+function getLocaleFormat(ext) {
+  return registeredFormats.get(ext.toLowerCase()) || null;
+}
+
+[
+  localeFormats.jsonFormat,
+  localeFormats.javascriptFormat,
+  localeFormats.yamlFormat,
+  localeFormats.propertiesFormat,
+  localeFormats.poFormat,
+  localeFormats.xliffFormat,
+].forEach(registerLocaleFormat);
+
+// 已解析的多语言文件数据，单个文件变化时与同一命名空间下其他文件的数据重新合并
+const parsedFiles = new Map();
+
+// 语言标识，支持脚本子标签与下划线写法，如 en、zh-CN、zh-Hans-CN、pt_BR、es-419
+const LOCALE_PATTERN =
+  /^[a-z]{2,3}(?:[-_][A-Z][a-z]{3})?(?:[-_](?:[A-Za-z]{2}|\d{3}))?$/;
 
 /**
  * 查找多语言文件
  * @param {string[]} localesPaths 多语言目录路径列表
  * @param {string[]} fileExtensions 文件扩展名列表
+ * @param {{pathTemplates?: string[], localeAliases?: Object}} [layout] 目录结构配置
+ *   - pathTemplates: 相对于多语言目录的路径模板，如 {locale}/{namespace}.json
+ *   - localeAliases: 语言别名，路径中的语言标识 → 实际使用的语言标识
+ * @param {string} [workspaceRoot] 相对路径的基准目录，默认为第一个工作区文件夹
  * @returns {Promise<Object>} 多语言文件信息
  */
-async function findLocaleFiles(localesPaths, fileExtensions) {
-  const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+async function findLocaleFiles(
+  localesPaths,
+  fileExtensions,
+  layout = {},
+  workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath
+) {
   if (!workspaceRoot) {
     throw new Error("请先打开一个项目文件夹");
   }
 
-  // 构建文件查找模式 - 优化查找模式，减少重复查询
-  const patterns = [];
-  for (const localePath of localesPaths) {
-    try {
-      // 标准化路径分隔符，确保在Windows上也能正确工作
-      const normalizedPath = localePath.replace(/\\/g, "/");
-
-      // 判断路径是否为绝对路径
-      const isAbsolutePath = path.isAbsolute(normalizedPath);
+  const templates = compilePathTemplates(layout.pathTemplates);
+  const localeAliases = layout.localeAliases || {};
 
-      // 如果是相对路径，则相对于工作区；如果是绝对路径，则直接使用
-      const basePath = isAbsolutePath
-        ? normalizedPath
-        : path.join(workspaceRoot, normalizedPath).replace(/\\/g, "/");
-
-      // 检查目录是否存在
-      try {
-        await fs.access(basePath);
-      } catch (e) {
-        continue; // 目录不存在，跳过
-      }
-
-      // 优化：只添加一个递归模式，减少查询次数
-      for (const ext of fileExtensions) {
-        const normalizedExt = ext.startsWith(".") ? ext : `.${ext}`;
-        // 使用 **/* 模式一次性匹配所有子目录
-        const pattern = path
-          .join(basePath, `**/*${normalizedExt}`)
-          .replace(/\\/g, "/");
-        patterns.push(pattern);
-      }
-    } catch (error) {
-      console.error(`处理路径时出错: "${localePath}"`);
-    }
-  }
-
-  // 优化：一次性执行glob查询所有模式
   const globOptions = {
     nodir: true,
     ignore: ["**/node_modules/**", "**/index.*"],
@@ -60,54 +85,53 @@ async function findLocaleFiles(localesPaths, fileExtensions) {
     follow: true,
   };
 
-  let allFiles = [];
-  try {
-    allFiles = await fg(patterns, globOptions);
-  } catch (error) {
-    console.error("文件查找失败");
-  }
-
-  // 过滤掉文件名为index的文件
-  const filteredFiles = allFiles.filter((filePath) => {
-    const fileName = path.basename(filePath, path.extname(filePath));
-    return fileName.toLowerCase() !== "index";
-  });
-
-  // 分析文件路径提取语言和命名空间
   const localeFiles = {};
-  for (const filePath of filteredFiles) {
-    try {
-      // 检查文件是否存在且可访问
-      try {
-        await fs.access(filePath);
-      } catch (e) {
-        continue; // 文件不存在或无法访问，跳过
-      }
+  for (const localePath of localesPaths) {
+    const basePath = resolveLocalesPath(localePath, workspaceRoot);
 
-      // 提取相对路径
-      const relativePath = path.relative(workspaceRoot, filePath);
-      console.log(`\n处理文件: "${relativePath}" (${filePath})`);
+    // 检查目录是否存在
+    try {
+      await fs.access(basePath);
+    } catch {
+      continue; // 目录不存在，跳过
+    }
 
-      // 尝试确定语言标识符
-      const locale = determineLocale(filePath);
-      console.log(`  语言识别结果: "${locale}"`);
+    // 使用 **/* 模式一次性匹配所有子目录
+    const patterns = fileExtensions.map((ext) =>
+      path
+        .join(basePath, `**/*${ext.startsWith(".") ? ext : `.${ext}`}`)
+        .replace(/\\/g, "/")
+    );
 
-      // 提取命名空间（如果存在）
-      const namespace = determineNamespace(filePath);
-      console.log(`  命名空间识别结果: "${namespace}"`);
+    let files = [];
+    try {
+      files = await fg(patterns, globOptions);
+    } catch (error) {
+      console.error(`文件查找失败: "${localePath}"`, error);
+      continue;
+    }
 
-      // 显示文件基本信息
-      try {
-        const stat = await fs.stat(filePath);
-        console.log(`  文件信息:`, {
-          大小: `${stat.size} 字节`,
-          修改时间: new Date(stat.mtime).toISOString(),
-          创建时间: new Date(stat.ctime).toISOString(),
-        });
-      } catch (e) {
-        console.warn(`  无法获取文件信息:`, e);
+    for (const filePath of files) {
+      const relativePath = path
+        .relative(basePath, filePath)
+        .replace(/\\/g, "/");
+      logDebug(`\n处理文件: "${relativePath}" (${filePath})`);
+
+      const fileInfo = getLocaleFileInfo(
+        basePath,
+        relativePath,
+        templates,
+        localeAliases
+      );
+      if (!fileInfo) {
+        logDebug(`  未匹配任何路径模板，跳过`);
+        continue;
       }
 
+      const { locale, namespace } = fileInfo;
+      logDebug(`  语言识别结果: "${locale}"`);
+      logDebug(`  命名空间识别结果: "${namespace}"`);
+
       // 添加到结果对象
       if (!localeFiles[locale]) {
         localeFiles[locale] = {};
@@ -115,9 +139,9 @@ async function findLocaleFiles(localesPaths, fileExtensions) {
       if (!localeFiles[locale][namespace]) {
         localeFiles[locale][namespace] = [];
       }
-      localeFiles[locale][namespace].push(filePath);
-    } catch (error) {
-      console.error(`处理文件失败: "${filePath}"`);
+      if (!localeFiles[locale][namespace].includes(filePath)) {
+        localeFiles[locale][namespace].push(filePath);
+      }
     }
   }
 
@@ -125,63 +149,211 @@ async function findLocaleFiles(localesPaths, fileExtensions) {
 }
 
 /**
- * 从文件路径确定语言标识符
+ * 将多语言目录配置解析为绝对路径
+ * 相对路径相对于工作区文件夹或包目录，绝对路径直接使用
+ * @param {string} localePath 多语言目录配置
+ * @param {string} workspaceRoot 工作区文件夹或包目录
+ * @returns {string} 使用 / 分隔的绝对路径
+ */
+function resolveLocalesPath(localePath, workspaceRoot) {
+  // 标准化路径分隔符，确保在Windows上也能正确工作
+  const normalizedPath = localePath.replace(/\\/g, "/");
+  return path.isAbsolute(normalizedPath)
+    ? normalizedPath
+    : path.join(workspaceRoot, normalizedPath).replace(/\\/g, "/");
+}
+
+/**
+ * 识别单个文件所属的语言和命名空间，用于文件新增时增量更新
  * @param {string} filePath 文件路径
- * @returns {string} 语言标识符
+ * @param {string[]} localesPaths 多语言目录路径列表
+ * @param {{pathTemplates?: string[], localeAliases?: Object}} [layout] 目录结构配置
+ * @param {string} [workspaceRoot] 相对路径的基准目录，默认为第一个工作区文件夹
+ * @returns {{locale: string, namespace: string}|null} 语言和命名空间，不属于任何多语言目录时返回 null
  */
-function determineLocale(filePath) {
-  console.log(`  尝试从路径确定语言: "${filePath}"`);
-
-  // 标准化路径用于正则匹配
-  const normalizedPath = filePath.replace(/\\/g, "/");
-
-  // 常见语言标识模式, 如 en.json, zh-CN.json
-  const localePatterns = [
-    /\/([a-z]{2}(-[A-Z]{2})?)\//, // 目录名如 /en/ 或 /zh-CN/
-    /\/([a-z]{2}(-[A-Z]{2})?)\.(?:json|js|ts)$/, // 文件名如 en.json 或 zh-CN.json
-    /\/i18n\/([a-z]{2}(-[A-Z]{2})?)\//, // i18n目录下的子目录 /i18n/en/ 或 /i18n/zh-CN/
-    /\/locales\/([a-z]{2}(-[A-Z]{2})?)\//, // locales目录下的子目录 /locales/en/ 或 /locales/zh-CN/
-  ];
-
-  for (const pattern of localePatterns) {
-    const match = normalizedPath.match(pattern);
-    if (match && match[1]) {
-      console.log(`    匹配规则: ${pattern} => 结果: ${match[1]}`);
-      return match[1].toLowerCase();
+function resolveLocaleFile(
+  filePath,
+  localesPaths,
+  layout = {},
+  workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath
+) {
+  if (!workspaceRoot) {
+    return null;
+  }
+
+  // 与查找多语言文件时的忽略规则保持一致
+  const normalizedFile = filePath.replace(/\\/g, "/");
+  if (
+    normalizedFile.includes("/node_modules/") ||
+    /^index\./.test(path.basename(normalizedFile))
+  ) {
+    return null;
+  }
+
+  const templates = compilePathTemplates(layout.pathTemplates);
+  for (const localePath of localesPaths) {
+    const basePath = resolveLocalesPath(localePath, workspaceRoot);
+    const relativePath = path
+      .relative(basePath, normalizedFile)
+      .replace(/\\/g, "/");
+    if (relativePath.startsWith("../") || path.isAbsolute(relativePath)) {
+      continue;
     }
+
+    return getLocaleFileInfo(
+      basePath,
+      relativePath,
+      templates,
+      layout.localeAliases || {}
+    );
   }
 
-  // 如果无法确定，使用文件名作为标识
-  const fileName = path.basename(normalizedPath, path.extname(normalizedPath));
-  console.log(`    未匹配任何规则，使用文件名: ${fileName}`);
-  return fileName;
+  return null;
 }
 
 /**
- * 从文件路径确定命名空间
- * @param {string} filePath 文件路径
- * @returns {string} 命名空间
+ * 识别文件的语言和命名空间
+ * 配置了路径模板时按模板匹配，否则根据常见目录结构识别
+ * @param {string} basePath 多语言目录
+ * @param {string} relativePath 相对于多语言目录的路径
+ * @param {RegExp[]} templates 编译后的路径模板
+ * @param {Object} localeAliases 语言别名
+ * @returns {{locale: string, namespace: string}|null} 语言和命名空间，未匹配模板时返回 null
+ */
+function getLocaleFileInfo(basePath, relativePath, templates, localeAliases) {
+  const fileInfo =
+    templates.length > 0
+      ? matchPathTemplates(relativePath, templates)
+      : detectLocaleFileInfo(basePath, relativePath);
+  if (!fileInfo) {
+    return null;
+  }
+
+  return {
+    locale: localeAliases[fileInfo.locale] || fileInfo.locale,
+    namespace: fileInfo.namespace,
+  };
+}
+
+/**
+ * 编译路径模板列表，忽略无效的模板
+ * @param {string[]} [pathTemplates] 路径模板列表
+ * @returns {RegExp[]} 编译后的路径模板
+ */
+function compilePathTemplates(pathTemplates) {
+  return (pathTemplates || [])
+    .map(compilePathTemplate)
+    .filter((template) => template);
+}
+
+/**
+ * 将路径模板编译为正则表达式
+ * 支持 {locale}、{namespace} 占位符以及 * 和 ** 通配符，
+ * 模板未指定扩展名时匹配任意扩展名
+ * @param {string} template 路径模板，如 {locale}/{namespace}.json
+ * @returns {RegExp|null} 正则表达式，模板无效时返回 null
+ */
+function compilePathTemplate(template) {
+  const normalized = template.replace(/\\/g, "/").replace(/^\.?\//, "");
+  if (!normalized.includes("{locale}")) {
+    console.warn(`路径模板缺少 {locale} 占位符: "${template}"`);
+    return null;
+  }
+
+  const usedGroups = new Set();
+  const tokenPattern = /\{(locale|namespace)\}|\*\*\/?|\*|[^{*]+|\{/g;
+  let source = "";
+  let match;
+  while ((match = tokenPattern.exec(normalized)) !== null) {
+    const [token, group] = match;
+    if (group) {
+      // 同一占位符多次出现时必须取相同的值
+      source += usedGroups.has(group) ? `\\k<${group}>` : `(?<${group}>[^/]+?)`;
+      usedGroups.add(group);
+    } else if (token.startsWith("**")) {
+      source += "(?:.*/)?";
+    } else if (token === "*") {
+      source += "[^/]*";
+    } else {
+      source += token.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  const hasExtension = /\.[^/{}*]+$/.test(normalized);
+  return new RegExp(`^${source}${hasExtension ? "" : "\\.[^/.]+"}$`);
+}
+
+/**
+ * 使用路径模板识别文件的语言和命名空间
+ * @param {string} relativePath 相对于多语言目录的路径
+ * @param {RegExp[]} templates 编译后的路径模板
+ * @returns {{locale: string, namespace: string}|null} 语言和命名空间，未匹配时返回 null
+ */
+function matchPathTemplates(relativePath, templates) {
+  for (const template of templates) {
+    const match = template.exec(relativePath);
+    if (match) {
+      return {
+        locale: match.groups.locale,
+        namespace: match.groups.namespace || "common",
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * 未配置路径模板时，根据常见的目录结构识别文件的语言和命名空间
+ * 依次尝试:
+ * - 目录名为语言标识，如 en/common.json、zh-Hans-CN/auth.json，命名空间为文件名
+ * - 文件名为语言标识，如 en.json、zh-CN.yml，命名空间为 common
+ * - 文件名以语言标识结尾，如 messages.fr.xlf，命名空间为 messages
+ * 都不匹配时以文件名作为语言标识
+ * 目录名优先，避免 en/app.json、en/nav.json 等 2-3 个字母的命名空间被识别为语言
+ * @param {string} basePath 多语言目录
+ * @param {string} relativePath 相对于多语言目录的路径
+ * @returns {{locale: string, namespace: string}} 语言和命名空间
  */
-function determineNamespace(filePath) {
-  // 提取文件名（不含扩展名）
-  const fileName = path.basename(filePath, path.extname(filePath));
+function detectLocaleFileInfo(basePath, relativePath) {
+  // 包含多语言目录本身，以支持直接将某个语言的目录配置为多语言目录
+  const segments = [path.basename(basePath), ...relativePath.split("/")];
+  const fileName = segments.pop();
+  const stem = fileName.slice(
+    0,
+    fileName.length - path.extname(fileName).length
+  );
+
+  const localeDirectory = segments
+    .reverse()
+    .find((segment) => LOCALE_PATTERN.test(segment));
+  if (localeDirectory) {
+    return { locale: localeDirectory, namespace: stem };
+  }
 
-  // 如果文件名是语言标识，则命名空间为 common
-  const localePattern = /^[a-z]{2}(-[A-Z]{2})?$/i;
-  if (localePattern.test(fileName)) {
-    return "common";
+  if (LOCALE_PATTERN.test(stem)) {
+    return { locale: stem, namespace: "common" };
   }
 
-  // 否则使用文件名作为命名空间
-  return fileName;
+  const dotIndex = stem.lastIndexOf(".");
+  if (dotIndex > 0 && LOCALE_PATTERN.test(stem.slice(dotIndex + 1))) {
+    return {
+      locale: stem.slice(dotIndex + 1),
+      namespace: stem.slice(0, dotIndex),
+    };
+  }
+
+  logDebug(`  未识别到语言标识，使用文件名: ${stem}`);
+  return { locale: stem, namespace: "common" };
 }
 
 /**
  * 加载多语言数据
  * @param {Object} localeFiles 多语言文件信息
+ * @param {Object} [keySources] 可选，用于收集键源码位置的对象，
+ *   结构为 keySources[语言][命名空间][扁平键] = { file, start, end }
  * @returns {Promise<Object>} 多语言数据
  */
-async function loadLocaleData(localeFiles) {
+async function loadLocaleData(localeFiles, keySources) {
   console.log("========== 开始加载多语言数据 ==========");
   const loadStartTime = Date.now();
 
@@ -193,10 +365,14 @@ async function loadLocaleData(localeFiles) {
   let successfulFiles = 0;
   let failedFiles = 0;
 
-  // 统计文件总数
+  // 统计文件总数，同时清除这些文件的解析缓存；
+  // 缓存由所有语言集共用，不能清除其他语言集的文件
   for (const locale in localeFiles) {
     for (const namespace in localeFiles[locale]) {
       totalFiles += localeFiles[locale][namespace].length;
+      for (const file of localeFiles[locale][namespace]) {
+        parsedFiles.delete(file);
+      }
     }
   }
 
@@ -244,122 +420,24 @@ async function loadLocaleData(localeFiles) {
 
           let data = {};
 
-          if (ext === ".json") {
-            try {
-              console.log(`    解析JSON...`);
-              data = JSON.parse(content);
-              console.log(`    JSON解析成功`);
-              successfulFiles++;
-            } catch (e) {
-              console.error(`    JSON解析错误: "${file}"`, e);
-              console.log(
-                `    错误位置附近内容: ${content.substring(
-                  Math.max(0, e.pos - 20),
-                  Math.min(content.length, e.pos + 20)
-                )}`
-              );
-              failedFiles++;
-              continue; // 跳过此文件
-            }
-          } else if (ext === ".js" || ext === ".ts") {
-            try {
-              console.log(`    解析JS/TS...`);
-
-              // 优化JS/TS文件内容提取，支持多种导出格式
-              // 移除注释，减少干扰
-              const cleanContent = content
-                .replace(/\/\/.*$/gm, "") // 移除行注释
-                .replace(/\/\*[\s\S]*?\*\//g, ""); // 移除块注释
-
-              console.log(`    清理后内容长度: ${cleanContent.length} 字符`);
-
-              // 尝试多种可能的导出模式
-              const patterns = [
-                // export default {...}
-                /export\s+default\s+({[\s\S]+?})[;\s]*(?:$|\/\/|\/\*)/,
-                // module.exports = {...}
-                /module\.exports\s*=\s*({[\s\S]+?})[;\s]*(?:$|\/\/|\/\*)/,
-                // const xxx = {...}; export default xxx
-                /const\s+\w+\s*=\s*({[\s\S]+?})[;\s]*(?:$|\/\/|\/\*)/,
-                // export {...}
-                /export\s+({[\s\S]+?})[;\s]*(?:$|\/\/|\/\*)/,
-              ];
-
-              console.log(`    尝试 ${patterns.length} 种导出模式...`);
-              let objectStr = null;
-
-              // 尝试每种模式
-              for (const pattern of patterns) {
-                const matches = cleanContent.match(pattern);
-                if (matches && matches[1]) {
-                  objectStr = matches[1];
-                  console.log(`    匹配成功: ${pattern}`);
-                  break;
-                }
-              }
-
-              // 如果找到了对象字符串
-              if (objectStr) {
-                console.log(
-                  `    找到对象字符串，长度: ${objectStr.length} 字符`
-                );
-                try {
-                  // 安全地解析字符串为对象（使用Function构造函数代替eval）
-                  console.log(`    使用Function解析...`);
-                  data = Function(`"use strict"; return (${objectStr})`)();
-                  console.log(`    解析成功`);
-                  successfulFiles++;
-                } catch (e) {
-                  console.error(`    解析JS/TS对象失败: "${file}"`, e);
-
-                  // 尝试使用JSON.parse作为后备方案
-                  console.log(`    尝试备用解析方法...`);
-                  try {
-                    // 尝试将对象转换为JSON格式再解析
-                    objectStr = objectStr
-                      .replace(/(['"])?([a-zA-Z0-9_]+)(['"])?:/g, '"$2":') // 确保键名有引号
-                      .replace(/'/g, '"'); // 将单引号替换为双引号
-                    console.log(
-                      `    处理后的对象字符串: 前20字符 ${objectStr.substring(
-                        0,
-                        20
-                      )}...`
-                    );
-                    data = JSON.parse(objectStr);
-                    console.log(`    备用方法解析成功`);
-                    successfulFiles++;
-                  } catch (jsonError) {
-                    console.error(
-                      `    备用解析方法也失败: "${file}"`,
-                      jsonError
-                    );
-                    console.log(
-                      `    错误位置附近内容: ${objectStr.substring(0, 100)}...`
-                    );
-                    failedFiles++;
-                    continue; // 跳过此文件
-                  }
-                }
-              } else {
-                console.warn(`    未找到有效导出对象: "${file}"`);
-                console.log(
-                  `    文件内容摘要: ${cleanContent.substring(0, 100)}...`
-                );
-                failedFiles++;
-                continue; // 跳过此文件
-              }
-            } catch (e) {
-              console.error(`    处理JS/TS文件出错: "${file}"`, e);
-              console.error(`    错误堆栈:`, e.stack);
-              failedFiles++;
-              continue; // 跳过此文件
-            }
-          } else {
+          const format = getLocaleFormat(ext);
+          if (!format) {
             console.warn(`    不支持的文件类型: ${ext}, 文件: "${file}"`);
             failedFiles++;
             continue; // 跳过此文件
           }
 
+          try {
+            console.log(`    解析${format.name}...`);
+            data = format.parse(content);
+            console.log(`    ${format.name}解析成功`);
+            successfulFiles++;
+          } catch (e) {
+            console.error(`    ${format.name}解析错误: "${file}"`, e);
+            failedFiles++;
+            continue; // 跳过此文件
+          }
+
           // 输出解析结果
           const keyCount = Object.keys(data).length;
           console.log(`    解析得到 ${keyCount} 个顶级键`);
@@ -371,10 +449,17 @@ async function loadLocaleData(localeFiles) {
             );
           }
 
+          parsedFiles.set(file, data);
+
           // 深度合并数据
           console.log(`    合并数据...`);
           originalData = deepMerge(originalData, data);
 
+          // 记录键在源文件中的位置，用于跳转到定义
+          if (keySources) {
+            recordKeySources(keySources, locale, namespace, file, content, ext);
+          }
+
           const fileEndTime = Date.now();
           console.log(
             `    文件处理完成，耗时: ${fileEndTime - fileStartTime}ms`
@@ -419,6 +504,173 @@ async function loadLocaleData(localeFiles) {
   return localeData;
 }
 
+/**
+ * 增量重新加载单个多语言文件
+ * 只重新解析变化的文件，与同一命名空间下其他文件已解析的数据合并后，
+ * 直接更新 localeData 和 keySources 中对应的命名空间。
+ * 文件已从 localeFiles 中移除时，清除其数据
+ * @param {string} file 变化的文件路径，需与 localeFiles 中的路径一致
+ * @param {string} locale 语言
+ * @param {string} namespace 命名空间
+ * @param {Object} localeFiles 多语言文件信息
+ * @param {Object} localeData 多语言数据
+ * @param {Object} keySources 键源码位置集合
+ * @returns {Promise<string[]|null>} 值发生变化的扁平键，文件解析失败时返回 null
+ */
+async function reloadLocaleFile(
+  file,
+  locale,
+  namespace,
+  localeFiles,
+  localeData,
+  keySources
+) {
+  const files = localeFiles[locale]?.[namespace] || [];
+  let parsed = null;
+
+  if (files.includes(file)) {
+    try {
+      parsed = await parseLocaleFile(file);
+    } catch (error) {
+      // 文件编辑到一半等情况下解析失败，保留原有数据
+      console.warn(`重新加载多语言文件失败: "${file}"`, error);
+      return null;
+    }
+    parsedFiles.set(file, parsed.data);
+  } else {
+    parsedFiles.delete(file);
+  }
+
+  let mergedData = {};
+  for (const namespaceFile of files) {
+    if (!parsedFiles.has(namespaceFile)) {
+      try {
+        parsedFiles.set(
+          namespaceFile,
+          (await parseLocaleFile(namespaceFile)).data
+        );
+      } catch (error) {
+        console.warn(`加载多语言文件失败: "${namespaceFile}"`, error);
+        continue;
+      }
+    }
+    mergedData = deepMerge(mergedData, parsedFiles.get(namespaceFile));
+  }
+
+  const oldEntries = localeData[locale]?.[namespace] || {};
+  const newEntries = flattenObject(mergedData);
+  const changedKeys = [
+    ...new Set([...Object.keys(oldEntries), ...Object.keys(newEntries)]),
+  ].filter((key) => !isSameValue(oldEntries[key], newEntries[key]));
+
+  if (files.length > 0) {
+    if (!localeData[locale]) {
+      localeData[locale] = {};
+    }
+    localeData[locale][namespace] = newEntries;
+  } else if (localeData[locale]) {
+    delete localeData[locale][namespace];
+    if (Object.keys(localeData[locale]).length === 0) {
+      delete localeData[locale];
+    }
+  }
+
+  // 替换该文件记录的键位置
+  const sources = keySources[locale]?.[namespace] || {};
+  for (const key in sources) {
+    if (sources[key].file === file) {
+      delete sources[key];
+    }
+  }
+  if (parsed) {
+    recordKeySources(
+      keySources,
+      locale,
+      namespace,
+      file,
+      parsed.content,
+      parsed.ext
+    );
+  }
+
+  return changedKeys;
+}
+
+/**
+ * 读取并解析单个多语言文件
+ * @param {string} file 文件路径
+ * @returns {Promise<{content: string, ext: string, data: Object}>} 文件内容及解析结果
+ */
+async function parseLocaleFile(file) {
+  const content = await fs.readFile(file, "utf-8");
+  const ext = path.extname(file).toLowerCase();
+  const format = getLocaleFormat(ext);
+  if (!format) {
+    throw new Error(`不支持的文件类型: ${ext}`);
+  }
+  return { content, ext, data: format.parse(content) };
+}
+
+/**
+ * 比较两个扁平化后的值是否相同，中间层对象只比较是否存在
+ * @param {*} a 值
+ * @param {*} b 值
+ * @returns {boolean} 是否相同
+ */
+function isSameValue(a, b) {
+  if (a && b && typeof a === "object" && typeof b === "object") {
+    return (
+      Array.isArray(a) === Array.isArray(b) &&
+      (!Array.isArray(a) || JSON.stringify(a) === JSON.stringify(b))
+    );
+  }
+  return a === b;
+}
+
+/**
+ * 解析文件并记录每个键在源文件中的位置
+ * @param {Object} keySources 键源码位置集合
+ * @param {string} locale 语言
+ * @param {string} namespace 命名空间
+ * @param {string} file 文件路径
+ * @param {string} content 文件内容
+ * @param {string} ext 文件扩展名
+ */
+function recordKeySources(keySources, locale, namespace, file, content, ext) {
+  const positions = parseKeyPositions(content, ext);
+
+  if (!keySources[locale]) {
+    keySources[locale] = {};
+  }
+  if (!keySources[locale][namespace]) {
+    keySources[locale][namespace] = {};
+  }
+
+  for (const key in positions) {
+    keySources[locale][namespace][key] = { file, ...positions[key] };
+  }
+}
+
+/**
+ * 解析多语言文件内容，获取每个扁平键在文件中的偏移量
+ * @param {string} content 文件内容
+ * @param {string} ext 文件扩展名
+ * @returns {Object} 扁平键 → { start, end }，范围覆盖属性名
+ */
+function parseKeyPositions(content, ext) {
+  const format = getLocaleFormat(ext);
+  if (!format || !format.parseKeyPositions) {
+    return {};
+  }
+
+  try {
+    return format.parseKeyPositions(content);
+  } catch (error) {
+    console.warn(`    无法获取键位置信息: ${error.message}`);
+    return {};
+  }
+}
+
 /**
  * 深度合并两个对象
  * @param {Object} target 目标对象
@@ -510,110 +762,217 @@ function flattenObject(obj, prefix = "") {
 
 /**
  * 将翻译内容写入文件
+ * 翻译值为 null 时表示从该语言的文件中删除此键
  * @param {string} key 翻译键
  * @param {Object} translations 翻译值
  * @param {Object} localeFiles 多语言文件信息
+ * @param {Object} [targetFiles] 语言 → 目标文件，未指定时按键的命名空间选择文件
  * @returns {Promise<void>}
+ * @throws {Error} 有文件保存失败时抛出
  */
-async function saveTranslation(key, translations, localeFiles) {
+async function saveTranslation(key, translations, localeFiles, targetFiles) {
   console.log(`开始保存翻译: ${key}`, translations);
+  const failedFiles = await saveTranslations(
+    { [key]: translations },
+    localeFiles,
+    targetFiles ? { [key]: targetFiles } : {}
+  );
+  if (failedFiles.length > 0) {
+    throw new Error(`写入文件失败: ${failedFiles.join(", ")}`);
+  }
+}
 
-  // 拆分键路径，用于嵌套对象导航
-  const parts = key.split(".");
-
-  // 遍历需要保存的所有语言
-  for (const locale in translations) {
-    // 验证语言是否存在文件
-    if (!translations[locale] || !localeFiles[locale]) {
-      console.warn(`语言 ${locale} 不存在或没有关联文件`);
-      continue;
+/**
+ * 查找完整键在各语言中所在的文件
+ * 同一命名空间有多个文件时，键不一定在第一个文件中，修改和删除已有的键需要写入键所在的文件
+ * @param {string} fullKey 完整键
+ * @param {Object} [keySources] 键源码位置集合
+ * @returns {Object} 语言 → 文件，键不存在的语言不包含在内
+ */
+function getKeyFiles(fullKey, keySources) {
+  const files = {};
+  for (const locale in keySources || {}) {
+    for (const namespace in keySources[locale]) {
+      for (const key in keySources[locale][namespace]) {
+        if (getNamespaceKey(namespace, key) === fullKey) {
+          files[locale] = keySources[locale][namespace][key].file;
+        }
+      }
     }
+  }
+  return files;
+}
+
+/**
+ * 查找一组修改中各键在各语言中所在的文件，作为 saveTranslations 的 targetFiles
+ * @param {Object<string, Object>} changes 翻译键 → { 语言: 翻译值 }
+ * @param {Object} [keySources] 键源码位置集合
+ * @returns {Object<string, Object>} 翻译键 → { 语言: 目标文件 }
+ */
+function getTargetFiles(changes, keySources) {
+  const targetFiles = {};
+  for (const key in changes) {
+    targetFiles[key] = getKeyFiles(key, keySources);
+  }
+  return targetFiles;
+}
 
-    // 选择保存文件
-    // 1. 首先尝试使用键的第一部分作为命名空间
-    let targetNamespace = parts[0];
-    let selectedNamespace = null;
-    let fileInfo = null;
+/**
+ * 批量将翻译内容写入文件
+ * 按文件分组，同一文件中的所有修改只读写一次；翻译值为 null 时表示删除此键
+ * @param {Object<string, Object>} changes 翻译键 → { 语言: 翻译值 }
+ * @param {Object} localeFiles 多语言文件信息
+ * @param {Object<string, Object>} [targetFiles] 翻译键 → { 语言: 目标文件 }，未指定时按键的命名空间选择文件
+ * @returns {Promise<string[]>} 保存失败的文件
+ */
+async function saveTranslations(changes, localeFiles, targetFiles = {}) {
+  // 文件 → [{ keyParts, value }]
+  const fileChanges = new Map();
+
+  for (const key in changes) {
+    const translations = changes[key];
+    for (const locale in translations) {
+      // 验证语言是否存在文件
+      const value = translations[locale];
+      if ((value !== null && !value) || !localeFiles[locale]) {
+        console.warn(`语言 ${locale} 不存在或没有关联文件`);
+        continue;
+      }
 
-    // 检查是否存在该命名空间的文件
-    if (
-      localeFiles[locale][targetNamespace] &&
-      localeFiles[locale][targetNamespace].length > 0
-    ) {
-      selectedNamespace = targetNamespace;
-      fileInfo = localeFiles[locale][targetNamespace][0];
-    } else {
-      // 2. 如果找不到匹配的命名空间，使用第一个可用的命名空间
-      const namespaces = Object.keys(localeFiles[locale]);
-      if (namespaces.length > 0) {
-        selectedNamespace = namespaces[0]; // 使用第一个可用的命名空间
-        fileInfo = localeFiles[locale][selectedNamespace][0];
+      const target = resolveTranslationTarget(
+        key,
+        localeFiles[locale],
+        targetFiles[key] && targetFiles[key][locale]
+      );
+      // 如果没有找到可用的文件，跳过此语言
+      if (!target) {
+        console.warn(`未找到语言 ${locale} 的可用文件`);
+        continue;
       }
-    }
 
-    // 如果没有找到可用的文件，跳过此语言
-    if (!fileInfo) {
-      console.warn(`未找到语言 ${locale} 的可用文件`);
-      continue;
+      logDebug(`选择文件保存 ${locale} 语言的 ${key}: ${target.file}`);
+      if (!fileChanges.has(target.file)) {
+        fileChanges.set(target.file, []);
+      }
+      fileChanges.get(target.file).push({ keyParts: target.keyParts, value });
     }
+  }
 
-    console.log(`选择文件保存 ${locale} 语言的 ${key}: ${fileInfo}`);
-
+  const failedFiles = [];
+  for (const [file, edits] of fileChanges) {
     try {
       // 读取文件内容
-      const content = await fs.readFile(fileInfo, "utf-8");
-      const ext = path.extname(fileInfo).toLowerCase();
+      const content = await fs.readFile(file, "utf-8");
+      const ext = path.extname(file).toLowerCase();
+
+      // 创建、更新或删除嵌套值
+      const newContent = modifyLocaleContent(content, ext, (data) => {
+        for (const { keyParts, value } of edits) {
+          if (value === null) {
+            deleteNestedValue(data, keyParts);
+          } else {
+            setNestedValue(data, keyParts, value);
+          }
+        }
+      });
 
-      // 确定键路径
-      // 如果第一部分是命名空间，则去掉；否则使用完整路径
-      const keyParts = selectedNamespace === parts[0] ? parts.slice(1) : parts;
+      // 保存文件
+      await fs.writeFile(file, newContent, "utf-8");
+      logDebug(`已保存 ${edits.length} 处翻译到文件: ${file}`);
+    } catch (error) {
+      console.error(`保存翻译失败: ${file}`, error);
+      failedFiles.push(file);
+    }
+  }
 
-      if (ext === ".json") {
-        // 处理JSON文件
-        let data = JSON.parse(content);
+  return failedFiles;
+}
 
-        // 创建或更新嵌套值
-        setNestedValue(data, keyParts, translations[locale]);
+/**
+ * 确定翻译键在某个语言中的保存文件及文件内的键路径
+ * 未指定文件时优先使用键的第一部分作为命名空间，找不到时使用 common 或第一个可用的命名空间
+ * @param {string} key 翻译键
+ * @param {Object} namespaceFiles 该语言的 命名空间 → 文件列表
+ * @param {string} [file] 指定的目标文件
+ * @returns {{file: string, keyParts: string[]}|null} 保存位置，没有可用文件时返回 null
+ */
+function resolveTranslationTarget(key, namespaceFiles, file) {
+  const parts = key.split(".");
 
-        // 保存文件
-        await fs.writeFile(fileInfo, JSON.stringify(data, null, 2), "utf-8");
-        console.log(`已保存翻译到JSON文件: ${fileInfo}`);
-      } else if (ext === ".js" || ext === ".ts") {
-        // 处理JS/TS文件 - 支持export default格式
-        const exportPattern = /export\s+default\s+({[\s\S]+?});?\s*$/;
-        const matches = content.match(exportPattern);
+  // 指定了文件时，去掉键中与文件所属命名空间相同的前缀
+  if (file) {
+    const namespace = Object.keys(namespaceFiles).find((name) =>
+      namespaceFiles[name].includes(file)
+    );
+    if (!namespace) {
+      return null;
+    }
+    return {
+      file,
+      keyParts:
+        namespace !== "common" && parts[0] === namespace
+          ? parts.slice(1)
+          : parts,
+    };
+  }
 
-        if (matches && matches[1]) {
-          try {
-            // 解析数据对象
-            const objStr = matches[1]
-              .replace(/\/\/.*$/gm, "")
-              .replace(/\/\*[\s\S]*?\*\//g, "");
-            let data = eval(`(${objStr})`);
-
-            // 创建或更新嵌套值
-            setNestedValue(data, keyParts, translations[locale]);
-
-            // 替换导出内容
-            const newContent = content.replace(
-              exportPattern,
-              `export default ${JSON.stringify(data, null, 2)};`
-            );
+  // 检查是否存在该命名空间的文件，存在时去掉键中的命名空间部分
+  const targetNamespace = parts[0];
+  if (
+    namespaceFiles[targetNamespace] &&
+    namespaceFiles[targetNamespace].length > 0
+  ) {
+    return {
+      file: namespaceFiles[targetNamespace][0],
+      keyParts: parts.slice(1),
+    };
+  }
 
-            // 保存文件
-            await fs.writeFile(fileInfo, newContent, "utf-8");
-            console.log(`已保存翻译到JS/TS文件: ${fileInfo}`);
-          } catch (e) {
-            console.error(`无法更新文件: ${fileInfo}`, e);
-          }
-        } else {
-          console.error(`文件格式不支持: ${fileInfo} - 未找到export default`);
-        }
-      }
-    } catch (error) {
-      console.error(`保存翻译失败: ${fileInfo}`, error);
+  const namespaces = Object.keys(namespaceFiles);
+  if (namespaces.length === 0) {
+    return null;
+  }
+  const selectedNamespace = namespaces.includes("common")
+    ? "common"
+    : namespaces[0];
+  return { file: namespaceFiles[selectedNamespace][0], keyParts: parts };
+}
+
+/**
+ * 修改多语言文件内容
+ * 解析文件中的数据对象，交由 modifier 修改后重新生成文件内容
+ * @param {string} content 文件内容
+ * @param {string} ext 文件扩展名
+ * @param {(data: Object) => void} modifier 修改数据对象的函数
+ * @returns {string} 修改后的文件内容
+ */
+function modifyLocaleContent(content, ext, modifier) {
+  const format = getLocaleFormat(ext);
+  if (!format) {
+    throw new Error(`不支持的文件类型: ${ext}`);
+  }
+  return format.modify(content, modifier);
+}
+
+/**
+ * 获取嵌套对象中的值
+ * @param {Object} obj 对象
+ * @param {string[]} keys 键路径
+ * @returns {any} 值，不存在时返回 undefined
+ */
+function getNestedValue(obj, keys) {
+  let current = obj;
+  for (const key of keys) {
+    if (
+      !current ||
+      typeof current !== "object" ||
+      !Object.prototype.hasOwnProperty.call(current, key)
+    ) {
+      return undefined;
     }
+    current = current[key];
   }
+  return current;
 }
 
 /**
@@ -662,9 +1021,145 @@ function setNestedValue(obj, keys, value) {
   console.log(`已设置嵌套值: ${keys.join(".")} = ${JSON.stringify(value)}`);
 }
 
+/**
+ * 在已加载的语言列表中查找与给定语言标识对应的语言
+ * 先精确匹配，再忽略大小写及 "-"/"_" 的差异进行匹配
+ * @param {string[]} locales 已加载的语言列表
+ * @param {string} locale 要查找的语言标识
+ * @returns {string|null} 匹配到的语言，未找到时返回 null
+ */
+function matchLocale(locales, locale) {
+  if (!locale) {
+    return null;
+  }
+  if (locales.includes(locale)) {
+    return locale;
+  }
+
+  const normalize = (value) => value.replace(/_/g, "-").toLowerCase();
+  const target = normalize(locale);
+  return locales.find((item) => normalize(item) === target) || null;
+}
+
+/**
+ * 删除嵌套对象中的值，并清理删除后变为空的父级对象
+ * @param {Object} obj 对象
+ * @param {string[]} keys 键路径
+ * @returns {boolean} 是否删除成功
+ */
+function deleteNestedValue(obj, keys) {
+  if (!obj || typeof obj !== "object" || !keys || !keys.length) {
+    return false;
+  }
+
+  const [firstKey, ...restKeys] = keys;
+  if (!Object.prototype.hasOwnProperty.call(obj, firstKey)) {
+    return false;
+  }
+
+  if (restKeys.length === 0) {
+    delete obj[firstKey];
+    logDebug(`已删除嵌套值: ${firstKey}`);
+    return true;
+  }
+
+  const child = obj[firstKey];
+  const deleted = deleteNestedValue(child, restKeys);
+
+  // 子对象被清空后一并删除
+  if (
+    deleted &&
+    child &&
+    typeof child === "object" &&
+    Object.keys(child).length === 0
+  ) {
+    delete obj[firstKey];
+  }
+
+  return deleted;
+}
+
+/**
+ * 获取命名空间下键的完整路径
+ * common 命名空间下的键不带前缀，其他命名空间以命名空间名作为前缀
+ * @param {string} namespace 命名空间
+ * @param {string} key 命名空间内的键
+ * @returns {string} 完整键路径
+ */
+function getNamespaceKey(namespace, key) {
+  return namespace === "common" ? key : `${namespace}.${key}`;
+}
+
+/**
+ * 获取所有多语言文件路径
+ * @param {Object} localeFiles 多语言文件信息
+ * @returns {Set<string>} 与 vscode.Uri.fsPath 格式一致的文件路径集合
+ */
+function getLocaleFilePaths(localeFiles) {
+  const paths = new Set();
+  for (const locale in localeFiles) {
+    for (const namespace in localeFiles[locale]) {
+      for (const file of localeFiles[locale][namespace]) {
+        paths.add(vscode.Uri.file(file).fsPath);
+      }
+    }
+  }
+  return paths;
+}
+
+/**
+ * 汇总所有语言的翻译键
+ * 仅包含叶子节点，键为带命名空间前缀的完整路径
+ * @param {Object} localeData 多语言数据
+ * @returns {Map<string, Object>} 完整键 → { 语言: 翻译值 }
+ */
+function collectTranslationKeys(localeData) {
+  const keys = new Map();
+
+  for (const locale in localeData) {
+    for (const namespace in localeData[locale]) {
+      const entries = localeData[locale][namespace];
+      for (const key in entries) {
+        const value = entries[key];
+        // 跳过扁平化时保留的中间层对象
+        if (value && typeof value === "object" && !Array.isArray(value)) {
+          continue;
+        }
+
+        const fullKey = getNamespaceKey(namespace, key);
+        if (!keys.has(fullKey)) {
+          keys.set(fullKey, {});
+        }
+        keys.get(fullKey)[locale] = value;
+      }
+    }
+  }
+
+  return keys;
+}
+
 module.exports = {
+  registerLocaleFormat,
+  getLocaleFormat,
   findLocaleFiles,
+  resolveLocalesPath,
+  resolveLocaleFile,
+  compilePathTemplates,
+  getLocaleFileInfo,
+  detectLocaleFileInfo,
   loadLocaleData,
+  reloadLocaleFile,
   saveTranslation,
+  getKeyFiles,
+  getTargetFiles,
+  saveTranslations,
   flattenObject,
+  matchLocale,
+  getNamespaceKey,
+  collectTranslationKeys,
+  getLocaleFilePaths,
+  modifyLocaleContent,
+  getNestedValue,
+  setNestedValue,
+  deleteNestedValue,
 };
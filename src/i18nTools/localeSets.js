@@ -0,0 +1,185 @@
+const vscode = require("vscode");
+const path = require("path");
+const fs = require("fs").promises;
+const fg = require("fast-glob");
+const localeManager = require("./localeManager");
+
+// 默认的多语言文件扩展名，与 devCooker.i18n.fileExtensions 的默认值一致
+const DEFAULT_FILE_EXTENSIONS = [
+  ".json",
+  ".js",
+  ".ts",
+  ".yaml",
+  ".yml",
+  ".properties",
+  ".po",
+  ".xlf",
+  ".xliff",
+];
+
+/**
+ * 读取工作区文件夹的多语言目录结构配置
+ * 多根工作区中每个文件夹可以在 .vscode/settings.json 中单独配置
+ * @param {vscode.WorkspaceFolder} folder 工作区文件夹
+ * @returns {{localesPaths: string[], fileExtensions: string[], pathTemplates: string[], localeAliases: Object}} 目录结构配置
+ */
+function getFolderLayout(folder) {
+  const config = vscode.workspace.getConfiguration("devCooker", folder.uri);
+  return {
+    localesPaths: config.get("i18n.localesPaths", []),
+    fileExtensions: config.get("i18n.fileExtensions", DEFAULT_FILE_EXTENSIONS),
+    pathTemplates: config.get("i18n.pathTemplates", []),
+    localeAliases: config.get("i18n.localeAliases", {}),
+  };
+}
+
+/**
+ * 查找工作区文件夹中的包，即包含 package.json 的子目录
+ * @param {string} folderRoot 工作区文件夹路径
+ * @returns {Promise<{root: string, name: string, layout: Object|null}[]>}
+ *   包目录、包名以及 package.json 中 devCooker.i18n 字段的配置
+ */
+async function findPackages(folderRoot) {
+  let files = [];
+  try {
+    files = await fg("**/package.json", {
+      cwd: folderRoot.replace(/\\/g, "/"),
+      ignore: ["**/node_modules/**"],
+      absolute: true,
+      deep: 6,
+    });
+  } catch (error) {
+    console.error(`查找包失败: "${folderRoot}"`, error);
+    return [];
+  }
+
+  const packages = [];
+  for (const file of files) {
+    const root = path.dirname(file).replace(/\\/g, "/");
+    if (path.relative(folderRoot, root) === "") {
+      continue;
+    }
+    try {
+      const manifest = JSON.parse(await fs.readFile(file, "utf-8"));
+      packages.push({
+        root,
+        name: manifest.name || path.basename(root),
+        layout: manifest.devCooker?.i18n || null,
+      });
+    } catch {
+      packages.push({ root, name: path.basename(root), layout: null });
+    }
+  }
+  return packages;
+}
+
+/**
+ * 查找工作区中的所有语言集
+ * 每个工作区文件夹及 monorepo 中的每个包各自对应一个语言集，多语言目录相对于所属目录解析，
+ * 包可以在 package.json 的 devCooker.i18n 字段中覆盖 localesPaths、fileExtensions、pathTemplates 和 localeAliases；
+ * 没有找到多语言文件的目录不生成语言集，其中的文件使用上层最近的语言集
+ * @returns {Promise<Object[]>} 语言集列表，按目录层级由深到浅排序，
+ *   每项为 { name, root, folder, localesPaths, fileExtensions, layout, localeFiles }
+ */
+async function findLocaleSets() {
+  const folders = vscode.workspace.workspaceFolders || [];
+  if (folders.length === 0) {
+    throw new Error("请先打开一个项目文件夹");
+  }
+
+  const sets = [];
+  for (const folder of folders) {
+    const folderRoot = folder.uri.fsPath.replace(/\\/g, "/");
+    const folderLayout = getFolderLayout(folder);
+    const config = vscode.workspace.getConfiguration("devCooker", folder.uri);
+    const packages = config.get("i18n.monorepo", true)
+      ? await findPackages(folderRoot)
+      : [];
+
+    const candidates = [
+      { root: folderRoot, name: folder.name, layout: null },
+      ...packages,
+    ];
+    for (const candidate of candidates) {
+      const layout = { ...folderLayout, ...candidate.layout };
+      const fileExtensions = layout.fileExtensions.map((ext) =>
+        ext.startsWith(".") ? ext : `.${ext}`
+      );
+      const localesPaths = layout.localesPaths.map((localePath) =>
+        localeManager.resolveLocalesPath(localePath, candidate.root)
+      );
+      // 多语言目录与已有语言集相同（如配置了绝对路径）时不重复加载
+      if (
+        localesPaths.length === 0 ||
+        sets.some(
+          (set) => set.localesPaths.join("\n") === localesPaths.join("\n")
+        )
+      ) {
+        continue;
+      }
+
+      const localeFiles = await localeManager.findLocaleFiles(
+        localesPaths,
+        fileExtensions,
+        layout,
+        candidate.root
+      );
+      if (Object.keys(localeFiles).length === 0) {
+        continue;
+      }
+
+      sets.push({
+        name: candidate.name,
+        root: candidate.root,
+        folder,
+        localesPaths,
+        fileExtensions,
+        layout: {
+          pathTemplates: layout.pathTemplates,
+          localeAliases: layout.localeAliases,
+        },
+        localeFiles,
+      });
+    }
+  }
+
+  return sets.sort((a, b) => b.root.length - a.root.length);
+}
+
+/**
+ * 检查文件是否位于目录中
+ * @param {string} filePath 文件路径
+ * @param {string} dir 目录
+ * @returns {boolean} 是否位于目录中
+ */
+function isInside(filePath, dir) {
+  const relativePath = path.relative(dir, filePath).replace(/\\/g, "/");
+  return (
+    relativePath !== ".." &&
+    !relativePath.startsWith("../") &&
+    !path.isAbsolute(relativePath)
+  );
+}
+
+/**
+ * 查找文件所属的语言集
+ * 多语言目录中的文件属于该目录的语言集，其他文件属于所在目录最近的语言集
+ * @param {Object[]} sets 按目录层级由深到浅排序的语言集列表
+ * @param {string} filePath 文件路径
+ * @returns {Object|null} 语言集，文件不属于任何语言集时返回 null
+ */
+function findLocaleSetForFile(sets, filePath) {
+  return (
+    sets.find((set) =>
+      set.localesPaths.some((localePath) => isInside(filePath, localePath))
+    ) ||
+    sets.find((set) => isInside(filePath, set.root)) ||
+    null
+  );
+}
+
+module.exports = {
+  DEFAULT_FILE_EXTENSIONS,
+  findLocaleSets,
+  findLocaleSetForFile,
+};
@@ -0,0 +1,330 @@
+const vscode = require("vscode");
+const translationServices = require("./translationServices");
+const { collectTranslationKeys } = require("./localeManager");
+
+// 已注册的机器翻译服务，名称 → 服务
+const registeredServices = new Map();
+
+/**
+ * 注册机器翻译服务
+ * 服务需要提供 name、label、getLanguageCode 和 translate，详见 translationServices.js
+ * @param {Object} service 机器翻译服务
+ */
+function registerTranslationService(service) {
+  registeredServices.set(service.name, service);
+}
+
+/**
+ * 根据名称获取机器翻译服务
+ * @param {string} name 服务名称
+ * @returns {Object|null} 机器翻译服务，不存在时返回 null
+ */
+function getTranslationService(name) {
+  return registeredServices.get(name) || null;
+}
+
+[
+  translationServices.deeplService,
+  translationServices.googleService,
+  translationServices.libreTranslateService,
+  translationServices.openaiService,
+].forEach(registerTranslationService);
+
+// 保存 API Key 的密钥存储，由 setSecretStorage 设置
+let secretStorage = null;
+
+// 每次请求翻译的最大文本数
+const BATCH_SIZE = 50;
+
+// 翻译时需要原样保留的内容：{{name}}、{name}、%{name}、%s、%1$s、
+// vue-i18n 的链接消息 @:key、@.lower:key、i18next 的嵌套 $t(key)、HTML 标签以及复数分隔符 |
+const PLACEHOLDER_PATTERN =
+  /\{\{[^{}]*\}\}|%?\{[^{}]*\}|%(?:\d+\$)?[sdif]|@(?:\.\w+)?:(?:\([^)]*\)|[\w.-]*\w)|\$t\([^)]*\)|<\/?[A-Za-z][^<>]*>|\|/g;
+
+// ICU 复数和选择消息的结构无法通过占位符保留，不进行机器翻译
+const ICU_MESSAGE_PATTERN =
+  /\{\s*\w+\s*,\s*(?:plural|select|selectordinal)\s*,/;
+
+// 译文中的占位符标签，兼容服务返回 <x id="0"></x> 的写法
+const TOKEN_PATTERN = /<x\s+id\s*=\s*"(\d+)"\s*\/?>(?:\s*<\/x>)?/g;
+
+/**
+ * 转义 XML 特殊字符
+ * @param {string} text 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * 还原 XML 转义字符
+ * @param {string} text 文本
+ * @returns {string} 还原后的文本
+ */
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * 将文本中的占位符替换为 <x id="N"/> 标签，其余内容做 XML 转义
+ * @param {string} text 原文
+ * @returns {{text: string, placeholders: string[]}} 待翻译的文本及按序号排列的占位符
+ */
+function protectPlaceholders(text) {
+  const placeholders = [];
+  let result = "";
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+    result += escapeXml(text.slice(lastIndex, match.index));
+    result += `<x id="${placeholders.length}"/>`;
+    placeholders.push(match[0]);
+    lastIndex = match.index + match[0].length;
+  }
+  result += escapeXml(text.slice(lastIndex));
+
+  return { text: result, placeholders };
+}
+
+/**
+ * 将译文中的占位符标签还原为原始占位符
+ * @param {string} text 译文
+ * @param {string[]} placeholders 占位符
+ * @returns {string|null} 还原后的译文，占位符丢失或重复时返回 null
+ */
+function restorePlaceholders(text, placeholders) {
+  const used = new Set();
+  let result = "";
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const index = Number(match[1]);
+    if (index >= placeholders.length || used.has(index)) {
+      return null;
+    }
+    used.add(index);
+    result += unescapeXml(text.slice(lastIndex, match.index));
+    result += placeholders[index];
+    lastIndex = match.index + match[0].length;
+  }
+  result += unescapeXml(text.slice(lastIndex));
+
+  return used.size === placeholders.length ? result : null;
+}
+
+/**
+ * 设置保存 API Key 的密钥存储
+ * @param {vscode.SecretStorage} secrets 扩展上下文的 secrets
+ */
+function setSecretStorage(secrets) {
+  secretStorage = secrets;
+}
+
+/**
+ * 获取机器翻译服务的 API Key 在密钥存储中的名称，每个服务单独保存
+ * @param {string} provider 服务名称
+ * @returns {string} 名称
+ */
+function getApiKeySecretName(provider) {
+  return `devCooker.i18n.machineTranslation.apiKey.${provider}`;
+}
+
+/**
+ * 保存机器翻译服务的 API Key，为空时删除
+ * @param {string} provider 服务名称
+ * @param {string} apiKey API Key
+ */
+async function storeApiKey(provider, apiKey) {
+  if (!secretStorage) {
+    throw new Error("密钥存储不可用");
+  }
+  if (apiKey) {
+    await secretStorage.store(getApiKeySecretName(provider), apiKey);
+  } else {
+    await secretStorage.delete(getApiKeySecretName(provider));
+  }
+}
+
+/**
+ * 获取机器翻译配置
+ * API Key 优先从密钥存储读取，兼容旧版本保存在用户设置中的 API Key
+ * @returns {Promise<Object>} 配置
+ */
+async function getSettings() {
+  const config = vscode.workspace.getConfiguration("devCooker");
+  const provider = config.get("i18n.machineTranslation.provider", "deepl");
+  const storedApiKey = secretStorage
+    ? await secretStorage.get(getApiKeySecretName(provider))
+    : undefined;
+  return {
+    provider,
+    apiKey: storedApiKey || config.get("i18n.machineTranslation.apiKey", ""),
+    url: config.get("i18n.machineTranslation.url", ""),
+    model: config.get("i18n.machineTranslation.model", ""),
+    localeMapping: config.get("i18n.machineTranslation.localeMapping", {}),
+  };
+}
+
+/**
+ * 使用配置的机器翻译服务批量翻译文本
+ * @param {string[]} texts 原文
+ * @param {string} sourceLocale 原文语言
+ * @param {string} targetLocale 目标语言
+ * @param {vscode.CancellationToken} [token] 取消令牌
+ * @param {Object} [settings] 机器翻译配置 { provider, apiKey, url, model, localeMapping }，
+ *   未指定时读取用户设置
+ * @returns {Promise<(string|null)[]>} 与原文顺序一致的译文，无法翻译或占位符无法保留时为 null
+ */
+async function translateTexts(
+  texts,
+  sourceLocale,
+  targetLocale,
+  token,
+  settings
+) {
+  if (!settings) {
+    settings = await getSettings();
+  }
+  const service = getTranslationService(settings.provider);
+  if (!service) {
+    throw new Error(`未知的机器翻译服务: ${settings.provider}`);
+  }
+
+  const getLanguageCode = (locale, isTarget) =>
+    settings.localeMapping[locale] || service.getLanguageCode(locale, isTarget);
+  const source = getLanguageCode(sourceLocale, false);
+  const target = getLanguageCode(targetLocale, true);
+
+  const results = new Array(texts.length).fill(null);
+  const pending = [];
+  texts.forEach((text, index) => {
+    if (typeof text === "string" && text && !ICU_MESSAGE_PATTERN.test(text)) {
+      pending.push({ index, ...protectPlaceholders(text) });
+    }
+  });
+
+  for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+    if (token && token.isCancellationRequested) {
+      break;
+    }
+
+    const batch = pending.slice(i, i + BATCH_SIZE);
+    const translated = await service.translate(
+      batch.map((item) => item.text),
+      { source, target, settings }
+    );
+    batch.forEach((item, j) => {
+      results[item.index] = restorePlaceholders(
+        translated[j],
+        item.placeholders
+      );
+    });
+  }
+
+  return results;
+}
+
+/**
+ * 汇总目标语言中缺失或为空、而原文语言中有翻译的键
+ * @param {Object} localeData 多语言数据
+ * @param {string} sourceLocale 原文语言
+ * @param {string[]} targetLocales 目标语言
+ * @returns {Map<string, {fullKey: string, text: string}[]>} 目标语言 → 待翻译的键
+ */
+function collectMissingTranslations(localeData, sourceLocale, targetLocales) {
+  const missing = new Map(targetLocales.map((locale) => [locale, []]));
+
+  for (const [fullKey, translations] of collectTranslationKeys(localeData)) {
+    const text = translations[sourceLocale];
+    if (typeof text !== "string" || !text) {
+      continue;
+    }
+    for (const locale of targetLocales) {
+      const value = translations[locale];
+      if (value === undefined || value === null || value === "") {
+        missing.get(locale).push({ fullKey, text });
+      }
+    }
+  }
+
+  return missing;
+}
+
+/**
+ * 机器翻译所有缺失的翻译，显示可取消的进度通知
+ * @param {Map<string, {fullKey: string, text: string}[]>} missing 目标语言 → 待翻译的键
+ * @param {string} sourceLocale 原文语言
+ * @returns {Promise<{changes: Object, translated: number, skipped: string[]}>}
+ *   可直接传给 saveTranslations 的修改、已翻译的数量以及未能翻译的 "语言: 键"
+ */
+async function translateMissing(missing, sourceLocale) {
+  const total = [...missing.values()].reduce(
+    (count, items) => count + items.length,
+    0
+  );
+
+  return vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "机器翻译缺失的翻译",
+      cancellable: true,
+    },
+    async (progress, token) => {
+      const changes = {};
+      const skipped = [];
+      let translated = 0;
+
+      for (const [locale, items] of missing) {
+        if (token.isCancellationRequested) {
+          break;
+        }
+        progress.report({ message: `${sourceLocale} → ${locale}` });
+
+        const results = await translateTexts(
+          items.map((item) => item.text),
+          sourceLocale,
+          locale,
+          token
+        );
+        items.forEach(({ fullKey }, index) => {
+          if (results[index] === null) {
+            // 取消后未请求的部分不计入跳过
+            if (!token.isCancellationRequested) {
+              skipped.push(`${locale}: ${fullKey}`);
+            }
+            return;
+          }
+          if (!changes[fullKey]) {
+            changes[fullKey] = {};
+          }
+          changes[fullKey][locale] = results[index];
+          translated++;
+        });
+        progress.report({ increment: (items.length / total) * 100 });
+      }
+
+      return { changes, translated, skipped };
+    }
+  );
+}
+
+module.exports = {
+  registerTranslationService,
+  getTranslationService,
+  setSecretStorage,
+  storeApiKey,
+  protectPlaceholders,
+  restorePlaceholders,
+  translateTexts,
+  collectMissingTranslations,
+  translateMissing,
+};
@@ -0,0 +1,363 @@
+const {
+  analyzeMessage,
+  maskNonIcuBraces,
+  unmaskBraces,
+  splitPipeBranches,
+  getPluralCategories,
+} = require("./messageValidator");
+
+// vue-i18n 的插值：字面量 {'@'} 和命名参数 {name}
+const VUE_INTERPOLATION_PATTERN = /\{\s*'([^']*)'\s*\}|\{\s*([\w$.-]+)\s*\}/g;
+// i18next 的 {{name}}、{{value, number}} 插值
+const DOUBLE_BRACE_PATTERN = /\{\{\s*([^{},]*?)\s*(?:,[^{}]*)?\}\}/g;
+
+/**
+ * 获取 vue-i18n 复数分支的说明
+ * 2 个和 3 个分支使用 vue-i18n 的默认规则，其他数量按该语言的 CLDR 类别（可额外带 zero 分支）对应
+ * @param {number} count 分支数量
+ * @param {string} locale 语言
+ * @returns {string[]} 各分支的说明
+ */
+function getPipeLabels(count, locale) {
+  if (count === 2) {
+    return ["单数 (1)", "复数"];
+  }
+  if (count === 3) {
+    return ["零 (0)", "单数 (1)", "复数"];
+  }
+  const categories = getPluralCategories(locale) || [];
+  if (count === categories.length) {
+    return categories;
+  }
+  if (count === categories.length + 1) {
+    return ["zero", ...categories];
+  }
+  return Array.from({ length: count }, (_, index) => `#${index + 1}`);
+}
+
+/**
+ * 按复数规则选择数字对应的 CLDR 类别
+ * @param {string} locale 语言
+ * @param {number} value 数字
+ * @param {string} [type] cardinal 或 ordinal
+ * @returns {string} 复数类别，无法识别语言时返回 other
+ */
+function selectPluralCategory(locale, value, type = "cardinal") {
+  try {
+    return new Intl.PluralRules(locale.replace(/_/g, "-"), { type }).select(
+      value
+    );
+  } catch {
+    return "other";
+  }
+}
+
+/**
+ * 格式化数字
+ * @param {number} value 数字
+ * @param {string} locale 语言
+ * @returns {string} 格式化后的数字
+ */
+function formatNumber(value, locale) {
+  try {
+    return new Intl.NumberFormat(locale.replace(/_/g, "-")).format(value);
+  } catch {
+    return String(value);
+  }
+}
+
+/**
+ * 解析消息的复数结构，用于在编辑器中按分支编辑
+ * - ICU 消息只支持最外层有且仅有一个 plural 或 selectordinal 参数，参数前后的文本作为前缀和后缀
+ * - vue-i18n 以 | 分隔的复数消息按分支拆分
+ * ICU 消息中缺少的该语言 CLDR 类别会补充为空分支，并标记 missing
+ * @param {string} text 消息
+ * @param {string} locale 语言
+ * @returns {Object|null} 复数结构，不是复数消息时返回 null
+ */
+function parsePluralStructure(text, locale) {
+  if (typeof text !== "string" || !text) {
+    return null;
+  }
+
+  const analysis = analyzeMessage(text);
+  if (analysis.syntaxError) {
+    return null;
+  }
+
+  if (analysis.pipeBranches > 1) {
+    const branches = splitPipeBranches(maskNonIcuBraces(text));
+    const labels = getPipeLabels(branches.length, locale);
+    return {
+      type: "pipe",
+      branches: branches.map(({ start, end }, index) => ({
+        key: String(index),
+        label: labels[index],
+        value: text.slice(start, end).trim(),
+      })),
+    };
+  }
+
+  const parts = analysis.icu ? analysis.icu.parts : [];
+  const nodes = parts.filter((part) => typeof part !== "string");
+  if (
+    nodes.length !== 1 ||
+    (nodes[0].type !== "plural" && nodes[0].type !== "selectordinal")
+  ) {
+    return null;
+  }
+
+  const node = nodes[0];
+  const branches = node.options.map((option) => ({
+    key: option.key,
+    label: option.key,
+    value: text.slice(option.start, option.end),
+  }));
+  const categories =
+    getPluralCategories(
+      locale,
+      node.type === "selectordinal" ? "ordinal" : "cardinal"
+    ) || [];
+  const missing = categories
+    .filter((category) => !branches.some((branch) => branch.key === category))
+    .map((category) => ({
+      key: category,
+      label: category,
+      value: "",
+      missing: true,
+    }));
+  // 缺少的类别放在 other 之前
+  const otherIndex = branches.findIndex((branch) => branch.key === "other");
+  branches.splice(otherIndex, 0, ...missing);
+
+  return {
+    type: "icu",
+    argument: node.name,
+    pluralType: node.type,
+    offset: node.offset,
+    prefix: text.slice(0, node.start),
+    suffix: text.slice(node.end),
+    branches,
+  };
+}
+
+/**
+ * 获取编辑器中某个语言的复数结构
+ * 该语言的翻译为空而默认语言是复数消息时，按默认语言的结构和该语言的 CLDR 类别生成空分支
+ * @param {string} text 该语言的翻译
+ * @param {string} locale 语言
+ * @param {string} defaultText 默认语言的翻译
+ * @param {string|null} defaultLocale 默认语言
+ * @returns {Object|null} 复数结构，不是复数消息时返回 null
+ */
+function getPluralStructure(text, locale, defaultText, defaultLocale) {
+  if (text) {
+    return parsePluralStructure(text, locale);
+  }
+
+  const base =
+    defaultLocale && locale !== defaultLocale
+      ? parsePluralStructure(defaultText, defaultLocale)
+      : null;
+  if (!base) {
+    return null;
+  }
+
+  if (base.type === "pipe") {
+    const labels = getPipeLabels(base.branches.length, locale);
+    return {
+      type: "pipe",
+      branches: base.branches.map((branch, index) => ({
+        key: branch.key,
+        label: labels[index],
+        value: "",
+      })),
+    };
+  }
+
+  const categories = getPluralCategories(
+    locale,
+    base.pluralType === "selectordinal" ? "ordinal" : "cardinal"
+  ) || ["other"];
+  // 保留默认语言中 =0 等精确匹配的分支
+  const exactKeys = base.branches
+    .map((branch) => branch.key)
+    .filter((key) => key.startsWith("="));
+  return {
+    ...base,
+    prefix: "",
+    suffix: "",
+    branches: [...exactKeys, ...categories].map((key) => ({
+      key,
+      label: key,
+      value: "",
+    })),
+  };
+}
+
+/**
+ * 按示例参数渲染 ICU 语法树
+ * @param {Array} parts 语法树
+ * @param {string} locale 语言
+ * @param {Object} values 示例参数
+ * @param {number|null} pound 复数分支中 # 对应的数字
+ * @returns {string} 渲染结果
+ */
+function formatParts(parts, locale, values, pound) {
+  return parts
+    .map((part) => {
+      if (typeof part === "string") {
+        return part;
+      }
+      if (part.type === "pound") {
+        return pound === null ? "#" : formatNumber(pound, locale);
+      }
+
+      const value = values[part.name];
+      const hasValue = value !== undefined && value !== "";
+      if (part.type === "argument") {
+        if (!hasValue) {
+          return `{${part.name}}`;
+        }
+        return part.format === "number" && !isNaN(Number(value))
+          ? formatNumber(Number(value), locale)
+          : String(value);
+      }
+
+      const findOption = (key) =>
+        part.options.find((option) => option.key === key);
+      const other = findOption("other");
+      if (part.type === "select") {
+        const option = (hasValue && findOption(String(value))) || other;
+        return formatParts(option.parts, locale, values, pound);
+      }
+
+      const number = hasValue ? Number(value) : NaN;
+      if (isNaN(number)) {
+        return formatParts(other.parts, locale, values, null);
+      }
+      const category = selectPluralCategory(
+        locale,
+        number - part.offset,
+        part.type === "selectordinal" ? "ordinal" : "cardinal"
+      );
+      const option = findOption(`=${number}`) || findOption(category) || other;
+      return formatParts(option.parts, locale, values, number - part.offset);
+    })
+    .join("");
+}
+
+/**
+ * 按 vue-i18n 的规则选择复数分支
+ * @param {number} count 分支数量
+ * @param {number} value 数量
+ * @param {string} locale 语言
+ * @returns {number} 分支序号
+ */
+function selectPipeBranch(count, value, locale) {
+  const choice = Math.abs(value);
+  if (count === 2) {
+    return choice === 1 ? 0 : 1;
+  }
+  if (count === 3) {
+    return Math.min(choice, 2);
+  }
+  const labels = getPipeLabels(count, locale);
+  const category =
+    choice === 0 && labels[0] === "zero"
+      ? "zero"
+      : selectPluralCategory(locale, choice);
+  const index = labels.indexOf(category);
+  return index === -1 ? count - 1 : index;
+}
+
+/**
+ * 使用示例参数渲染消息，用于在编辑器中预览
+ * 支持 ICU 参数和复数/选择分支、vue-i18n 的插值和 | 复数分支以及 i18next 的 {{name}} 插值
+ * @param {string} text 消息
+ * @param {string} locale 语言
+ * @param {Object} values 示例参数，参数名 → 值
+ * @returns {string|null} 渲染结果，消息为空或有语法错误时返回 null
+ */
+function formatPreview(text, locale, values) {
+  if (typeof text !== "string" || !text) {
+    return null;
+  }
+  const analysis = analyzeMessage(text);
+  if (analysis.syntaxError) {
+    return null;
+  }
+
+  let result;
+  if (analysis.pipeBranches > 1) {
+    const count = Number(values.count ?? values.n ?? 1);
+    const branches = splitPipeBranches(maskNonIcuBraces(text));
+    const { start, end } =
+      branches[
+        selectPipeBranch(branches.length, isNaN(count) ? 1 : count, locale)
+      ];
+    const implicit = { count: String(count), n: String(count), ...values };
+    result = text
+      .slice(start, end)
+      .trim()
+      .replace(VUE_INTERPOLATION_PATTERN, (match, literal, name) => {
+        if (literal !== undefined) {
+          return literal;
+        }
+        return implicit[name] !== undefined && implicit[name] !== ""
+          ? implicit[name]
+          : match;
+      });
+  } else if (analysis.icu) {
+    result = unmaskBraces(
+      formatParts(analysis.icu.parts, locale, values, null)
+    ).replace(/\{\s*'([^']*)'\s*\}/g, "$1");
+  } else {
+    result = text;
+  }
+
+  return result.replace(DOUBLE_BRACE_PATTERN, (match, name) =>
+    values[name] !== undefined && values[name] !== "" ? values[name] : match
+  );
+}
+
+/**
+ * 汇总各语言翻译中的参数，用于填写预览的示例参数
+ * @param {Object} translations { 语言: 翻译值 }
+ * @returns {{name: string, plural: boolean}[]} 参数名及是否用于选择复数分支
+ */
+function collectMessageArguments(translations) {
+  const args = new Map();
+  const add = (name, plural) => {
+    args.set(name, args.get(name) || plural);
+  };
+
+  for (const text of Object.values(translations)) {
+    if (typeof text !== "string" || !text) {
+      continue;
+    }
+    const analysis = analyzeMessage(text);
+    for (const plural of analysis.plurals) {
+      add(plural.name, true);
+    }
+    if (analysis.pipeBranches > 1) {
+      add("count", true);
+    }
+    for (const token of analysis.tokens.keys()) {
+      const match = /^\{\{?([^{}]+?)\}?\}$/.exec(token);
+      if (match) {
+        add(match[1], false);
+      }
+    }
+  }
+
+  return [...args].map(([name, plural]) => ({ name, plural }));
+}
+
+module.exports = {
+  getPipeLabels,
+  parsePluralStructure,
+  getPluralStructure,
+  formatPreview,
+  collectMessageArguments,
+};
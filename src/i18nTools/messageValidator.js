@@ -0,0 +1,639 @@
+const { getNamespaceKey } = require("./localeManager");
+
+// 校验结果的代码，便于在问题面板中筛选
+const INVALID_MESSAGE_CODE = "invalidMessage";
+const PLACEHOLDER_MISMATCH_CODE = "placeholderMismatch";
+const PLURAL_MISMATCH_CODE = "pluralMismatch";
+const LINKED_KEY_MISSING_CODE = "linkedKeyMissing";
+
+// CLDR 复数类别
+const PLURAL_CATEGORIES = ["zero", "one", "two", "few", "many", "other"];
+
+// i18next 的 {{name}}、{{value, number}} 插值
+const DOUBLE_BRACE_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+// vue-i18n 的字面量插值 {'@'}，不是 ICU 参数
+const LITERAL_INTERPOLATION_PATTERN = /\{\s*'[^']*'\s*\}/g;
+// printf 风格的 %s、%d、%1$s
+const PRINTF_PATTERN = /%(?:\d+\$)?[sdif]/g;
+// vue-i18n 的链接消息 @:key、@.lower:key、@:(key)、@:{'key'}
+const LINKED_PATTERN =
+  /@(?:\.\w+)?:(?:\(([^)]+)\)|\{'([^']+)'\}|([\w-]+(?:\.[\w-]+)*))/g;
+// HTML 标签
+const TAG_PATTERN = /<(\/?)([A-Za-z][\w-]*)[^<>]*?(\/?)>/g;
+// 简单的 {name} 参数，ICU 解析失败时用于对比占位符
+const SIMPLE_ARGUMENT_PATTERN = /\{\s*([\p{L}\p{N}_$.-]+)\s*\}/gu;
+// ICU 参数名
+const ARGUMENT_NAME_PATTERN = /[\p{L}\p{N}_$.-]/u;
+// 按 ICU 语法解析前，用私有区字符替换非 ICU 插值的花括号，保持偏移量和内容不变
+const MASKED_OPEN_BRACE = "\uE000";
+const MASKED_CLOSE_BRACE = "\uE001";
+
+/**
+ * ICU MessageFormat 语法错误
+ */
+class MessageSyntaxError extends Error {
+  /**
+   * @param {string} message 错误信息
+   * @param {number} offset 错误在消息中的偏移量
+   */
+  constructor(message, offset) {
+    super(message);
+    this.offset = offset;
+  }
+}
+
+/**
+ * 解析 ICU MessageFormat 消息，收集其中的参数和复数/选择分支
+ * 撇号转义遵循 ICU 的 DOUBLE_OPTIONAL 模式，只有后面紧跟 { } # | 时才开始转义
+ *
+ * parts 为消息的语法树，元素为去掉转义后的文本、复数分支中的 { type: "pound" }、
+ * 简单参数 { type: "argument", name, format, start, end }，
+ * 以及复数/选择参数 { type, name, offset, options: [{ key, parts, start, end }], start, end }，
+ * 其中 start、end 为参数或分支内容在消息中的偏移量
+ * @param {string} text 消息
+ * @returns {{arguments: Set<string>, plurals: Object[], selects: Object[], parts: Array}}
+ *   参数名、复数参数、选择参数和语法树
+ * @throws {MessageSyntaxError} 语法错误
+ */
+function parseIcuMessage(text) {
+  const result = { arguments: new Set(), plurals: [], selects: [], parts: [] };
+  let pos = 0;
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      pos++;
+    }
+  };
+
+  const readName = () => {
+    const start = pos;
+    while (pos < text.length && ARGUMENT_NAME_PATTERN.test(text[pos])) {
+      pos++;
+    }
+    return text.slice(start, pos);
+  };
+
+  const expect = (ch, message) => {
+    if (text[pos] !== ch) {
+      throw new MessageSyntaxError(message, pos);
+    }
+    pos++;
+  };
+
+  // 解析消息文本，遇到未转义的 } 时结束
+  const parseMessage = (inPlural) => {
+    const parts = [];
+    let literal = "";
+    const flush = () => {
+      if (literal) {
+        parts.push(literal);
+        literal = "";
+      }
+    };
+
+    while (pos < text.length) {
+      const ch = text[pos];
+      const next = text[pos + 1];
+      if (ch === "'" && next === "'") {
+        literal += "'";
+        pos += 2;
+      } else if (ch === "'" && "{}|".includes(next || "x")) {
+        const end = text.indexOf("'", pos + 1);
+        if (end === -1) {
+          throw new MessageSyntaxError("撇号转义没有结束", pos);
+        }
+        literal += text.slice(pos + 1, end).replace(/''/g, "'");
+        pos = end + 1;
+      } else if (ch === "'" && inPlural && next === "#") {
+        const end = text.indexOf("'", pos + 1);
+        if (end === -1) {
+          throw new MessageSyntaxError("撇号转义没有结束", pos);
+        }
+        literal += text.slice(pos + 1, end);
+        pos = end + 1;
+      } else if (ch === "#" && inPlural) {
+        flush();
+        parts.push({ type: "pound" });
+        pos++;
+      } else if (ch === "{") {
+        flush();
+        parts.push(parseArgument());
+      } else if (ch === "}") {
+        break;
+      } else {
+        literal += ch;
+        pos++;
+      }
+    }
+
+    flush();
+    return parts;
+  };
+
+  // 解析分支选项 key {message}，至少包含 other 分支
+  const parseOptions = (isPlural) => {
+    const options = [];
+    let offset = 0;
+    skipWhitespace();
+    if (isPlural && text.startsWith("offset:", pos)) {
+      pos += "offset:".length;
+      skipWhitespace();
+      const start = pos;
+      while (/\d/.test(text[pos] || "")) {
+        pos++;
+      }
+      if (start === pos) {
+        throw new MessageSyntaxError("offset 后缺少数字", pos);
+      }
+      offset = Number(text.slice(start, pos));
+    }
+
+    for (;;) {
+      skipWhitespace();
+      if (text[pos] === "}" || pos >= text.length) {
+        break;
+      }
+      const start = pos;
+      if (text[pos] === "=") {
+        pos++;
+      }
+      const key = text.slice(start, pos) + readName();
+      if (key === "" || key === "=") {
+        throw new MessageSyntaxError("缺少分支名称", pos);
+      }
+      if (isPlural && !/^=\d+$/.test(key) && !PLURAL_CATEGORIES.includes(key)) {
+        throw new MessageSyntaxError(`无效的复数类别 "${key}"`, start);
+      }
+      if (options.some((option) => option.key === key)) {
+        throw new MessageSyntaxError(`重复的分支 "${key}"`, start);
+      }
+
+      skipWhitespace();
+      expect("{", `分支 "${key}" 缺少左花括号`);
+      const contentStart = pos;
+      const parts = parseMessage(isPlural);
+      options.push({ key, parts, start: contentStart, end: pos });
+      expect("}", `分支 "${key}" 缺少右花括号`);
+    }
+
+    if (!options.some((option) => option.key === "other")) {
+      throw new MessageSyntaxError("缺少 other 分支", pos);
+    }
+    return { options, offset };
+  };
+
+  const parseArgument = () => {
+    const start = pos;
+    pos++;
+    skipWhitespace();
+    const name = readName();
+    if (!name) {
+      throw new MessageSyntaxError("参数名称无效", pos);
+    }
+    result.arguments.add(name);
+    skipWhitespace();
+
+    if (text[pos] === "}") {
+      pos++;
+      return { type: "argument", name, format: null, start, end: pos };
+    }
+    expect(",", `参数 "${name}" 后缺少逗号或右花括号`);
+    skipWhitespace();
+    const type = readName();
+
+    let node;
+    if (type === "plural" || type === "selectordinal" || type === "select") {
+      skipWhitespace();
+      expect(",", `${type} 后缺少逗号`);
+      const { options, offset } = parseOptions(type !== "select");
+      node = { type, name, offset, options, start };
+      // 复数和选择参数的列表中附带分支名称，便于对比
+      const entry = { ...node, keys: options.map((option) => option.key) };
+      if (type === "select") {
+        result.selects.push(entry);
+      } else {
+        result.plurals.push(entry);
+      }
+    } else if (type) {
+      // number、date、time 等简单参数，样式部分允许嵌套花括号
+      let depth = 0;
+      while (pos < text.length && !(text[pos] === "}" && depth === 0)) {
+        if (text[pos] === "{") depth++;
+        if (text[pos] === "}") depth--;
+        pos++;
+      }
+      node = { type: "argument", name, format: type, start };
+    } else {
+      throw new MessageSyntaxError(`参数 "${name}" 缺少类型`, pos);
+    }
+
+    skipWhitespace();
+    if (text[pos] !== "}") {
+      throw new MessageSyntaxError(`参数 "${name}" 缺少右花括号`, start);
+    }
+    pos++;
+    node.end = pos;
+    return node;
+  };
+
+  result.parts = parseMessage(false);
+  if (pos < text.length) {
+    throw new MessageSyntaxError("多余的右花括号", pos);
+  }
+  return result;
+}
+
+/**
+ * 累加计数
+ * @param {Map<string, number>} counts 计数
+ * @param {string} token 占位符
+ * @param {boolean} [unique] 是否只计一次，用于在多个分支中重复出现的命名参数
+ */
+function addToken(counts, token, unique = false) {
+  counts.set(token, unique ? 1 : (counts.get(token) || 0) + 1);
+}
+
+/**
+ * 将 i18next 插值和 vue-i18n 字面量中的花括号替换为私有区字符
+ * @param {string} text 消息
+ * @returns {string} 替换后的消息，长度与原消息相同
+ */
+function maskNonIcuBraces(text) {
+  const mask = (match) =>
+    match.replace(/\{/g, MASKED_OPEN_BRACE).replace(/\}/g, MASKED_CLOSE_BRACE);
+  return text
+    .replace(DOUBLE_BRACE_PATTERN, mask)
+    .replace(LITERAL_INTERPOLATION_PATTERN, mask);
+}
+
+/**
+ * 还原 maskNonIcuBraces 替换的花括号
+ * @param {string} text 文本
+ * @returns {string} 还原后的文本
+ */
+function unmaskBraces(text) {
+  return text
+    .replace(new RegExp(MASKED_OPEN_BRACE, "g"), "{")
+    .replace(new RegExp(MASKED_CLOSE_BRACE, "g"), "}");
+}
+
+/**
+ * 按 vue-i18n 的复数分隔符 | 拆分消息，花括号中的 | 不拆分
+ * @param {string} text 经过 maskNonIcuBraces 处理的消息
+ * @returns {{start: number, end: number}[]} 各分支在消息中的范围
+ */
+function splitPipeBranches(text) {
+  const ranges = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "{" || ch === MASKED_OPEN_BRACE) {
+      depth++;
+    } else if ((ch === "}" || ch === MASKED_CLOSE_BRACE) && depth > 0) {
+      depth--;
+    } else if (ch === "|" && depth === 0) {
+      ranges.push({ start, end: i });
+      start = i + 1;
+    }
+  }
+  ranges.push({ start, end: text.length });
+  return ranges;
+}
+
+/**
+ * 分析消息中的占位符、链接消息、HTML 标签、复数分支和 ICU 语法
+ * @param {string} text 消息
+ * @returns {Object} 分析结果
+ */
+function analyzeMessage(text) {
+  const tokens = new Map();
+  const linkedKeys = [];
+
+  for (const match of text.matchAll(DOUBLE_BRACE_PATTERN)) {
+    addToken(tokens, `{{${match[1].split(",")[0].trim()}}}`, true);
+  }
+  for (const match of text.matchAll(PRINTF_PATTERN)) {
+    addToken(tokens, match[0]);
+  }
+  for (const match of text.matchAll(LINKED_PATTERN)) {
+    const key = (match[1] || match[2] || match[3]).trim();
+    linkedKeys.push(key);
+    addToken(tokens, `@:${key}`, true);
+  }
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    addToken(tokens, `<${match[1]}${match[2].toLowerCase()}${match[3]}>`);
+  }
+
+  // 屏蔽 i18next 插值和 vue-i18n 字面量后按 ICU 语法解析
+  const icuText = maskNonIcuBraces(text);
+  let icu = null;
+  let syntaxError = null;
+  if (/[{}]/.test(icuText)) {
+    try {
+      icu = parseIcuMessage(icuText);
+    } catch (error) {
+      if (!(error instanceof MessageSyntaxError)) {
+        throw error;
+      }
+      syntaxError = error;
+    }
+  }
+
+  if (icu) {
+    for (const name of icu.arguments) {
+      addToken(tokens, `{${name}}`, true);
+    }
+  } else {
+    for (const match of icuText.matchAll(SIMPLE_ARGUMENT_PATTERN)) {
+      addToken(tokens, `{${match[1]}}`, true);
+    }
+  }
+
+  // ICU 消息中的 | 是普通字符，其他消息按 vue-i18n 的复数分隔符处理
+  const pipeBranches =
+    icu && (icu.plurals.length > 0 || icu.selects.length > 0)
+      ? 1
+      : splitPipeBranches(icuText).length;
+
+  return {
+    tokens,
+    linkedKeys,
+    plurals: icu ? icu.plurals : [],
+    pipeBranches,
+    syntaxError,
+    icu,
+  };
+}
+
+/**
+ * 获取渲染消息时需要传入的命名参数
+ * 包括 ICU 和 vue-i18n 的 {name}、i18next 的 {{name}}，以及链接消息引用的翻译中的参数；
+ * {user.name} 只需要传入 user，{0} 等列表插值的参数不计入
+ * @param {string} text 消息
+ * @param {(key: string) => any} [getLinkedMessage] 获取链接消息引用的翻译
+ * @param {Set<string>} [visited] 已处理的链接键，避免循环引用
+ * @returns {Set<string>} 参数名
+ */
+function getMessageParameters(text, getLinkedMessage, visited = new Set()) {
+  const names = new Set();
+  if (typeof text !== "string" || !text) {
+    return names;
+  }
+
+  const analysis = analyzeMessage(text);
+  for (const token of analysis.tokens.keys()) {
+    const match = /^\{\{?([^{}]+?)\}?\}$/.exec(token);
+    if (!match) {
+      continue;
+    }
+    // i18next 的 {{- name}} 表示不转义
+    const name = match[1].replace(/^-\s*/, "").split(".")[0];
+    if (name && !/^\d+$/.test(name)) {
+      names.add(name);
+    }
+  }
+
+  if (getLinkedMessage) {
+    for (const key of analysis.linkedKeys) {
+      if (visited.has(key)) {
+        continue;
+      }
+      visited.add(key);
+      const linked = getLinkedMessage(key);
+      for (const name of getMessageParameters(
+        linked,
+        getLinkedMessage,
+        visited
+      )) {
+        names.add(name);
+      }
+    }
+  }
+
+  return names;
+}
+
+/**
+ * 获取语言的 CLDR 复数类别
+ * @param {string} locale 语言
+ * @param {string} [type] cardinal 或 ordinal
+ * @returns {string[]|null} 按 CLDR 顺序排列的复数类别，无法识别语言时返回 null
+ */
+function getPluralCategories(locale, type = "cardinal") {
+  try {
+    const categories = new Intl.PluralRules(locale.replace(/_/g, "-"), {
+      type,
+    }).resolvedOptions().pluralCategories;
+    // 按 CLDR 的顺序排列，与 vue-i18n 复数分支的习惯顺序一致
+    return PLURAL_CATEGORIES.filter((category) =>
+      categories.includes(category)
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 对比两个占位符计数，获取缺失和多余的占位符
+ * @param {Map<string, number>} expected 默认语言中的占位符
+ * @param {Map<string, number>} actual 当前语言中的占位符
+ * @returns {{missing: string[], extra: string[]}} 对比结果
+ */
+function compareTokens(expected, actual) {
+  const missing = [];
+  const extra = [];
+  for (const [token, count] of expected) {
+    if ((actual.get(token) || 0) < count) {
+      missing.push(token);
+    }
+  }
+  for (const [token, count] of actual) {
+    if ((expected.get(token) || 0) < count) {
+      extra.push(token);
+    }
+  }
+  return { missing, extra };
+}
+
+/**
+ * 校验一个键在各语言中的翻译
+ * - 单条消息的 ICU 语法以及复数类别是否符合该语言的 CLDR 规则
+ * - 链接消息引用的键是否存在
+ * - 与默认语言对比占位符、链接消息、HTML 标签和复数分支数量
+ * @param {Object} translations { 语言: 翻译值 }
+ * @param {string|null} defaultLocale 默认语言
+ * @param {Map<string, Object>} allKeys 所有键，完整键 → { 语言: 翻译值 }，用于检查链接消息
+ * @returns {Object<string, Object[]>} 语言 → 问题列表 { message, severity, code }，severity 为 error 或 warning
+ */
+function validateTranslations(translations, defaultLocale, allKeys) {
+  const analyses = {};
+  for (const locale in translations) {
+    const value = translations[locale];
+    if (typeof value === "string" && value) {
+      analyses[locale] = analyzeMessage(value);
+    }
+  }
+
+  const base = defaultLocale ? analyses[defaultLocale] : null;
+  const issues = {};
+  for (const locale in analyses) {
+    const analysis = analyses[locale];
+    const list = [];
+    const report = (message, severity, code) =>
+      list.push({ message, severity, code });
+
+    if (analysis.syntaxError) {
+      report(
+        `ICU 消息语法错误: ${analysis.syntaxError.message}（第 ${
+          analysis.syntaxError.offset + 1
+        } 个字符）`,
+        "error",
+        INVALID_MESSAGE_CODE
+      );
+    }
+
+    for (const plural of analysis.plurals) {
+      const categories = getPluralCategories(
+        locale,
+        plural.type === "selectordinal" ? "ordinal" : "cardinal"
+      );
+      const missing = (categories || []).filter(
+        (category) => !plural.keys.includes(category)
+      );
+      if (missing.length > 0) {
+        report(
+          `参数 "${plural.name}" 的复数分支缺少 ${locale} 的类别: ${missing.join(", ")}`,
+          "warning",
+          PLURAL_MISMATCH_CODE
+        );
+      }
+    }
+
+    for (const key of new Set(analysis.linkedKeys)) {
+      const target = allKeys.get(key);
+      if (!target) {
+        report(
+          `链接的翻译键 "${key}" 不存在`,
+          "error",
+          LINKED_KEY_MISSING_CODE
+        );
+      } else if (target[locale] === undefined || target[locale] === null) {
+        report(
+          `链接的翻译键 "${key}" 在 ${locale} 中不存在`,
+          "warning",
+          LINKED_KEY_MISSING_CODE
+        );
+      }
+    }
+
+    // 语法错误时无法准确提取占位符，只报告语法错误
+    if (
+      base &&
+      locale !== defaultLocale &&
+      !base.syntaxError &&
+      !analysis.syntaxError
+    ) {
+      const { missing, extra } = compareTokens(base.tokens, analysis.tokens);
+      if (missing.length > 0) {
+        report(
+          `与默认语言 ${defaultLocale} 相比缺少: ${missing.join(", ")}`,
+          "warning",
+          PLACEHOLDER_MISMATCH_CODE
+        );
+      }
+      if (extra.length > 0) {
+        report(
+          `与默认语言 ${defaultLocale} 相比多出: ${extra.join(", ")}`,
+          "warning",
+          PLACEHOLDER_MISMATCH_CODE
+        );
+      }
+
+      // 分支数量与默认语言不同时，只要符合该语言的 CLDR 类别数（可额外带 zero 分支）即视为正确，
+      // 如 ja 只有 other 类别，单个分支的消息与 en 的 "apple | apples" 并不冲突
+      const expected = base.pipeBranches;
+      const actual = analysis.pipeBranches;
+      if (expected !== actual && (expected > 1 || actual > 1)) {
+        const categories = getPluralCategories(locale);
+        if (
+          !categories ||
+          (actual !== categories.length && actual !== categories.length + 1)
+        ) {
+          report(
+            `复数分支数量为 ${actual}，与默认语言 ${defaultLocale} 的 ${expected} 个不一致`,
+            "warning",
+            PLURAL_MISMATCH_CODE
+          );
+        }
+      }
+    }
+
+    if (list.length > 0) {
+      issues[locale] = list;
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * 校验所有多语言数据
+ * @param {Object} localeData 多语言数据
+ * @param {string|null} defaultLocale 默认语言
+ * @returns {Object[]} 问题列表 { locale, namespace, key, fullKey, message, severity, code }
+ */
+function validateLocaleData(localeData, defaultLocale) {
+  // 完整键 → { 语言: 翻译值 }，以及完整键 → { 语言: [命名空间, 键] }
+  const allKeys = new Map();
+  const locations = new Map();
+  for (const locale in localeData) {
+    for (const namespace in localeData[locale]) {
+      const entries = localeData[locale][namespace];
+      for (const key in entries) {
+        const value = entries[key];
+        // 跳过扁平化时保留的中间层对象
+        if (value && typeof value === "object" && !Array.isArray(value)) {
+          continue;
+        }
+
+        const fullKey = getNamespaceKey(namespace, key);
+        if (!allKeys.has(fullKey)) {
+          allKeys.set(fullKey, {});
+          locations.set(fullKey, {});
+        }
+        allKeys.get(fullKey)[locale] = value;
+        locations.get(fullKey)[locale] = [namespace, key];
+      }
+    }
+  }
+
+  const results = [];
+  for (const [fullKey, translations] of allKeys) {
+    const issues = validateTranslations(translations, defaultLocale, allKeys);
+    for (const locale in issues) {
+      const [namespace, key] = locations.get(fullKey)[locale];
+      for (const issue of issues[locale]) {
+        results.push({ locale, namespace, key, fullKey, ...issue });
+      }
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  INVALID_MESSAGE_CODE,
+  PLACEHOLDER_MISMATCH_CODE,
+  PLURAL_MISMATCH_CODE,
+  LINKED_KEY_MISSING_CODE,
+  MessageSyntaxError,
+  parseIcuMessage,
+  analyzeMessage,
+  getMessageParameters,
+  maskNonIcuBraces,
+  unmaskBraces,
+  splitPipeBranches,
+  getPluralCategories,
+  validateTranslations,
+  validateLocaleData,
+};
@@ -0,0 +1,223 @@
+const vscode = require("vscode");
+const translationProvider = require("./translationProvider");
+const usageScanner = require("./usageScanner");
+const { compileKeyPattern } = require("./keyAnalyzer");
+const { getNamespaceKey, matchLocale } = require("./localeManager");
+
+/**
+ * 查找光标位置处的翻译键调用
+ * @param {vscode.TextDocument} document 文本文档
+ * @param {vscode.Position} position 光标位置
+ * @returns {{key: string, range: vscode.Range}|undefined} 翻译键及范围
+ */
+function findKeyAtPosition(document, position) {
+  return translationProvider
+    .findI18nKeys(document)
+    .find(({ range, dynamic }) => !dynamic && range.contains(position));
+}
+
+/**
+ * 查找光标位置处多语言文件中定义的键
+ * @param {vscode.TextDocument} document 多语言文件文档
+ * @param {vscode.Position} position 光标位置
+ * @param {Object} keySources 键源码位置集合
+ * @returns {{locale: string, namespace: string, key: string}|undefined} 键信息
+ */
+function findLocaleKeyAtPosition(document, position, keySources) {
+  const filePath = document.uri.fsPath;
+  const offset = document.offsetAt(position);
+
+  for (const locale in keySources) {
+    for (const namespace in keySources[locale]) {
+      const sources = keySources[locale][namespace];
+      for (const key in sources) {
+        const source = sources[key];
+        if (
+          vscode.Uri.file(source.file).fsPath === filePath &&
+          offset >= source.start &&
+          offset <= source.end
+        ) {
+          return { locale, namespace, key };
+        }
+      }
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * 查找翻译键在各语言文件中的定义位置
+ * 每种语言只返回第一个匹配的定义
+ * @param {string} key 翻译键
+ * @param {Object} keySources 键源码位置集合
+ * @returns {{locale: string, namespace: string, source: Object}[]} 定义列表
+ */
+function findKeySources(key, keySources) {
+  const results = [];
+  const parts = key.split(".");
+
+  for (const locale in keySources) {
+    for (const namespace in keySources[locale]) {
+      const sources = keySources[locale][namespace];
+
+      // 与翻译查找保持一致: 完整键 → 去掉命名空间前缀的键 → 最后一部分
+      const candidates = [key];
+      if (key.startsWith(`${namespace}.`)) {
+        candidates.push(key.slice(namespace.length + 1));
+      }
+      if (parts.length > 1) {
+        candidates.push(parts[parts.length - 1]);
+      }
+
+      const matchedKey = candidates.find((candidate) => sources[candidate]);
+      if (matchedKey) {
+        results.push({ locale, namespace, source: sources[matchedKey] });
+        break;
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * 将键源码位置转换为 vscode.Location
+ * @param {{file: string, start: number, end: number}} source 键源码位置
+ * @returns {Promise<vscode.Location>} 位置
+ */
+async function toLocation(source) {
+  const uri = vscode.Uri.file(source.file);
+  const document = await vscode.workspace.openTextDocument(uri);
+  return new vscode.Location(
+    uri,
+    new vscode.Range(
+      document.positionAt(source.start),
+      document.positionAt(source.end)
+    )
+  );
+}
+
+/**
+ * 获取翻译键在所有语言中的定义位置，默认语言排在最前
+ * @param {string} key 翻译键
+ * @param {Object} localeState 多语言状态 { localeData, localeFiles, keySources }
+ * @returns {Promise<vscode.Location[]>} 定义位置列表
+ */
+async function getKeyDefinitionLocations(key, localeState) {
+  const keySources = localeState.keySources || {};
+  const config = vscode.workspace.getConfiguration("devCooker");
+  const defaultLocale = matchLocale(
+    Object.keys(keySources),
+    config.get("i18n.defaultLocale", "zh-CN")
+  );
+
+  const definitions = findKeySources(key, keySources).sort((a, b) => {
+    if (a.locale === defaultLocale) return -1;
+    if (b.locale === defaultLocale) return 1;
+    return a.locale.localeCompare(b.locale);
+  });
+
+  const locations = [];
+  for (const { source } of definitions) {
+    try {
+      locations.push(await toLocation(source));
+    } catch (error) {
+      console.warn(`无法打开多语言文件: "${source.file}"`, error);
+    }
+  }
+  return locations;
+}
+
+/**
+ * 获取翻译键定义提供器
+ * 跳转到默认语言文件中键的定义位置，默认语言缺失时跳转到第一个找到的定义
+ * @param {(document: vscode.TextDocument) => Object} getLocaleState 获取文档所属语言集最新多语言状态的函数
+ * @returns {vscode.DefinitionProvider} 定义提供器
+ */
+function getTranslationDefinitionProvider(getLocaleState) {
+  return {
+    async provideDefinition(document, position) {
+      const item = findKeyAtPosition(document, position);
+      if (!item) {
+        return undefined;
+      }
+
+      const locations = await getKeyDefinitionLocations(
+        item.key,
+        getLocaleState(document)
+      );
+      return locations.length > 0 ? locations[0] : undefined;
+    },
+  };
+}
+
+/**
+ * 获取翻译键引用提供器
+ * 支持在多语言文件中的键上，或代码中的翻译调用上查找所有引用，只查找同一语言集所属包中的引用
+ * @param {(document: vscode.TextDocument) => Object} getLocaleState 获取文档所属语言集最新多语言状态的函数
+ * @returns {vscode.ReferenceProvider} 引用提供器
+ */
+function getTranslationReferenceProvider(getLocaleState) {
+  return {
+    async provideReferences(document, position, context, token) {
+      const localeState = getLocaleState(document);
+      const searchKeys = new Set();
+      let definitionKey = null;
+
+      const localeKey = findLocaleKeyAtPosition(
+        document,
+        position,
+        localeState.keySources || {}
+      );
+      if (localeKey) {
+        // 多语言文件中的键，代码中可能使用带命名空间前缀或不带前缀的形式
+        definitionKey = getNamespaceKey(localeKey.namespace, localeKey.key);
+        searchKeys.add(definitionKey);
+        searchKeys.add(localeKey.key);
+      } else {
+        const item = findKeyAtPosition(document, position);
+        if (!item) {
+          return undefined;
+        }
+        definitionKey = item.key;
+        searchKeys.add(item.key);
+      }
+
+      const { usages, patterns } = await usageScanner.scanWorkspaceUsages(
+        localeState.localeFiles,
+        token,
+        localeState.includesFile
+      );
+
+      const locations = [];
+      for (const key of searchKeys) {
+        locations.push(...(usages.get(key) || []));
+      }
+
+      // 可能使用该键的动态键调用
+      for (const pattern of patterns) {
+        const regex = compileKeyPattern(pattern);
+        if ([...searchKeys].some((key) => regex.test(key))) {
+          locations.push(...usages.get(pattern));
+        }
+      }
+
+      if (context.includeDeclaration) {
+        locations.push(
+          ...(await getKeyDefinitionLocations(definitionKey, localeState))
+        );
+      }
+
+      return locations;
+    },
+  };
+}
+
+module.exports = {
+  findKeyAtPosition,
+  findLocaleKeyAtPosition,
+  getTranslationDefinitionProvider,
+  getTranslationReferenceProvider,
+  getKeyDefinitionLocations,
+};
@@ -0,0 +1,357 @@
+const vscode = require("vscode");
+const path = require("path");
+const fs = require("fs").promises;
+const translationProvider = require("./translationProvider");
+const usageScanner = require("./usageScanner");
+const navigationProvider = require("./navigationProvider");
+const {
+  getNamespaceKey,
+  collectTranslationKeys,
+  modifyLocaleContent,
+  getNestedValue,
+  setNestedValue,
+  deleteNestedValue,
+} = require("./localeManager");
+
+// 合法的翻译键格式
+const KEY_PATTERN = /^[\w$-]+(\.[\w$-]+)*$/;
+
+/**
+ * 查找光标处可重命名的翻译键
+ * 优先识别多语言文件中的键，其次识别代码中的翻译调用
+ * @param {vscode.TextDocument} document 文本文档
+ * @param {vscode.Position} position 光标位置
+ * @param {Object} keySources 键源码位置集合
+ * @returns {{key: string, range: vscode.Range, namespace?: string}|undefined}
+ *   完整键及光标处键文本的范围，多语言文件中的键还包含所属命名空间
+ */
+function findRenameTarget(document, position, keySources) {
+  const localeKey = navigationProvider.findLocaleKeyAtPosition(
+    document,
+    position,
+    keySources
+  );
+  if (localeKey) {
+    const source =
+      keySources[localeKey.locale][localeKey.namespace][localeKey.key];
+    return {
+      key: getNamespaceKey(localeKey.namespace, localeKey.key),
+      namespace: localeKey.namespace,
+      range: trimQuotes(
+        document,
+        new vscode.Range(
+          document.positionAt(source.start),
+          document.positionAt(source.end)
+        )
+      ),
+    };
+  }
+
+  const item = navigationProvider.findKeyAtPosition(document, position);
+  if (item) {
+    return { key: item.key, range: trimQuotes(document, item.range) };
+  }
+
+  return undefined;
+}
+
+/**
+ * 获取调用位置中需要重命名的键及对应的新键
+ * 与查找引用一致，多语言文件中非 common 命名空间的键在代码中可能带命名空间前缀，也可能不带
+ * @param {{key: string, namespace?: string}} target 重命名目标
+ * @param {string} newKey 新完整键
+ * @returns {Map<string, string>} 原键 → 新键
+ */
+function getCallSiteRenames(target, newKey) {
+  const renames = new Map([[target.key, newKey]]);
+  if (target.namespace && target.namespace !== "common") {
+    const prefix = `${target.namespace}.`;
+    // 新键仍在同一命名空间时，不带前缀的调用保持不带前缀
+    renames.set(
+      target.key.slice(prefix.length),
+      newKey.startsWith(prefix) ? newKey.slice(prefix.length) : newKey
+    );
+  }
+  return renames;
+}
+
+/**
+ * 根据完整键判断其所属的命名空间
+ * 第一段为非 common 的已有命名空间时属于该命名空间，否则属于 common
+ * @param {string} key 完整键
+ * @param {Object} localeFiles 多语言文件信息
+ * @returns {string} 命名空间
+ */
+function getKeyNamespace(key, localeFiles) {
+  const parts = key.split(".");
+  if (parts.length > 1 && parts[0] !== "common") {
+    for (const locale in localeFiles) {
+      if (localeFiles[locale][parts[0]]) {
+        return parts[0];
+      }
+    }
+  }
+  return "common";
+}
+
+/**
+ * 去除范围两端的引号
+ * @param {vscode.TextDocument} document 文本文档
+ * @param {vscode.Range} range 范围
+ * @returns {vscode.Range} 不含引号的范围
+ */
+function trimQuotes(document, range) {
+  const text = document.getText(range);
+  if (/^(['"`]).*\1$/s.test(text)) {
+    return new vscode.Range(
+      range.start.translate(0, 1),
+      range.end.translate(0, -1)
+    );
+  }
+  return range;
+}
+
+/**
+ * 读取文件内容，已打开的文档使用编辑器中的内容
+ * @param {string} file 文件路径
+ * @returns {Promise<{content: string, document?: vscode.TextDocument}>} 文件内容
+ */
+async function readFileContent(file) {
+  const fsPath = vscode.Uri.file(file).fsPath;
+  const document = vscode.workspace.textDocuments.find(
+    (doc) => doc.uri.fsPath === fsPath
+  );
+  if (document) {
+    return { content: document.getText(), document };
+  }
+  return { content: await fs.readFile(file, "utf-8") };
+}
+
+/**
+ * 向 WorkspaceEdit 中添加多语言文件中键的重命名
+ * 键对应的值可以是嵌套对象，会整体移动到新的路径下
+ * @param {vscode.WorkspaceEdit} edit 工作区编辑
+ * @param {string} oldKey 原完整键
+ * @param {string} newKey 新完整键
+ * @param {Object} localeFiles 多语言文件信息
+ * @returns {Promise<number>} 修改的文件数量
+ */
+async function addLocaleFileEdits(edit, oldKey, newKey, localeFiles) {
+  let changedFiles = 0;
+
+  for (const locale in localeFiles) {
+    for (const namespace in localeFiles[locale]) {
+      // 命名空间内的键可以带或不带命名空间前缀
+      const prefix = `${namespace}.`;
+      const candidates = [oldKey];
+      if (oldKey.startsWith(prefix)) {
+        candidates.push(oldKey.slice(prefix.length));
+      }
+      const targetKey = newKey.startsWith(prefix)
+        ? newKey.slice(prefix.length)
+        : newKey;
+
+      for (const file of localeFiles[locale][namespace]) {
+        let fileContent;
+        try {
+          fileContent = await readFileContent(file);
+        } catch (error) {
+          console.warn(`读取多语言文件失败: "${file}"`, error);
+          continue;
+        }
+
+        const { content, document } = fileContent;
+        const ext = path.extname(file).toLowerCase();
+        let renamed = false;
+        let newContent;
+        try {
+          newContent = modifyLocaleContent(content, ext, (data) => {
+            const sourceKey = candidates.find(
+              (candidate) =>
+                getNestedValue(data, candidate.split(".")) !== undefined
+            );
+            if (!sourceKey) {
+              return;
+            }
+
+            const value = getNestedValue(data, sourceKey.split("."));
+            deleteNestedValue(data, sourceKey.split("."));
+            setNestedValue(data, targetKey.split("."), value);
+            renamed = true;
+          });
+        } catch (error) {
+          console.warn(`无法修改多语言文件: "${file}"`, error);
+          continue;
+        }
+
+        if (!renamed) {
+          continue;
+        }
+
+        // 替换整个文件内容
+        const endPosition = document
+          ? document.positionAt(content.length)
+          : usageScanner.createPositionResolver(content)(content.length);
+        edit.replace(
+          vscode.Uri.file(file),
+          new vscode.Range(new vscode.Position(0, 0), endPosition),
+          newContent
+        );
+        changedFiles++;
+      }
+    }
+  }
+
+  return changedFiles;
+}
+
+/**
+ * 向 WorkspaceEdit 中添加代码中调用位置的重命名
+ * 已修改未保存的文档使用编辑器中的内容重新定位
+ * @param {vscode.WorkspaceEdit} edit 工作区编辑
+ * @param {Map<string, string>} renames 原键 → 新键
+ * @param {Object} localeFiles 多语言文件信息
+ * @param {vscode.CancellationToken} token 取消令牌
+ * @param {(fsPath: string) => boolean} [includesFile] 可选，只更新返回 true 的文件
+ * @returns {Promise<boolean>} 是否扫描了所有文件，取消时返回 false
+ */
+async function addCallSiteEdits(
+  edit,
+  renames,
+  localeFiles,
+  token,
+  includesFile
+) {
+  const { usages, cancelled } = await usageScanner.scanWorkspaceUsages(
+    localeFiles,
+    token,
+    includesFile
+  );
+  if (cancelled) {
+    return false;
+  }
+
+  const dirtyDocuments = new Map(
+    vscode.workspace.textDocuments
+      .filter((document) => document.isDirty)
+      .map((document) => [document.uri.fsPath, document])
+  );
+
+  for (const [oldKey, newKey] of renames) {
+    for (const location of usages.get(oldKey) || []) {
+      if (dirtyDocuments.has(location.uri.fsPath)) {
+        continue;
+      }
+      edit.replace(
+        location.uri,
+        new vscode.Range(
+          location.range.start.translate(0, 1),
+          location.range.end.translate(0, -1)
+        ),
+        newKey
+      );
+    }
+  }
+
+  for (const document of dirtyDocuments.values()) {
+    for (const item of translationProvider.findI18nKeys(document)) {
+      if (renames.has(item.key)) {
+        edit.replace(
+          document.uri,
+          trimQuotes(document, item.range),
+          renames.get(item.key)
+        );
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * 获取翻译键重命名提供器
+ * 在所有语言和命名空间中重命名键，并更新同一语言集所属包中的所有调用位置
+ * @param {(document: vscode.TextDocument) => Object} getLocaleState 获取文档所属语言集最新多语言状态的函数
+ * @returns {vscode.RenameProvider} 重命名提供器
+ */
+function getTranslationRenameProvider(getLocaleState) {
+  return {
+    prepareRename(document, position) {
+      const target = findRenameTarget(
+        document,
+        position,
+        getLocaleState(document).keySources || {}
+      );
+      if (!target) {
+        throw new Error("光标处没有可重命名的翻译键");
+      }
+      return { range: target.range, placeholder: target.key };
+    },
+
+    async provideRenameEdits(document, position, newName, token) {
+      const { localeData, localeFiles, keySources, includesFile } =
+        getLocaleState(document);
+      const target = findRenameTarget(document, position, keySources || {});
+      if (!target) {
+        return undefined;
+      }
+
+      const oldKey = target.key;
+      const newKey = newName.trim();
+      if (!KEY_PATTERN.test(newKey)) {
+        throw new Error(
+          "翻译键只能包含字母、数字、下划线和中划线，并以点号分隔"
+        );
+      }
+      if (newKey === oldKey) {
+        return undefined;
+      }
+      // 跨命名空间重命名需要把值移动到另一个文件中，不支持
+      const oldNamespace =
+        target.namespace || getKeyNamespace(oldKey, localeFiles);
+      if (oldNamespace !== getKeyNamespace(newKey, localeFiles)) {
+        throw new Error(
+          `不能将翻译键重命名到其他命名空间: ${oldKey} → ${newKey}`
+        );
+      }
+      // 新键不能与已有的键或嵌套对象冲突
+      const existingKeys = [...collectTranslationKeys(localeData).keys()];
+      if (
+        existingKeys.some(
+          (key) => key === newKey || key.startsWith(`${newKey}.`)
+        )
+      ) {
+        throw new Error(`翻译键已存在: ${newKey}`);
+      }
+
+      const edit = new vscode.WorkspaceEdit();
+      const changedFiles = await addLocaleFileEdits(
+        edit,
+        oldKey,
+        newKey,
+        localeFiles
+      );
+      if (changedFiles === 0) {
+        throw new Error(`未在多语言文件中找到翻译键: ${oldKey}`);
+      }
+
+      // 取消扫描时只找到了部分调用位置，放弃整个重命名以免键与调用不一致
+      const completed = await addCallSiteEdits(
+        edit,
+        getCallSiteRenames(target, newKey),
+        localeFiles,
+        token,
+        includesFile
+      );
+      if (!completed || token.isCancellationRequested) {
+        return undefined;
+      }
+
+      return edit;
+    },
+  };
+}
+
+module.exports = {
+  getTranslationRenameProvider,
+};
@@ -0,0 +1,392 @@
+const acorn = require("acorn");
+const walk = require("acorn-walk");
+const {
+  JSX_TRANSLATION_COMPONENTS,
+  getCallMethodName,
+  parseScript,
+  walkBase,
+} = require("./keyAnalyzer");
+
+// 模板中的标签，属性值中允许出现 ">"
+const TAG_PATTERN =
+  /<!--[\s\S]*?-->|<\/?[A-Za-z][\w.:-]*(?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*\s*\/?>/g;
+// 标签中的属性
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+// 文本节点中的插值表达式
+const INTERPOLATION_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+// 按脚本解析的语言类型
+const SCRIPT_LANGUAGES = [
+  "javascript",
+  "typescript",
+  "javascriptreact",
+  "typescriptreact",
+];
+// 不包含文本内容的标签，跳过其内部
+const RAW_TEXT_TAGS = ["script", "style", "pre", "code"];
+
+/**
+ * 查找文本中所有可提取为翻译键的字符串
+ * 返回的候选项类型:
+ * - script: 脚本中的字符串字面量，范围包含引号
+ * - expression: 模板表达式（插值或绑定属性）中的字符串字面量，范围包含引号
+ * - attribute: 模板中的静态属性，范围覆盖整个 name="value"
+ * - text: 模板中的文本节点，范围为去除首尾空白后的文本
+ * - jsxAttribute: JSX 中的静态字符串属性值，范围包含引号
+ * - jsxText: JSX 中的文本子节点，范围为去除首尾空白后的文本
+ * @param {string} text 文件文本
+ * @param {string} languageId 语言类型
+ * @param {string[]} translationMethods 翻译方法名称列表
+ * @returns {{kind: string, value: string, start: number, end: number, attribute?: string}[]} 候选字符串
+ */
+function findExtractableStrings(text, languageId, translationMethods) {
+  if (languageId === "vue") {
+    return findVueStrings(text, translationMethods);
+  }
+  if (SCRIPT_LANGUAGES.includes(languageId)) {
+    return findScriptStrings(
+      text,
+      0,
+      "script",
+      translationMethods,
+      languageId
+    );
+  }
+  return [];
+}
+
+/**
+ * 查找包含指定偏移量的可提取字符串
+ * @param {string} text 文件文本
+ * @param {string} languageId 语言类型
+ * @param {string[]} translationMethods 翻译方法名称列表
+ * @param {number} offset 偏移量
+ * @returns {Object|undefined} 候选字符串
+ */
+function findExtractableStringAt(text, languageId, translationMethods, offset) {
+  // 嵌套时（如属性中的表达式）取范围最小的候选项
+  return findExtractableStrings(text, languageId, translationMethods)
+    .filter(({ start, end }) => offset >= start && offset <= end)
+    .sort((a, b) => a.end - a.start - (b.end - b.start))[0];
+}
+
+/**
+ * 查找Vue单文件组件中的可提取字符串
+ * @param {string} text 文件文本
+ * @param {string[]} translationMethods 翻译方法名称列表
+ * @returns {Object[]} 候选字符串
+ */
+function findVueStrings(text, translationMethods) {
+  const results = [];
+
+  // 模板部分
+  const templateMatch = text.match(/<template(\s[^>]*)?>([\s\S]*)<\/template>/);
+  if (templateMatch) {
+    const templateContent = templateMatch[2];
+    const templateOffset =
+      templateMatch.index + templateMatch[0].indexOf(templateContent);
+    results.push(
+      ...findTemplateStrings(templateContent, templateOffset, translationMethods)
+    );
+  }
+
+  // 脚本部分，lang="ts" 的脚本按 TS 解析
+  const scriptPattern = /<script(\s+[^>]*)?>([\s\S]*?)<\/script>/gi;
+  let scriptMatch;
+  while ((scriptMatch = scriptPattern.exec(text)) !== null) {
+    const scriptContent = scriptMatch[2];
+    const scriptOffset =
+      scriptMatch.index + scriptMatch[0].indexOf(scriptContent);
+    const isTypeScript = /\blang\s*=\s*["']tsx?["']/.test(
+      scriptMatch[1] || ""
+    );
+    results.push(
+      ...findScriptStrings(
+        scriptContent,
+        scriptOffset,
+        "script",
+        translationMethods,
+        isTypeScript ? "typescript" : "javascript"
+      )
+    );
+  }
+
+  return results;
+}
+
+/**
+ * 查找模板中的文本节点、静态属性以及表达式中的字符串
+ * @param {string} template 模板内容
+ * @param {number} offset 模板在文件中的偏移量
+ * @param {string[]} translationMethods 翻译方法名称列表
+ * @returns {Object[]} 候选字符串
+ */
+function findTemplateStrings(template, offset, translationMethods) {
+  const results = [];
+  let lastIndex = 0;
+  let rawTextTag = null;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    const tag = match[0];
+    const tagName = (tag.match(/^<\/?([\w.:-]+)/) || [])[1];
+
+    // 跳过 script/style 等标签的内部内容
+    if (rawTextTag) {
+      if (tagName && tagName.toLowerCase() === rawTextTag && tag[1] === "/") {
+        rawTextTag = null;
+      }
+      lastIndex = match.index + tag.length;
+      continue;
+    }
+
+    // 标签之间的文本节点
+    results.push(
+      ...findTextNodeStrings(
+        template.slice(lastIndex, match.index),
+        offset + lastIndex,
+        translationMethods
+      )
+    );
+    lastIndex = match.index + tag.length;
+
+    if (tag.startsWith("<!--") || tag[1] === "/") {
+      continue;
+    }
+
+    results.push(
+      ...findAttributeStrings(tag, offset + match.index, translationMethods)
+    );
+
+    if (
+      tagName &&
+      RAW_TEXT_TAGS.includes(tagName.toLowerCase()) &&
+      !tag.endsWith("/>")
+    ) {
+      rawTextTag = tagName.toLowerCase();
+    }
+  }
+
+  results.push(
+    ...findTextNodeStrings(
+      template.slice(lastIndex),
+      offset + lastIndex,
+      translationMethods
+    )
+  );
+
+  return results;
+}
+
+/**
+ * 查找文本节点中的静态文本及插值表达式中的字符串
+ * @param {string} content 文本节点内容
+ * @param {number} offset 文本节点在文件中的偏移量
+ * @param {string[]} translationMethods 翻译方法名称列表
+ * @returns {Object[]} 候选字符串
+ */
+function findTextNodeStrings(content, offset, translationMethods) {
+  const results = [];
+  let lastIndex = 0;
+  let match;
+
+  const pushText = (start, end) => {
+    const piece = content.slice(start, end);
+    const trimmed = piece.trim();
+    if (!trimmed) {
+      return;
+    }
+    const leading = piece.length - piece.trimStart().length;
+    results.push({
+      kind: "text",
+      value: trimmed.replace(/\s+/g, " "),
+      start: offset + start + leading,
+      end: offset + start + leading + trimmed.length,
+    });
+  };
+
+  INTERPOLATION_PATTERN.lastIndex = 0;
+  while ((match = INTERPOLATION_PATTERN.exec(content)) !== null) {
+    pushText(lastIndex, match.index);
+
+    const expressionOffset = offset + match.index + 2;
+    results.push(
+      ...findScriptStrings(
+        match[1],
+        expressionOffset,
+        "expression",
+        translationMethods
+      )
+    );
+    lastIndex = match.index + match[0].length;
+  }
+  pushText(lastIndex, content.length);
+
+  return results;
+}
+
+/**
+ * 查找标签属性中的字符串
+ * 静态属性作为 attribute 候选项，绑定属性和指令中的字符串字面量作为 expression 候选项
+ * @param {string} tag 标签文本
+ * @param {number} offset 标签在文件中的偏移量
+ * @param {string[]} translationMethods 翻译方法名称列表
+ * @returns {Object[]} 候选字符串
+ */
+function findAttributeStrings(tag, offset, translationMethods) {
+  const results = [];
+  let match;
+
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(tag)) !== null) {
+    const [fullMatch, name] = match;
+    const value = match[2] !== undefined ? match[2] : match[3];
+    const valueOffset =
+      offset + match.index + fullMatch.length - value.length - 1;
+
+    if (/^(:|@|#|v-)/.test(name)) {
+      // 绑定属性或指令，值为JS表达式
+      results.push(
+        ...findScriptStrings(value, valueOffset, "expression", translationMethods)
+      );
+    } else if (value.trim()) {
+      results.push({
+        kind: "attribute",
+        attribute: name,
+        value,
+        start: offset + match.index,
+        end: offset + match.index + fullMatch.length,
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * 查找JS代码中的字符串字面量
+ * 跳过模块路径、对象属性名、指令、console 输出以及翻译方法的参数
+ * JSX 中的静态属性值和文本子节点分别作为 jsxAttribute 和 jsxText 候选项
+ * @param {string} content JS代码
+ * @param {number} offset 代码在文件中的偏移量
+ * @param {string} kind 候选项类型
+ * @param {string[]} translationMethods 翻译方法名称列表
+ * @param {string} [languageId] 脚本的语言类型，决定是否支持 TS 和 JSX 语法
+ * @returns {Object[]} 候选字符串
+ */
+function findScriptStrings(
+  content,
+  offset,
+  kind,
+  translationMethods,
+  languageId = "javascript"
+) {
+  const results = [];
+  const translationMethodsSet = new Set(translationMethods);
+
+  let ast;
+  if (kind === "expression") {
+    try {
+      ast = acorn.parseExpressionAt(content, 0, { ecmaVersion: "latest" });
+    } catch {
+      // 无法解析的代码（如 v-for 表达式）直接跳过
+      return results;
+    }
+  } else {
+    ast = parseScript(content, languageId);
+    if (!ast) {
+      return results;
+    }
+  }
+
+  const isIgnored = (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 2];
+    if (!parent) {
+      return false;
+    }
+
+    switch (parent.type) {
+      case "ImportDeclaration":
+      case "ExportNamedDeclaration":
+      case "ExportAllDeclaration":
+      case "ImportExpression":
+        return true;
+      case "Property":
+      case "MethodDefinition":
+      case "PropertyDefinition":
+        return parent.key === node && !parent.computed;
+      case "ExpressionStatement":
+        return !!parent.directive;
+      case "JSXAttribute":
+        // <Trans i18nKey="..."> 等组件的键属性
+        return Object.values(JSX_TRANSLATION_COMPONENTS).includes(
+          parent.name.name
+        );
+      case "MemberExpression":
+        return parent.property === node;
+      case "CallExpression": {
+        const methodName = getCallMethodName(parent.callee);
+        const isConsoleCall =
+          parent.callee.type === "MemberExpression" &&
+          parent.callee.object.type === "Identifier" &&
+          parent.callee.object.name === "console";
+        return (
+          methodName === "require" ||
+          isConsoleCall ||
+          (translationMethodsSet.has(methodName) &&
+            parent.arguments[0] === node)
+        );
+      }
+      default:
+        return false;
+    }
+  };
+
+  walk.fullAncestor(ast, (node, state, ancestors) => {
+    if (node.type === "Literal" && typeof node.value === "string") {
+      if (node.value.trim() && !isIgnored(node, ancestors)) {
+        const parent = ancestors[ancestors.length - 2];
+        const isJsxAttribute = parent && parent.type === "JSXAttribute";
+        results.push({
+          kind: isJsxAttribute ? "jsxAttribute" : kind,
+          value: node.value,
+          start: node.start + offset,
+          end: node.end + offset,
+        });
+      }
+    } else if (node.type === "JSXText") {
+      const raw = content.slice(node.start, node.end);
+      const trimmed = raw.trim();
+      if (trimmed) {
+        const start = node.start + raw.length - raw.trimStart().length;
+        results.push({
+          kind: "jsxText",
+          value: trimmed.replace(/\s+/g, " "),
+          start: start + offset,
+          end: start + trimmed.length + offset,
+        });
+      }
+    } else if (
+      node.type === "TemplateLiteral" &&
+      node.expressions.length === 0 &&
+      node.quasis[0].value.cooked.trim()
+    ) {
+      const parent = ancestors[ancestors.length - 2];
+      if (!parent || parent.type !== "TaggedTemplateExpression") {
+        results.push({
+          kind,
+          value: node.quasis[0].value.cooked,
+          start: node.start + offset,
+          end: node.end + offset,
+        });
+      }
+    }
+  }, walkBase);
+
+  return results;
+}
+
+module.exports = {
+  findExtractableStrings,
+  findExtractableStringAt,
+};
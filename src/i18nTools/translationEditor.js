@@ -1,28 +1,52 @@
 const vscode = require("vscode");
-const { saveTranslation } = require("./localeManager");
+const {
+  saveTranslation,
+  saveTranslations,
+  getKeyFiles,
+  getNamespaceKey,
+  collectTranslationKeys,
+  matchLocale,
+} = require("./localeManager");
+const { validateTranslations } = require("./messageValidator");
+const {
+  getPluralStructure,
+  formatPreview,
+  collectMessageArguments,
+} = require("./messageStructure");
+
+// 翻译键格式：以点号分隔的字母、数字、下划线和中划线
+const KEY_PATTERN = /^[\w$-]+(\.[\w$-]+)*$/;
 
 /**
  * 创建翻译编辑器
- * @param {string} key 翻译键
+ * 编辑模式下清空某个语言的内容后保存，会从该语言的文件中删除此键；
+ * 新增模式下可选择命名空间和每个语言的目标文件
+ * @param {string} key 翻译键，新增模式下为命名空间内的初始键
  * @param {Object} currentTranslations 当前翻译值
  * @param {Object} localeData 多语言数据
  * @param {Object} localeFiles 多语言文件信息
+ * @param {Object} [options] 选项
+ * @param {"edit"|"create"} [options.mode] 编辑已有的键或新增键，默认为编辑
+ * @param {string} [options.namespace] 新增模式下默认选中的命名空间
+ * @param {Object} [options.keySources] 键源码位置集合，编辑模式下写入键所在的文件
  * @returns {Promise<void>}
  */
 async function createTranslationEditor(
   key,
   currentTranslations,
   localeData,
-  localeFiles
+  localeFiles,
+  options = {}
 ) {
   // 获取配置
   const config = vscode.workspace.getConfiguration("devCooker");
   const defaultLocale = config.get("i18n.defaultLocale", "zh-CN");
+  const isCreate = options.mode === "create";
 
   // 创建Webview面板
   const panel = vscode.window.createWebviewPanel(
     "translationEditor",
-    `编辑翻译: ${key}`,
+    isCreate ? "新增翻译键" : `编辑翻译: ${key}`,
     vscode.ViewColumn.Beside,
     {
       enableScripts: true,
@@ -46,7 +70,8 @@ async function createTranslationEditor(
     key,
     translations,
     availableLocales,
-    defaultLocale
+    defaultLocale,
+    isCreate ? getCreateOptions(localeFiles, options.namespace) : null
   );
 
   // 处理Webview消息
@@ -56,7 +81,12 @@ async function createTranslationEditor(
         switch (message.command) {
           case "save":
             try {
-              await saveTranslation(key, message.translations, localeFiles);
+              await saveTranslation(
+                key,
+                message.translations,
+                localeFiles,
+                getKeyFiles(key, options.keySources)
+              );
               vscode.window.showInformationMessage(`已保存翻译: ${key}`);
               panel.dispose();
               resolve();
@@ -66,6 +96,73 @@ async function createTranslationEditor(
             }
             return;
 
+          case "create":
+            try {
+              const fullKey = await saveNewTranslation(
+                message,
+                localeData,
+                localeFiles
+              );
+              if (fullKey) {
+                vscode.window.showInformationMessage(
+                  `已新增翻译键: ${fullKey}`
+                );
+                panel.dispose();
+                resolve();
+              }
+            } catch (error) {
+              vscode.window.showErrorMessage(
+                `新增翻译键失败: ${error.message}`
+              );
+              reject(error);
+            }
+            return;
+
+          case "translate": {
+            let translated = {};
+            try {
+              translated = await translateEmptyLocales(
+                message.translations,
+                defaultLocale
+              );
+            } catch (error) {
+              vscode.window.showErrorMessage(`机器翻译失败: ${error.message}`);
+            }
+            panel.webview.postMessage({
+              command: "translated",
+              translations: translated,
+            });
+            return;
+          }
+
+          case "analyze":
+            panel.webview.postMessage({
+              command: "analysis",
+              ...analyzeTranslations(
+                message.translations,
+                message.values || {},
+                localeData,
+                defaultLocale
+              ),
+            });
+            return;
+
+          case "delete":
+            try {
+              if (
+                await deleteTranslationKey(key, localeFiles, options.keySources)
+              ) {
+                panel.dispose();
+                resolve();
+              }
+            } catch (error) {
+              vscode.window.showErrorMessage(
+                `删除翻译键失败: ${error.message}`
+              );
+              reject(error);
+            }
+            return;
+
           case "cancel":
             panel.dispose();
             resolve();
@@ -83,38 +180,287 @@ async function createTranslationEditor(
   });
 }
 
+/**
+ * 校验并写入新增的翻译键
+ * 只写入选择了目标文件且填写了翻译的语言
+ * @param {Object} message 新增模式下提交的内容
+ * @param {string} message.namespace 命名空间
+ * @param {string} message.key 命名空间内的键
+ * @param {Object} message.translations { 语言: 翻译值 }
+ * @param {Object} message.files { 语言: 目标文件 }
+ * @param {Object} localeData 多语言数据
+ * @param {Object} localeFiles 多语言文件信息
+ * @returns {Promise<string|null>} 新增的完整键，校验未通过时返回 null
+ */
+async function saveNewTranslation(message, localeData, localeFiles) {
+  const { namespace, translations, files } = message;
+  const key = (message.key || "").trim();
+  if (!KEY_PATTERN.test(key)) {
+    vscode.window.showErrorMessage(
+      "翻译键只能包含字母、数字、下划线和中划线，并以点号分隔"
+    );
+    return null;
+  }
+
+  const fullKey = getNamespaceKey(namespace, key);
+  if (collectTranslationKeys(localeData).has(fullKey)) {
+    vscode.window.showErrorMessage(`翻译键已存在: ${fullKey}`);
+    return null;
+  }
+
+  const values = {};
+  const targets = {};
+  for (const locale in translations) {
+    const file = files[locale];
+    const namespaceFiles = localeFiles[locale]?.[namespace] || [];
+    if (translations[locale] && namespaceFiles.includes(file)) {
+      values[locale] = translations[locale];
+      targets[locale] = file;
+    }
+  }
+  if (Object.keys(values).length === 0) {
+    vscode.window.showErrorMessage("请至少填写一种语言的翻译");
+    return null;
+  }
+
+  const failedFiles = await saveTranslations(
+    { [fullKey]: values },
+    localeFiles,
+    {
+      [fullKey]: targets,
+    }
+  );
+  if (failedFiles.length > 0) {
+    throw new Error(`写入文件失败: ${failedFiles.join(", ")}`);
+  }
+  return fullKey;
+}
+
+/**
+ * 以默认语言为原文，机器翻译编辑器中为空的语言
+ * 默认语言为空时使用第一个有内容的语言作为原文
+ * @param {Object} translations 编辑器中当前的 { 语言: 翻译值 }
+ * @param {string} defaultLocale 默认语言
+ * @returns {Promise<Object>} 翻译成功的 { 语言: 译文 }
+ */
+async function translateEmptyLocales(translations, defaultLocale) {
+  const locales = Object.keys(translations);
+  const matchedDefault = matchLocale(locales, defaultLocale);
+  const sourceLocale =
+    matchedDefault && translations[matchedDefault]
+      ? matchedDefault
+      : locales.find((locale) => translations[locale]);
+  if (!sourceLocale) {
+    throw new Error("请先填写至少一种语言的翻译");
+  }
+
+  const machineTranslator = require("./machineTranslator");
+  const result = {};
+  for (const locale of locales.filter((item) => !translations[item])) {
+    const [text] = await machineTranslator.translateTexts(
+      [translations[sourceLocale]],
+      sourceLocale,
+      locale
+    );
+    if (text !== null) {
+      result[locale] = text;
+    }
+  }
+  return result;
+}
+
+/**
+ * 校验编辑器中的翻译，与默认语言对比占位符并检查 ICU 消息语法
+ * @param {Object} translations 编辑器中当前的 { 语言: 翻译值 }
+ * @param {Object} localeData 多语言数据
+ * @param {string} defaultLocale 默认语言
+ * @returns {Object<string, Object[]>} 语言 → 问题列表，未启用校验时为空
+ */
+function getValidationIssues(translations, localeData, defaultLocale) {
+  const config = vscode.workspace.getConfiguration("devCooker");
+  if (!config.get("i18n.validation.enabled", true)) {
+    return {};
+  }
+  return validateTranslations(
+    translations,
+    matchLocale(Object.keys(translations), defaultLocale),
+    collectTranslationKeys(localeData)
+  );
+}
+
+/**
+ * 分析编辑器中的翻译，获取校验结果、复数结构、预览和示例参数
+ * @param {Object} translations 编辑器中当前的 { 语言: 翻译值 }
+ * @param {Object} values 预览使用的示例参数
+ * @param {Object} localeData 多语言数据
+ * @param {string} defaultLocale 默认语言
+ * @returns {{issues: Object, structures: Object, previews: Object, arguments: Object[]}}
+ *   语言 → 问题列表、语言 → 复数结构、语言 → 预览文本，以及所有语言中出现的参数
+ */
+function analyzeTranslations(translations, values, localeData, defaultLocale) {
+  const matchedDefault = matchLocale(Object.keys(translations), defaultLocale);
+  const structures = {};
+  const previews = {};
+  for (const locale in translations) {
+    const text = translations[locale];
+    structures[locale] = getPluralStructure(
+      text,
+      locale,
+      translations[matchedDefault],
+      matchedDefault
+    );
+    // 不含参数的消息预览与原文相同，不显示
+    const preview = formatPreview(text, locale, values);
+    previews[locale] = preview === text ? null : preview;
+  }
+
+  return {
+    issues: getValidationIssues(translations, localeData, defaultLocale),
+    structures,
+    previews,
+    arguments: collectMessageArguments(translations),
+  };
+}
+
+/**
+ * 确认后从所有语言中删除翻译键
+ * @param {string} key 翻译键
+ * @param {Object} localeFiles 多语言文件信息
+ * @param {Object} [keySources] 键源码位置集合，从键所在的文件中删除
+ * @returns {Promise<boolean>} 是否已删除
+ */
+async function deleteTranslationKey(key, localeFiles, keySources) {
+  const confirm = await vscode.window.showWarningMessage(
+    `确定要从所有语言中删除翻译键 "${key}" 吗？`,
+    { modal: true },
+    "删除"
+  );
+  if (confirm !== "删除") {
+    return false;
+  }
+
+  const removals = {};
+  for (const locale of Object.keys(localeFiles)) {
+    removals[locale] = null;
+  }
+  await saveTranslation(
+    key,
+    removals,
+    localeFiles,
+    getKeyFiles(key, keySources)
+  );
+  vscode.window.showInformationMessage(`已删除翻译键: ${key}`);
+  return true;
+}
+
+/**
+ * 获取新增模式下可选的命名空间和各语言的目标文件
+ * @param {Object} localeFiles 多语言文件信息
+ * @param {string} [namespace] 默认选中的命名空间
+ * @returns {{namespaces: string[], namespace: string, files: Object}} 命名空间列表、默认命名空间及 语言 → 命名空间 → 文件列表
+ */
+function getCreateOptions(localeFiles, namespace) {
+  const namespaces = new Set();
+  const files = {};
+  for (const locale in localeFiles) {
+    files[locale] = {};
+    for (const name in localeFiles[locale]) {
+      namespaces.add(name);
+      files[locale][name] = localeFiles[locale][name].map((file) => ({
+        file,
+        label: vscode.workspace.asRelativePath(file),
+      }));
+    }
+  }
+
+  const sortedNamespaces = [...namespaces].sort();
+  let selected = namespace;
+  if (!namespaces.has(selected)) {
+    selected = namespaces.has("common") ? "common" : sortedNamespaces[0] || "";
+  }
+  return { namespaces: sortedNamespaces, namespace: selected, files };
+}
+
 /**
  * 生成Webview内容
  * @param {string} key 翻译键
  * @param {Object} translations 翻译值
  * @param {string[]} availableLocales 可用的语言列表
  * @param {string} defaultLocale 默认语言
+ * @param {Object|null} createOptions 新增模式下的命名空间和目标文件，编辑模式下为 null
  * @returns {string} HTML内容
  */
-function getWebviewContent(key, translations, availableLocales, defaultLocale) {
+function getWebviewContent(
+  key,
+  translations,
+  availableLocales,
+  defaultLocale,
+  createOptions
+) {
   const localeInputs = availableLocales
     .map((locale) => {
       const value = translations[locale] || "";
       const isDefault = locale === defaultLocale ? " (默认语言)" : "";
+      const fileSelect = createOptions
+        ? `
+      <select class="file-select" data-locale="${escapeHtml(locale)}" title="目标文件"></select>`
+        : "";
 
       return `
     <div class="form-group">
-      <label for="${locale}">${locale}${isDefault}:</label>
+      <div class="label-row">
+        <label for="${locale}">${locale}${isDefault}:</label>
+        <span class="label-actions">
+          <button type="button" class="btn-link mode-btn" data-locale="${escapeHtml(
+            locale
+          )}" hidden></button>
+          <button type="button" class="btn-link clear-btn" data-locale="${escapeHtml(
+            locale
+          )}" title="保存后从该语言的文件中删除此翻译">清空</button>
+        </span>
+      </div>${fileSelect}
+      <div class="plural-fields" data-locale="${escapeHtml(locale)}" hidden></div>
       <textarea id="${locale}" name="${locale}" 
         class="translation-input${
           locale === defaultLocale ? " default-locale" : ""
         }"
         placeholder="输入${locale}翻译">${escapeHtml(value)}</textarea>
+      <div class="preview" data-locale="${escapeHtml(locale)}" hidden></div>
+      <ul class="issues" data-locale="${escapeHtml(locale)}"></ul>
     </div>`;
     })
     .join("");
 
+  const keyInfo = createOptions
+    ? `
+      <h3>新增翻译键</h3>
+      <div class="form-group">
+        <label for="namespace-select">命名空间:</label>
+        <select id="namespace-select">${createOptions.namespaces
+          .map(
+            (namespace) =>
+              `<option value="${escapeHtml(namespace)}"${
+                namespace === createOptions.namespace ? " selected" : ""
+              }>${escapeHtml(namespace)}</option>`
+          )
+          .join("")}</select>
+      </div>
+      <div class="form-group">
+        <label for="key-input">翻译键:</label>
+        <input id="key-input" class="translation-input" value="${escapeHtml(
+          key
+        )}" placeholder="例如: login.title">
+      </div>`
+    : `
+      <h3>编辑翻译</h3>
+      <div>翻译键: <code>${escapeHtml(key)}</code></div>`;
+
   return `<!DOCTYPE html>
 <html lang="zh-CN">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>编辑翻译</title>
+  <title>${createOptions ? "新增翻译键" : "编辑翻译"}</title>
   <style>
     body {
       padding: 20px;
@@ -142,6 +488,18 @@ function getWebviewContent(key, translations, availableLocales, defaultLocale) {
     label {
       font-weight: bold;
     }
+    .label-row {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+    }
+    select {
+      padding: 4px 6px;
+      border: 1px solid var(--vscode-input-border, transparent);
+      border-radius: 3px;
+      background-color: var(--vscode-input-background);
+      color: var(--vscode-input-foreground);
+    }
     .translation-input {
       padding: 8px;
       border-radius: 3px;
@@ -181,19 +539,110 @@ function getWebviewContent(key, translations, availableLocales, defaultLocale) {
     .btn-secondary:hover {
       background-color: var(--vscode-button-secondaryHoverBackground);
     }
+    .btn-link {
+      padding: 0;
+      background: none;
+      color: var(--vscode-textLink-foreground);
+    }
+    .btn-danger {
+      margin-right: auto;
+      background-color: var(--vscode-inputValidation-errorBackground);
+      color: var(--vscode-foreground);
+    }
+    #key-input {
+      min-height: 0;
+    }
+    [hidden] {
+      display: none !important;
+    }
+    .label-actions {
+      display: flex;
+      gap: 10px;
+    }
+    .plural-fields {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+    }
+    .plural-fields label {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      font-weight: normal;
+    }
+    .plural-fields span {
+      flex: 0 0 80px;
+      font-family: monospace;
+    }
+    .plural-fields .translation-input {
+      flex: 1;
+      min-height: 0;
+      padding: 4px 8px;
+    }
+    .plural-fields .missing span {
+      color: var(--vscode-editorWarning-foreground);
+    }
+    .preview {
+      padding: 4px 8px;
+      border-radius: 3px;
+      background-color: var(--vscode-textBlockQuote-background);
+      white-space: pre-wrap;
+    }
+    .sample-args {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 15px;
+    }
+    #sample-args-fields {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+    }
+    #sample-args-fields input {
+      width: 90px;
+      padding: 3px 6px;
+      border: 1px solid var(--vscode-input-border, transparent);
+      background-color: var(--vscode-input-background);
+      color: var(--vscode-input-foreground);
+    }
+    .issues {
+      margin: 0;
+      padding: 0;
+      list-style: none;
+    }
+    .issues li {
+      padding: 2px 0 2px 8px;
+      border-left: 2px solid var(--vscode-editorWarning-foreground);
+      color: var(--vscode-editorWarning-foreground);
+    }
+    .issues li.error {
+      border-left-color: var(--vscode-editorError-foreground);
+      color: var(--vscode-editorError-foreground);
+    }
   </style>
 </head>
 <body>
   <div class="container">
-    <div class="key-info">
-      <h3>编辑翻译</h3>
-      <div>翻译键: <code>${escapeHtml(key)}</code></div>
+    <div class="key-info">${keyInfo}
+    </div>
+
+    <div class="sample-args" id="sample-args" hidden>
+      <label>预览参数:</label>
+      <div id="sample-args-fields"></div>
     </div>
     
     <form id="translation-form">
       ${localeInputs}
       
-      <div class="buttons">
+      <div class="buttons">${
+        createOptions
+          ? ""
+          : `
+        <button type="button" class="btn-danger" id="delete-btn">删除键</button>`
+      }
+        <button type="button" class="btn-secondary" id="translate-btn" title="以默认语言为原文机器翻译为空的语言">翻译缺失</button>
         <button type="button" class="btn-secondary" id="cancel-btn">取消</button>
         <button type="submit" class="btn-primary" id="save-btn">保存</button>
       </div>
@@ -204,7 +653,206 @@ function getWebviewContent(key, translations, availableLocales, defaultLocale) {
     const vscode = acquireVsCodeApi();
     const translations = ${JSON.stringify(translations)};
     const availableLocales = ${JSON.stringify(availableLocales)};
+    const createOptions = ${JSON.stringify(createOptions)};
     
+    // 新增模式下根据命名空间更新每个语言可选的目标文件
+    function updateFileSelects() {
+      const namespace = document.getElementById('namespace-select').value;
+      for (const select of document.querySelectorAll('.file-select')) {
+        const locale = select.dataset.locale;
+        const files = (createOptions.files[locale] || {})[namespace] || [];
+        select.innerHTML = '';
+        for (const { file, label } of files) {
+          select.add(new Option(label, file));
+        }
+        if (files.length === 0) {
+          select.add(new Option('该语言没有此命名空间的文件', ''));
+        }
+        select.disabled = files.length <= 1;
+        document.getElementById(locale).disabled = files.length === 0;
+      }
+    }
+
+    if (createOptions) {
+      document.getElementById('namespace-select').addEventListener('change', () => {
+        updateFileSelects();
+        requestAnalysis();
+      });
+      updateFileSelects();
+      document.getElementById('key-input').focus();
+    }
+
+    for (const button of document.querySelectorAll('.clear-btn')) {
+      button.addEventListener('click', () => {
+        const input = document.getElementById(button.dataset.locale);
+        input.value = '';
+        input.focus();
+        requestAnalysis();
+      });
+    }
+    
+    // 复数消息的结构、按分支编辑原文的语言以及预览使用的示例参数
+    const structures = {};
+    const rawMode = new Set();
+    const sampleValues = {};
+
+    function findByLocale(selector, locale) {
+      return [...document.querySelectorAll(selector)].find((element) => element.dataset.locale === locale);
+    }
+
+    // 输入停止后校验占位符和 ICU 消息，并更新复数分支和预览
+    let analyzeTimer = null;
+    function requestAnalysis() {
+      clearTimeout(analyzeTimer);
+      analyzeTimer = setTimeout(() => {
+        const current = {};
+        for (const locale of availableLocales) {
+          current[locale] = document.getElementById(locale).value.trim();
+        }
+        vscode.postMessage({
+          command: 'analyze',
+          translations: current,
+          values: sampleValues
+        });
+      }, 300);
+    }
+
+    // 根据各分支的输入重新拼接消息，空分支（other 除外）不写入
+    function buildMessage(structure, panel) {
+      const values = {};
+      for (const field of panel.querySelectorAll('[data-branch]')) {
+        values[field.dataset.branch] = field.value.trim();
+      }
+      if (structure.type === 'pipe') {
+        const branches = structure.branches.map((branch) => values[branch.key]);
+        return branches.some(Boolean) ? branches.join(' | ') : '';
+      }
+
+      const prefix = panel.querySelector('[data-part="prefix"]').value;
+      const suffix = panel.querySelector('[data-part="suffix"]').value;
+      const branches = structure.branches.filter((branch) => values[branch.key] || branch.key === 'other');
+      if (!prefix.trim() && !suffix.trim() && !structure.branches.some((branch) => values[branch.key])) {
+        return '';
+      }
+      return prefix + '{' + structure.argument + ', ' + structure.pluralType + ', ' +
+        (structure.offset ? 'offset:' + structure.offset + ' ' : '') +
+        branches.map((branch) => branch.key + ' {' + values[branch.key] + '}').join(' ') +
+        '}' + suffix;
+    }
+
+    function renderStructure(locale) {
+      const input = document.getElementById(locale);
+      const panel = findByLocale('.plural-fields', locale);
+      const modeButton = findByLocale('.mode-btn', locale);
+      const structure = structures[locale];
+      const structured = !!structure && !rawMode.has(locale) && !input.disabled;
+
+      modeButton.hidden = !structure || input.disabled;
+      modeButton.textContent = structured ? '编辑原文' : '按复数分支编辑';
+      panel.hidden = !structured;
+      input.hidden = structured;
+      // 正在分支中输入时不重新渲染，避免丢失焦点
+      if (!structured || panel.contains(document.activeElement)) {
+        return;
+      }
+
+      panel.innerHTML = '';
+      const addField = (text, attribute, value, missing) => {
+        const row = document.createElement('label');
+        row.className = missing ? 'missing' : '';
+        const label = document.createElement('span');
+        label.textContent = text;
+        const field = document.createElement('input');
+        field.className = 'translation-input';
+        field.setAttribute(attribute[0], attribute[1]);
+        field.value = value;
+        if (missing) {
+          field.placeholder = '缺少 ' + locale + ' 需要的复数类别';
+        }
+        field.addEventListener('input', () => {
+          input.value = buildMessage(structure, panel);
+          requestAnalysis();
+        });
+        row.append(label, field);
+        panel.appendChild(row);
+      };
+
+      if (structure.type === 'icu') {
+        addField('前缀', ['data-part', 'prefix'], structure.prefix);
+      }
+      for (const branch of structure.branches) {
+        addField(branch.label, ['data-branch', branch.key], branch.value, branch.missing);
+      }
+      if (structure.type === 'icu') {
+        addField('后缀', ['data-part', 'suffix'], structure.suffix);
+      }
+    }
+
+    function renderArguments(args) {
+      const container = document.getElementById('sample-args');
+      const fields = document.getElementById('sample-args-fields');
+      const names = args.map((arg) => arg.name).join(',');
+      container.hidden = args.length === 0;
+      if (fields.dataset.names === names) {
+        return;
+      }
+      fields.dataset.names = names;
+      fields.innerHTML = '';
+      for (const { name, plural } of args) {
+        if (sampleValues[name] === undefined) {
+          sampleValues[name] = plural ? '1' : name;
+        }
+        const label = document.createElement('label');
+        label.textContent = name + ' ';
+        const field = document.createElement('input');
+        field.type = plural ? 'number' : 'text';
+        field.value = sampleValues[name];
+        field.addEventListener('input', () => {
+          sampleValues[name] = field.value;
+          requestAnalysis();
+        });
+        label.appendChild(field);
+        fields.appendChild(label);
+      }
+    }
+
+    function showPreviews(previews) {
+      for (const element of document.querySelectorAll('.preview')) {
+        const preview = previews[element.dataset.locale];
+        element.hidden = preview === null || preview === undefined;
+        element.textContent = '预览: ' + (preview || '');
+      }
+    }
+
+    for (const button of document.querySelectorAll('.mode-btn')) {
+      button.addEventListener('click', () => {
+        const locale = button.dataset.locale;
+        if (rawMode.has(locale)) {
+          rawMode.delete(locale);
+        } else {
+          rawMode.add(locale);
+        }
+        renderStructure(locale);
+      });
+    }
+
+    function showValidation(issues) {
+      for (const list of document.querySelectorAll('.issues')) {
+        list.innerHTML = '';
+        for (const issue of issues[list.dataset.locale] || []) {
+          const item = document.createElement('li');
+          item.className = issue.severity;
+          item.textContent = issue.message;
+          list.appendChild(item);
+        }
+      }
+    }
+
+    for (const locale of availableLocales) {
+      document.getElementById(locale).addEventListener('input', requestAnalysis);
+    }
+    requestAnalysis();
+
     document.getElementById('translation-form').addEventListener('submit', (e) => {
       e.preventDefault();
       
@@ -215,8 +863,26 @@ function getWebviewContent(key, translations, availableLocales, defaultLocale) {
         const value = document.getElementById(locale).value.trim();
         if (value) {
           updatedTranslations[locale] = value;
+        } else if (translations[locale]) {
+          // 清空已有的翻译，从该语言的文件中删除
+          updatedTranslations[locale] = null;
         }
       }
+
+      if (createOptions) {
+        const files = {};
+        for (const select of document.querySelectorAll('.file-select')) {
+          files[select.dataset.locale] = select.value;
+        }
+        vscode.postMessage({
+          command: 'create',
+          namespace: document.getElementById('namespace-select').value,
+          key: document.getElementById('key-input').value,
+          translations: updatedTranslations,
+          files
+        });
+        return;
+      }
       
       // 发送消息到扩展
       vscode.postMessage({
@@ -224,6 +890,57 @@ function getWebviewContent(key, translations, availableLocales, defaultLocale) {
         translations: updatedTranslations
       });
     });
+
+    const translateButton = document.getElementById('translate-btn');
+    translateButton.addEventListener('click', () => {
+      const current = {};
+      for (const locale of availableLocales) {
+        const input = document.getElementById(locale);
+        if (!input.disabled) {
+          current[locale] = input.value.trim();
+        }
+      }
+      translateButton.disabled = true;
+      translateButton.textContent = '翻译中...';
+      vscode.postMessage({
+        command: 'translate',
+        translations: current
+      });
+    });
+
+    window.addEventListener('message', (event) => {
+      const message = event.data;
+      if (message.command === 'analysis') {
+        showValidation(message.issues);
+        showPreviews(message.previews);
+        renderArguments(message.arguments);
+        for (const locale of availableLocales) {
+          structures[locale] = message.structures[locale] || null;
+          renderStructure(locale);
+        }
+        return;
+      }
+      if (message.command !== 'translated') return;
+      // 填入机器翻译的结果，期间已手动填写的内容不覆盖
+      for (const [locale, value] of Object.entries(message.translations)) {
+        const input = document.getElementById(locale);
+        if (input && !input.value.trim()) {
+          input.value = value;
+        }
+      }
+      translateButton.disabled = false;
+      translateButton.textContent = '翻译缺失';
+      requestAnalysis();
+    });
+
+    const deleteButton = document.getElementById('delete-btn');
+    if (deleteButton) {
+      deleteButton.addEventListener('click', () => {
+        vscode.postMessage({
+          command: 'delete'
+        });
+      });
+    }
     
     document.getElementById('cancel-btn').addEventListener('click', () => {
       vscode.postMessage({
@@ -251,4 +968,5 @@ function escapeHtml(text) {
 
 module.exports = {
   createTranslationEditor,
+  deleteTranslationKey,
 };
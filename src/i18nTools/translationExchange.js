@@ -0,0 +1,524 @@
+const vscode = require("vscode");
+const path = require("path");
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const {
+  getNamespaceKey,
+  collectTranslationKeys,
+  matchLocale,
+  saveTranslations,
+  getTargetFiles,
+} = require("./localeManager");
+
+// 表格中语言列之前的固定列
+const KEY_COLUMN = "key";
+const NAMESPACE_COLUMN = "namespace";
+const FILE_COLUMN = "file";
+const FIXED_COLUMNS = [KEY_COLUMN, NAMESPACE_COLUMN, FILE_COLUMN];
+
+// 表格软件会当作公式执行的单元格开头
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+// 记录上次导出内容的工作区状态键，用于只导出之后新增或修改的翻译
+const LAST_EXPORT_STATE_KEY = "devCooker.i18n.lastExport";
+
+/**
+ * 检查翻译值是否缺失或为空
+ * @param {*} value 翻译值
+ * @returns {boolean} 是否缺失
+ */
+function isMissingValue(value) {
+  return value === undefined || value === null || value === "";
+}
+
+/**
+ * 将翻译值转换为表格中的文本
+ * @param {*} value 翻译值
+ * @returns {string} 单元格文本
+ */
+function toCellText(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/**
+ * 计算一行翻译内容的摘要，用于判断上次导出后是否修改过
+ * @param {Object} values { 语言: 翻译值 }
+ * @returns {string} 摘要
+ */
+function hashValues(values) {
+  const sorted = Object.keys(values)
+    .sort()
+    .map((locale) => [locale, values[locale]]);
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify(sorted))
+    .digest("base64")
+    .slice(0, 16);
+}
+
+/**
+ * 汇总导出的行，每个叶子键一行
+ * @param {Object} localeData 多语言数据
+ * @param {Object} keySources 键在文件中的位置
+ * @param {string[]} locales 导出的语言，按列顺序排列
+ * @returns {Object[]} 行数据 { fullKey, key, namespace, file, values }
+ */
+function collectExportRows(localeData, keySources, locales) {
+  const rows = new Map();
+
+  for (const locale of locales) {
+    for (const namespace in localeData[locale]) {
+      const entries = localeData[locale][namespace];
+      for (const key in entries) {
+        const value = entries[key];
+        // 跳过扁平化时保留的中间层对象
+        if (value && typeof value === "object" && !Array.isArray(value)) {
+          continue;
+        }
+
+        const fullKey = getNamespaceKey(namespace, key);
+        if (!rows.has(fullKey)) {
+          rows.set(fullKey, { fullKey, key, namespace, file: "", values: {} });
+        }
+        const row = rows.get(fullKey);
+        row.values[locale] = value;
+
+        // 来源文件优先使用排在前面的语言（默认语言）的文件
+        const source = keySources[locale]?.[namespace]?.[key];
+        if (!row.file && source) {
+          row.file = vscode.workspace.asRelativePath(source.file);
+        }
+      }
+    }
+  }
+
+  return [...rows.values()].sort((a, b) => a.fullKey.localeCompare(b.fullKey));
+}
+
+/**
+ * 生成 CSV 内容，带 BOM 以便 Excel 正确识别 UTF-8
+ * 以 =、+、-、@ 等开头的单元格（如链接消息 @:common.ok）会被 Excel 当作公式执行，
+ * 在开头加上单引号，导入时由 parseCsv 去掉
+ * @param {string[][]} table 表格
+ * @returns {string} CSV 内容
+ */
+function stringifyCsv(table) {
+  const escapeCell = (value) => {
+    const cell = FORMULA_PATTERN.test(value) ? `'${value}` : value;
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  };
+  return (
+    "\uFEFF" +
+    table.map((row) => row.map(escapeCell).join(",")).join("\r\n") +
+    "\r\n"
+  );
+}
+
+/**
+ * 解析 CSV 内容，支持带引号的多行单元格
+ * @param {string} content CSV 内容
+ * @returns {string[][]} 表格
+ */
+function parseCsv(content) {
+  const table = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const text = content.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(cell);
+      table.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    table.push(row);
+  }
+
+  // 单元格内的换行统一为 \n，并去掉 stringifyCsv 为防止公式执行加上的单引号
+  return table.map((cells) =>
+    cells.map((value) => {
+      const cell = value.replace(/\r\n?/g, "\n");
+      return cell.startsWith("'") && FORMULA_PATTERN.test(cell.slice(1))
+        ? cell.slice(1)
+        : cell;
+    })
+  );
+}
+
+/**
+ * 写入 XLSX 文件
+ * @param {string} file 文件路径
+ * @param {string[][]} table 表格，第一行为表头
+ * @returns {Promise<void>}
+ */
+async function writeXlsx(file, table) {
+  const ExcelJS = require("exceljs");
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("translations", {
+    views: [{ state: "frozen", xSplit: 1, ySplit: 1 }],
+  });
+
+  sheet.addRows(table);
+  sheet.getRow(1).font = { bold: true };
+  sheet.columns.forEach((column, index) => {
+    column.width = index < FIXED_COLUMNS.length ? 30 : 50;
+    column.alignment = { wrapText: true, vertical: "top" };
+  });
+
+  await workbook.xlsx.writeFile(file);
+}
+
+/**
+ * 获取单元格的文本，兼容富文本、公式和超链接单元格
+ * @param {*} value ExcelJS 单元格的值
+ * @returns {string} 文本
+ */
+function getCellText(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (typeof value !== "object") {
+    return String(value);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value.richText)) {
+    return value.richText.map((part) => part.text).join("");
+  }
+  if ("result" in value) {
+    return getCellText(value.result);
+  }
+  if ("text" in value) {
+    return getCellText(value.text);
+  }
+  return "";
+}
+
+/**
+ * 读取 XLSX 文件的第一个工作表
+ * @param {string} file 文件路径
+ * @returns {Promise<string[][]>} 表格
+ */
+async function readXlsx(file) {
+  const ExcelJS = require("exceljs");
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(file);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return [];
+  }
+
+  const table = [];
+  sheet.eachRow((row) => {
+    const cells = [];
+    for (let column = 1; column <= sheet.columnCount; column++) {
+      cells.push(getCellText(row.getCell(column).value).replace(/\r\n?/g, "\n"));
+    }
+    table.push(cells);
+  });
+  return table;
+}
+
+/**
+ * 导出翻译为 CSV 或 XLSX，可只导出某个语言缺失的或上次导出后修改的翻译
+ * @param {Object} localeData 多语言数据
+ * @param {Object} keySources 键在文件中的位置
+ * @param {vscode.Memento} workspaceState 工作区状态，记录上次导出的内容
+ * @param {string} [root] 语言集所属目录，作为默认的保存位置，monorepo 中每个包分别记录上次导出的内容
+ * @returns {Promise<boolean>} 是否已导出
+ */
+async function exportTranslations(
+  localeData,
+  keySources,
+  workspaceState,
+  root
+) {
+  const config = vscode.workspace.getConfiguration("devCooker");
+  const defaultLocale = matchLocale(
+    Object.keys(localeData),
+    config.get("i18n.defaultLocale", "zh-CN")
+  );
+  const locales = Object.keys(localeData).sort((a, b) => {
+    if (a === defaultLocale) return -1;
+    if (b === defaultLocale) return 1;
+    return a.localeCompare(b);
+  });
+  const rows = collectExportRows(localeData, keySources, locales);
+  const stateKey = root
+    ? `${LAST_EXPORT_STATE_KEY}:${root}`
+    : LAST_EXPORT_STATE_KEY;
+  const lastExport = workspaceState.get(stateKey);
+
+  const scope = await vscode.window.showQuickPick(
+    [
+      {
+        label: "全部翻译",
+        description: `${rows.length} 个键`,
+        filter: () => true,
+      },
+      ...locales
+        .filter((locale) => locale !== defaultLocale)
+        .map((locale) => ({
+          label: `仅 ${locale} 中缺失的翻译`,
+          description: `${
+            rows.filter((row) => isMissingValue(row.values[locale])).length
+          } 个键`,
+          filter: (row) => isMissingValue(row.values[locale]),
+        })),
+      {
+        label: "仅上次导出后新增或修改的翻译",
+        description: lastExport
+          ? `上次导出于 ${new Date(lastExport.time).toLocaleString()}`
+          : "尚未导出过，将导出全部翻译",
+        filter: (row) =>
+          !lastExport || lastExport.hashes[row.fullKey] !== hashValues(row.values),
+      },
+    ],
+    { placeHolder: "选择要导出的翻译" }
+  );
+  if (!scope) {
+    return false;
+  }
+
+  const exportedRows = rows.filter(scope.filter);
+  if (exportedRows.length === 0) {
+    vscode.window.showInformationMessage("没有符合条件的翻译");
+    return false;
+  }
+
+  const baseUri = root
+    ? vscode.Uri.file(root)
+    : vscode.workspace.workspaceFolders?.[0]?.uri;
+  const uri = await vscode.window.showSaveDialog({
+    defaultUri: baseUri
+      ? vscode.Uri.joinPath(baseUri, "translations.xlsx")
+      : undefined,
+    filters: { "Excel 工作簿": ["xlsx"], "CSV 文件": ["csv"] },
+  });
+  if (!uri) {
+    return false;
+  }
+
+  const table = [
+    [...FIXED_COLUMNS, ...locales],
+    ...exportedRows.map((row) => [
+      row.key,
+      row.namespace,
+      row.file,
+      ...locales.map((locale) => toCellText(row.values[locale])),
+    ]),
+  ];
+  if (path.extname(uri.fsPath).toLowerCase() === ".csv") {
+    await fs.writeFile(uri.fsPath, stringifyCsv(table), "utf-8");
+  } else {
+    await writeXlsx(uri.fsPath, table);
+  }
+
+  // 记录本次导出的内容
+  const hashes = { ...(lastExport ? lastExport.hashes : {}) };
+  for (const row of exportedRows) {
+    hashes[row.fullKey] = hashValues(row.values);
+  }
+  await workspaceState.update(stateKey, {
+    time: Date.now(),
+    hashes,
+  });
+
+  vscode.window.showInformationMessage(
+    `已导出 ${exportedRows.length} 个翻译键到 ${path.basename(uri.fsPath)}`
+  );
+  return true;
+}
+
+/**
+ * 对比表格与当前翻译，获取新增和修改的翻译
+ * 表格中为空的单元格不会删除已有的翻译
+ * @param {string[][]} table 表格，第一行为表头
+ * @param {Object} localeData 多语言数据
+ * @returns {Object[]} 修改 { fullKey, locale, oldValue, newValue }
+ */
+function diffImportedTable(table, localeData) {
+  const [header = [], ...dataRows] = table;
+  const columns = header.map((cell) => cell.trim());
+  const keyIndex = columns.findIndex(
+    (cell) => cell.toLowerCase() === KEY_COLUMN
+  );
+  if (keyIndex === -1) {
+    throw new Error(`表格中缺少 ${KEY_COLUMN} 列`);
+  }
+  const namespaceIndex = columns.findIndex(
+    (cell) => cell.toLowerCase() === NAMESPACE_COLUMN
+  );
+
+  const localeColumns = [];
+  columns.forEach((cell, index) => {
+    if (FIXED_COLUMNS.includes(cell.toLowerCase())) {
+      return;
+    }
+    const locale = matchLocale(Object.keys(localeData), cell);
+    if (locale) {
+      localeColumns.push({ index, locale });
+    }
+  });
+  if (localeColumns.length === 0) {
+    throw new Error("表格中没有与项目语言对应的列");
+  }
+
+  const current = collectTranslationKeys(localeData);
+  const changes = [];
+  for (const row of dataRows) {
+    const key = (row[keyIndex] || "").trim();
+    if (!key) {
+      continue;
+    }
+    // 没有 namespace 列时，key 列为完整键
+    const namespace =
+      namespaceIndex === -1 ? "" : (row[namespaceIndex] || "").trim();
+    const fullKey = namespace ? getNamespaceKey(namespace, key) : key;
+    const translations = current.get(fullKey) || {};
+
+    for (const { index, locale } of localeColumns) {
+      const newValue = row[index] || "";
+      const oldValue = translations[locale];
+      if (!newValue || toCellText(oldValue) === newValue) {
+        continue;
+      }
+      changes.push({ fullKey, locale, oldValue, newValue });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * 生成导入预览的 Markdown
+ * @param {Object[]} changes 修改
+ * @param {string} fileName 导入的文件名
+ * @returns {string} Markdown 内容
+ */
+function renderImportPreview(changes, fileName) {
+  const escapeCell = (value) =>
+    toCellText(value).replace(/\|/g, "\\|").replace(/\n/g, "<br>");
+  const added = changes.filter((change) => isMissingValue(change.oldValue));
+
+  const lines = [
+    `# 导入预览: ${fileName}`,
+    "",
+    `- 新增的翻译: ${added.length}`,
+    `- 修改的翻译: ${changes.length - added.length}`,
+    "",
+    "| 键 | 语言 | 当前值 | 导入值 |",
+    "| --- | --- | --- | --- |",
+  ];
+  for (const change of changes) {
+    lines.push(
+      `| \`${change.fullKey}\` | ${change.locale} | ${
+        isMissingValue(change.oldValue) ? "_（缺失）_" : escapeCell(change.oldValue)
+      } | ${escapeCell(change.newValue)} |`
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * 从 CSV 或 XLSX 导入翻译，写入前预览新增和修改的内容
+ * @param {Object} localeData 多语言数据
+ * @param {Object} localeFiles 多语言文件信息
+ * @param {Object} keySources 键在文件中的位置
+ * @returns {Promise<boolean>} 是否写入了翻译
+ */
+async function importTranslations(localeData, localeFiles, keySources) {
+  const uris = await vscode.window.showOpenDialog({
+    canSelectMany: false,
+    filters: { 表格文件: ["xlsx", "csv"] },
+    openLabel: "导入",
+  });
+  if (!uris || uris.length === 0) {
+    return false;
+  }
+
+  const file = uris[0].fsPath;
+  const table =
+    path.extname(file).toLowerCase() === ".csv"
+      ? parseCsv(await fs.readFile(file, "utf-8"))
+      : await readXlsx(file);
+  const changes = diffImportedTable(table, localeData);
+  if (changes.length === 0) {
+    vscode.window.showInformationMessage("表格中的翻译与当前内容一致，无需导入");
+    return false;
+  }
+
+  const document = await vscode.workspace.openTextDocument({
+    content: renderImportPreview(changes, path.basename(file)),
+    language: "markdown",
+  });
+  await vscode.window.showTextDocument(document, { preview: false });
+
+  const confirm = await vscode.window.showWarningMessage(
+    `确定要将 ${changes.length} 处翻译写入多语言文件吗？`,
+    { modal: true },
+    "写入"
+  );
+  if (confirm !== "写入") {
+    return false;
+  }
+
+  const updates = {};
+  for (const { fullKey, locale, newValue } of changes) {
+    if (!updates[fullKey]) {
+      updates[fullKey] = {};
+    }
+    updates[fullKey][locale] = newValue;
+  }
+  const failedFiles = await saveTranslations(
+    updates,
+    localeFiles,
+    getTargetFiles(updates, keySources)
+  );
+  if (failedFiles.length > 0) {
+    vscode.window.showErrorMessage(
+      `部分翻译保存失败: ${failedFiles.join(", ")}`
+    );
+  } else {
+    vscode.window.showInformationMessage(`已导入 ${changes.length} 处翻译`);
+  }
+  return true;
+}
+
+module.exports = {
+  exportTranslations,
+  importTranslations,
+  parseCsv,
+  stringifyCsv,
+};
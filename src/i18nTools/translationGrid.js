@@ -0,0 +1,725 @@
+const vscode = require("vscode");
+const {
+  getNamespaceKey,
+  saveTranslations,
+  getTargetFiles,
+} = require("./localeManager");
+
+const PANEL_TITLE = "批量编辑翻译";
+
+let panel = null; // 当前打开的批量编辑面板，同一时间只保留一个
+let getLocaleState = () => ({ localeData: {}, localeFiles: {} }); // 获取多语言状态的函数
+let pendingFilters = null; // 面板就绪前待应用的筛选条件
+
+/**
+ * 汇总表格数据，每个叶子键一行，每个语言一列
+ * @param {Object} localeData 多语言数据
+ * @param {string} defaultLocale 默认语言，排在第一列
+ * @returns {{locales: string[], namespaces: string[], rows: Object[]}} 表格数据
+ */
+function collectGridData(localeData, defaultLocale) {
+  const locales = Object.keys(localeData).sort((a, b) => {
+    if (a === defaultLocale) return -1;
+    if (b === defaultLocale) return 1;
+    return a.localeCompare(b);
+  });
+  const namespaces = new Set();
+  const rows = new Map();
+
+  for (const locale of locales) {
+    for (const namespace in localeData[locale]) {
+      namespaces.add(namespace);
+      const entries = localeData[locale][namespace];
+      for (const key in entries) {
+        const value = entries[key];
+        // 跳过扁平化时保留的中间层对象
+        if (value && typeof value === "object" && !Array.isArray(value)) {
+          continue;
+        }
+
+        const fullKey = getNamespaceKey(namespace, key);
+        if (!rows.has(fullKey)) {
+          rows.set(fullKey, { key: fullKey, namespace, values: {}, readonly: {} });
+        }
+        const row = rows.get(fullKey);
+        // 表格中只编辑字符串，数字、数组等其他类型的值只读显示
+        if (value === null || typeof value === "string") {
+          row.values[locale] = value === null ? "" : value;
+        } else {
+          row.values[locale] = JSON.stringify(value);
+          row.readonly[locale] = true;
+        }
+      }
+    }
+  }
+
+  return {
+    locales,
+    namespaces: [...namespaces].sort(),
+    rows: [...rows.values()].sort((a, b) => a.key.localeCompare(b.key)),
+  };
+}
+
+/**
+ * 将最新的多语言数据发送到面板，已修改但未保存的单元格会保留
+ */
+function postGridData() {
+  if (!panel) {
+    return;
+  }
+
+  const { localeData } = getLocaleState();
+  const defaultLocale = vscode.workspace
+    .getConfiguration("devCooker")
+    .get("i18n.defaultLocale", "zh-CN");
+  panel.webview.postMessage({
+    command: "data",
+    defaultLocale,
+    ...collectGridData(localeData || {}, defaultLocale),
+  });
+}
+
+/**
+ * 打开批量编辑面板，面板已打开时直接显示并应用筛选条件
+ * @param {() => Object} getState 获取多语言状态的函数
+ * @param {Object} [filters] 初始筛选条件
+ * @param {string} [filters.namespace] 只显示该命名空间的键
+ * @param {boolean} [filters.missingOnly] 只显示存在缺失翻译的键
+ * @param {string} [filters.search] 按键名或翻译内容筛选
+ */
+function openTranslationGrid(getState, filters = {}) {
+  getLocaleState = getState;
+
+  if (panel) {
+    panel.reveal();
+    panel.webview.postMessage({ command: "filter", filters });
+    return;
+  }
+
+  pendingFilters = filters;
+  panel = vscode.window.createWebviewPanel(
+    "translationGrid",
+    PANEL_TITLE,
+    vscode.ViewColumn.Active,
+    {
+      enableScripts: true,
+      retainContextWhenHidden: true,
+    }
+  );
+  panel.webview.html = getWebviewContent();
+
+  panel.webview.onDidReceiveMessage(async (message) => {
+    switch (message.command) {
+      case "ready":
+        postGridData();
+        if (pendingFilters) {
+          panel.webview.postMessage({
+            command: "filter",
+            filters: pendingFilters,
+          });
+          pendingFilters = null;
+        }
+        return;
+
+      case "dirty":
+        // 有未保存的修改时在标题上标记
+        panel.title =
+          message.count > 0 ? `● ${PANEL_TITLE}` : PANEL_TITLE;
+        return;
+
+      case "save":
+        await saveChanges(message.changes);
+        return;
+    }
+  });
+
+  panel.onDidDispose(() => {
+    panel = null;
+    pendingFilters = null;
+  });
+}
+
+/**
+ * 保存面板中修改的翻译，同一文件中的修改一次写入
+ * 已有的键写入其所在的文件，同一命名空间有多个文件时不会写到第一个文件中
+ * @param {Object<string, Object>} changes 翻译键 → { 语言: 翻译值 }
+ */
+async function saveChanges(changes) {
+  const { localeFiles, keySources } = getLocaleState();
+  const count = Object.values(changes).reduce(
+    (total, translations) => total + Object.keys(translations).length,
+    0
+  );
+
+  let failedFiles;
+  try {
+    failedFiles = await saveTranslations(
+      changes,
+      localeFiles || {},
+      getTargetFiles(changes, keySources)
+    );
+  } catch (error) {
+    failedFiles = [error.message];
+  }
+
+  if (failedFiles.length > 0) {
+    vscode.window.showErrorMessage(
+      `部分翻译保存失败: ${failedFiles.join(", ")}`
+    );
+  } else {
+    vscode.window.showInformationMessage(`已保存 ${count} 处翻译修改`);
+  }
+
+  if (panel) {
+    panel.webview.postMessage({
+      command: "saved",
+      success: failedFiles.length === 0,
+    });
+  }
+}
+
+/**
+ * 多语言数据变化后刷新面板
+ */
+function refresh() {
+  postGridData();
+}
+
+/**
+ * 生成Webview内容
+ * @returns {string} HTML内容
+ */
+function getWebviewContent() {
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${PANEL_TITLE}</title>
+  <style>
+    body {
+      margin: 0;
+      padding: 0;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
+      color: var(--vscode-foreground);
+      background-color: var(--vscode-editor-background);
+      font-size: 13px;
+    }
+    .toolbar {
+      position: sticky;
+      top: 0;
+      z-index: 2;
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 10px;
+      padding: 10px 16px;
+      background-color: var(--vscode-editor-background);
+      border-bottom: 1px solid var(--vscode-panel-border);
+    }
+    .toolbar input[type="search"],
+    .toolbar select {
+      padding: 4px 6px;
+      border: 1px solid var(--vscode-input-border, transparent);
+      border-radius: 2px;
+      background-color: var(--vscode-input-background);
+      color: var(--vscode-input-foreground);
+      font-size: 13px;
+    }
+    .toolbar input[type="search"] {
+      width: 240px;
+    }
+    .status {
+      margin-left: auto;
+      color: var(--vscode-descriptionForeground);
+    }
+    button {
+      padding: 4px 12px;
+      border: none;
+      border-radius: 2px;
+      cursor: pointer;
+      font-size: 13px;
+    }
+    button:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+    .btn-primary {
+      background-color: var(--vscode-button-background);
+      color: var(--vscode-button-foreground);
+    }
+    .btn-primary:hover:enabled {
+      background-color: var(--vscode-button-hoverBackground);
+    }
+    .btn-secondary {
+      background-color: var(--vscode-button-secondaryBackground);
+      color: var(--vscode-button-secondaryForeground);
+    }
+    .btn-secondary:hover:enabled {
+      background-color: var(--vscode-button-secondaryHoverBackground);
+    }
+    table {
+      border-collapse: collapse;
+      min-width: 100%;
+    }
+    th, td {
+      border: 1px solid var(--vscode-panel-border);
+      padding: 4px 6px;
+      vertical-align: top;
+      text-align: left;
+      min-width: 160px;
+      max-width: 420px;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+    th {
+      position: sticky;
+      top: var(--toolbar-height, 0);
+      z-index: 1;
+      background-color: var(--vscode-editorGroupHeader-tabsBackground);
+      font-weight: bold;
+    }
+    td.key {
+      font-family: var(--vscode-editor-font-family, monospace);
+      color: var(--vscode-textLink-foreground);
+    }
+    td.cell {
+      font-family: var(--vscode-editor-font-family, monospace);
+      outline: none;
+    }
+    td.cell:focus {
+      box-shadow: inset 0 0 0 1px var(--vscode-focusBorder);
+    }
+    td.missing {
+      background-color: var(--vscode-inputValidation-errorBackground);
+    }
+    td.dirty {
+      background-color: var(--vscode-diffEditor-insertedTextBackground);
+    }
+    td.readonly {
+      color: var(--vscode-disabledForeground);
+    }
+    .more {
+      padding: 12px 16px;
+    }
+  </style>
+</head>
+<body>
+  <div class="toolbar" id="toolbar">
+    <input type="search" id="search" placeholder="搜索键名或翻译内容">
+    <select id="namespace">
+      <option value="">全部命名空间</option>
+    </select>
+    <label><input type="checkbox" id="missing-only"> 仅显示缺失</label>
+    <span class="status" id="status"></span>
+    <button type="button" class="btn-secondary" id="discard-btn" disabled>撤销修改</button>
+    <button type="button" class="btn-primary" id="save-btn" disabled>保存</button>
+  </div>
+
+  <table>
+    <thead id="grid-head"></thead>
+    <tbody id="grid-body"></tbody>
+  </table>
+  <div class="more" id="more" hidden>
+    <button type="button" class="btn-secondary" id="more-btn">显示更多</button>
+  </div>
+
+  <script>
+    const vscode = acquireVsCodeApi();
+    const PAGE_SIZE = 200;
+
+    let locales = [];
+    let defaultLocale = '';
+    let rows = [];
+    let rowMap = new Map();
+    let visibleRows = [];
+    let limit = PAGE_SIZE;
+    let saving = false;
+    // 未保存的修改：翻译键 → { 语言: 翻译值 }
+    let edits = {};
+
+    const searchInput = document.getElementById('search');
+    const namespaceSelect = document.getElementById('namespace');
+    const missingOnlyInput = document.getElementById('missing-only');
+    const head = document.getElementById('grid-head');
+    const body = document.getElementById('grid-body');
+
+    function getOriginal(key, locale) {
+      const row = rowMap.get(key);
+      const value = row && row.values[locale];
+      return value === undefined ? '' : value;
+    }
+
+    function getValue(key, locale) {
+      if (edits[key] && edits[key][locale] !== undefined) {
+        return edits[key][locale];
+      }
+      return getOriginal(key, locale);
+    }
+
+    function isMissing(row) {
+      return locales.some((locale) => !row.values[locale]);
+    }
+
+    function countEdits() {
+      return Object.values(edits).reduce(
+        (total, values) => total + Object.keys(values).length,
+        0
+      );
+    }
+
+    // 记录单元格的修改，与原值相同时视为未修改
+    function setEdit(key, locale, value) {
+      if (value === getOriginal(key, locale)) {
+        if (edits[key]) {
+          delete edits[key][locale];
+          if (Object.keys(edits[key]).length === 0) {
+            delete edits[key];
+          }
+        }
+      } else {
+        if (!edits[key]) {
+          edits[key] = {};
+        }
+        edits[key][locale] = value;
+      }
+    }
+
+    function matchesFilters(row) {
+      if (namespaceSelect.value && row.namespace !== namespaceSelect.value) {
+        return false;
+      }
+      if (missingOnlyInput.checked && !isMissing(row)) {
+        return false;
+      }
+      const text = searchInput.value.trim().toLowerCase();
+      if (!text) {
+        return true;
+      }
+      return (
+        row.key.toLowerCase().includes(text) ||
+        locales.some((locale) =>
+          getValue(row.key, locale).toLowerCase().includes(text)
+        )
+      );
+    }
+
+    function renderHead() {
+      const cells = ['<th>翻译键</th>'].concat(
+        locales.map((locale) =>
+          '<th>' + escapeHtml(locale) +
+          (locale === defaultLocale ? ' (默认语言)' : '') + '</th>'
+        )
+      );
+      head.innerHTML = '<tr>' + cells.join('') + '</tr>';
+    }
+
+    function renderNamespaces(namespaces) {
+      const current = namespaceSelect.value;
+      namespaceSelect.innerHTML =
+        '<option value="">全部命名空间</option>' +
+        namespaces
+          .map((namespace) =>
+            '<option value="' + escapeHtml(namespace) + '">' +
+            escapeHtml(namespace) + '</option>'
+          )
+          .join('');
+      namespaceSelect.value = namespaces.includes(current) ? current : '';
+    }
+
+    function renderCell(row, locale) {
+      const value = getValue(row.key, locale);
+      const classes = ['cell'];
+      if (row.readonly[locale]) {
+        classes.push('readonly');
+      } else if (!value) {
+        classes.push('missing');
+      }
+      if (edits[row.key] && edits[row.key][locale] !== undefined) {
+        classes.push('dirty');
+      }
+      return '<td class="' + classes.join(' ') + '"' +
+        ' data-key="' + escapeHtml(row.key) + '"' +
+        ' data-locale="' + escapeHtml(locale) + '"' +
+        (row.readonly[locale] ? '' : ' contenteditable="plaintext-only"') +
+        '>' + escapeHtml(value) + '</td>';
+    }
+
+    function renderRows() {
+      // 重新渲染后恢复正在编辑的单元格的焦点
+      const active = document.activeElement;
+      const focused = active && active.classList.contains('cell')
+        ? { key: active.dataset.key, locale: active.dataset.locale }
+        : null;
+
+      visibleRows = rows.filter(matchesFilters);
+      body.innerHTML = visibleRows
+        .slice(0, limit)
+        .map((row) =>
+          '<tr><td class="key" title="' + escapeHtml(row.key) + '">' +
+          escapeHtml(row.key) + '</td>' +
+          locales.map((locale) => renderCell(row, locale)).join('') +
+          '</tr>'
+        )
+        .join('');
+      document.getElementById('more').hidden = visibleRows.length <= limit;
+
+      if (focused) {
+        const cell = findCell(focused.key, focused.locale);
+        if (cell) {
+          cell.focus();
+        }
+      }
+      updateStatus();
+    }
+
+    function updateStatus() {
+      const count = countEdits();
+      document.getElementById('status').textContent =
+        '显示 ' + Math.min(limit, visibleRows.length) + ' / ' +
+        visibleRows.length + ' 个键' +
+        (count > 0 ? '，' + count + ' 处未保存' : '');
+      document.getElementById('save-btn').disabled = saving || count === 0;
+      document.getElementById('discard-btn').disabled = saving || count === 0;
+      vscode.postMessage({ command: 'dirty', count });
+    }
+
+    function findCell(key, locale) {
+      return Array.from(body.querySelectorAll('td.cell')).find(
+        (cell) => cell.dataset.key === key && cell.dataset.locale === locale
+      );
+    }
+
+    function refreshCell(cell) {
+      const { key, locale } = cell.dataset;
+      const value = getValue(key, locale);
+      if (cell.innerText !== value) {
+        cell.textContent = value;
+      }
+      const row = rowMap.get(key);
+      cell.classList.toggle('missing', !row.readonly[locale] && !value);
+      cell.classList.toggle(
+        'dirty',
+        !!(edits[key] && edits[key][locale] !== undefined)
+      );
+    }
+
+    // 解析从 Excel 等表格软件复制的制表符分隔文本，支持带引号的多行单元格
+    function parseClipboard(text) {
+      const result = [];
+      let row = [];
+      let field = '';
+      let quoted = false;
+      text = text.replace(/\\r\\n?/g, '\\n');
+
+      for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+          if (ch === '"' && text[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else if (ch === '"') {
+            quoted = false;
+          } else {
+            field += ch;
+          }
+        } else if (ch === '"' && field === '') {
+          quoted = true;
+        } else if (ch === '\\t') {
+          row.push(field);
+          field = '';
+        } else if (ch === '\\n') {
+          row.push(field);
+          result.push(row);
+          row = [];
+          field = '';
+        } else {
+          field += ch;
+        }
+      }
+      if (field !== '' || row.length > 0) {
+        row.push(field);
+        result.push(row);
+      }
+      return result;
+    }
+
+    // 从当前单元格开始，按行列粘贴多个单元格
+    function pasteCells(cell, values) {
+      const startRow = visibleRows.findIndex((row) => row.key === cell.dataset.key);
+      const startColumn = locales.indexOf(cell.dataset.locale);
+      if (startRow === -1 || startColumn === -1) {
+        return;
+      }
+
+      values.forEach((line, rowOffset) => {
+        const row = visibleRows[startRow + rowOffset];
+        if (!row) return;
+        line.forEach((value, columnOffset) => {
+          const locale = locales[startColumn + columnOffset];
+          if (!locale || row.readonly[locale]) return;
+          setEdit(row.key, locale, value);
+        });
+      });
+
+      limit = Math.max(limit, startRow + values.length);
+      renderRows();
+    }
+
+    function save() {
+      if (saving || countEdits() === 0) {
+        return;
+      }
+      saving = true;
+      updateStatus();
+
+      // 清空的单元格从该语言的文件中删除
+      const changes = {};
+      for (const key of Object.keys(edits)) {
+        changes[key] = {};
+        for (const locale of Object.keys(edits[key])) {
+          changes[key][locale] = edits[key][locale] === '' ? null : edits[key][locale];
+        }
+      }
+      vscode.postMessage({ command: 'save', changes });
+    }
+
+    function escapeHtml(text) {
+      return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+    }
+
+    body.addEventListener('input', (e) => {
+      const cell = e.target.closest('td.cell');
+      if (!cell) return;
+      setEdit(cell.dataset.key, cell.dataset.locale, cell.innerText);
+      refreshCell(cell);
+      updateStatus();
+    });
+
+    body.addEventListener('keydown', (e) => {
+      const cell = e.target.closest('td.cell');
+      if (!cell) return;
+
+      // Enter 移动到下一行，Shift+Enter 换行
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        const row = cell.parentElement.nextElementSibling;
+        const next = row && row.children[cell.cellIndex];
+        if (next) next.focus();
+        return;
+      }
+
+      // Esc 恢复单元格的原值
+      if (e.key === 'Escape') {
+        setEdit(cell.dataset.key, cell.dataset.locale,
+          getOriginal(cell.dataset.key, cell.dataset.locale));
+        refreshCell(cell);
+        updateStatus();
+      }
+    });
+
+    body.addEventListener('paste', (e) => {
+      const cell = e.target.closest('td.cell');
+      if (!cell) return;
+      const text = e.clipboardData.getData('text/plain');
+      if (!/[\\t\\n]/.test(text)) return;
+
+      e.preventDefault();
+      pasteCells(cell, parseClipboard(text));
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+        e.preventDefault();
+        save();
+      }
+    });
+
+    [searchInput, namespaceSelect, missingOnlyInput].forEach((input) => {
+      input.addEventListener(input === searchInput ? 'input' : 'change', () => {
+        limit = PAGE_SIZE;
+        renderRows();
+      });
+    });
+
+    document.getElementById('more-btn').addEventListener('click', () => {
+      limit += PAGE_SIZE;
+      renderRows();
+    });
+
+    document.getElementById('save-btn').addEventListener('click', save);
+
+    document.getElementById('discard-btn').addEventListener('click', () => {
+      edits = {};
+      renderRows();
+    });
+
+    window.addEventListener('message', (event) => {
+      const message = event.data;
+      switch (message.command) {
+        case 'data':
+          locales = message.locales;
+          defaultLocale = message.defaultLocale;
+          rows = message.rows;
+          rowMap = new Map(rows.map((row) => [row.key, row]));
+          // 已经与最新值一致的修改不再视为未保存
+          for (const key of Object.keys(edits)) {
+            for (const locale of Object.keys(edits[key])) {
+              setEdit(key, locale, edits[key][locale]);
+            }
+          }
+          renderHead();
+          renderNamespaces(message.namespaces);
+          renderRows();
+          break;
+
+        case 'filter': {
+          const filters = message.filters || {};
+          if (filters.search !== undefined) searchInput.value = filters.search;
+          if (filters.namespace !== undefined) namespaceSelect.value = filters.namespace;
+          if (filters.missingOnly !== undefined) missingOnlyInput.checked = filters.missingOnly;
+          limit = PAGE_SIZE;
+          renderRows();
+          break;
+        }
+
+        case 'saved':
+          saving = false;
+          if (message.success) {
+            // 保存成功后以修改值作为原值，等待文件监听重新加载
+            for (const key of Object.keys(edits)) {
+              const row = rowMap.get(key);
+              if (row) Object.assign(row.values, edits[key]);
+            }
+            edits = {};
+          }
+          renderRows();
+          break;
+      }
+    });
+
+    // 表头固定在工具栏下方
+    function updateToolbarHeight() {
+      document.documentElement.style.setProperty(
+        '--toolbar-height',
+        document.getElementById('toolbar').offsetHeight + 'px'
+      );
+    }
+    window.addEventListener('resize', updateToolbarHeight);
+    updateToolbarHeight();
+
+    vscode.postMessage({ command: 'ready' });
+  </script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  openTranslationGrid,
+  refresh,
+};
@@ -1,9 +1,17 @@
 const vscode = require("vscode");
-const acorn = require("acorn");
-const walk = require("acorn-walk");
+const keyAnalyzer = require("./keyAnalyzer");
+const { matchLocale, getNamespaceKey } = require("./localeManager");
 
 // 添加翻译缓存，避免重复查询相同的键
 const translationCache = new Map();
+// 动态键匹配结果缓存
+const patternCache = new Map();
+// 缓存对应的多语言数据，查询其他语言集的数据时重新建立缓存
+let cachedLocaleData = null;
+// 悬停中最多列出的动态键匹配数量
+const MAX_PATTERN_HOVER_KEYS = 20;
+// 文档中多语言键的分析结果，按文档版本缓存，供装饰、悬停等功能复用
+const keyRangeCache = new Map();
 // 控制是否输出调试日志
 const DEBUG = false;
 
@@ -36,321 +44,227 @@ function isEmpty(obj) {
 }
 
 /**
- * 装饰编辑器中的多语言键
- * @param {vscode.TextEditor} editor 文本编辑器
- * @param {vscode.TextEditorDecorationType} decorator 装饰器类型
- * @param {Object} localeData 多语言数据
+ * 获取翻译方法名称配置
+ * @returns {string[]} 翻译方法名称列表
  */
-function decorateI18nKeys(editor, decorator, localeData) {
-  if (!editor || !decorator || isEmpty(localeData)) {
-    return;
-  }
-
-  const startTime = Date.now();
-  const text = editor.document.getText();
-  const decorations = [];
-
-  // 获取配置
+function getTranslationMethods() {
   const config = vscode.workspace.getConfiguration("devCooker");
-  const defaultLocale = config.get("i18n.defaultLocale", "zh-CN");
-  const translationMethods = config.get("i18n.translationMethods", [
+  return config.get("i18n.translationMethods", [
     "$t",
     "$st",
     "i18n.global.t",
     "t",
     "translate",
   ]);
+}
 
-  // 根据文件类型选择解析方法
-  const fileType = editor.document.languageId;
+/**
+ * 查找文档中的所有多语言键调用
+ * @param {vscode.TextDocument} document 文本文档
+ * 翻译方法调用还包含 params，即调用时传入的命名参数，偏移量均已转换为文档中的范围和位置
+ * @returns {{key: string, range: vscode.Range, dynamic: boolean, params?: Object}[]} 多语言键及其在文档中的范围，动态键以 * 代替其中的动态部分
+ */
+function findI18nKeys(document) {
+  const uri = document.uri.toString();
+  const methods = getTranslationMethods();
+  const methodsKey = methods.join("|");
 
-  // 每次装饰前清理缓存，避免缓存过大
-  // 只在不同文件间保留缓存，同一文件的更新会刷新缓存
-  if (translationCache.size > 1000) {
-    translationCache.clear();
+  // 文档和翻译方法配置都未变化时复用上次的分析结果
+  const cached = keyRangeCache.get(uri);
+  if (
+    cached &&
+    cached.version === document.version &&
+    cached.methodsKey === methodsKey
+  ) {
+    return cached.items;
   }
 
-  if (fileType === "vue") {
-    decorations.push(
-      ...findVueTranslations(
-        text,
-        editor,
-        translationMethods,
-        localeData,
-        defaultLocale
-      )
-    );
-  } else if (fileType === "javascript" || fileType === "typescript") {
-    decorations.push(
-      ...findJsTranslations(
-        text,
-        editor,
-        translationMethods,
-        localeData,
-        defaultLocale
-      )
-    );
+  const items = keyAnalyzer
+    .analyzeText(document.getText(), document.languageId, methods)
+    .map(({ key, start, end, dynamic, params }) => ({
+      key,
+      range: new vscode.Range(
+        document.positionAt(start),
+        document.positionAt(end)
+      ),
+      dynamic,
+      params: params && toDocumentParams(document, params),
+    }));
+
+  if (keyRangeCache.size > 50) {
+    keyRangeCache.clear();
   }
+  keyRangeCache.set(uri, { version: document.version, methodsKey, items });
+  return items;
+}
 
-  // 应用装饰器
-  editor.setDecorations(decorator, decorations);
+/**
+ * 将翻译方法调用参数中的偏移量转换为文档中的范围和位置
+ * @param {vscode.TextDocument} document 文本文档
+ * @param {Object} params keyAnalyzer 返回的调用参数
+ * @returns {{properties: {name: string, range: vscode.Range}[], spread: boolean, pluralArgument: boolean, range: vscode.Range|null, insertPosition: vscode.Position, empty: boolean}}
+ *   参数信息，range 为参数对象的范围，没有参数对象时为 null
+ */
+function toDocumentParams(document, params) {
+  const toRange = ({ start, end }) =>
+    new vscode.Range(document.positionAt(start), document.positionAt(end));
+  return {
+    properties: params.properties.map((property) => ({
+      name: property.name,
+      range: toRange(property),
+    })),
+    spread: params.spread,
+    pluralArgument: params.pluralArgument,
+    range: params.object ? toRange(params.object) : null,
+    insertPosition: document.positionAt(params.insertOffset),
+    empty: !!params.object && params.properties.length === 0 && !params.spread,
+  };
+}
 
-  logDebug(
-    `装饰完成，共处理 ${decorations.length} 个翻译键，耗时 ${
-      Date.now() - startTime
-    }ms`
-  );
+/**
+ * 清除文档的多语言键分析缓存，文档关闭时调用
+ * @param {vscode.TextDocument} document 文本文档
+ */
+function forgetDocument(document) {
+  keyRangeCache.delete(document.uri.toString());
 }
 
 /**
- * 查找Vue文件中的翻译调用
- * @param {string} text 文件文本
- * @param {vscode.TextEditor} editor 编辑器
- * @param {string[]} translationMethods 翻译方法名称列表
+ * 获取行内翻译显示配置
  * @param {Object} localeData 多语言数据
- * @param {string} defaultLocale 默认语言
- * @returns {vscode.DecorationOptions[]} 装饰选项
+ * @returns {{mode: string, locale: string|null, maxLength: number}} 显示配置
  */
-function findVueTranslations(
-  text,
-  editor,
-  translationMethods,
-  localeData,
-  defaultLocale
-) {
-  const decorations = [];
-  
-  // 优化正则表达式，一次性捕获所有可能的多语言方法调用
-  const methodPattern = translationMethods.join("|");
-  const templatePattern = new RegExp(
-    `(${methodPattern})\\s*\\(\\s*['"]([^'"]+)['"]`,
-    "g"
-  );
-  let match;
-
-  while ((match = templatePattern.exec(text)) !== null) {
-    const [fullMatch, method, key] = match;
-
-    // 匹配文件位置
-    const matchPos = editor.document.positionAt(match.index);
-    const lineText = editor.document.lineAt(matchPos.line).text;
-
-    // 检查是否在注释中或字符串内
-    if (
-      isInComment(lineText, matchPos.character) ||
-      isInStringLiteral(text, match.index, key)
-    ) {
-      continue;
-    }
-
-    const endPos = editor.document.positionAt(match.index + fullMatch.length);
-    const range = new vscode.Range(matchPos, endPos);
-
-    // 创建仅用于悬停功能的装饰器（不包含行内显示）
-    const decoration = {
-      range,
-      // 不需要获取翻译值，提高性能
-    };
-
-    decorations.push(decoration);
-  }
-
-  // 解析脚本部分的翻译
-  try {
-    // 提取脚本部分 - 使用更高效的正则表达式
-    const scriptMatch = text.match(/<script(?:\s+[^>]*)?>([\s\S]*?)<\/script>/i);
-    if (scriptMatch && scriptMatch[1]) {
-      const scriptContent = scriptMatch[1];
-      const scriptOffset =
-        scriptMatch.index + scriptMatch[0].indexOf(scriptContent);
-
-      // 解析脚本并查找翻译
-      const jsDecorations = parseJsContent(
-        scriptContent,
-        scriptOffset,
-        editor,
-        translationMethods,
-        localeData,
-        defaultLocale
-      );
+function getAnnotationOptions(localeData) {
+  const config = vscode.workspace.getConfiguration("devCooker");
+  const locales = Object.keys(localeData);
 
-      decorations.push(...jsDecorations);
-    }
-  } catch (error) {
-    logError("解析Vue脚本出错:", error);
-  }
+  // 未指定显示语言时使用默认语言
+  const locale =
+    matchLocale(locales, config.get("i18n.annotation.locale", "")) ||
+    matchLocale(locales, config.get("i18n.defaultLocale", "zh-CN"));
 
-  return decorations;
+  return {
+    mode: config.get("i18n.annotation.mode", "off"),
+    locale,
+    maxLength: config.get("i18n.annotation.maxLength", 30),
+  };
 }
 
 /**
- * 查找JS/TS文件中的翻译调用
- * @param {string} text 文件文本
- * @param {vscode.TextEditor} editor 编辑器
- * @param {string[]} translationMethods 翻译方法名列表
+ * 获取键在行内显示的翻译文本
+ * @param {string} key 翻译键
  * @param {Object} localeData 多语言数据
- * @param {string} defaultLocale 默认语言
- * @returns {vscode.DecorationOptions[]} 装饰选项
+ * @param {{locale: string|null, maxLength: number}} options 显示配置
+ * @returns {string|null} 显示文本，没有翻译时返回 null
  */
-function findJsTranslations(
-  text,
-  editor,
-  translationMethods,
-  localeData,
-  defaultLocale
-) {
-  return parseJsContent(
-    text,
-    0,
-    editor,
-    translationMethods,
-    localeData,
-    defaultLocale
-  );
+function getAnnotationText(key, localeData, options) {
+  if (!options.locale) {
+    return null;
+  }
+
+  const value = getTranslationsForKey(key, localeData)[options.locale];
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  // 合并多行文本，并按最大长度截断
+  const text = String(value).replace(/\s*\n\s*/g, " ");
+  if (options.maxLength > 0 && text.length > options.maxLength) {
+    return `${text.slice(0, options.maxLength)}…`;
+  }
+  return text;
 }
 
 /**
- * 解析JS内容并提取翻译调用
- * @param {string} content JS内容
- * @param {number} offset 内容在文件中的偏移量
- * @param {vscode.TextEditor} editor 编辑器
- * @param {string[]} translationMethods 翻译方法名列表
+ * 装饰编辑器中的多语言键
+ * - inline 模式: 在键后显示翻译
+ * - replace 模式: 隐藏键文本并在原位置显示翻译，光标所在行恢复显示键
+ * @param {vscode.TextEditor} editor 文本编辑器
+ * @param {vscode.TextEditorDecorationType} decorator 装饰器类型
  * @param {Object} localeData 多语言数据
- * @param {string} defaultLocale 默认语言
- * @returns {vscode.DecorationOptions[]} 装饰选项
+ * @param {vscode.TextEditorDecorationType} [hideDecorator] 用于隐藏键文本的装饰器类型
  */
-function parseJsContent(
-  content,
-  offset,
-  editor,
-  translationMethods,
-  localeData,
-  defaultLocale
-) {
-  const decorations = [];
-
-  try {
-    // 解析JS代码 - 优化解析选项
-    const ast = acorn.parse(content, {
-      ecmaVersion: "latest",
-      sourceType: "module",
-      locations: true,
-      // 添加容错能力
-      allowReturnOutsideFunction: true,
-      allowImportExportEverywhere: true,
-    });
+function decorateI18nKeys(editor, decorator, localeData, hideDecorator) {
+  if (!editor || !decorator || isEmpty(localeData)) {
+    return;
+  }
 
-    // 创建方法名映射集，提高查找性能
-    const translationMethodsSet = new Set(translationMethods);
+  const startTime = Date.now();
 
-    // 遍历AST查找翻译方法调用
-    walk.simple(ast, {
-      CallExpression(node) {
-        let methodName = "";
+  // 每次装饰前清理缓存，避免缓存过大
+  // 只在不同文件间保留缓存，同一文件的更新会刷新缓存
+  if (translationCache.size > 1000) {
+    translationCache.clear();
+  }
 
-        // 直接方法调用: t('key')
-        if (node.callee.type === "Identifier") {
-          methodName = node.callee.name;
-        }
-        // 成员方法调用: i18n.t('key') 或 this.$t('key')
-        else if (node.callee.type === "MemberExpression") {
-          if (node.callee.property.type === "Identifier") {
-            methodName = node.callee.property.name;
-
-            // 处理 i18n.global.t 这样的情况
-            if (
-              node.callee.object.type === "MemberExpression" &&
-              node.callee.object.property.type === "Identifier" &&
-              node.callee.object.property.name === "global"
-            ) {
-              methodName = `i18n.global.${methodName}`;
-            } else if (
-              node.callee.object.type === "Identifier" &&
-              node.callee.object.name === "i18n"
-            ) {
-              methodName = `i18n.${methodName}`;
-            }
-          }
-        }
+  const options = getAnnotationOptions(localeData);
 
-        // 检查是否是翻译方法
-        if (
-          translationMethodsSet.has(methodName) &&
-          node.arguments.length > 0
-        ) {
-          const firstArg = node.arguments[0];
-
-          // 只处理字符串字面量键
-          if (
-            firstArg.type === "Literal" &&
-            typeof firstArg.value === "string"
-          ) {
-            const key = firstArg.value;
-
-            // 计算范围，考虑偏移量
-            const startPos = editor.document.positionAt(
-              firstArg.start + offset
-            );
-            const endPos = editor.document.positionAt(firstArg.end + offset);
-            const range = new vscode.Range(startPos, endPos);
-
-            // 创建仅用于悬停功能的装饰器（不包含行内显示）
-            const decoration = {
-              range,
-              // 不需要获取翻译值，提高性能
-            };
-
-            decorations.push(decoration);
-          }
-        }
-      },
-    });
-  } catch (error) {
-    logError("解析JS代码出错:", error);
+  // 记录光标所在的行，replace 模式下这些行显示原始键
+  const cursorLines = new Set();
+  for (const selection of editor.selections) {
+    for (let line = selection.start.line; line <= selection.end.line; line++) {
+      cursorLines.add(line);
+    }
   }
 
-  return decorations;
-}
+  const decorations = [];
+  const hiddenRanges = [];
+  for (const { key, range, dynamic } of findI18nKeys(editor.document)) {
+    const decoration = { range };
+    // 动态键可能对应多个翻译，只在悬停中显示
+    const text =
+      options.mode === "off" || dynamic
+        ? null
+        : getAnnotationText(key, localeData, options);
+
+    if (text !== null && options.mode === "inline") {
+      decoration.renderOptions = { after: { contentText: text } };
+    } else if (
+      text !== null &&
+      options.mode === "replace" &&
+      hideDecorator &&
+      range.isSingleLine &&
+      !cursorLines.has(range.start.line)
+    ) {
+      // 只隐藏引号内的键文本，保留引号
+      const keyRange = new vscode.Range(
+        range.start.translate(0, 1),
+        range.end.translate(0, -1)
+      );
+      hiddenRanges.push(keyRange);
+      decoration.range = keyRange;
+      decoration.renderOptions = {
+        before: { contentText: text, fontStyle: "italic" },
+      };
+    }
 
-/**
- * 检查位置是否在注释中
- * @param {string} lineText 行文本
- * @param {number} character 字符位置
- * @returns {boolean} 是否在注释中
- */
-function isInComment(lineText, character) {
-  // 检查是否在行注释中
-  const lineCommentIndex = lineText.indexOf("//");
-  if (lineCommentIndex !== -1 && character >= lineCommentIndex) {
-    return true;
+    decorations.push(decoration);
   }
 
-  // 检查是否在块注释中
-  // 这是一个简化的检查，真正的实现需要考虑多行块注释
-  const blockCommentStart = lineText.indexOf("/*");
-  const blockCommentEnd = lineText.indexOf("*/");
-
-  if (
-    blockCommentStart !== -1 &&
-    character >= blockCommentStart &&
-    (blockCommentEnd === -1 || character <= blockCommentEnd)
-  ) {
-    return true;
+  // 应用装饰器
+  editor.setDecorations(decorator, decorations);
+  if (hideDecorator) {
+    editor.setDecorations(hideDecorator, hiddenRanges);
   }
 
-  return false;
+  logDebug(
+    `装饰完成，共处理 ${decorations.length} 个翻译键，耗时 ${
+      Date.now() - startTime
+    }ms`
+  );
 }
 
 /**
- * 检查位置是否在字符串字面量中
- * @param {string} text 文件文本
- * @param {number} position 位置
- * @param {string} key 键值
- * @returns {boolean} 是否在字符串字面量中
+ * 切换缓存对应的多语言数据
+ * monorepo 中不同包的文档使用各自的语言集，同一个键在不同语言集中的翻译不同
+ * @param {Object} localeData 多语言数据
  */
-function isInStringLiteral(text, position, key) {
-  // 简化实现，检查当前位置是否已包含在翻译键调用中
-  return false;
+function useCacheFor(localeData) {
+  if (localeData !== cachedLocaleData) {
+    translationCache.clear();
+    patternCache.clear();
+    cachedLocaleData = localeData;
+  }
 }
 
 /**
@@ -360,6 +274,8 @@ function isInStringLiteral(text, position, key) {
  * @returns {Object} 翻译映射
  */
 function getTranslationsForKey(key, localeData) {
+  useCacheFor(localeData);
+
   // 检查缓存中是否已有结果
   const cacheKey = key;
   if (translationCache.has(cacheKey)) {
@@ -451,6 +367,85 @@ function getTranslationsForKey(key, localeData) {
   return result;
 }
 
+/**
+ * 查找与动态键匹配的所有翻译键
+ * 同时匹配命名空间内的键和带命名空间前缀的完整键
+ * @param {string} pattern 动态键，如 menu.*.title
+ * @param {Object} localeData 多语言数据
+ * @returns {Map<string, Object>} 完整键 → { 语言: 翻译值 }
+ */
+function findMatchingKeys(pattern, localeData) {
+  useCacheFor(localeData);
+  if (patternCache.has(pattern)) {
+    return patternCache.get(pattern);
+  }
+
+  const regex = keyAnalyzer.compileKeyPattern(pattern);
+  const matches = new Map();
+  for (const locale in localeData) {
+    for (const namespace in localeData[locale]) {
+      const entries = localeData[locale][namespace];
+      for (const key in entries) {
+        const value = entries[key];
+        // 跳过扁平化时保留的中间层对象
+        if (value && typeof value === "object" && !Array.isArray(value)) {
+          continue;
+        }
+
+        const fullKey = getNamespaceKey(namespace, key);
+        if (!regex.test(key) && !regex.test(fullKey)) {
+          continue;
+        }
+        if (!matches.has(fullKey)) {
+          matches.set(fullKey, {});
+        }
+        matches.get(fullKey)[locale] = value;
+      }
+    }
+  }
+
+  patternCache.set(pattern, matches);
+  return matches;
+}
+
+/**
+ * 创建动态键的悬停消息，列出所有匹配的键及其默认语言翻译
+ * @param {string} pattern 动态键
+ * @param {Map<string, Object>} matches 匹配的键
+ * @param {string} defaultLocale 默认语言
+ * @returns {vscode.MarkdownString} Markdown格式的悬停消息
+ */
+function createPatternHover(pattern, matches, defaultLocale) {
+  const hoverContent = new vscode.MarkdownString();
+  hoverContent.isTrusted = true;
+
+  hoverContent.appendMarkdown(`**动态翻译键:** \`${pattern}\`\n\n`);
+
+  if (matches.size === 0) {
+    hoverContent.appendMarkdown(`**警告:** 未找到匹配的翻译键。\n\n`);
+    return hoverContent;
+  }
+
+  hoverContent.appendMarkdown(`**匹配的键 (${matches.size}):**\n\n`);
+  const keys = [...matches.keys()].sort();
+  for (const key of keys.slice(0, MAX_PATTERN_HOVER_KEYS)) {
+    const value = matches.get(key)[defaultLocale];
+    const args = encodeURIComponent(JSON.stringify([key]));
+    hoverContent.appendMarkdown(
+      `- [\`${key}\`](command:devassistkit.i18nTools.editTranslation?${args}): ${
+        value === undefined || value === null ? "-" : value || "空"
+      }\n`
+    );
+  }
+  if (keys.length > MAX_PATTERN_HOVER_KEYS) {
+    hoverContent.appendMarkdown(
+      `- …其余 ${keys.length - MAX_PATTERN_HOVER_KEYS} 个键\n`
+    );
+  }
+
+  return hoverContent;
+}
+
 /**
  * 创建翻译悬停消息
  * @param {string} key 翻译键
@@ -496,78 +491,92 @@ function createTranslationHover(key, translations, defaultLocale) {
       JSON.stringify([key])
     )})`
   );
+  hoverContent.appendMarkdown(
+    ` | [查看所有定义](command:devassistkit.i18nTools.peekTranslations?${encodeURIComponent(
+      JSON.stringify([key])
+    )})`
+  );
 
   return hoverContent;
 }
 
 /**
  * 获取翻译悬停提供器
- * @param {Object} localeData 多语言数据
+ * 复用装饰时分析出的键范围，支持跨行调用和各种引号
+ * @param {(document: vscode.TextDocument) => Object} getLocaleData 获取文档所属语言集最新多语言数据的函数
  * @returns {vscode.HoverProvider} 悬停提供器
  */
-function getTranslationHoverProvider(localeData) {
-  // 获取配置
-  const config = vscode.workspace.getConfiguration("devCooker");
-  const defaultLocale = config.get("i18n.defaultLocale", "zh-CN");
-  const translationMethods = config.get("i18n.translationMethods", [
-    "$t",
-    "$st",
-    "i18n.global.t",
-    "t",
-    "translate",
-  ]);
-
-  // 编译一次正则表达式，提高性能
-  const methodPattern = translationMethods.join("|");
-  const regex = new RegExp(
-    `(${methodPattern})\\s*\\(\\s*['"]([^'"]+)['"]`,
-    "g"
-  );
-
+function getTranslationHoverProvider(getLocaleData) {
   return {
-    provideHover(document, position, token) {
-      // 读取当前位置的单词
-      const wordRange = document.getWordRangeAtPosition(position);
-      if (!wordRange) {
+    provideHover(document, position) {
+      const localeData = getLocaleData(document);
+      if (isEmpty(localeData)) {
         return null;
       }
 
-      const lineText = document.lineAt(position.line).text;
-      const line = position.line;
-
-      // 重置正则表达式的lastIndex
-      regex.lastIndex = 0;
-      
-      // 查找这一行中的翻译调用
-      let match;
-      while ((match = regex.exec(lineText)) !== null) {
-        const [fullMatch, method, key] = match;
-        const startCharacter = match.index;
-        const endCharacter = match.index + fullMatch.length;
-
-        // 检查位置是否在这个匹配内
-        if (
-          position.character >= startCharacter &&
-          position.character <= endCharacter
-        ) {
-          // 获取翻译值
-          const translations = getTranslationsForKey(key, localeData);
-
-          // 创建悬停消息
-          return new vscode.Hover(
-            createTranslationHover(key, translations, defaultLocale),
-            new vscode.Range(line, startCharacter, line, endCharacter)
-          );
-        }
+      const item = findI18nKeys(document).find(({ range }) =>
+        range.contains(position)
+      );
+      if (!item) {
+        return null;
+      }
+
+      const config = vscode.workspace.getConfiguration("devCooker");
+      const defaultLocale = matchLocale(
+        Object.keys(localeData),
+        config.get("i18n.defaultLocale", "zh-CN")
+      );
+
+      if (item.dynamic) {
+        return new vscode.Hover(
+          createPatternHover(
+            item.key,
+            findMatchingKeys(item.key, localeData),
+            defaultLocale
+          ),
+          item.range
+        );
       }
 
-      return null;
+      // 获取翻译值并创建悬停消息
+      const translations = getTranslationsForKey(item.key, localeData);
+      return new vscode.Hover(
+        createTranslationHover(item.key, translations, defaultLocale),
+        item.range
+      );
     },
   };
 }
 
+/**
+ * 清理翻译缓存
+ * 传入变化的键时只清理可能受影响的缓存项，查找时会回退到键的最后一部分，
+ * 因此最后一部分相同的缓存项也一并清理；动态键的匹配结果总是全部清理
+ * @param {string[]} [changedKeys] 变化的扁平键，不传时清理全部缓存
+ */
+function clearTranslationCache(changedKeys) {
+  patternCache.clear();
+  if (!changedKeys) {
+    translationCache.clear();
+    return;
+  }
+
+  const keys = new Set(changedKeys);
+  const lastParts = new Set(changedKeys.map((key) => key.split(".").pop()));
+  for (const cacheKey of translationCache.keys()) {
+    if (keys.has(cacheKey) || lastParts.has(cacheKey.split(".").pop())) {
+      translationCache.delete(cacheKey);
+    }
+  }
+}
+
 module.exports = {
+  getTranslationMethods,
+  findI18nKeys,
   decorateI18nKeys,
+  getTranslationsForKey,
+  findMatchingKeys,
   getTranslationHoverProvider,
-  clearTranslationCache: () => translationCache.clear(),
+  clearTranslationCache,
+  forgetDocument,
 };
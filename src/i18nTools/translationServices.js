@@ -0,0 +1,219 @@
+const axios = require("axios");
+
+/*
+ * 机器翻译服务
+ * 每个服务需要提供:
+ * - name: 服务名称，对应配置项 devCooker.i18n.machineTranslation.provider
+ * - label: 显示名称
+ * - getLanguageCode(locale, isTarget): 将项目中的语言标识转换为服务使用的语言代码
+ * - translate(texts, { source, target, settings }): 批量翻译，返回与 texts 顺序一致的译文数组
+ *
+ * 传入的文本已对 XML 特殊字符转义，占位符以 <x id="N"/> 标签表示，
+ * 服务需要原样保留这些标签，详见 machineTranslator.js
+ */
+
+// 请求超时时间（毫秒）
+const REQUEST_TIMEOUT = 30000;
+
+/**
+ * 获取语言标识中的主语言部分，如 zh-CN → zh
+ * @param {string} locale 语言标识
+ * @returns {string} 主语言
+ */
+function getPrimaryLanguage(locale) {
+  return locale.split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * 发送 POST 请求，请求失败时返回包含服务响应内容的错误信息
+ * @param {string} label 服务名称
+ * @param {string} url 请求地址
+ * @param {Object} data 请求体
+ * @param {Object} [headers] 请求头
+ * @returns {Promise<any>} 响应数据
+ */
+async function postJson(label, url, data, headers = {}) {
+  try {
+    const response = await axios.post(url, data, {
+      headers: { "Content-Type": "application/json", ...headers },
+      timeout: REQUEST_TIMEOUT,
+    });
+    return response.data;
+  } catch (error) {
+    const detail = error.response
+      ? `${error.response.status} ${JSON.stringify(error.response.data)}`
+      : error.message;
+    throw new Error(`${label} 请求失败: ${detail}`);
+  }
+}
+
+/**
+ * 检查译文数量与原文是否一致
+ * @param {string} label 服务名称
+ * @param {any} results 译文
+ * @param {string[]} texts 原文
+ * @returns {string[]} 译文
+ */
+function checkResults(label, results, texts) {
+  if (!Array.isArray(results) || results.length !== texts.length) {
+    throw new Error(`${label} 返回的译文数量与原文不一致`);
+  }
+  return results.map((text) => String(text));
+}
+
+const deeplService = {
+  name: "deepl",
+  label: "DeepL",
+  getLanguageCode(locale, isTarget) {
+    const [language, region] = locale.replace(/_/g, "-").split("-");
+    // 英语和葡萄牙语作为目标语言时区分地区
+    if (isTarget && region && ["en", "pt"].includes(language.toLowerCase())) {
+      return `${language}-${region}`.toUpperCase();
+    }
+    return language.toUpperCase();
+  },
+  async translate(texts, { source, target, settings }) {
+    if (!settings.apiKey) {
+      throw new Error("请先配置 DeepL 的 API Key");
+    }
+    // 免费版 API Key 以 :fx 结尾，使用单独的域名
+    const url =
+      settings.url ||
+      (settings.apiKey.endsWith(":fx")
+        ? "https://api-free.deepl.com/v2/translate"
+        : "https://api.deepl.com/v2/translate");
+    const data = await postJson(
+      this.label,
+      url,
+      {
+        text: texts,
+        source_lang: source,
+        target_lang: target,
+        tag_handling: "xml",
+        ignore_tags: ["x"],
+      },
+      { Authorization: `DeepL-Auth-Key ${settings.apiKey}` }
+    );
+    return checkResults(
+      this.label,
+      (data.translations || []).map((item) => item.text),
+      texts
+    );
+  },
+};
+
+const googleService = {
+  name: "google",
+  label: "Google",
+  getLanguageCode(locale) {
+    const normalized = locale.replace(/_/g, "-");
+    // 中文区分简体和繁体，其他语言只使用主语言
+    if (getPrimaryLanguage(normalized) === "zh") {
+      return /-(TW|HK|MO|Hant)/i.test(normalized) ? "zh-TW" : "zh-CN";
+    }
+    return getPrimaryLanguage(normalized);
+  },
+  async translate(texts, { source, target, settings }) {
+    if (!settings.apiKey) {
+      throw new Error("请先配置 Google Cloud Translation 的 API Key");
+    }
+    const url =
+      settings.url ||
+      "https://translation.googleapis.com/language/translate/v2";
+    const data = await postJson(
+      this.label,
+      `${url}?key=${encodeURIComponent(settings.apiKey)}`,
+      { q: texts, source, target, format: "html" }
+    );
+    return checkResults(
+      this.label,
+      ((data.data && data.data.translations) || []).map(
+        (item) => item.translatedText
+      ),
+      texts
+    );
+  },
+};
+
+const libreTranslateService = {
+  name: "libretranslate",
+  label: "LibreTranslate",
+  getLanguageCode(locale) {
+    return getPrimaryLanguage(locale);
+  },
+  async translate(texts, { source, target, settings }) {
+    if (!settings.url) {
+      throw new Error("请先配置 LibreTranslate 的服务地址");
+    }
+    const data = await postJson(
+      this.label,
+      `${settings.url.replace(/\/+$/, "")}/translate`,
+      {
+        q: texts,
+        source,
+        target,
+        format: "html",
+        ...(settings.apiKey ? { api_key: settings.apiKey } : {}),
+      }
+    );
+    return checkResults(this.label, data.translatedText, texts);
+  },
+};
+
+const openaiService = {
+  name: "openai",
+  label: "OpenAI",
+  getLanguageCode(locale) {
+    return locale;
+  },
+  async translate(texts, { source, target, settings }) {
+    if (!settings.apiKey && !settings.url) {
+      throw new Error("请先配置 OpenAI 兼容接口的 API Key 或服务地址");
+    }
+    const url = `${(settings.url || "https://api.openai.com/v1").replace(
+      /\/+$/,
+      ""
+    )}/chat/completions`;
+    const data = await postJson(
+      this.label,
+      url,
+      {
+        model: settings.model || "gpt-4o-mini",
+        temperature: 0,
+        messages: [
+          {
+            role: "system",
+            content:
+              `You are a software localization translator. Translate each string in the JSON array from ${source} to ${target}. ` +
+              'Keep every <x id="N"/> tag and XML entity exactly as-is, keep leading and trailing whitespace, ' +
+              "and reply with only a JSON array of the translated strings in the same order.",
+          },
+          { role: "user", content: JSON.stringify(texts) },
+        ],
+      },
+      settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {}
+    );
+
+    const content =
+      (data.choices &&
+        data.choices[0] &&
+        data.choices[0].message &&
+        data.choices[0].message.content) ||
+      "";
+    let results;
+    try {
+      // 兼容以 Markdown 代码块包裹的回复
+      results = JSON.parse(content.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ""));
+    } catch {
+      throw new Error(`${this.label} 返回的内容不是 JSON 数组`);
+    }
+    return checkResults(this.label, results, texts);
+  },
+};
+
+module.exports = {
+  deeplService,
+  googleService,
+  libreTranslateService,
+  openaiService,
+};
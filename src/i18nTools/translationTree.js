@@ -0,0 +1,411 @@
+const vscode = require("vscode");
+const { getNamespaceKey } = require("./localeManager");
+
+// 侧边栏视图 ID
+const VIEW_ID = "devCooker.i18nTree";
+// 标记侧边栏是否处于筛选状态的上下文键，用于显示清除筛选按钮
+const FILTERED_CONTEXT_KEY = "devCooker.i18nTree.filtered";
+
+const changeEmitter = new vscode.EventEmitter();
+let getLocaleState = () => ({ localeData: {}, keySources: {} }); // 获取多语言状态的函数
+let filterText = ""; // 筛选文本
+let treeView = null; // 侧边栏视图
+
+/**
+ * 检查扁平化后的值是否为叶子节点，跳过扁平化时保留的中间层对象
+ * @param {*} value 值
+ * @returns {boolean} 是否为叶子节点
+ */
+function isLeafValue(value) {
+  return !(value && typeof value === "object" && !Array.isArray(value));
+}
+
+/**
+ * 检查翻译值是否为空
+ * @param {*} value 翻译值
+ * @returns {boolean} 是否为空
+ */
+function isEmptyValue(value) {
+  return value === null || value === "";
+}
+
+/**
+ * 汇总每个命名空间在所有语言中出现的键
+ * @param {Object} localeData 多语言数据
+ * @returns {Map<string, Set<string>>} 命名空间 → 键集合
+ */
+function collectNamespaceKeys(localeData) {
+  const namespaces = new Map();
+  for (const locale in localeData) {
+    for (const namespace in localeData[locale]) {
+      if (!namespaces.has(namespace)) {
+        namespaces.set(namespace, new Set());
+      }
+      const keys = namespaces.get(namespace);
+      const entries = localeData[locale][namespace];
+      for (const key in entries) {
+        if (isLeafValue(entries[key])) {
+          keys.add(key);
+        }
+      }
+    }
+  }
+  return namespaces;
+}
+
+/**
+ * 检查键是否符合筛选条件，匹配键名或任一语言中的翻译值
+ * @param {Object} localeData 多语言数据
+ * @param {string} namespace 命名空间
+ * @param {string} key 命名空间内的键
+ * @returns {boolean} 是否符合
+ */
+function matchesFilter(localeData, namespace, key) {
+  if (!filterText) {
+    return true;
+  }
+
+  const text = filterText.toLowerCase();
+  if (getNamespaceKey(namespace, key).toLowerCase().includes(text)) {
+    return true;
+  }
+  return Object.values(localeData).some((namespaces) => {
+    const value = namespaces[namespace] && namespaces[namespace][key];
+    return (
+      value !== undefined &&
+      value !== null &&
+      isLeafValue(value) &&
+      String(value).toLowerCase().includes(text)
+    );
+  });
+}
+
+/**
+ * 统计键集合在指定语言中缺失和为空的数量
+ * @param {Object} entries 该语言命名空间下的扁平数据，不存在时为 undefined
+ * @param {Iterable<string>} keys 键集合
+ * @returns {{missing: number, empty: number}} 统计结果
+ */
+function countProblems(entries, keys) {
+  let missing = 0;
+  let empty = 0;
+  for (const key of keys) {
+    const value = entries ? entries[key] : undefined;
+    if (value === undefined) {
+      missing++;
+    } else if (isEmptyValue(value)) {
+      empty++;
+    }
+  }
+  return { missing, empty };
+}
+
+/**
+ * 生成缺失和为空数量的描述文本
+ * @param {{missing: number, empty: number}} problems 统计结果
+ * @returns {string} 描述文本
+ */
+function describeProblems({ missing, empty }) {
+  const parts = [];
+  if (missing > 0) {
+    parts.push(`${missing} 缺失`);
+  }
+  if (empty > 0) {
+    parts.push(`${empty} 为空`);
+  }
+  return parts.join(" · ");
+}
+
+/**
+ * 获取语言节点
+ * @param {Object} localeData 多语言数据
+ * @param {Map<string, Set<string>>} namespaceKeys 命名空间 → 键集合
+ * @returns {Object[]} 语言节点
+ */
+function getLocaleNodes(localeData, namespaceKeys) {
+  return Object.keys(localeData)
+    .sort()
+    .map((locale) => {
+      const problems = { missing: 0, empty: 0 };
+      for (const [namespace, keys] of namespaceKeys) {
+        const result = countProblems(localeData[locale][namespace], keys);
+        problems.missing += result.missing;
+        problems.empty += result.empty;
+      }
+      return { type: "locale", locale, problems };
+    });
+}
+
+/**
+ * 获取命名空间下某一层级的子节点
+ * @param {Object} localeData 多语言数据
+ * @param {string} locale 语言
+ * @param {string} namespace 命名空间
+ * @param {Set<string>} keys 该命名空间在所有语言中出现的键
+ * @param {string} prefix 父级键路径，命名空间根为空字符串
+ * @returns {Object[]} 目录和键节点
+ */
+function getKeyNodes(localeData, locale, namespace, keys, prefix) {
+  const entries = localeData[locale][namespace];
+  const folders = new Map();
+  const leaves = [];
+
+  for (const key of keys) {
+    if (prefix && !key.startsWith(`${prefix}.`)) {
+      continue;
+    }
+    if (!matchesFilter(localeData, namespace, key)) {
+      continue;
+    }
+
+    const rest = prefix ? key.slice(prefix.length + 1) : key;
+    const dotIndex = rest.indexOf(".");
+    if (dotIndex === -1) {
+      leaves.push(key);
+      continue;
+    }
+
+    const path = prefix
+      ? `${prefix}.${rest.slice(0, dotIndex)}`
+      : rest.slice(0, dotIndex);
+    if (!folders.has(path)) {
+      folders.set(path, []);
+    }
+    folders.get(path).push(key);
+  }
+
+  const folderNodes = [...folders.keys()].sort().map((path) => ({
+    type: "folder",
+    locale,
+    namespace,
+    path,
+    problems: countProblems(entries, folders.get(path)),
+  }));
+
+  const leafNodes = leaves.sort().map((key) => {
+    const value = entries ? entries[key] : undefined;
+    return {
+      type: "key",
+      locale,
+      namespace,
+      path: key,
+      fullKey: getNamespaceKey(namespace, key),
+      value,
+      missing: value === undefined,
+    };
+  });
+
+  return [...folderNodes, ...leafNodes];
+}
+
+/**
+ * 获取侧边栏数据提供器
+ * 节点层级为 语言 → 命名空间 → 嵌套键，每个语言中都会列出其他语言中存在的键，
+ * 缺失或为空的键以警告图标标记
+ * @type {vscode.TreeDataProvider}
+ */
+const translationTreeProvider = {
+  onDidChangeTreeData: changeEmitter.event,
+
+  getChildren(element) {
+    const { localeData } = getLocaleState();
+    if (!localeData) {
+      return [];
+    }
+
+    const namespaceKeys = collectNamespaceKeys(localeData);
+    if (!element) {
+      return getLocaleNodes(localeData, namespaceKeys);
+    }
+
+    if (element.type === "locale") {
+      return [...namespaceKeys.keys()]
+        .sort()
+        .filter((namespace) =>
+          [...namespaceKeys.get(namespace)].some((key) =>
+            matchesFilter(localeData, namespace, key)
+          )
+        )
+        .map((namespace) => ({
+          type: "namespace",
+          locale: element.locale,
+          namespace,
+          path: "",
+          problems: countProblems(
+            localeData[element.locale][namespace],
+            namespaceKeys.get(namespace)
+          ),
+        }));
+    }
+
+    if (element.type === "namespace" || element.type === "folder") {
+      return getKeyNodes(
+        localeData,
+        element.locale,
+        element.namespace,
+        namespaceKeys.get(element.namespace) || new Set(),
+        element.path
+      );
+    }
+
+    return [];
+  },
+
+  getTreeItem(element) {
+    // 筛选时展开所有层级，便于查看匹配结果
+    const collapsibleState = filterText
+      ? vscode.TreeItemCollapsibleState.Expanded
+      : vscode.TreeItemCollapsibleState.Collapsed;
+
+    let item;
+    switch (element.type) {
+      case "locale":
+        item = new vscode.TreeItem(element.locale, collapsibleState);
+        item.iconPath = new vscode.ThemeIcon("globe");
+        item.description = describeProblems(element.problems);
+        break;
+
+      case "namespace":
+        item = new vscode.TreeItem(element.namespace, collapsibleState);
+        item.iconPath = new vscode.ThemeIcon("symbol-namespace");
+        item.description = describeProblems(element.problems);
+        break;
+
+      case "folder":
+        item = new vscode.TreeItem(
+          element.path.slice(element.path.lastIndexOf(".") + 1),
+          collapsibleState
+        );
+        item.iconPath = new vscode.ThemeIcon("symbol-object");
+        item.description = describeProblems(element.problems);
+        break;
+
+      default: {
+        item = new vscode.TreeItem(
+          element.path.slice(element.path.lastIndexOf(".") + 1),
+          vscode.TreeItemCollapsibleState.None
+        );
+        if (element.missing) {
+          item.description = "缺失";
+          item.iconPath = new vscode.ThemeIcon(
+            "error",
+            new vscode.ThemeColor("list.errorForeground")
+          );
+        } else if (isEmptyValue(element.value)) {
+          item.description = "为空";
+          item.iconPath = new vscode.ThemeIcon(
+            "warning",
+            new vscode.ThemeColor("list.warningForeground")
+          );
+        } else {
+          item.description = String(element.value).replace(/\s*\n\s*/g, " ");
+          item.iconPath = new vscode.ThemeIcon("symbol-string");
+        }
+        item.tooltip = new vscode.MarkdownString(
+          `\`${element.fullKey}\`\n\n${
+            element.missing ? "_缺失_" : String(element.value)
+          }`
+        );
+        item.command = {
+          command: "devassistkit.i18nTools.editTranslation",
+          title: "编辑翻译",
+          arguments: [element.fullKey],
+        };
+        break;
+      }
+    }
+
+    item.id = [element.type, element.locale, element.namespace, element.path]
+      .filter((part) => part !== undefined)
+      .join("/");
+    item.contextValue =
+      element.type === "key" && element.missing ? "missingKey" : element.type;
+    return item;
+  },
+};
+
+/**
+ * 创建多语言侧边栏视图
+ * @param {() => Promise<void>} ensureInitialized 展开侧边栏前初始化多语言工具的函数
+ * @returns {vscode.TreeView} 侧边栏视图
+ */
+function createTranslationTreeView(ensureInitialized) {
+  const provider = {
+    ...translationTreeProvider,
+    async getChildren(element) {
+      await ensureInitialized();
+      return translationTreeProvider.getChildren(element);
+    },
+  };
+
+  treeView = vscode.window.createTreeView(VIEW_ID, {
+    treeDataProvider: provider,
+    showCollapseAll: true,
+  });
+  return treeView;
+}
+
+/**
+ * 设置获取多语言状态的函数，并刷新侧边栏
+ * @param {() => Object} getState 获取多语言状态的函数
+ */
+function setLocaleStateSource(getState) {
+  getLocaleState = getState;
+  refresh();
+}
+
+/**
+ * 刷新侧边栏，并更新视图上缺失翻译数量的徽标
+ */
+function refresh() {
+  changeEmitter.fire();
+
+  if (!treeView) {
+    return;
+  }
+  const { localeData } = getLocaleState();
+  const namespaceKeys = collectNamespaceKeys(localeData || {});
+  const missing = getLocaleNodes(localeData || {}, namespaceKeys).reduce(
+    (total, node) => total + node.problems.missing,
+    0
+  );
+  treeView.badge =
+    missing > 0
+      ? { value: missing, tooltip: `${missing} 个缺失的翻译` }
+      : undefined;
+}
+
+/**
+ * 设置筛选文本，按键名和所有语言中的翻译值筛选
+ * @param {string} text 筛选文本，为空时清除筛选
+ */
+function setFilter(text) {
+  filterText = (text || "").trim();
+  vscode.commands.executeCommand(
+    "setContext",
+    FILTERED_CONTEXT_KEY,
+    !!filterText
+  );
+  if (treeView) {
+    treeView.message = filterText ? `筛选: ${filterText}` : undefined;
+  }
+  changeEmitter.fire();
+}
+
+/**
+ * 获取当前的筛选文本
+ * @returns {string} 筛选文本
+ */
+function getFilter() {
+  return filterText;
+}
+
+module.exports = {
+  VIEW_ID,
+  translationTreeProvider,
+  createTranslationTreeView,
+  setLocaleStateSource,
+  refresh,
+  setFilter,
+  getFilter,
+};
@@ -0,0 +1,352 @@
+const vscode = require("vscode");
+const fs = require("fs").promises;
+const keyAnalyzer = require("./keyAnalyzer");
+const translationProvider = require("./translationProvider");
+const {
+  getNamespaceKey,
+  getLocaleFilePaths,
+  saveTranslations,
+  getTargetFiles,
+} = require("./localeManager");
+
+// 扫描的源文件与排除目录
+const SOURCE_FILES_GLOB = "**/*.{vue,js,ts,jsx,tsx}";
+const EXCLUDE_GLOB = "**/{node_modules,dist,.git}/**";
+
+/**
+ * 创建偏移量到位置的转换函数
+ * @param {string} text 文件文本
+ * @returns {(offset: number) => vscode.Position} 转换函数
+ */
+function createPositionResolver(text) {
+  // 预先记录每一行的起始偏移量，使用二分查找定位行号
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\n") {
+      lineStarts.push(i + 1);
+    }
+  }
+
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return new vscode.Position(low, offset - lineStarts[low]);
+  };
+}
+
+/**
+ * 扫描工作区中所有 vue/js/ts/jsx/tsx 文件，建立 键 → 使用位置 的索引
+ * 动态键同样以 * 形式记录在索引中，并单独收集到 patterns
+ * @param {Object} localeFiles 多语言文件信息
+ * @param {vscode.CancellationToken} [token] 取消令牌
+ * @param {(fsPath: string) => boolean} [includesFile] 可选，只扫描返回 true 的文件，用于限定在语言集所属的包中
+ * @returns {Promise<{usages: Map<string, vscode.Location[]>, patterns: Set<string>, fileCount: number, cancelled: boolean}>}
+ *   使用索引、动态键、扫描的文件数以及是否被取消，取消时索引只包含已扫描的文件
+ */
+async function scanWorkspaceUsages(localeFiles, token, includesFile) {
+  const usages = new Map();
+  const patterns = new Set();
+  const translationMethods = translationProvider.getTranslationMethods();
+  const localeFilePaths = getLocaleFilePaths(localeFiles || {});
+
+  const uris = await vscode.workspace.findFiles(
+    SOURCE_FILES_GLOB,
+    EXCLUDE_GLOB
+  );
+
+  let fileCount = 0;
+  let cancelled = false;
+  for (const uri of uris) {
+    if (token && token.isCancellationRequested) {
+      cancelled = true;
+      break;
+    }
+    if (
+      localeFilePaths.has(uri.fsPath) ||
+      (includesFile && !includesFile(uri.fsPath))
+    ) {
+      continue;
+    }
+
+    const languageId = keyAnalyzer.getLanguageIdByPath(uri.fsPath);
+    if (!languageId) {
+      continue;
+    }
+
+    let text;
+    try {
+      text = await fs.readFile(uri.fsPath, "utf-8");
+    } catch (error) {
+      console.warn(`读取文件失败: "${uri.fsPath}"`, error);
+      continue;
+    }
+    fileCount++;
+
+    const results = keyAnalyzer.analyzeText(
+      text,
+      languageId,
+      translationMethods
+    );
+    if (results.length === 0) {
+      continue;
+    }
+
+    const positionAt = createPositionResolver(text);
+    for (const { key, start, end, dynamic } of results) {
+      if (dynamic) {
+        patterns.add(key);
+      }
+      if (!usages.has(key)) {
+        usages.set(key, []);
+      }
+      usages
+        .get(key)
+        .push(
+          new vscode.Location(
+            uri,
+            new vscode.Range(positionAt(start), positionAt(end))
+          )
+        );
+    }
+  }
+
+  return { usages, patterns, fileCount, cancelled };
+}
+
+/**
+ * 根据使用索引生成未使用键与未定义键的报告
+ * 与动态键匹配的键视为已使用，动态键只有在没有任何匹配的键时才视为未定义
+ * @param {Object} localeData 多语言数据
+ * @param {Map<string, vscode.Location[]>} usages 键使用索引
+ * @param {Set<string>} [patterns] 索引中的动态键
+ * @returns {{unusedKeys: Object[], undefinedKeys: Object[]}} 报告数据
+ */
+function buildUsageReport(localeData, usages, patterns = new Set()) {
+  const unusedKeys = [];
+  const undefinedKeys = [];
+  const patternRegexes = [...patterns].map(keyAnalyzer.compileKeyPattern);
+
+  // 未使用的键：按语言和命名空间统计叶子节点
+  for (const locale in localeData) {
+    for (const namespace in localeData[locale]) {
+      const entries = localeData[locale][namespace];
+      for (const key in entries) {
+        const value = entries[key];
+        // 跳过扁平化时保留的中间层对象
+        if (value && typeof value === "object" && !Array.isArray(value)) {
+          continue;
+        }
+
+        const fullKey = getNamespaceKey(namespace, key);
+        if (
+          !usages.has(fullKey) &&
+          !usages.has(key) &&
+          !patternRegexes.some(
+            (regex) => regex.test(fullKey) || regex.test(key)
+          )
+        ) {
+          unusedKeys.push({ locale, namespace, key, fullKey });
+        }
+      }
+    }
+  }
+
+  // 未定义的键：代码中使用但任何语言中都不存在
+  for (const [key, locations] of usages) {
+    const defined = patterns.has(key)
+      ? translationProvider.findMatchingKeys(key, localeData).size > 0
+      : Object.keys(translationProvider.getTranslationsForKey(key, localeData))
+          .length > 0;
+    if (!defined) {
+      undefinedKeys.push({ key, locations });
+    }
+  }
+
+  return { unusedKeys, undefinedKeys };
+}
+
+/**
+ * 生成Markdown格式的报告内容
+ * @param {Object} report 报告数据
+ * @param {number} fileCount 扫描的文件数
+ * @param {number} usedKeyCount 使用的键数量
+ * @returns {string} Markdown文本
+ */
+function renderReportMarkdown(report, fileCount, usedKeyCount) {
+  const lines = [
+    "# 翻译键使用情况报告",
+    "",
+    `- 扫描文件数: ${fileCount}`,
+    `- 代码中使用的键: ${usedKeyCount}`,
+    `- 未使用的键: ${report.unusedKeys.length}`,
+    `- 未定义的键: ${report.undefinedKeys.length}`,
+    "",
+    `## 未使用的键 (${report.unusedKeys.length})`,
+    "",
+  ];
+
+  // 按 语言/命名空间 分组
+  const groups = {};
+  for (const item of report.unusedKeys) {
+    const group = `${item.locale} / ${item.namespace}`;
+    if (!groups[group]) {
+      groups[group] = [];
+    }
+    groups[group].push(item.key);
+  }
+
+  for (const group of Object.keys(groups).sort()) {
+    lines.push(`### ${group} (${groups[group].length})`, "");
+    for (const key of groups[group].sort()) {
+      lines.push(`- \`${key}\``);
+    }
+    lines.push("");
+  }
+
+  lines.push(`## 未定义的键 (${report.undefinedKeys.length})`, "");
+  for (const { key, locations } of report.undefinedKeys) {
+    const places = locations
+      .slice(0, 3)
+      .map(
+        (location) =>
+          `${vscode.workspace.asRelativePath(location.uri)}:${
+            location.range.start.line + 1
+          }`
+      )
+      .join(", ");
+    const more = locations.length > 3 ? ` 等 ${locations.length} 处` : "";
+    lines.push(`- \`${key}\` — ${places}${more}`);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * 删除未使用的键，按键分组后通过 saveTranslations 批量写回键所在的文件
+ * @param {Object[]} unusedKeys 未使用的键列表
+ * @param {Object} localeFiles 多语言文件信息
+ * @param {Object} [keySources] 键源码位置集合
+ * @returns {Promise<string[]>} 保存失败的文件
+ */
+async function removeUnusedKeys(unusedKeys, localeFiles, keySources) {
+  const removals = {};
+  for (const { locale, fullKey } of unusedKeys) {
+    if (!removals[fullKey]) {
+      removals[fullKey] = {};
+    }
+    removals[fullKey][locale] = null;
+  }
+
+  return saveTranslations(
+    removals,
+    localeFiles,
+    getTargetFiles(removals, keySources)
+  );
+}
+
+/**
+ * 扫描工作区并显示键使用情况报告，可一键删除未使用的键
+ * @param {Object} localeData 多语言数据
+ * @param {Object} localeFiles 多语言文件信息
+ * @param {Object} [keySources] 键源码位置集合，用于从键所在的文件中删除
+ * @param {(fsPath: string) => boolean} [includesFile] 可选，只扫描返回 true 的文件
+ * @returns {Promise<boolean>} 是否删除了未使用的键
+ */
+async function showUsageReport(
+  localeData,
+  localeFiles,
+  keySources,
+  includesFile
+) {
+  const scanResult = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "扫描翻译键使用情况",
+      cancellable: true,
+    },
+    (progress, token) => {
+      progress.report({ message: "扫描工作区文件中..." });
+      return scanWorkspaceUsages(localeFiles, token, includesFile);
+    }
+  );
+
+  // 取消时只扫描了部分文件，其余文件中使用的键会被误报为未使用
+  if (scanResult.cancelled) {
+    vscode.window.showWarningMessage(
+      "扫描已取消，未扫描完所有文件，不生成报告"
+    );
+    return false;
+  }
+
+  const report = buildUsageReport(
+    localeData,
+    scanResult.usages,
+    scanResult.patterns
+  );
+
+  // 在新文档中显示报告
+  const document = await vscode.workspace.openTextDocument({
+    content: renderReportMarkdown(
+      report,
+      scanResult.fileCount,
+      scanResult.usages.size
+    ),
+    language: "markdown",
+  });
+  await vscode.window.showTextDocument(document, { preview: false });
+
+  if (report.unusedKeys.length === 0) {
+    vscode.window.showInformationMessage("未发现未使用的翻译键");
+    return false;
+  }
+
+  const action = await vscode.window.showInformationMessage(
+    `发现 ${report.unusedKeys.length} 个未使用的翻译键`,
+    "删除未使用的键"
+  );
+  if (action !== "删除未使用的键") {
+    return false;
+  }
+
+  const confirm = await vscode.window.showWarningMessage(
+    `确定要从多语言文件中删除 ${report.unusedKeys.length} 个未使用的翻译键吗？`,
+    { modal: true },
+    "删除"
+  );
+  if (confirm !== "删除") {
+    return false;
+  }
+
+  const failedFiles = await removeUnusedKeys(
+    report.unusedKeys,
+    localeFiles,
+    keySources
+  );
+  if (failedFiles.length > 0) {
+    vscode.window.showErrorMessage(
+      `部分翻译键删除失败: ${failedFiles.join(", ")}`
+    );
+  } else {
+    vscode.window.showInformationMessage(
+      `已删除 ${report.unusedKeys.length} 个未使用的翻译键`
+    );
+  }
+  return true;
+}
+
+module.exports = {
+  SOURCE_FILES_GLOB,
+  EXCLUDE_GLOB,
+  createPositionResolver,
+  scanWorkspaceUsages,
+  buildUsageReport,
+  showUsageReport,
+};
@@ -45,13 +45,26 @@ async function ensureDirectoryExists(dirPath) {
   await fs.promises.mkdir(dirPath, { recursive: true });
 }
 
+/**
+ * 获取工作区根目录
+ * 多根工作区中优先使用当前编辑器所在的工作区文件夹，否则使用第一个工作区文件夹
+ * @returns {string} 工作区根目录，未打开文件夹时返回空字符串
+ */
+function getWorkspaceRoot() {
+  const editor = vscode.window.activeTextEditor;
+  const folder =
+    (editor && vscode.workspace.getWorkspaceFolder(editor.document.uri)) ||
+    vscode.workspace.workspaceFolders?.[0];
+  return folder ? folder.uri.fsPath : "";
+}
+
 /**
  * 获取完整文件路径
- * @param {string} relativePath 相对路径
+ * @param {string} relativePath 相对于工作区根目录的路径
  * @returns {string} 完整路径
  */
 function getFullPath(relativePath) {
-  return path.join(vscode.workspace.rootPath || "", relativePath);
+  return path.join(getWorkspaceRoot(), relativePath);
 }
 
 /**
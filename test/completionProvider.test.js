@@ -0,0 +1,46 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const { getTranslationCompletionProvider } = require('../src/i18nTools/completionProvider');
+
+// 默认语言为 zh-CN
+const LOCALE_DATA = {
+	'zh-CN': { common: { 'app.title': '标题', app: { title: '标题' } } },
+	en: { common: { 'app.title': 'Title', 'app.name': 'Name', app: { title: 'Title', name: 'Name' } } },
+};
+
+suite('completionProvider', () => {
+	const provider = getTranslationCompletionProvider(() => LOCALE_DATA);
+
+	/**
+	 * 获取行尾处的补全项
+	 * @param {string} content 单行代码
+	 * @returns {Promise<vscode.CompletionItem[]|undefined>} 补全项
+	 */
+	async function complete(content) {
+		const document = await vscode.workspace.openTextDocument({ content, language: 'javascript' });
+		return provider.provideCompletionItems(document, new vscode.Position(0, content.length));
+	}
+
+	test('suggests keys inside the first argument of translation calls', async () => {
+		const items = await complete("const title = t('app.");
+
+		assert.deepStrictEqual(items.map((item) => item.label).sort(), ['app.name', 'app.title']);
+		for (const item of items) {
+			assert.strictEqual(item.range.start.character, "const title = t('".length);
+			assert.strictEqual(item.range.end.character, "const title = t('app.".length);
+		}
+	});
+
+	test('shows the default locale translation as detail', async () => {
+		const items = await complete('$t("');
+		const detail = Object.fromEntries(items.map((item) => [item.label, item.detail]));
+
+		assert.deepStrictEqual(detail, { 'app.title': '标题', 'app.name': '(默认语言缺失)' });
+	});
+
+	test('ignores strings outside translation calls', async () => {
+		assert.strictEqual(await complete("const title = 'app."), undefined);
+		assert.strictEqual(await complete("format('app."), undefined);
+		assert.strictEqual(await complete("t('app.title', '"), undefined);
+	});
+});
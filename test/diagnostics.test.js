@@ -0,0 +1,110 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const diagnostics = require('../src/i18nTools/diagnostics');
+
+// 与 loadLocaleData 一样使用扁平化的键，默认语言为 zh-CN
+const LOCALE_DATA = {
+	'zh-CN': {
+		common: {
+			'app.title': '标题',
+			'app.name': '名称',
+			'app.greeting': '{name}，你好',
+			'app.items': '{count} 个项目',
+		},
+	},
+	en: { common: { 'app.title': 'Title', 'app.greeting': 'Hi {name}', 'app.items': '{count} items' } },
+};
+
+suite('diagnostics', () => {
+	let collection;
+
+	setup(() => {
+		collection = vscode.languages.createDiagnosticCollection('dev-cooker-test');
+	});
+
+	teardown(() => {
+		collection.dispose();
+	});
+
+	/**
+	 * 获取代码中翻译键的诊断信息
+	 * @param {string} content 代码
+	 * @returns {Promise<vscode.Diagnostic[]>} 诊断信息
+	 */
+	async function getDiagnostics(content) {
+		const document = await vscode.workspace.openTextDocument({ content, language: 'javascript' });
+		diagnostics.updateDiagnostics(document, collection, LOCALE_DATA);
+		return collection.get(document.uri);
+	}
+
+	test('ignores keys translated in every locale', async () => {
+		assert.deepStrictEqual(await getDiagnostics("t('app.title');"), []);
+	});
+
+	test('warns about keys missing in other locales', async () => {
+		const [diagnostic] = await getDiagnostics("t('app.name');");
+
+		assert.strictEqual(diagnostic.severity, vscode.DiagnosticSeverity.Warning);
+		assert.strictEqual(diagnostic.code, diagnostics.MISSING_TRANSLATION_CODE);
+		assert.match(diagnostic.message, /en/);
+	});
+
+	test('reports keys missing in the default locale as errors', async () => {
+		const content = "const label = t('app.missing');";
+		const [diagnostic] = await getDiagnostics(content);
+
+		assert.strictEqual(diagnostic.severity, vscode.DiagnosticSeverity.Error);
+		assert.strictEqual(diagnostic.range.start.character, content.indexOf("'app.missing'"));
+	});
+
+	test('clears diagnostics when there is no locale data', async () => {
+		const document = await vscode.workspace.openTextDocument({
+			content: "t('app.missing');",
+			language: 'javascript',
+		});
+		diagnostics.updateDiagnostics(document, collection, LOCALE_DATA);
+		diagnostics.updateDiagnostics(document, collection, {});
+
+		assert.strictEqual(collection.has(document.uri), false);
+	});
+
+	suite('named params', () => {
+		test('warns about params the message needs but the call does not pass', async () => {
+			const content = "t('app.greeting', { title });";
+			const [diagnostic] = await getDiagnostics(content);
+
+			assert.strictEqual(diagnostic.code, diagnostics.MISSING_PARAMS_CODE);
+			assert.match(diagnostic.message, /name/);
+			assert.strictEqual(diagnostic.range.start.character, content.indexOf('{ title }'));
+		});
+
+		test('marks passed params the message does not use as unnecessary', async () => {
+			const [diagnostic] = await getDiagnostics("t('app.greeting', { name, title: 1 });");
+
+			assert.strictEqual(diagnostic.code, diagnostics.UNUSED_PARAM_CODE);
+			assert.deepStrictEqual(diagnostic.tags, [vscode.DiagnosticTag.Unnecessary]);
+		});
+
+		test('accepts plural counts, spread params and translation options', async () => {
+			assert.deepStrictEqual(await getDiagnostics("t('app.items', 3);"), []);
+			assert.deepStrictEqual(await getDiagnostics("t('app.greeting', { ...params });"), []);
+			assert.deepStrictEqual(await getDiagnostics("t('app.title', { locale: 'en' });"), []);
+			assert.deepStrictEqual(await getDiagnostics("t('app.title');"), []);
+		});
+
+		test('adds missing params with a quick fix', async () => {
+			const document = await vscode.workspace.openTextDocument({
+				content: "t('app.greeting');",
+				language: 'javascript',
+			});
+			diagnostics.updateDiagnostics(document, collection, LOCALE_DATA);
+			const provider = diagnostics.getParamsCodeActionProvider(() => ({ localeData: LOCALE_DATA }));
+			const [diagnostic] = collection.get(document.uri);
+			const [action] = provider.provideCodeActions(document, diagnostic.range, { diagnostics: [diagnostic] });
+			const [[, [edit]]] = action.edit.entries();
+
+			assert.strictEqual(edit.newText, ', { name: undefined }');
+			assert.strictEqual(edit.range.start.character, "t('app.greeting'".length);
+		});
+	});
+});
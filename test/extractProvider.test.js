@@ -0,0 +1,23 @@
+const assert = require('assert');
+const extractProvider = require('../src/i18nTools/extractProvider');
+
+suite('extractProvider', () => {
+	test('suggests keys from the file path and text', () => {
+		assert.strictEqual(
+			extractProvider.suggestKey('src/views/user/Profile.vue', 'Save changes now, please!'),
+			'user.profile.save_changes_now_please'
+		);
+		assert.match(extractProvider.suggestKey('src/components/order-list/index.vue', '确定'), /^orderList\.text_\w+$/);
+	});
+
+	test('builds translation calls for each kind of string', () => {
+		assert.strictEqual(extractProvider.buildReplacement({ kind: 'text' }, 'app.title'), "{{ $t('app.title') }}");
+		assert.strictEqual(
+			extractProvider.buildReplacement({ kind: 'attribute', attribute: 'title' }, 'app.title'),
+			":title=\"$t('app.title')\""
+		);
+		assert.strictEqual(extractProvider.buildReplacement({ kind: 'expression' }, 'app.title'), "$t('app.title')");
+		assert.strictEqual(extractProvider.buildReplacement({ kind: 'jsxText' }, 'app.title'), "{t('app.title')}");
+		assert.strictEqual(extractProvider.buildReplacement({ kind: 'script' }, "it's"), "t('it\\'s')");
+	});
+});
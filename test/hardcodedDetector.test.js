@@ -0,0 +1,54 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const hardcodedDetector = require('../src/i18nTools/hardcodedDetector');
+
+suite('hardcodedDetector', () => {
+	let collection;
+
+	setup(() => {
+		collection = vscode.languages.createDiagnosticCollection('dev-cooker-test');
+	});
+
+	teardown(() => {
+		collection.dispose();
+	});
+
+	/**
+	 * 获取代码中硬编码文本的诊断信息
+	 * @param {string} content 代码
+	 * @param {string} [language] 语言类型
+	 * @returns {Promise<string[]>} 诊断范围对应的源码
+	 */
+	async function detect(content, language = 'javascript') {
+		const document = await vscode.workspace.openTextDocument({ content, language });
+		hardcodedDetector.updateHardcodedDiagnostics(document, collection, {});
+		return collection.get(document.uri).map((diagnostic) => {
+			assert.strictEqual(diagnostic.code, hardcodedDetector.HARDCODED_TEXT_CODE);
+			return document.getText(diagnostic.range);
+		});
+	}
+
+	test('reports CJK strings that are not translated', async () => {
+		const content = "const a = '保存';\nconst b = 'Save';\nconst c = t('保存');\nconst d = '保存しました';";
+
+		assert.deepStrictEqual(await detect(content), ["'保存'", "'保存しました'"]);
+	});
+
+	test('reports CJK text in JSX', async () => {
+		const content = 'const el = <button title="提交">保存 {t(\'app.ok\')}</button>;';
+
+		assert.deepStrictEqual(await detect(content, 'javascriptreact'), ['"提交"', '保存']);
+	});
+
+	test('skips lines and files marked with ignore comments', async () => {
+		const content = [
+			"const a = '保存'; // devcooker-disable-line",
+			'// devcooker-disable-next-line',
+			"const b = '保存';",
+			"const c = '提交';",
+		].join('\n');
+
+		assert.deepStrictEqual(await detect(content), ["'提交'"]);
+		assert.deepStrictEqual(await detect(`/* devcooker-disable */\n${content}`), []);
+	});
+});
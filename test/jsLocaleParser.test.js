@@ -0,0 +1,100 @@
+const assert = require('assert');
+const { parseJsLocale, modifyJsLocale } = require('../src/i18nTools/jsLocaleParser');
+
+suite('jsLocaleParser', () => {
+	test('evaluates spreads, constants and computed keys', () => {
+		const content = [
+			"const PREFIX = 'app';",
+			"const common = { ok: 'OK' };",
+			'module.exports = {',
+			'  ...common,',
+			"  [PREFIX]: { title: `Hello ${'world'}` },",
+			'  count: -1,',
+			'};',
+		].join('\n');
+
+		assert.deepStrictEqual(parseJsLocale(content).data, {
+			ok: 'OK',
+			app: { title: 'Hello world' },
+			count: -1,
+		});
+	});
+
+	test('parses TypeScript syntax', () => {
+		const content = [
+			"import type { Messages } from './types';",
+			'interface Options { strict: boolean }',
+			'type Dictionary = Record<string, string>;',
+			'const identity = <const T>(x: T): T => x;',
+			"const common: Dictionary = { ok: 'OK' };",
+			'const messages = {',
+			'  ...common,',
+			"  title: 'Hello' as string,",
+			"  nested: { label: 'Label' } as const,",
+			'} satisfies Messages;',
+			'export default messages as const;',
+		].join('\n');
+
+		assert.deepStrictEqual(parseJsLocale(content).data, {
+			ok: 'OK',
+			title: 'Hello',
+			nested: { label: 'Label' },
+		});
+	});
+
+	test('edits only the changed properties', () => {
+		const content = [
+			'// Greetings',
+			'export default {',
+			"  title: 'Hello', // shown in the header",
+			'  nested: {',
+			"    label: 'Label',",
+			'  },',
+			"  removed: 'Removed',",
+			'};',
+			'',
+		].join('\n');
+		const modified = modifyJsLocale(content, (data) => {
+			data.title = "It's";
+			data.nested.added = 'Added';
+			delete data.removed;
+		});
+
+		assert.strictEqual(
+			modified,
+			[
+				'// Greetings',
+				'export default {',
+				"  title: 'It\\'s', // shown in the header",
+				'  nested: {',
+				"    label: 'Label',",
+				"    added: 'Added',",
+				'  },',
+				'};',
+				'',
+			].join('\n')
+		);
+	});
+
+	test('keeps type assertions around edited values', () => {
+		const content = 'export default {\n  title: "Hello" as string,\n} as const;\n';
+		const modified = modifyJsLocale(content, (data) => {
+			data.title = 'Hi';
+		});
+
+		assert.strictEqual(modified, 'export default {\n  title: "Hi" as string,\n} as const;\n');
+	});
+
+	test('edits objects referenced through constants', () => {
+		const content = 'const nav = { home: "Home" };\nexport default { nav };\n';
+		const modified = modifyJsLocale(content, (data) => {
+			data.nav.home = 'Start';
+		});
+
+		assert.strictEqual(modified, 'const nav = { home: "Start" };\nexport default { nav };\n');
+	});
+
+	test('rejects files without an exported object literal', () => {
+		assert.throws(() => parseJsLocale('export const title = "Hello";'), /未找到导出的对象字面量/);
+	});
+});
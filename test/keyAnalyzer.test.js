@@ -0,0 +1,103 @@
+const assert = require('assert');
+const keyAnalyzer = require('../src/i18nTools/keyAnalyzer');
+
+const METHODS = ['$t', 't'];
+
+suite('keyAnalyzer', () => {
+	test('finds static keys in scripts', () => {
+		const text = "const title = t('app.title');";
+		const [result] = keyAnalyzer.analyzeText(text, 'javascript', METHODS);
+
+		assert.strictEqual(result.key, 'app.title');
+		assert.strictEqual(result.dynamic, false);
+		assert.strictEqual(text.slice(result.start, result.end), "'app.title'");
+	});
+
+	test('turns template literal keys into dynamic patterns', () => {
+		const text = 'const label = $t(`menu.${id}.title`);';
+		const [result] = keyAnalyzer.analyzeText(text, 'javascript', METHODS);
+
+		assert.strictEqual(result.key, 'menu.*.title');
+		assert.strictEqual(result.dynamic, true);
+		assert.ok(keyAnalyzer.compileKeyPattern(result.key).test('menu.home.title'));
+		assert.ok(!keyAnalyzer.compileKeyPattern(result.key).test('menu.title'));
+	});
+
+	test('resolves keys built from string concatenation', () => {
+		const text = "const label = t('menu.' + id + '.title');";
+		const [result] = keyAnalyzer.analyzeText(text, 'javascript', METHODS);
+
+		assert.strictEqual(result.key, 'menu.*.title');
+		assert.strictEqual(result.dynamic, true);
+	});
+
+	test('finds keys in Vue templates and script blocks', () => {
+		const text = [
+			'<template>',
+			"  <div :title=\"$t('app.tooltip')\">{{ $t('app.title') }}</div>",
+			'</template>',
+			'<script setup>',
+			"const message = t('app.message');",
+			'</script>',
+		].join('\n');
+		const results = keyAnalyzer.analyzeText(text, 'vue', METHODS);
+
+		assert.deepStrictEqual(
+			results.map((result) => result.key).sort(),
+			['app.message', 'app.title', 'app.tooltip']
+		);
+		for (const result of results) {
+			assert.strictEqual(text.slice(result.start + 1, result.end - 1), result.key);
+		}
+	});
+
+	test('finds keys in v-t directives and i18n-t components', () => {
+		const text = [
+			'<template>',
+			'  <p v-t="\'app.directive\'"></p>',
+			'  <span v-t="{ path: \'app.path\' }"></span>',
+			'  <i18n-t keypath="app.component" tag="p" />',
+			'</template>',
+		].join('\n');
+		const results = keyAnalyzer.analyzeText(text, 'vue', METHODS);
+
+		assert.deepStrictEqual(
+			results.map((result) => result.key),
+			['app.directive', 'app.path', 'app.component']
+		);
+	});
+
+	test('parses TypeScript generics and type annotations', () => {
+		const text = "const id = <const T>(x: T): T => x;\nconst title: string = t<string>('app.title');";
+		const results = keyAnalyzer.analyzeText(text, 'typescript', METHODS);
+
+		assert.deepStrictEqual(results.map((result) => result.key), ['app.title']);
+	});
+
+	test('finds keys in lang="ts" Vue script blocks', () => {
+		const text = '<script setup lang="ts">\nconst title = t<string>(\'app.title\') as string;\n</script>';
+		const results = keyAnalyzer.analyzeText(text, 'vue', METHODS);
+
+		assert.deepStrictEqual(results.map((result) => result.key), ['app.title']);
+	});
+
+	test('finds i18nKey attributes of JSX translation components', () => {
+		const text = 'export const Title = () => <Trans i18nKey="app.title" />;';
+		const [result] = keyAnalyzer.analyzeText(text, 'typescriptreact', METHODS);
+
+		assert.strictEqual(result.key, 'app.title');
+		assert.strictEqual(text.slice(result.start, result.end), '"app.title"');
+	});
+
+	test('maps file extensions to language ids', () => {
+		assert.strictEqual(keyAnalyzer.getLanguageIdByPath('src/App.vue'), 'vue');
+		assert.strictEqual(keyAnalyzer.getLanguageIdByPath('src/App.tsx'), 'typescriptreact');
+		assert.strictEqual(keyAnalyzer.getLanguageIdByPath('src/main.py'), null);
+	});
+
+	test('ignores methods that are not configured', () => {
+		const text = "const title = translate('app.title');";
+
+		assert.deepStrictEqual(keyAnalyzer.analyzeText(text, 'javascript', METHODS), []);
+	});
+});
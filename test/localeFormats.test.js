@@ -0,0 +1,109 @@
+const assert = require('assert');
+const localeFormats = require('../src/i18nTools/localeFormats');
+
+const DATA = {
+	app: {
+		title: 'Hello {name}',
+		items: 'no items | one item | {count} items',
+	},
+	bye: 'Bye',
+};
+
+const EMPTY_FILES = {
+	jsonFormat: '{}',
+	javascriptFormat: 'export default {};\n',
+	yamlFormat: '',
+	propertiesFormat: '',
+	poFormat: '',
+	xliffFormat: [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+		'  <file source-language="en" target-language="fr" datatype="plaintext" original="messages">',
+		'    <body>',
+		'    </body>',
+		'  </file>',
+		'</xliff>',
+		'',
+	].join('\n'),
+};
+
+suite('localeFormats', () => {
+	for (const name in EMPTY_FILES) {
+		const format = localeFormats[name];
+
+		test(`${format.name} round-trips written data`, () => {
+			const content = format.modify(EMPTY_FILES[name], (data) => {
+				Object.assign(data, JSON.parse(JSON.stringify(DATA)));
+			});
+
+			assert.deepStrictEqual(format.parse(content), DATA);
+		});
+
+		test(`${format.name} updates and deletes keys`, () => {
+			const content = format.modify(EMPTY_FILES[name], (data) => {
+				Object.assign(data, JSON.parse(JSON.stringify(DATA)));
+			});
+			const modified = format.modify(content, (data) => {
+				data.app.title = 'Hi & <b>"{name}"</b>';
+				delete data.bye;
+			});
+
+			assert.deepStrictEqual(format.parse(modified), {
+				app: { title: 'Hi & <b>"{name}"</b>', items: DATA.app.items },
+			});
+		});
+
+		test(`${format.name} reports the position of every key`, () => {
+			const content = format.modify(EMPTY_FILES[name], (data) => {
+				Object.assign(data, JSON.parse(JSON.stringify(DATA)));
+			});
+			const positions = format.parseKeyPositions(content);
+
+			for (const key of ['app.title', 'app.items', 'bye']) {
+				assert.ok(positions[key], `missing position of ${key}`);
+				assert.ok(content.slice(positions[key].start, positions[key].end).includes(key.split('.').pop()));
+			}
+		});
+	}
+
+	test('YAML keeps comments when modified', () => {
+		const content = '# top\napp:\n  title: Hello # note\n';
+		const modified = localeFormats.yamlFormat.modify(content, (data) => {
+			data.app.title = 'Hi';
+		});
+
+		assert.strictEqual(modified, '# top\napp:\n  title: Hi # note\n');
+	});
+
+	test('Properties decodes and encodes unicode escapes', () => {
+		const content = '# comment\napp.title = Caf\\u00e9\n';
+
+		assert.deepStrictEqual(localeFormats.propertiesFormat.parse(content), {
+			app: { title: 'Café' },
+		});
+		assert.strictEqual(
+			localeFormats.propertiesFormat.modify(content, (data) => {
+				data.app.title = 'Thé';
+			}),
+			'# comment\napp.title = Th\\u00e9\n'
+		);
+	});
+
+	test('PO keeps the header and references', () => {
+		const content = [
+			'msgid ""',
+			'msgstr ""',
+			'"Language: fr\\n"',
+			'',
+			'#: src/App.vue:1',
+			'msgid "app.title"',
+			'msgstr "Bonjour"',
+			'',
+		].join('\n');
+		const modified = localeFormats.poFormat.modify(content, (data) => {
+			data.app.title = 'Salut';
+		});
+
+		assert.strictEqual(modified, content.replace('Bonjour', 'Salut'));
+	});
+});
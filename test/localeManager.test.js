@@ -0,0 +1,145 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const localeManager = require('../src/i18nTools/localeManager');
+
+const BASE_PATH = '/project/src/locales';
+
+suite('localeManager', () => {
+	test('detects locale directories before short file names', () => {
+		assert.deepStrictEqual(localeManager.detectLocaleFileInfo(BASE_PATH, 'en/app.json'), {
+			locale: 'en',
+			namespace: 'app',
+		});
+		assert.deepStrictEqual(localeManager.detectLocaleFileInfo(BASE_PATH, 'zh-Hans-CN/auth.json'), {
+			locale: 'zh-Hans-CN',
+			namespace: 'auth',
+		});
+		assert.deepStrictEqual(localeManager.detectLocaleFileInfo(`${BASE_PATH}/de`, 'nav.json'), {
+			locale: 'de',
+			namespace: 'nav',
+		});
+	});
+
+	test('detects locale file names', () => {
+		assert.deepStrictEqual(localeManager.detectLocaleFileInfo(BASE_PATH, 'zh-CN.yml'), {
+			locale: 'zh-CN',
+			namespace: 'common',
+		});
+		assert.deepStrictEqual(localeManager.detectLocaleFileInfo(BASE_PATH, 'messages.fr.xlf'), {
+			locale: 'fr',
+			namespace: 'messages',
+		});
+	});
+
+	test('falls back to the file name', () => {
+		assert.deepStrictEqual(localeManager.detectLocaleFileInfo(BASE_PATH, 'translations.json'), {
+			locale: 'translations',
+			namespace: 'common',
+		});
+	});
+
+	test('matches path templates and applies locale aliases', () => {
+		const templates = localeManager.compilePathTemplates(['{locale}/{namespace}.json', '{locale}.json']);
+
+		assert.deepStrictEqual(
+			localeManager.getLocaleFileInfo(BASE_PATH, 'zh_CN/app.json', templates, { zh_CN: 'zh-CN' }),
+			{ locale: 'zh-CN', namespace: 'app' }
+		);
+		assert.deepStrictEqual(localeManager.getLocaleFileInfo(BASE_PATH, 'en.json', templates, {}), {
+			locale: 'en',
+			namespace: 'common',
+		});
+		assert.strictEqual(localeManager.getLocaleFileInfo(BASE_PATH, 'en/app/extra.json', templates, {}), null);
+	});
+
+	test('finds the file that defines a key in each locale', () => {
+		const keySources = {
+			en: { app: { title: { file: 'en/app2.json', start: 0, end: 5 } } },
+			fr: { app: { title: { file: 'fr/app.json', start: 0, end: 5 } } },
+			de: { app: { other: { file: 'de/app.json', start: 0, end: 5 } } },
+		};
+
+		assert.deepStrictEqual(localeManager.getKeyFiles('app.title', keySources), {
+			en: 'en/app2.json',
+			fr: 'fr/app.json',
+		});
+	});
+
+	suite('with a namespace split across two files', () => {
+		let dir;
+		let localeFiles;
+		let localeData;
+		let keySources;
+		let files;
+
+		setup(async () => {
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dev-cooker-'));
+			files = [path.join(dir, 'app.json'), path.join(dir, 'app-extra.json')];
+			fs.writeFileSync(files[0], '{\n  "title": "Title"\n}\n');
+			fs.writeFileSync(files[1], '{\n  "subtitle": "Subtitle"\n}\n');
+			localeFiles = { en: { app: files } };
+			keySources = {};
+			localeData = await localeManager.loadLocaleData(localeFiles, keySources);
+		});
+
+		teardown(() => {
+			fs.rmSync(dir, { recursive: true, force: true });
+		});
+
+		const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+		test('deletes a key from the file that defines it', async () => {
+			const key = 'app.subtitle';
+			await localeManager.saveTranslation(
+				key,
+				{ en: null },
+				localeFiles,
+				localeManager.getKeyFiles(key, keySources)
+			);
+
+			assert.deepStrictEqual(readJson(files[0]), { title: 'Title' });
+			assert.deepStrictEqual(readJson(files[1]), {});
+		});
+
+		test('updates keys in the files that define them', async () => {
+			const changes = { 'app.title': { en: 'New title' }, 'app.subtitle': { en: 'New subtitle' } };
+			const failedFiles = await localeManager.saveTranslations(
+				changes,
+				localeFiles,
+				localeManager.getTargetFiles(changes, keySources)
+			);
+
+			assert.deepStrictEqual(failedFiles, []);
+			assert.deepStrictEqual(readJson(files[0]), { title: 'New title' });
+			assert.deepStrictEqual(readJson(files[1]), { subtitle: 'New subtitle' });
+		});
+
+		const reload = (file) => localeManager.reloadLocaleFile(file, 'en', 'app', localeFiles, localeData, keySources);
+
+		test('reloads a changed file and keeps the other files of the namespace', async () => {
+			fs.writeFileSync(files[1], '{\n  "subtitle": "Changed",\n  "note": "Note"\n}\n');
+
+			assert.deepStrictEqual((await reload(files[1])).sort(), ['note', 'subtitle']);
+			assert.deepStrictEqual(localeData.en.app, { title: 'Title', subtitle: 'Changed', note: 'Note' });
+			assert.strictEqual(keySources.en.app.note.file, files[1]);
+			assert.strictEqual(keySources.en.app.title.file, files[0]);
+		});
+
+		test('keeps the loaded data when a file cannot be parsed', async () => {
+			fs.writeFileSync(files[1], '{\n  "subtitle": ');
+
+			assert.strictEqual(await reload(files[1]), null);
+			assert.strictEqual(localeData.en.app.subtitle, 'Subtitle');
+		});
+
+		test('clears the data of a removed file', async () => {
+			localeFiles.en.app = [files[0]];
+
+			assert.deepStrictEqual(await reload(files[1]), ['subtitle']);
+			assert.deepStrictEqual(localeData.en.app, { title: 'Title' });
+			assert.strictEqual(keySources.en.app.subtitle, undefined);
+		});
+	});
+});
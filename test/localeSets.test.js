@@ -0,0 +1,39 @@
+const assert = require('assert');
+const { findLocaleSetForFile } = require('../src/i18nTools/localeSets');
+
+// 按目录层级由深到浅排序，与 findLocaleSets 的返回值一致
+const SETS = [
+	{ name: 'admin', root: '/repo/packages/admin', localesPaths: ['/repo/shared/locales'] },
+	{ name: 'web', root: '/repo/packages/web', localesPaths: ['/repo/packages/web/src/locales'] },
+	{ name: 'repo', root: '/repo', localesPaths: ['/repo/locales'] },
+];
+
+/**
+ * 查找文件所属语言集的名称
+ * @param {string} filePath 文件路径
+ * @returns {string|null} 语言集名称
+ */
+function findSetName(filePath) {
+	const set = findLocaleSetForFile(SETS, filePath);
+	return set && set.name;
+}
+
+suite('localeSets', () => {
+	test('resolves source files to the closest package', () => {
+		assert.strictEqual(findSetName('/repo/packages/web/src/App.vue'), 'web');
+		assert.strictEqual(findSetName('/repo/packages/admin/src/App.vue'), 'admin');
+		assert.strictEqual(findSetName('/repo/packages/other/src/App.vue'), 'repo');
+		assert.strictEqual(findSetName('/repo/src/main.js'), 'repo');
+	});
+
+	test('resolves locale files to the set that loads them', () => {
+		assert.strictEqual(findSetName('/repo/shared/locales/en.json'), 'admin');
+		assert.strictEqual(findSetName('/repo/packages/web/src/locales/en.json'), 'web');
+		assert.strictEqual(findSetName('/repo/locales/en.json'), 'repo');
+	});
+
+	test('does not match directories that only share a prefix', () => {
+		assert.strictEqual(findSetName('/repo/packages/web-legacy/src/App.vue'), 'repo');
+		assert.strictEqual(findSetName('/repository/src/App.vue'), null);
+	});
+});
@@ -0,0 +1,130 @@
+const assert = require('assert');
+const http = require('http');
+const machineTranslator = require('../src/i18nTools/machineTranslator');
+const { libreTranslateService } = require('../src/i18nTools/translationServices');
+
+/**
+ * 启动模拟 LibreTranslate 接口的本地 HTTP 服务
+ * @param {(body: Object) => {status: number, data: Object}} respond 根据请求体生成响应
+ * @returns {Promise<{server: http.Server, url: string, requests: Object[]}>} 服务、地址及收到的请求体
+ */
+async function startMockServer(respond) {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', (chunk) => {
+			body += chunk;
+		});
+		req.on('end', () => {
+			const data = JSON.parse(body);
+			requests.push({ url: req.url, data });
+			const response = respond(data);
+			res.writeHead(response.status, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify(response.data));
+		});
+	});
+	await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+	return { server, url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+suite('machineTranslator', () => {
+	test('replaces placeholders with tags and escapes XML', () => {
+		const { text, placeholders } = machineTranslator.protectPlaceholders(
+			'Hello {name}, <b>{{count}}</b> & %s @:common.ok'
+		);
+
+		assert.strictEqual(
+			text,
+			'Hello <x id="0"/>, <x id="1"/><x id="2"/><x id="3"/> &amp; <x id="4"/> <x id="5"/>'
+		);
+		assert.deepStrictEqual(placeholders, ['{name}', '<b>', '{{count}}', '</b>', '%s', '@:common.ok']);
+	});
+
+	test('restores placeholders in translated text', () => {
+		const { placeholders } = machineTranslator.protectPlaceholders('Hello {name} & %s');
+
+		assert.strictEqual(
+			machineTranslator.restorePlaceholders('<x id="1"/> &amp; bonjour <x id="0"/>', placeholders),
+			'%s & bonjour {name}'
+		);
+	});
+
+	test('rejects translations that lose or repeat placeholders', () => {
+		const { placeholders } = machineTranslator.protectPlaceholders('Hello {name} & %s');
+
+		assert.strictEqual(machineTranslator.restorePlaceholders('Bonjour <x id="0"/>', placeholders), null);
+		assert.strictEqual(
+			machineTranslator.restorePlaceholders('<x id="0"/> <x id="1"/> <x id="1"/>', placeholders),
+			null
+		);
+	});
+
+	suite('with a local translation server', () => {
+		let mock;
+		let settings;
+
+		suiteSetup(async () => {
+			mock = await startMockServer((data) =>
+				data.q.includes('fail')
+					? { status: 500, data: { error: 'mock failure' } }
+					: { status: 200, data: { translatedText: data.q.map((text) => text.replace('Hello', 'Bonjour')) } }
+			);
+			settings = { provider: 'libretranslate', apiKey: '', url: mock.url, model: '', localeMapping: {} };
+		});
+
+		setup(() => {
+			mock.requests.length = 0;
+		});
+
+		suiteTeardown(async () => {
+			await new Promise((resolve) => mock.server.close(resolve));
+		});
+
+		test('translates texts through the injected provider settings', async () => {
+			const results = await machineTranslator.translateTexts(
+				['Hello {name}', '', '{count, plural, one {#} other {#}}'],
+				'en-US',
+				'fr-FR',
+				undefined,
+				settings
+			);
+
+			assert.deepStrictEqual(results, ['Bonjour {name}', null, null]);
+			assert.strictEqual(mock.requests.length, 1);
+			assert.strictEqual(mock.requests[0].url, '/translate');
+			assert.deepStrictEqual(mock.requests[0].data, {
+				q: ['Hello <x id="0"/>'],
+				source: 'en',
+				target: 'fr',
+				format: 'html',
+			});
+		});
+
+		test('maps locales with localeMapping', async () => {
+			await machineTranslator.translateTexts(['Hello'], 'zh-CN', 'en', undefined, {
+				...settings,
+				localeMapping: { 'zh-CN': 'zh-Hans' },
+			});
+
+			assert.strictEqual(mock.requests[0].data.source, 'zh-Hans');
+		});
+
+		test('sends the API key to the service', async () => {
+			const results = await libreTranslateService.translate(['Hello'], {
+				source: 'en',
+				target: 'fr',
+				settings: { ...settings, apiKey: 'secret' },
+			});
+
+			assert.deepStrictEqual(results, ['Bonjour']);
+			assert.strictEqual(mock.requests[0].data.api_key, 'secret');
+		});
+
+		test('surfaces provider errors', async () => {
+			await assert.rejects(
+				machineTranslator.translateTexts(['fail'], 'en', 'fr', undefined, settings),
+				/LibreTranslate 请求失败: 500/
+			);
+		});
+	});
+});
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const messageStructure = require('../src/i18nTools/messageStructure');
+
+const ICU_PLURAL = '{count, plural, one {# item} other {# items}}';
+
+suite('messageStructure', () => {
+	test('renders ICU plural previews', () => {
+		assert.strictEqual(messageStructure.formatPreview(ICU_PLURAL, 'en', { count: 1 }), '1 item');
+		assert.strictEqual(messageStructure.formatPreview(ICU_PLURAL, 'en', { count: 5 }), '5 items');
+	});
+
+	test('renders pipe plural and interpolation previews', () => {
+		const text = 'no apples | one apple | {count} apples';
+
+		assert.strictEqual(messageStructure.formatPreview(text, 'en', { count: 0 }), 'no apples');
+		assert.strictEqual(messageStructure.formatPreview(text, 'en', { count: 1 }), 'one apple');
+		assert.strictEqual(messageStructure.formatPreview(text, 'en', { count: 7 }), '7 apples');
+		assert.strictEqual(messageStructure.formatPreview('Hello {name}', 'en', { name: 'Ann' }), 'Hello Ann');
+	});
+
+	test('returns null for messages with syntax errors', () => {
+		assert.strictEqual(messageStructure.formatPreview('{count, plural, one {#}', 'en', {}), null);
+	});
+
+	test('parses the branches of ICU plural messages', () => {
+		const structure = messageStructure.parsePluralStructure(ICU_PLURAL, 'en');
+
+		assert.strictEqual(structure.type, 'icu');
+		assert.strictEqual(structure.argument, 'count');
+		assert.deepStrictEqual(
+			structure.branches.map((branch) => [branch.key, branch.value]),
+			[
+				['one', '# item'],
+				['other', '# items'],
+			]
+		);
+		assert.strictEqual(messageStructure.parsePluralStructure('Hello', 'en'), null);
+	});
+
+	test('labels pipe branches', () => {
+		assert.strictEqual(messageStructure.getPipeLabels(2, 'en').length, 2);
+		assert.strictEqual(messageStructure.getPipeLabels(3, 'en').length, 3);
+	});
+
+	test('collects arguments across locales', () => {
+		assert.deepStrictEqual(
+			messageStructure.collectMessageArguments({
+				en: `${ICU_PLURAL} by {name}`,
+				fr: '{name}',
+			}),
+			[
+				{ name: 'count', plural: true },
+				{ name: 'name', plural: false },
+			]
+		);
+	});
+});
@@ -0,0 +1,90 @@
+const assert = require('assert');
+const messageValidator = require('../src/i18nTools/messageValidator');
+
+/**
+ * 获取各语言问题的错误码
+ * @param {Object<string, Object[]>} problems 语言 → 问题列表
+ * @returns {Object<string, string[]>} 语言 → 错误码
+ */
+function getCodes(problems) {
+	const codes = {};
+	for (const locale in problems) {
+		codes[locale] = problems[locale].map((problem) => problem.code);
+	}
+	return codes;
+}
+
+suite('messageValidator', () => {
+	test('collects ICU and interpolation parameters', () => {
+		const parameters = messageValidator.getMessageParameters(
+			'Hello {name}, you have {count, plural, one {# item} other {# items}}'
+		);
+
+		assert.deepStrictEqual([...parameters], ['name', 'count']);
+	});
+
+	test('throws a syntax error for incomplete ICU messages', () => {
+		assert.throws(
+			() => messageValidator.parseIcuMessage('{count, plural, one {# item}'),
+			messageValidator.MessageSyntaxError
+		);
+	});
+
+	test('reports placeholders that differ from the default locale', () => {
+		const problems = messageValidator.validateTranslations(
+			{ en: 'Hi {name}', fr: 'Salut {nom}', de: 'Hallo {name}' },
+			'en',
+			new Map()
+		);
+
+		assert.deepStrictEqual(getCodes(problems), {
+			fr: [messageValidator.PLACEHOLDER_MISMATCH_CODE, messageValidator.PLACEHOLDER_MISMATCH_CODE],
+		});
+	});
+
+	test('reports invalid ICU messages as errors', () => {
+		const problems = messageValidator.validateTranslations(
+			{ en: '{count, plural, one {# item} other {# items}}', fr: '{count, plural, one {# article}' },
+			'en',
+			new Map()
+		);
+
+		assert.strictEqual(problems.fr[0].code, messageValidator.INVALID_MESSAGE_CODE);
+		assert.strictEqual(problems.fr[0].severity, 'error');
+	});
+
+	test('compares pipe branches with the plural categories of each locale', () => {
+		const problems = messageValidator.validateTranslations(
+			{
+				en: '{count} apple | {count} apples',
+				ja: 'りんご {count} 個',
+				de: 'kein Apfel | {count} Apfel | {count} Äpfel',
+				ru: '{count} яблоко',
+			},
+			'en',
+			new Map()
+		);
+
+		assert.deepStrictEqual(getCodes(problems), {
+			ru: [messageValidator.PLURAL_MISMATCH_CODE],
+		});
+	});
+
+	test('reports linked messages that do not exist', () => {
+		const allKeys = new Map([['common.ok', { en: 'OK', fr: 'OK' }]]);
+		const problems = messageValidator.validateTranslations(
+			{ en: '@:common.ok', fr: '@:common.ok', de: '@:common.missing' },
+			'en',
+			allKeys
+		);
+
+		assert.strictEqual(problems.fr, undefined);
+		assert.strictEqual(problems.de[0].code, messageValidator.LINKED_KEY_MISSING_CODE);
+	});
+
+	test('returns the CLDR plural categories of a locale', () => {
+		assert.deepStrictEqual(messageValidator.getPluralCategories('en'), ['one', 'other']);
+		assert.deepStrictEqual(messageValidator.getPluralCategories('ja'), ['other']);
+		assert.strictEqual(messageValidator.getPluralCategories('not a locale'), null);
+	});
+});
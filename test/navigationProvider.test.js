@@ -0,0 +1,86 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+const localeManager = require('../src/i18nTools/localeManager');
+const navigationProvider = require('../src/i18nTools/navigationProvider');
+
+suite('navigationProvider', () => {
+	let dir;
+	let keySources;
+
+	suiteSetup(async () => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dev-cooker-'));
+		for (const [locale, title] of [
+			['en', 'Title'],
+			['zh-CN', '标题'],
+		]) {
+			fs.mkdirSync(path.join(dir, locale));
+			fs.writeFileSync(path.join(dir, locale, 'app.json'), `{\n  "title": "${title}"\n}\n`);
+		}
+		keySources = {};
+		await localeManager.loadLocaleData(
+			{
+				en: { app: [path.join(dir, 'en', 'app.json')] },
+				'zh-CN': { app: [path.join(dir, 'zh-CN', 'app.json')] },
+			},
+			keySources
+		);
+	});
+
+	suiteTeardown(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	test('finds the translation key under the cursor', async () => {
+		const document = await vscode.workspace.openTextDocument({
+			content: "const title = t('app.title');",
+			language: 'javascript',
+		});
+
+		assert.strictEqual(navigationProvider.findKeyAtPosition(document, new vscode.Position(0, 20)).key, 'app.title');
+		assert.strictEqual(navigationProvider.findKeyAtPosition(document, new vscode.Position(0, 3)), undefined);
+	});
+
+	test('finds the definitions of a key with the default locale first', async () => {
+		const locations = await navigationProvider.getKeyDefinitionLocations('app.title', { keySources });
+
+		assert.deepStrictEqual(
+			locations.map((location) => path.relative(dir, location.uri.fsPath)),
+			[path.join('zh-CN', 'app.json'), path.join('en', 'app.json')]
+		);
+		assert.strictEqual(locations[1].range.start.line, 1);
+		assert.strictEqual(locations[1].range.start.character, 2);
+	});
+
+	test('finds the key under the cursor in a locale file', async () => {
+		const document = await vscode.workspace.openTextDocument(path.join(dir, 'en', 'app.json'));
+
+		assert.deepStrictEqual(
+			navigationProvider.findLocaleKeyAtPosition(document, new vscode.Position(1, 5), keySources),
+			{ locale: 'en', namespace: 'app', key: 'title' }
+		);
+		assert.strictEqual(
+			navigationProvider.findLocaleKeyAtPosition(document, new vscode.Position(1, 14), keySources),
+			undefined
+		);
+	});
+
+	test('includes the definitions when looking up references', async () => {
+		// 只查找多语言文件中的定义，不扫描工作区中的调用位置
+		const provider = navigationProvider.getTranslationReferenceProvider(() => ({
+			keySources,
+			includesFile: () => false,
+		}));
+		const document = await vscode.workspace.openTextDocument(path.join(dir, 'en', 'app.json'));
+		const position = new vscode.Position(1, 5);
+		const token = new vscode.CancellationTokenSource().token;
+
+		const references = await provider.provideReferences(document, position, { includeDeclaration: false }, token);
+		const locations = await provider.provideReferences(document, position, { includeDeclaration: true }, token);
+
+		assert.deepStrictEqual(references, []);
+		assert.strictEqual(locations.length, 2);
+	});
+});
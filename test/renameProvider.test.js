@@ -0,0 +1,65 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+const localeManager = require('../src/i18nTools/localeManager');
+const { getTranslationRenameProvider } = require('../src/i18nTools/renameProvider');
+
+suite('renameProvider', () => {
+	let dir;
+	let provider;
+	let document;
+	const token = new vscode.CancellationTokenSource().token;
+
+	suiteSetup(async () => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dev-cooker-'));
+		fs.writeFileSync(path.join(dir, 'common.json'), '{\n  "ok": "OK"\n}\n');
+		fs.writeFileSync(path.join(dir, 'user.json'), '{\n  "name": "Name"\n}\n');
+		const localeFiles = {
+			en: { common: [path.join(dir, 'common.json')], user: [path.join(dir, 'user.json')] },
+		};
+		const keySources = {};
+		const localeData = await localeManager.loadLocaleData(localeFiles, keySources);
+
+		// 只重命名多语言文件，不扫描工作区中的调用位置
+		provider = getTranslationRenameProvider(() => ({
+			localeData,
+			localeFiles,
+			keySources,
+			includesFile: () => false,
+		}));
+		document = await vscode.workspace.openTextDocument({
+			content: "const name = t('user.name');",
+			language: 'javascript',
+		});
+	});
+
+	suiteTeardown(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	// 光标位于 'user.name' 中
+	const position = new vscode.Position(0, 18);
+
+	test('renames keys within their namespace', async () => {
+		const edit = await provider.provideRenameEdits(document, position, 'user.fullName', token);
+
+		const entries = edit.entries();
+		assert.strictEqual(entries.length, 1);
+		const [uri, [change]] = entries[0];
+		assert.strictEqual(path.basename(uri.fsPath), 'user.json');
+		assert.deepStrictEqual(JSON.parse(change.newText), { fullName: 'Name' });
+	});
+
+	test('rejects renames that move a key to another namespace', async () => {
+		await assert.rejects(
+			provider.provideRenameEdits(document, position, 'profile.name', token),
+			/不能将翻译键重命名到其他命名空间/
+		);
+		await assert.rejects(
+			provider.provideRenameEdits(document, position, 'common.name', token),
+			/不能将翻译键重命名到其他命名空间/
+		);
+	});
+});
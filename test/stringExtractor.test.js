@@ -0,0 +1,61 @@
+const assert = require('assert');
+const stringExtractor = require('../src/i18nTools/stringExtractor');
+
+const METHODS = ['$t', 't'];
+
+/**
+ * 查找可提取的字符串，并附上范围对应的源码
+ * @param {string} text 文件文本
+ * @param {string} languageId 语言类型
+ * @returns {Object[]} 候选字符串
+ */
+function findStrings(text, languageId) {
+	return stringExtractor
+		.findExtractableStrings(text, languageId, METHODS)
+		.map(({ start, end, ...candidate }) => ({ ...candidate, source: text.slice(start, end) }));
+}
+
+suite('stringExtractor', () => {
+	test('finds attributes, expressions and text in Vue templates', () => {
+		const text = [
+			'<template>',
+			'  <div title="提示" :label="\'标签\'">',
+			"    欢迎 {{ $t('app.ok') }} 使用",
+			'  </div>',
+			'  <code>代码</code>',
+			'</template>',
+		].join('\n');
+
+		assert.deepStrictEqual(findStrings(text, 'vue'), [
+			{ kind: 'attribute', attribute: 'title', value: '提示', source: 'title="提示"' },
+			{ kind: 'expression', value: '标签', source: "'标签'" },
+			{ kind: 'text', value: '欢迎', source: '欢迎' },
+			{ kind: 'text', value: '使用', source: '使用' },
+		]);
+	});
+
+	test('skips translation calls and imports in scripts', () => {
+		const text = "import x from './x';\nconst a = 'Hello';\nt('app.title');";
+
+		assert.deepStrictEqual(findStrings(text, 'javascript'), [{ kind: 'script', value: 'Hello', source: "'Hello'" }]);
+	});
+
+	test('finds JSX attribute values and text children', () => {
+		const text = 'const el = <p title="Hi">Save changes</p>;';
+
+		assert.deepStrictEqual(findStrings(text, 'javascriptreact'), [
+			{ kind: 'jsxAttribute', value: 'Hi', source: '"Hi"' },
+			{ kind: 'jsxText', value: 'Save changes', source: 'Save changes' },
+		]);
+	});
+
+	test('finds the smallest string at an offset', () => {
+		const text = '<template>\n  <div :label="\'标签\'">欢迎</div>\n</template>';
+
+		assert.strictEqual(
+			stringExtractor.findExtractableStringAt(text, 'vue', METHODS, text.indexOf('标签')).kind,
+			'expression'
+		);
+		assert.strictEqual(stringExtractor.findExtractableStringAt(text, 'vue', METHODS, text.indexOf('div')), undefined);
+	});
+});
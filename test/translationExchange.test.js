@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { parseCsv, stringifyCsv } = require('../src/i18nTools/translationExchange');
+
+suite('translationExchange', () => {
+	test('parses quoted cells, escaped quotes and line breaks', () => {
+		const content = 'key,en\n"app.title","Hello, ""world""\nagain"\r\nbye,Bye\n';
+
+		assert.deepStrictEqual(parseCsv(content), [
+			['key', 'en'],
+			['app.title', 'Hello, "world"\nagain'],
+			['bye', 'Bye'],
+		]);
+	});
+
+	test('ignores the byte order mark', () => {
+		assert.deepStrictEqual(parseCsv('\uFEFFkey,en\na,b'), [
+			['key', 'en'],
+			['a', 'b'],
+		]);
+	});
+
+	test('round-trips tables written by stringifyCsv', () => {
+		const table = [
+			['key', 'namespace', 'file', 'en'],
+			['title', 'app', 'src/locales/en/app.json', 'Hello, "world"\nagain'],
+			['empty', 'app', '', ''],
+		];
+
+		assert.deepStrictEqual(parseCsv(stringifyCsv(table)), table);
+	});
+
+	test('guards cells that spreadsheets would run as formulas', () => {
+		const table = [
+			['key', 'en'],
+			['linked', '@:common.ok'],
+			['sum', '=1+1'],
+			['minus', '-1'],
+			['quoted', "'plain"],
+		];
+		const content = stringifyCsv(table);
+
+		assert.ok(content.includes("linked,'@:common.ok\r\n"));
+		assert.ok(content.includes("sum,'=1+1\r\n"));
+		assert.ok(content.includes("quoted,'plain\r\n"));
+		assert.deepStrictEqual(parseCsv(content), table);
+	});
+});
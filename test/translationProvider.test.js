@@ -0,0 +1,111 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const translationProvider = require('../src/i18nTools/translationProvider');
+
+const LOCALE_DATA = {
+	'zh-CN': { common: { 'app.title': '标题', 'app.long': '很长很长\n的标题' } },
+	en: { common: { 'app.title': 'Title' } },
+};
+
+suite('translationProvider', () => {
+	const config = () => vscode.workspace.getConfiguration('devCooker');
+
+	/**
+	 * 装饰文档中的翻译键并返回设置的装饰
+	 * @param {string} content 代码
+	 * @param {number} [cursorLine] 光标所在的行
+	 * @returns {Promise<{shown: Object[], hidden: vscode.Range[]}>} 翻译装饰与隐藏键文本的范围
+	 */
+	async function decorate(content, cursorLine = -1) {
+		const document = await vscode.workspace.openTextDocument({ content, language: 'javascript' });
+		const decorations = new Map();
+		const position = new vscode.Position(Math.max(cursorLine, 0), 0);
+		const editor = {
+			document,
+			selections: cursorLine < 0 ? [] : [new vscode.Selection(position, position)],
+			setDecorations: (type, ranges) => decorations.set(type, ranges),
+		};
+		translationProvider.decorateI18nKeys(editor, 'shown', LOCALE_DATA, 'hidden');
+		return { shown: decorations.get('shown'), hidden: decorations.get('hidden') };
+	}
+
+	teardown(async () => {
+		for (const name of ['mode', 'locale', 'maxLength']) {
+			await config().update(`i18n.annotation.${name}`, undefined, vscode.ConfigurationTarget.Global);
+		}
+	});
+
+	test('shows translations after keys in inline mode', async () => {
+		await config().update('i18n.annotation.mode', 'inline', vscode.ConfigurationTarget.Global);
+		const { shown, hidden } = await decorate("t('app.title');\nt('app.missing');");
+
+		assert.deepStrictEqual(
+			shown.map((decoration) => decoration.renderOptions),
+			[{ after: { contentText: '标题' } }, undefined]
+		);
+		assert.deepStrictEqual(hidden, []);
+	});
+
+	test('uses the configured locale and truncates long translations', async () => {
+		await config().update('i18n.annotation.mode', 'inline', vscode.ConfigurationTarget.Global);
+		await config().update('i18n.annotation.maxLength', 6, vscode.ConfigurationTarget.Global);
+		let { shown } = await decorate("t('app.long');");
+		assert.strictEqual(shown[0].renderOptions.after.contentText, '很长很长 的…');
+
+		await config().update('i18n.annotation.locale', 'en', vscode.ConfigurationTarget.Global);
+		({ shown } = await decorate("t('app.title');"));
+		assert.strictEqual(shown[0].renderOptions.after.contentText, 'Title');
+	});
+
+	test('replaces keys with translations except on the cursor line', async () => {
+		await config().update('i18n.annotation.mode', 'replace', vscode.ConfigurationTarget.Global);
+		const { shown, hidden } = await decorate("t('app.title');\nt('app.title');", 1);
+
+		assert.strictEqual(hidden.length, 1);
+		assert.deepStrictEqual([hidden[0].start.character, hidden[0].end.character], [3, 12]);
+		assert.deepStrictEqual(shown[0].renderOptions, { before: { contentText: '标题', fontStyle: 'italic' } });
+		assert.strictEqual(shown[1].renderOptions, undefined);
+	});
+
+	test('does not show translations when annotations are off', async () => {
+		const { shown, hidden } = await decorate("t('app.title');");
+
+		assert.strictEqual(shown[0].renderOptions, undefined);
+		assert.deepStrictEqual(hidden, []);
+	});
+
+	suite('hover', () => {
+		/**
+		 * 获取文档中光标位置的悬停内容
+		 * @param {Object} localeData 多语言数据
+		 * @param {string} content 单行代码
+		 * @param {number} character 光标所在的列
+		 * @returns {Promise<string|null>} 悬停内容的 Markdown 文本
+		 */
+		async function hover(localeData, content, character) {
+			const document = await vscode.workspace.openTextDocument({ content, language: 'javascript' });
+			const provider = translationProvider.getTranslationHoverProvider(() => localeData);
+			const result = provider.provideHover(document, new vscode.Position(0, character));
+			return result && result.contents[0].value;
+		}
+
+		test('shows the translations of the key under the cursor', async () => {
+			const markdown = await hover(LOCALE_DATA, "t('app.title');", 5);
+
+			assert.match(markdown, /`app\.title`/);
+			assert.match(markdown, /- \*\*zh-CN \(默认\):\*\* 标题\n- \*\*en:\*\* Title\n/);
+			assert.strictEqual(await hover(LOCALE_DATA, "t('app.title');", 0), null);
+		});
+
+		test('reads translations from the latest locale data', async () => {
+			const localeData = { 'zh-CN': { common: { 'app.title': '标题' } } };
+			assert.match(await hover(localeData, "t('app.title');", 5), /标题/);
+
+			localeData['zh-CN'].common['app.title'] = '新标题';
+			translationProvider.clearTranslationCache(['app.title']);
+			assert.match(await hover(localeData, "t('app.title');", 5), /新标题/);
+
+			assert.match(await hover({ 'zh-CN': { common: { 'app.title': '其他' } } }, "t('app.title');", 5), /其他/);
+		});
+	});
+});
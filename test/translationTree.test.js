@@ -0,0 +1,69 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const translationTree = require('../src/i18nTools/translationTree');
+
+const LOCALE_DATA = {
+	en: {
+		app: { title: 'Title', 'menu.home': 'Home', 'menu.about': '', menu: { home: 'Home', about: '' } },
+	},
+	fr: { app: { title: 'Titre' } },
+};
+
+suite('translationTree', () => {
+	const provider = translationTree.translationTreeProvider;
+
+	/**
+	 * 获取节点的子节点，以 type:path 的形式表示
+	 * @param {Object} [element] 父节点
+	 * @returns {string[]} 子节点
+	 */
+	const listChildren = (element) =>
+		provider.getChildren(element).map((node) => `${node.type}:${node.path ?? node.locale}`);
+
+	suiteSetup(() => {
+		translationTree.setLocaleStateSource(() => ({ localeData: LOCALE_DATA, keySources: {} }));
+	});
+
+	teardown(() => {
+		translationTree.setFilter('');
+	});
+
+	test('counts missing and empty keys of each locale', () => {
+		const [en, fr] = provider.getChildren();
+
+		assert.deepStrictEqual(en.problems, { missing: 0, empty: 1 });
+		assert.deepStrictEqual(fr.problems, { missing: 2, empty: 0 });
+		assert.strictEqual(provider.getTreeItem(fr).description, '2 缺失');
+	});
+
+	test('lists nested keys under namespaces of every locale', () => {
+		const [, fr] = provider.getChildren();
+		const [namespace] = provider.getChildren(fr);
+		const [folder, title] = provider.getChildren(namespace);
+
+		assert.deepStrictEqual(listChildren(namespace), ['folder:menu', 'key:title']);
+		assert.deepStrictEqual(listChildren(folder), ['key:menu.about', 'key:menu.home']);
+		assert.strictEqual(provider.getTreeItem(title).description, 'Titre');
+
+		const missing = provider.getTreeItem(provider.getChildren(folder)[1]);
+		assert.strictEqual(missing.label, 'home');
+		assert.strictEqual(missing.description, '缺失');
+		assert.strictEqual(missing.contextValue, 'missingKey');
+		assert.deepStrictEqual(missing.command.arguments, ['app.menu.home']);
+	});
+
+	test('filters keys by name and translation', () => {
+		const [en] = provider.getChildren();
+		const [namespace] = provider.getChildren(en);
+
+		translationTree.setFilter('titre');
+		assert.deepStrictEqual(listChildren(namespace), ['key:title']);
+		assert.strictEqual(provider.getTreeItem(namespace).collapsibleState, vscode.TreeItemCollapsibleState.Expanded);
+
+		translationTree.setFilter('menu.h');
+		assert.deepStrictEqual(listChildren(namespace), ['folder:menu']);
+
+		translationTree.setFilter('nothing');
+		assert.deepStrictEqual(listChildren(en), []);
+	});
+});
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const usageScanner = require('../src/i18nTools/usageScanner');
+
+const LOCALE_DATA = {
+	en: {
+		common: { 'app.title': 'Title', 'app.unused': 'Unused', app: { title: 'Title', unused: 'Unused' } },
+		user: { name: 'Name' },
+	},
+	fr: { common: { 'app.title': 'Titre' } },
+};
+
+/**
+ * 创建键使用索引
+ * @param {string[]} keys 代码中使用的键
+ * @returns {Map<string, vscode.Location[]>} 键使用索引
+ */
+function createUsages(keys) {
+	const uri = vscode.Uri.file('/project/src/App.vue');
+	const range = new vscode.Range(0, 0, 0, 1);
+	return new Map(keys.map((key) => [key, [new vscode.Location(uri, range)]]));
+}
+
+suite('usageScanner', () => {
+	test('converts offsets to positions', () => {
+		const positionAt = usageScanner.createPositionResolver('ab\ncd\n\nef');
+		const positions = [0, 2, 3, 6, 7, 8].map(positionAt);
+
+		assert.deepStrictEqual(
+			positions.map(({ line, character }) => [line, character]),
+			[
+				[0, 0],
+				[0, 2],
+				[1, 0],
+				[2, 0],
+				[3, 0],
+				[3, 1],
+			]
+		);
+	});
+
+	test('reports leaf keys that are not used in code', () => {
+		const report = usageScanner.buildUsageReport(LOCALE_DATA, createUsages(['app.title', 'user.name']));
+
+		assert.deepStrictEqual(report.unusedKeys, [
+			{ locale: 'en', namespace: 'common', key: 'app.unused', fullKey: 'app.unused' },
+		]);
+		assert.deepStrictEqual(report.undefinedKeys, []);
+	});
+
+	test('accepts keys of other namespaces without the namespace prefix', () => {
+		const report = usageScanner.buildUsageReport(LOCALE_DATA, createUsages(['app.title', 'app.unused', 'name']));
+
+		assert.deepStrictEqual(report.unusedKeys, []);
+	});
+
+	test('reports keys used in code but not defined in any locale', () => {
+		const usages = createUsages(['app.title', 'app.missing']);
+		const report = usageScanner.buildUsageReport(LOCALE_DATA, usages);
+
+		assert.deepStrictEqual(report.undefinedKeys, [{ key: 'app.missing', locations: usages.get('app.missing') }]);
+	});
+});